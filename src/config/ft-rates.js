@@ -0,0 +1,25 @@
+/**
+ * Ft Rate Configuration
+ * Published Ft (fuel adjustment) rates per 4-month period, in satang per kWh
+ *
+ * Ft is announced for January-April, May-August and September-December and
+ * applies to every MEA and PEA customer. These periods seed the Ft store on
+ * first start; later periods are added through the /api/ft-rates endpoints.
+ * Billing dates after the latest period keep its rate until the next one is
+ * added.
+ */
+
+const FT_RATE_PERIODS = [
+  { id: '2023-05', effectiveFrom: '2023-05-01', effectiveTo: '2023-08-31', rateSatang: 91.19 },
+  { id: '2023-09', effectiveFrom: '2023-09-01', effectiveTo: '2023-12-31', rateSatang: 20.48 },
+  { id: '2024-01', effectiveFrom: '2024-01-01', effectiveTo: '2024-04-30', rateSatang: 39.72 },
+  { id: '2024-05', effectiveFrom: '2024-05-01', effectiveTo: '2024-08-31', rateSatang: 39.72 },
+  { id: '2024-09', effectiveFrom: '2024-09-01', effectiveTo: '2024-12-31', rateSatang: 39.72 },
+  { id: '2025-01', effectiveFrom: '2025-01-01', effectiveTo: '2025-04-30', rateSatang: 36.72 },
+  { id: '2025-05', effectiveFrom: '2025-05-01', effectiveTo: '2025-08-31', rateSatang: 19.72 },
+  { id: '2025-09', effectiveFrom: '2025-09-01', effectiveTo: '2025-12-31', rateSatang: 19.72 }
+];
+
+module.exports = {
+  FT_RATE_PERIODS
+};
@@ -4,6 +4,47 @@
  */
 
 const MEA_RATES = {
+  TYPE_1: {
+    // Residential Tariff Rates: 1.1 (up to 150 kWh/month) and 1.2 (over 150 kWh/month)
+    normal: {
+      '<12kV': {
+        '1.1': {
+          serviceCharge: 8.19,
+          energyRates: [
+            { threshold: 0, rate: 2.3488 },
+            { threshold: 15, rate: 2.9882 },
+            { threshold: 25, rate: 3.2405 },
+            { threshold: 35, rate: 3.6237 },
+            { threshold: 100, rate: 3.7171 },
+            { threshold: 150, rate: 4.2218 },
+            { threshold: 400, rate: 4.4217 }
+          ]
+        },
+        '1.2': {
+          serviceCharge: 24.62,
+          energyRates: [
+            { threshold: 0, rate: 3.2484 },
+            { threshold: 150, rate: 4.2218 },
+            { threshold: 400, rate: 4.4217 }
+          ]
+        }
+      }
+    },
+    // Residential Time of Use (1.3) Tariff Rates
+    tou: {
+      '<12kV': {
+        serviceCharge: 24.62,
+        onPeakRate: 5.7982,
+        offPeakRate: 2.6369
+      },
+      '12-24kV': {
+        serviceCharge: 312.24,
+        onPeakRate: 5.1135,
+        offPeakRate: 2.6037
+      }
+    }
+  },
+
   TYPE_2: {
     // Normal Tariff Rates
     normal: {
@@ -72,10 +113,55 @@ const MEA_RATES = {
       '12-24kV': { demand_on: 132.93, energy_on: 4.1839, energy_off: 2.6037 },
       '<12kV': { demand_on: 210.80, energy_on: 4.5297, energy_off: 2.6369 }
     }
+  },
+
+  TYPE_6: {
+    // Energy-only normal tariff for government and non-profit organizations
+    normal: {
+      '>=69kV': { energy: 3.4149 },
+      '12-24kV': { energy: 3.5849 },
+      '<12kV': {
+        serviceCharge: 20.00,
+        energyRates: [
+          { threshold: 0, rate: 2.8013 },
+          { threshold: 10, rate: 3.8919 }
+        ]
+      }
+    },
+    tou: {
+      '>=69kV': { demand_on: 74.14, energy_on: 4.1025, energy_off: 2.5849 },
+      '12-24kV': { demand_on: 132.93, energy_on: 4.1839, energy_off: 2.6037 },
+      '<12kV': { demand_on: 210.80, energy_on: 4.5297, energy_off: 2.6369 }
+    }
+  },
+
+  TYPE_8: {
+    // Temporary supply: flat energy rate with no service charge
+    normal: {
+      '>=69kV': { energyRate: 6.8025, serviceCharge: 0 },
+      '12-24kV': { energyRate: 6.8025, serviceCharge: 0 },
+      '<12kV': { energyRate: 6.8025, serviceCharge: 0 }
+    }
+  },
+
+  EV_CHARGER: {
+    // Public EV charging stations: low-priority TOU energy rates, no demand charge
+    tou: {
+      '>=69kV': { serviceCharge: 312.24, onPeakRate: 4.1025, offPeakRate: 2.5849 },
+      '12-24kV': { serviceCharge: 312.24, onPeakRate: 4.1839, offPeakRate: 2.6037 },
+      '<12kV': { serviceCharge: 312.24, onPeakRate: 4.5297, offPeakRate: 2.6369 }
+    }
+  },
+
+  // Standby (backup) supply: monthly reservation charge per contracted kW
+  STANDBY: {
+    '>=69kV': { reservationRate: 22.68 },
+    '12-24kV': { reservationRate: 29.91 },
+    '<12kV': { reservationRate: 52.40 }
   }
 };
 
-// Service charge for MEA (used in Type 3, 4, 5)
+// Service charge for MEA (used in Type 3, 4, 5, 6)
 const MEA_SERVICE_CHARGE = 312.24;
 
 module.exports = {
@@ -4,6 +4,47 @@
  */
 
 const PEA_RATES = {
+  TYPE_1: {
+    // Residential Tariff Rates: 1.1 (up to 150 kWh/month) and 1.2 (over 150 kWh/month)
+    normal: {
+      '<22kV': {
+        '1.1': {
+          serviceCharge: 8.19,
+          energyRates: [
+            { threshold: 0, rate: 2.3488 },
+            { threshold: 15, rate: 2.9882 },
+            { threshold: 25, rate: 3.2405 },
+            { threshold: 35, rate: 3.6237 },
+            { threshold: 100, rate: 3.7171 },
+            { threshold: 150, rate: 4.2218 },
+            { threshold: 400, rate: 4.4217 }
+          ]
+        },
+        '1.2': {
+          serviceCharge: 24.62,
+          energyRates: [
+            { threshold: 0, rate: 3.2484 },
+            { threshold: 150, rate: 4.2218 },
+            { threshold: 400, rate: 4.4217 }
+          ]
+        }
+      }
+    },
+    // Residential Time of Use (1.3) Tariff Rates
+    tou: {
+      '<22kV': {
+        serviceCharge: 24.62,
+        onPeakRate: 5.7982,
+        offPeakRate: 2.6369
+      },
+      '22-33kV': {
+        serviceCharge: 312.24,
+        onPeakRate: 5.1135,
+        offPeakRate: 2.6037
+      }
+    }
+  },
+
   TYPE_2: {
     // Normal Tariff Rates
     normal: {
@@ -159,6 +200,125 @@ const PEA_RATES = {
         serviceCharge: 312.24
       }
     }
+  },
+
+  TYPE_6: {
+    // Energy-only normal tariff for government and non-profit organizations
+    normal: {
+      '>=69kV': {
+        energy: 3.4149,
+        serviceCharge: 312.24
+      },
+      '22-33kV': {
+        energy: 3.5849,
+        serviceCharge: 312.24
+      },
+      '<22kV': {
+        serviceCharge: 20.00,
+        energyRates: [
+          { threshold: 0, rate: 2.8013 },
+          { threshold: 10, rate: 3.8919 }
+        ]
+      }
+    },
+    tou: {
+      '>=69kV': {
+        demand_on: 74.14,
+        energy_on: 4.1025,
+        energy_off: 2.5849,
+        serviceCharge: 312.24
+      },
+      '22-33kV': {
+        demand_on: 132.93,
+        energy_on: 4.1839,
+        energy_off: 2.6037,
+        serviceCharge: 312.24
+      },
+      '<22kV': {
+        demand_on: 210.00,
+        energy_on: 4.3297,
+        energy_off: 2.6369,
+        serviceCharge: 312.24
+      }
+    }
+  },
+
+  TYPE_7: {
+    // Agricultural Water Pumping Normal Tariff Rates
+    normal: {
+      '<22kV': {
+        serviceCharge: 115.16,
+        energyRates: [
+          { threshold: 0, rate: 2.0889 },
+          { threshold: 100, rate: 3.2405 }
+        ]
+      }
+    },
+    // Agricultural Water Pumping Time of Use (TOU) Tariff Rates
+    tou: {
+      '22-33kV': {
+        serviceCharge: 204.07,
+        onPeakRate: 5.1135,
+        offPeakRate: 2.6037
+      },
+      '<22kV': {
+        serviceCharge: 204.07,
+        onPeakRate: 5.7982,
+        offPeakRate: 2.6369
+      }
+    }
+  },
+
+  TYPE_8: {
+    // Temporary Supply Tariff Rates: flat energy rate with no service charge
+    normal: {
+      '>=69kV': {
+        energyRate: 6.8025,
+        serviceCharge: 0
+      },
+      '22-33kV': {
+        energyRate: 6.8025,
+        serviceCharge: 0
+      },
+      '<22kV': {
+        energyRate: 6.8025,
+        serviceCharge: 0
+      }
+    }
+  },
+
+  EV_CHARGER: {
+    // EV Charging Station Tariff Rates: low-priority TOU energy rates, no demand charge
+    tou: {
+      '>=69kV': {
+        serviceCharge: 312.24,
+        onPeakRate: 4.1025,
+        offPeakRate: 2.5849
+      },
+      '22-33kV': {
+        serviceCharge: 312.24,
+        onPeakRate: 4.1839,
+        offPeakRate: 2.6037
+      },
+      '<22kV': {
+        serviceCharge: 312.24,
+        onPeakRate: 4.5297,
+        offPeakRate: 2.6369
+      }
+    }
+  },
+
+  // Standby (Backup) Supply: monthly reservation charge per contracted kW
+  STANDBY: {
+    '>=69kV': {
+      reservationRate: 22.68
+    },
+    '22-33kV': {
+      reservationRate: 29.91
+    },
+    '<22kV': {
+      reservationRate: 52.40
+    }
   }
 };
 
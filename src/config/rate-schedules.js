@@ -0,0 +1,38 @@
+/**
+ * Rate Schedule Configuration
+ * Effective-dated versions of the MEA and PEA rate tables
+ *
+ * Each version applies from effectiveFrom to effectiveTo (inclusive, null = open ended).
+ * When rates are revised, close the current version with an effectiveTo date and
+ * append a new version with its own rate table instead of editing rates in place.
+ */
+
+const { MEA_RATES, MEA_SERVICE_CHARGE } = require('./mea-rates');
+const { PEA_RATES } = require('./pea-rates');
+
+const MEA_RATE_SCHEDULES = [
+  {
+    id: 'mea-2015-09',
+    label: 'MEA base tariff effective September 2015',
+    effectiveFrom: '2015-09-01',
+    effectiveTo: null,
+    rates: MEA_RATES,
+    serviceCharge: MEA_SERVICE_CHARGE
+  }
+];
+
+const PEA_RATE_SCHEDULES = [
+  {
+    id: 'pea-2015-09',
+    label: 'PEA base tariff effective September 2015',
+    effectiveFrom: '2015-09-01',
+    effectiveTo: null,
+    rates: PEA_RATES,
+    serviceCharge: null
+  }
+];
+
+module.exports = {
+  MEA_RATE_SCHEDULES,
+  PEA_RATE_SCHEDULES
+};
@@ -0,0 +1,53 @@
+/**
+ * Solar Irradiance Configuration
+ * Typical irradiation for Thailand, used by the simple rooftop PV model
+ *
+ * Monthly averages of daily global horizontal irradiation (kWh/m² per day)
+ * for central Thailand. A day's irradiation is spread over daylight hours on
+ * a sine curve between sunrise and sunset.
+ */
+
+const MONTHLY_DAILY_IRRADIATION = {
+  1: 4.6,
+  2: 5.1,
+  3: 5.5,
+  4: 5.8,
+  5: 5.4,
+  6: 5.0,
+  7: 4.8,
+  8: 4.8,
+  9: 4.6,
+  10: 4.6,
+  11: 4.5,
+  12: 4.4
+};
+
+// Daylight hours in local time, close enough all year at Thai latitudes
+const SUNRISE_HOUR = 6;
+const SUNSET_HOUR = 18;
+
+// Output of a south-facing array relative to a horizontal one, by tilt in degrees;
+// values between entries are interpolated
+const TILT_FACTORS = [
+  { tiltDegrees: 0, factor: 1.0 },
+  { tiltDegrees: 10, factor: 1.03 },
+  { tiltDegrees: 15, factor: 1.04 },
+  { tiltDegrees: 20, factor: 1.03 },
+  { tiltDegrees: 30, factor: 1.0 },
+  { tiltDegrees: 45, factor: 0.92 },
+  { tiltDegrees: 60, factor: 0.81 },
+  { tiltDegrees: 90, factor: 0.52 }
+];
+
+// Inverter, wiring, soiling and temperature losses
+const DEFAULT_PERFORMANCE_RATIO = 0.8;
+const DEFAULT_TILT_DEGREES = 15;
+
+module.exports = {
+  MONTHLY_DAILY_IRRADIATION,
+  SUNRISE_HOUR,
+  SUNSET_HOUR,
+  TILT_FACTORS,
+  DEFAULT_PERFORMANCE_RATIO,
+  DEFAULT_TILT_DEGREES
+};
@@ -9,11 +9,101 @@ const {
   validateTariffType,
   validateNumericValue,
   validateUsageFields,
+  validateKwhHistory,
+  validateIntervalReadings,
+  validateBillingDates,
+  validateInterruptibleTerms,
+  validateStandbyTerms,
+  validatePpaContract,
+  validateChargingSessions,
+  validateEligibilityProfile,
+  validateNotPersisted,
+  getValidTariffTypes,
   getTariffTypeErrorMessage,
   getVoltageLevelErrorMessage
 } = require('../utils/validation');
-const { ValidationError, CalculationError, asyncErrorHandler } = require('../utils/error-handler');
+const { ValidationError, CalculationError, NotFoundError, asyncErrorHandler } = require('../utils/error-handler');
 const { logger } = require('../utils/logger');
+const { MINIMUM_BILL_FACTOR, MAX_SENSITIVITY_VARIATION } = require('../utils/constants');
+const {
+  roundToDecimals,
+  usesDemandRatchet,
+  getUsageTotalKwh,
+  getUsagePeakKw
+} = require('../utils/calculation-helpers');
+const { isValidDateKey, isValidMonthKey, addDays, addMonths, parseTimestamp } = require('../utils/date-helpers');
+const demandHistoryService = require('../services/demand-history.service');
+const intervalUsageService = require('../services/interval-usage.service');
+const rateScheduleService = require('../services/rate-schedule.service');
+const ppaBillingService = require('../services/ppa-billing.service');
+const billHistoryService = require('../services/bill-history.service');
+const eligibilityService = require('../services/eligibility.service');
+const evChargingService = require('../services/ev-charging.service');
+
+// Calculation types that offer the interruptible-rate option
+const INTERRUPTIBLE_CALCULATION_TYPES = ['type-3', 'type-4', 'type-5'];
+
+// Calculation types whose rates can apply to standby (backup) usage
+const STANDBY_APPLICABLE_TYPES = ['type-3', 'type-4', 'type-5'];
+const STANDBY_REQUIRED_FIELDS = ['tariffType', 'voltageLevel', 'standby', 'usage'];
+
+// Days covered by interval readings are measured in milliseconds
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the billing month of a request from its billing period end or asOfDate
+ * @param {Object} body - Calculation input
+ * @returns {string|null} - Month (YYYY-MM), or null without a valid billing date
+ */
+const getBillingMonth = (body) => {
+  const dateKey = body.billingPeriod ? body.billingPeriod.end : body.asOfDate;
+  return isValidDateKey(dateKey) ? dateKey.slice(0, 7) : null;
+};
+
+/**
+ * Builds the usage object for a tariff type from an on-peak/off-peak usage profile
+ * @param {Object} profile - { on_peak_kwh, off_peak_kwh, on_peak_kw, off_peak_kw, peak_kw }
+ * @param {string} tariffType - Tariff type (normal, tou, tod)
+ * @returns {Object|null} - Usage object, or null for TOD, whose periods the profile does not split
+ */
+const buildProfileUsage = (profile, tariffType) => {
+  if (tariffType === 'tod') {
+    return null;
+  }
+
+  if (tariffType === 'tou') {
+    const { peak_kw: peakKw, ...touUsage } = profile;
+    return touUsage;
+  }
+
+  const usage = { total_kwh: profile.on_peak_kwh + profile.off_peak_kwh };
+  const demands = [profile.on_peak_kw, profile.off_peak_kw].filter((value) => value !== undefined);
+  if (profile.peak_kw !== undefined) {
+    usage.peak_kw = profile.peak_kw;
+  } else if (demands.length > 0) {
+    usage.peak_kw = Math.max(...demands);
+  }
+  return usage;
+};
+
+// Most months one multi-month request may bill
+const MULTI_MONTH_MAX_MONTHS = 36;
+
+// Quantities the target bill solver can solve for
+const SOLVE_FOR_OPTIONS = ['kwh', 'kw'];
+
+// Required request fields per calculation type
+const REQUIRED_FIELDS = {
+  'type-1': ['tariffType', 'voltageLevel', 'usage'],
+  'type-2': ['tariffType', 'voltageLevel', 'usage'],
+  'type-3': ['tariffType', 'voltageLevel', 'peakKvar', 'highestDemandChargeLast12m', 'usage'],
+  'type-4': ['tariffType', 'voltageLevel', 'peakKvar', 'highestDemandChargeLast12m', 'usage'],
+  'type-5': ['tariffType', 'voltageLevel', 'peakKvar', 'highestDemandChargeLast12m', 'usage'],
+  'type-6': ['tariffType', 'voltageLevel', 'usage'],
+  'type-7': ['tariffType', 'voltageLevel', 'usage'],
+  'type-8': ['tariffType', 'voltageLevel', 'usage'],
+  'ev-charger': ['tariffType', 'voltageLevel', 'usage']
+};
 
 class BaseElectricityController {
   constructor(electricityService, provider) {
@@ -31,79 +121,902 @@ class BaseElectricityController {
   handleCalculation(ctx, requiredFields, calculationType) {
     return asyncErrorHandler(async () => {
       const { body } = ctx.request;
-      
-      // Validate required fields manually to throw proper ValidationError
-      if (!body || (typeof body === 'object' && Object.keys(body).length === 0)) {
-        throw new ValidationError('Request body is required');
+
+      this.validateCalculationRequest(body, requiredFields, calculationType);
+      this.respondWithCalculation(ctx, calculationType, body);
+    })(ctx);
+  }
+
+  /**
+   * Interval data calculation handler
+   * Derives the usage object from interval readings, then calculates as usual
+   * @param {Object} ctx - Koa context
+   * @param {string} calculationType - Type of calculation
+   * @returns {Promise<void>}
+   */
+  handleIntervalCalculation(ctx, calculationType) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['readings']);
+
+      const readingsValidation = validateIntervalReadings(body.readings, body.intervalMinutes, body.timestampAt);
+      if (!readingsValidation.isValid) {
+        throw new ValidationError(readingsValidation.error, 'readings');
       }
 
-      for (const field of requiredFields) {
-        if (body[field] === undefined || body[field] === null || body[field] === '') {
-          throw new ValidationError(`Missing required field: ${field}`, field);
+      const { readings, intervalMinutes, timestampAt, ...calculationInput } = body;
+      const intervalSummary = intervalUsageService.summarize(readings, { intervalMinutes, timestampAt });
+      const calculationBody = {
+        ...calculationInput,
+        usage: intervalUsageService.buildUsage(intervalSummary, calculationType, body.tariffType)
+      };
+
+      this.validateCalculationRequest(calculationBody, REQUIRED_FIELDS[calculationType], calculationType);
+      // Readings are passed on so a prorated billing period can be split exactly
+      this.respondWithCalculation(ctx, calculationType, { ...calculationBody, readings, intervalMinutes, timestampAt }, {
+        usage: calculationBody.usage,
+        intervalSummary
+      });
+    })(ctx);
+  }
+
+  /**
+   * Bills interval readings for a simulation scenario
+   * @param {string} calculationType - Calculation type billed from intervals
+   * @param {Object} calculationInput - Tariff fields shared by the scenarios
+   * @param {Array} readings - Interval readings for the scenario
+   * @param {Object} options - { intervalMinutes, timestampAt }
+   * @returns {Object} - { usage, result }
+   */
+  billIntervalScenario(calculationType, calculationInput, readings, options) {
+    const { intervalMinutes, timestampAt } = options;
+    const intervalSummary = intervalUsageService.summarize(readings, { intervalMinutes, timestampAt });
+    const calculationBody = {
+      ...calculationInput,
+      usage: intervalUsageService.buildUsage(intervalSummary, calculationType, calculationInput.tariffType)
+    };
+
+    this.validateCalculationRequest(calculationBody, REQUIRED_FIELDS[calculationType], calculationType);
+    const result = this.runCalculation(calculationType, { ...calculationBody, readings, intervalMinutes, timestampAt });
+
+    return { usage: calculationBody.usage, result };
+  }
+
+  /**
+   * Gets the energy and demand rates per period of a TOU or TOD tariff
+   * @param {string} calculationType - Calculation type
+   * @param {Object} calculationInput - Tariff fields (tariffType, voltageLevel)
+   * @returns {Object} - { energy, demand } rates keyed by period
+   */
+  getPeriodRates(calculationType, calculationInput) {
+    return this.electricityService.getPeriodRates(calculationType, calculationInput);
+  }
+
+  /**
+   * Standby (backup supply) calculation handler
+   * Without readings, usage is the backup drawn. With readings, intervals
+   * inside a generator outage are backup usage and the rest is supplementary
+   * usage billed at the normal rates. The usage is validated against the
+   * applicable calculation type.
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  calculateStandby(ctx) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['applicableType', 'standby']);
+      if (!STANDBY_APPLICABLE_TYPES.includes(body.applicableType)) {
+        throw new ValidationError(
+          `applicableType must be one of ${STANDBY_APPLICABLE_TYPES.join(', ')}, received: ${body.applicableType}`,
+          'applicableType'
+        );
+      }
+
+      const standbyValidation = validateStandbyTerms(body.standby);
+      if (!standbyValidation.isValid) {
+        throw new ValidationError(standbyValidation.error, 'standby');
+      }
+
+      // supplementaryUsage is only ever derived from readings
+      const { readings, intervalMinutes, timestampAt, supplementaryUsage, ...calculationBody } = body;
+      const outages = body.standby.outages || [];
+      let extras = {};
+
+      if (readings === undefined && outages.length > 0) {
+        throw new ValidationError('readings are required to bill standby.outages', 'readings');
+      }
+
+      if (readings !== undefined) {
+        const readingsValidation = validateIntervalReadings(readings, intervalMinutes, timestampAt);
+        if (!readingsValidation.isValid) {
+          throw new ValidationError(readingsValidation.error, 'readings');
         }
+
+        const options = { intervalMinutes, timestampAt };
+        const { inside, outside } = intervalUsageService.splitByWindows(readings, outages, options);
+        const buildUsage = (split) => intervalUsageService.buildUsage(
+          intervalUsageService.summarize(split, options), body.applicableType, body.tariffType
+        );
+        calculationBody.usage = buildUsage(inside);
+        calculationBody.supplementaryUsage = buildUsage(outside);
+        extras = { usage: calculationBody.usage, supplementaryUsage: calculationBody.supplementaryUsage };
+      }
+
+      this.validateCalculationRequest(calculationBody, STANDBY_REQUIRED_FIELDS, body.applicableType);
+      this.respondWithCalculation(ctx, 'standby', calculationBody, extras);
+    })(ctx);
+  }
+
+  /**
+   * EV charging session allocation handler
+   * Bills the EV charger meter, from its metered usage or else the sessions'
+   * TOU split, and allocates the bill across the charging sessions
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  allocateEvSessions(ctx) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['sessions']);
+
+      const sessionsValidation = validateChargingSessions(body.sessions);
+      if (!sessionsValidation.isValid) {
+        throw new ValidationError(sessionsValidation.error, 'sessions');
+      }
+      // Checked up front, as usage derived from the sessions is TOU usage
+      if (body.tariffType !== undefined && !getValidTariffTypes('ev-charger').includes(body.tariffType)) {
+        throw new ValidationError(getTariffTypeErrorMessage('ev-charger', body.tariffType), 'tariffType');
       }
 
-      // Validate tariff type
-      if (!validateTariffType(body.tariffType)) {
+      const { sessions, ...calculationInput } = body;
+      const splitSessions = sessions.map((session) => evChargingService.splitSession(session));
+      const usageSource = calculationInput.usage !== undefined ? 'request' : 'sessions';
+      const calculationBody = {
+        ...calculationInput,
+        usage: usageSource === 'request' ? calculationInput.usage : evChargingService.getSessionUsage(splitSessions)
+      };
+
+      this.validateCalculationRequest(calculationBody, REQUIRED_FIELDS['ev-charger'], 'ev-charger');
+      const result = this.runCalculation('ev-charger', calculationBody);
+
+      this.writeResponse(ctx, 'ev-charger', calculationBody, {
+        ...result,
+        usage: calculationBody.usage,
+        usageSource,
+        ...evChargingService.allocate(result, calculationBody.usage, splitSessions)
+      });
+    })(ctx);
+  }
+
+  /**
+   * PPA billing handler
+   * Calculates the grid bill as a reference, then prices the PPA bill
+   * from the contract's discount terms
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  calculatePpa(ctx) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['calculationType', 'contract']);
+
+      const { calculationType, contract, ...calculationInput } = body;
+      if (!REQUIRED_FIELDS[calculationType]) {
         throw new ValidationError(
-          getTariffTypeErrorMessage(calculationType, body.tariffType),
-          'tariffType'
+          `calculationType must be one of ${Object.keys(REQUIRED_FIELDS).join(', ')}, received: ${calculationType}`,
+          'calculationType'
         );
       }
 
-      // Validate voltage level
-      if (!validateVoltageLevel(body.voltageLevel, this.provider)) {
+      const contractValidation = validatePpaContract(contract);
+      if (!contractValidation.isValid) {
+        throw new ValidationError(contractValidation.error, 'contract');
+      }
+
+      this.validateCalculationRequest(calculationInput, REQUIRED_FIELDS[calculationType], calculationType);
+
+      this.writeResponse(ctx, calculationType, body, this.runPpaCalculation(body), 'ppa');
+    })(ctx);
+  }
+
+  /**
+   * Runs a validated PPA calculation
+   * @param {Object} body - Validated PPA request body
+   * @returns {Object} - PPA result including the reference bill
+   * @throws {CalculationError} - If the reference calculation fails
+   */
+  runPpaCalculation(body) {
+    const { calculationType, contract, ...calculationInput } = body;
+    const referenceBill = this.runCalculation(calculationType, calculationInput);
+
+    return {
+      ...ppaBillingService.calculate(referenceBill, calculationInput.usage, contract),
+      referenceBill
+    };
+  }
+
+  /**
+   * Multi-month calculation handler
+   * Bills a run of calendar months for one site, carrying the demand ratchet
+   * and Type 1 consumption history from month to month. Fields outside
+   * months apply to every month; a month's own fields override them.
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  calculateMultiMonth(ctx) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['calculationType', 'months']);
+      this.validateNotPersisted(body, 'multi-month calculations');
+
+      const { calculationType, months, persist, ...sharedInput } = body;
+      if (!REQUIRED_FIELDS[calculationType]) {
         throw new ValidationError(
-          getVoltageLevelErrorMessage(calculationType, body.tariffType || 'unknown', body.voltageLevel, this.provider),
-          'voltageLevel'
+          `calculationType must be one of ${Object.keys(REQUIRED_FIELDS).join(', ')}, received: ${calculationType}`,
+          'calculationType'
         );
       }
+      if (!Array.isArray(months) || months.length === 0 || months.length > MULTI_MONTH_MAX_MONTHS) {
+        throw new ValidationError(`months must be an array of 1 to ${MULTI_MONTH_MAX_MONTHS} monthly records`, 'months');
+      }
 
-      // Validate numeric fields
-      const numericFields = [
-        { field: body.ftRateSatang, name: 'ftRateSatang' },
-        { field: body.peakKvar, name: 'peakKvar' },
-        { field: body.highestDemandChargeLast12m, name: 'highestDemandChargeLast12m' }
-      ];
+      const { highestDemandChargeLast12m, previousMonthsKwh, asOfDate, billingPeriod, ...monthDefaults } = sharedInput;
 
-      for (const { field, name } of numericFields) {
-        if (field !== undefined && field !== null) {
-          const validation = validateNumericValue(field, name);
-          if (!validation.isValid) {
-            throw new ValidationError(validation.error, name);
-          }
+      const monthInputs = months.map((entry, index) => {
+        const { month, ...monthInput } = entry || {};
+        if (!isValidMonthKey(month)) {
+          throw new ValidationError(`months[${index}].month must be a valid month (YYYY-MM), received: ${month}`, 'months');
+        }
+        // The ratchet window and Type 1 history count months, so gaps would misdate them
+        if (index > 0 && month !== addMonths(months[index - 1].month, 1)) {
+          throw new ValidationError(`months must be consecutive, received ${month} after ${months[index - 1].month}`, 'months');
         }
-      }
 
-      // Validate usage fields
-      const usageValidation = validateUsageFields(body.usage, body.tariffType, calculationType);
-      if (!usageValidation.isValid) {
-        throw new ValidationError(usageValidation.error, 'usage');
-      }
+        const data = {
+          ...monthDefaults,
+          ...monthInput,
+          billingPeriod: { start: `${month}-01`, end: addDays(`${addMonths(month, 1)}-01`, -1) }
+        };
 
-      // Log calculation request
-      logger.logCalculation(this.provider, calculationType, body);
-      
+        try {
+          // The ratchet is filled in month by month, so only its seed is validated here
+          this.validateCalculationRequest(
+            { ...data, highestDemandChargeLast12m: highestDemandChargeLast12m !== undefined ? highestDemandChargeLast12m : 0, previousMonthsKwh },
+            REQUIRED_FIELDS[calculationType],
+            calculationType
+          );
+        } catch (error) {
+          throw new ValidationError(`months[${index}] (${month}): ${error.message}`, error.field);
+        }
+
+        return { month, data };
+      });
+
+      logger.logCalculation(this.provider, calculationType, monthDefaults);
+
+      let result;
       try {
-        const result = this.electricityService.calculateBill(calculationType, body);
-        
-        ctx.status = 200;
-        ctx.body = {
-          ...result,
-          success: true,
-          timestamp: new Date().toISOString(),
-          provider: this.provider,
-          calculationType
-        };
+        result = this.electricityService.calculateMultiMonth(calculationType, monthInputs, {
+          highestDemandChargeLast12m,
+          previousMonthsKwh
+        });
       } catch (error) {
         logger.error('Calculation failed', {
           provider: this.provider,
           calculationType,
-          error: error.message,
-          input: body
+          error: error.message
         });
         throw new CalculationError(`Failed to calculate ${calculationType}: ${error.message}`);
       }
+
+      ctx.status = 200;
+      ctx.body = {
+        ...result,
+        success: true,
+        timestamp: new Date().toISOString(),
+        provider: this.provider,
+        calculationType
+      };
+    })(ctx);
+  }
+
+  /**
+   * Tariff comparison handler
+   * Evaluates one usage profile under every tariff type and voltage level
+   * offered for the calculation type. The profile is interval readings, or a
+   * usage object split into on-peak and off-peak kWh (normal and TOU only).
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  compareTariffs(ctx) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['calculationType']);
+      this.validateNotPersisted(body, 'tariff comparisons');
+
+      const {
+        calculationType, tariffType, voltageLevel, voltageLevels,
+        readings, intervalMinutes, timestampAt, usage, persist, ...sharedInput
+      } = body;
+      if (!REQUIRED_FIELDS[calculationType]) {
+        throw new ValidationError(
+          `calculationType must be one of ${Object.keys(REQUIRED_FIELDS).join(', ')}, received: ${calculationType}`,
+          'calculationType'
+        );
+      }
+
+      let intervalSummary = null;
+      if (readings !== undefined) {
+        const readingsValidation = validateIntervalReadings(readings, intervalMinutes, timestampAt);
+        if (!readingsValidation.isValid) {
+          throw new ValidationError(readingsValidation.error, 'readings');
+        }
+        intervalSummary = intervalUsageService.summarize(readings, { intervalMinutes, timestampAt });
+      } else {
+        this.validateRequiredFields(body, ['usage']);
+        const profileValidation = validateUsageFields(usage, 'tou', 'type-2');
+        if (!profileValidation.isValid) {
+          throw new ValidationError(profileValidation.error, 'usage');
+        }
+      }
+
+      const levels = voltageLevels !== undefined ? voltageLevels : this.getValidVoltageLevels();
+      if (!Array.isArray(levels) || levels.length === 0 || levels.some((level) => !validateVoltageLevel(level, this.provider))) {
+        throw new ValidationError(
+          `voltageLevels must be a non-empty array of ${this.getValidVoltageLevels().join(', ')}`,
+          'voltageLevels'
+        );
+      }
+
+      const tariffTypes = getValidTariffTypes(calculationType);
+      let current = null;
+      if (tariffType !== undefined || voltageLevel !== undefined) {
+        if (!tariffTypes.includes(tariffType) || !levels.includes(voltageLevel)) {
+          throw new ValidationError(
+            `Current option ${tariffType} at ${voltageLevel} is not among the compared options`,
+            'tariffType'
+          );
+        }
+        current = { tariffType, voltageLevel };
+      }
+
+      const candidates = [];
+      const unavailable = [];
+      for (const candidateTariffType of tariffTypes) {
+        for (const candidateVoltageLevel of levels) {
+          const option = { tariffType: candidateTariffType, voltageLevel: candidateVoltageLevel };
+          const optionUsage = intervalSummary
+            ? intervalUsageService.buildUsage(intervalSummary, calculationType, candidateTariffType)
+            : buildProfileUsage(usage, candidateTariffType);
+
+          if (!optionUsage) {
+            unavailable.push({ ...option, reason: 'TOD needs interval readings' });
+            continue;
+          }
+
+          const data = { ...sharedInput, ...option, usage: optionUsage };
+          try {
+            this.validateCalculationRequest(data, REQUIRED_FIELDS[calculationType], calculationType);
+          } catch (error) {
+            // A profile missing a field one option needs only rules that option out
+            if (error.field !== 'usage') {
+              throw error;
+            }
+            unavailable.push({ ...option, reason: error.message });
+            continue;
+          }
+
+          candidates.push({ ...option, data });
+        }
+      }
+
+      // Readings cover the days from the first interval's start to the last one's end
+      const periodDays = intervalSummary && intervalSummary.intervalCount > 0
+        ? roundToDecimals((parseTimestamp(intervalSummary.periodEnd) - parseTimestamp(intervalSummary.periodStart)) / MS_PER_DAY, 4)
+        : null;
+
+      let comparison;
+      try {
+        comparison = this.electricityService.compareTariffOptions(calculationType, candidates, current, { periodDays });
+      } catch (error) {
+        throw new CalculationError(`Failed to compare ${calculationType}: ${error.message}`);
+      }
+
+      ctx.status = 200;
+      ctx.body = {
+        ...comparison,
+        unavailable: [...unavailable, ...comparison.unavailable],
+        ...(intervalSummary ? { intervalSummary } : {}),
+        success: true,
+        timestamp: new Date().toISOString(),
+        provider: this.provider,
+        calculationType
+      };
+    })(ctx);
+  }
+
+  /**
+   * Target bill solver handler
+   * Finds the kWh (keeping the usage template's on-peak share and load
+   * factor) or peak kW whose bill equals targetBill
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  solveTargetBill(ctx) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['calculationType', 'targetBill']);
+      this.validateNotPersisted(body, 'the target bill solver');
+
+      const { calculationType, targetBill, solveFor = 'kwh', persist, ...calculationInput } = body;
+      if (!REQUIRED_FIELDS[calculationType]) {
+        throw new ValidationError(
+          `calculationType must be one of ${Object.keys(REQUIRED_FIELDS).join(', ')}, received: ${calculationType}`,
+          'calculationType'
+        );
+      }
+      if (typeof targetBill !== 'number' || isNaN(targetBill) || targetBill <= 0) {
+        throw new ValidationError(`targetBill must be a positive number, received: ${targetBill}`, 'targetBill');
+      }
+      if (!SOLVE_FOR_OPTIONS.includes(solveFor)) {
+        throw new ValidationError(`solveFor must be one of ${SOLVE_FOR_OPTIONS.join(', ')}, received: ${solveFor}`, 'solveFor');
+      }
+
+      this.validateCalculationRequest(calculationInput, REQUIRED_FIELDS[calculationType], calculationType);
+
+      const { usage } = calculationInput;
+      if (solveFor === 'kw' && !(getUsagePeakKw(usage) > 0)) {
+        throw new ValidationError('usage needs a positive kW value to solve for kw', 'usage');
+      }
+      if (solveFor === 'kwh' && !(getUsageTotalKwh(usage) > 0)) {
+        throw new ValidationError('usage needs a positive kWh value to solve for kwh', 'usage');
+      }
+
+      logger.logCalculation(this.provider, calculationType, calculationInput);
+      let solution;
+      try {
+        solution = this.electricityService.solveForTargetBill(calculationType, calculationInput, { targetBill, solveFor });
+      } catch (error) {
+        throw new CalculationError(`Failed to solve ${calculationType}: ${error.message}`);
+      }
+
+      ctx.status = 200;
+      ctx.body = {
+        targetBill,
+        solveFor,
+        ...solution,
+        totalKwh: roundToDecimals(getUsageTotalKwh(solution.usage), 3),
+        peakKw: getUsagePeakKw(solution.usage),
+        difference: roundToDecimals(solution.achievedBill - targetBill, 2),
+        success: true,
+        timestamp: new Date().toISOString(),
+        provider: this.provider,
+        calculationType
+      };
+    })(ctx);
+  }
+
+  /**
+   * Sensitivity analysis handler
+   * Reports the marginal cost and elasticity of the bill for each usage
+   * input, peakKvar and the Ft rate, ranked tornado-style by their swing
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  analyzeSensitivity(ctx) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['calculationType']);
+      this.validateNotPersisted(body, 'sensitivity analysis');
+
+      const { calculationType, variation, persist, ...calculationInput } = body;
+      if (!REQUIRED_FIELDS[calculationType]) {
+        throw new ValidationError(
+          `calculationType must be one of ${Object.keys(REQUIRED_FIELDS).join(', ')}, received: ${calculationType}`,
+          'calculationType'
+        );
+      }
+      if (variation !== undefined &&
+        (typeof variation !== 'number' || isNaN(variation) || variation <= 0 || variation > MAX_SENSITIVITY_VARIATION)) {
+        throw new ValidationError(
+          `variation must be greater than 0 and at most ${MAX_SENSITIVITY_VARIATION}, received: ${variation}`,
+          'variation'
+        );
+      }
+
+      this.validateCalculationRequest(calculationInput, REQUIRED_FIELDS[calculationType], calculationType);
+
+      logger.logCalculation(this.provider, calculationType, calculationInput);
+      let analysis;
+      try {
+        analysis = this.electricityService.analyzeSensitivity(calculationType, calculationInput, { variation });
+      } catch (error) {
+        throw new CalculationError(`Failed to analyze ${calculationType}: ${error.message}`);
+      }
+
+      ctx.status = 200;
+      ctx.body = {
+        ...analysis,
+        success: true,
+        timestamp: new Date().toISOString(),
+        provider: this.provider,
+        calculationType
+      };
+    })(ctx);
+  }
+
+  /**
+   * Calculation type classification handler
+   * Determines the calculation type from the business category, the monthly
+   * peak demands of the last 12 months and the average monthly energy, and
+   * lists the voltage levels and tariff types offered for it.
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  classifyCustomer(ctx) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['businessCategory', 'monthlyPeakKw', 'averageMonthlyKwh']);
+
+      const profileValidation = validateEligibilityProfile(body);
+      if (!profileValidation.isValid) {
+        throw new ValidationError(profileValidation.error, profileValidation.field);
+      }
+
+      const datesValidation = validateBillingDates(body.asOfDate, undefined);
+      if (!datesValidation.isValid) {
+        throw new ValidationError(datesValidation.error, datesValidation.field);
+      }
+
+      const classification = eligibilityService.classify(this.provider, body);
+      const { calculationType } = classification;
+
+      let voltageLevels;
+      try {
+        voltageLevels = this.electricityService.getTariffOptions(
+          calculationType,
+          getValidTariffTypes(calculationType),
+          this.getValidVoltageLevels(),
+          { asOfDate: body.asOfDate }
+        );
+      } catch (error) {
+        throw new CalculationError(`Failed to classify customer: ${error.message}`);
+      }
+
+      ctx.status = 200;
+      ctx.body = {
+        ...classification,
+        businessCategory: body.businessCategory,
+        voltageLevels,
+        success: true,
+        timestamp: new Date().toISOString(),
+        provider: this.provider
+      };
+    })(ctx);
+  }
+
+  /**
+   * Registered customer bill handler
+   * The customer's tariff parameters come from the registry; the request
+   * supplies the period's usage and may override the contract defaults.
+   * For tariffs with a minimum demand charge, highestDemandChargeLast12m is
+   * derived from the customer's recorded demand charges unless the request
+   * gives it. The month's calculated demand charge is recorded only when the
+   * bill is persisted and the ratchet was not overridden by the request, so
+   * what-if calculations leave the history alone.
+   * @param {Object} ctx - Koa context
+   * @param {Object} customer - Registered customer
+   * @returns {Promise<void>}
+   */
+  calculateCustomerBill(ctx, customer) {
+    return asyncErrorHandler(async () => {
+      const { body } = ctx.request;
+
+      this.validateRequiredFields(body, ['usage']);
+
+      const { calculationType, tariffType } = customer;
+      const calculationBody = {
+        ...customer.contract,
+        ...body,
+        tariffType,
+        voltageLevel: customer.voltageLevel
+      };
+
+      const billingMonth = getBillingMonth(calculationBody);
+      const tracksRatchet = usesDemandRatchet(calculationType, tariffType);
+      let ratchet = null;
+
+      if (tracksRatchet) {
+        ratchet = { billingMonth, source: 'contract', setByMonth: null, window: null, monthsOnRecord: 0 };
+
+        if (body.highestDemandChargeLast12m !== undefined) {
+          ratchet.source = 'request';
+        } else if (billingMonth) {
+          const lookup = demandHistoryService.getHighestDemandCharge(customer.id, billingMonth);
+          // The contract value seeds the ratchet until the customer has history in the window
+          if (lookup.monthsOnRecord > 0 || calculationBody.highestDemandChargeLast12m === undefined) {
+            ratchet = { ...ratchet, source: 'history', ...lookup };
+            calculationBody.highestDemandChargeLast12m = lookup.highestDemandChargeLast12m;
+          }
+        }
+      }
+
+      this.validateCalculationRequest(calculationBody, REQUIRED_FIELDS[calculationType], calculationType);
+      const result = this.runCalculation(calculationType, calculationBody);
+
+      if (tracksRatchet) {
+        const highestDemandChargeLast12m = calculationBody.highestDemandChargeLast12m || 0;
+        ratchet = {
+          ...ratchet,
+          highestDemandChargeLast12m,
+          minimumDemandCharge: roundToDecimals(highestDemandChargeLast12m * MINIMUM_BILL_FACTOR, 1),
+          calculatedDemandCharge: result.calculatedDemandCharge,
+          effectiveDemandCharge: result.effectiveDemandCharge,
+          binding: result.effectiveDemandCharge > result.calculatedDemandCharge
+        };
+
+        if (billingMonth && calculationBody.persist && ratchet.source !== 'request') {
+          demandHistoryService.record(customer.id, billingMonth, result.calculatedDemandCharge);
+        }
+      }
+
+      this.writeResponse(ctx, calculationType, calculationBody, {
+        ...result,
+        ...(ratchet ? { ratchet } : {}),
+        customerId: customer.id,
+        meterIds: customer.meterIds
+      });
+    })(ctx);
+  }
+
+  /**
+   * Recalculates a stored bill from its input with the current rate tables
+   * @param {Object} ctx - Koa context
+   * @param {Object} bill - Stored bill
+   * @returns {Promise<void>}
+   */
+  recalculateBill(ctx, bill) {
+    return asyncErrorHandler(async () => {
+      const recalculated = bill.calculationType === 'ppa'
+        ? this.runPpaCalculation(bill.input)
+        : this.runCalculation(bill.calculationType, bill.input);
+
+      ctx.body = {
+        billId: bill.id,
+        provider: bill.provider,
+        calculationType: bill.calculationType,
+        original: bill.result,
+        recalculated,
+        differences: billHistoryService.diff(bill.result, recalculated),
+        success: true
+      };
+    })(ctx);
+  }
+
+  /**
+   * Validates that the request body is present and has the required fields
+   * @param {Object} body - Request body
+   * @param {Array} requiredFields - Required fields for validation
+   * @throws {ValidationError} - If the body or a required field is missing
+   */
+  validateRequiredFields(body, requiredFields) {
+    // Validate required fields manually to throw proper ValidationError
+    if (!body || (typeof body === 'object' && Object.keys(body).length === 0)) {
+      throw new ValidationError('Request body is required');
+    }
+
+    for (const field of requiredFields) {
+      if (body[field] === undefined || body[field] === null || body[field] === '') {
+        throw new ValidationError(`Missing required field: ${field}`, field);
+      }
+    }
+  }
+
+  /**
+   * Rejects persist on endpoints whose response is not a single bill
+   * @param {Object} body - Request body
+   * @param {string} operation - What the endpoint does, for the error message
+   * @throws {ValidationError} - If persist is set
+   */
+  validateNotPersisted(body, operation) {
+    const persistValidation = validateNotPersisted(body.persist, operation);
+    if (!persistValidation.isValid) {
+      throw new ValidationError(persistValidation.error, 'persist');
+    }
+  }
+
+  /**
+   * Validates a calculation request
+   * @param {Object} body - Request body
+   * @param {Array} requiredFields - Required fields for validation
+   * @param {string} calculationType - Type of calculation
+   * @throws {ValidationError} - If any field is invalid
+   */
+  validateCalculationRequest(body, requiredFields, calculationType) {
+    // ftRateSatang is optional; without it the Ft schedule supplies the rate
+    this.validateRequiredFields(body, requiredFields);
+
+    // Validate tariff type
+    if (!validateTariffType(body.tariffType)) {
+      throw new ValidationError(
+        getTariffTypeErrorMessage(calculationType, body.tariffType),
+        'tariffType'
+      );
+    }
+
+    // Validate voltage level
+    if (!validateVoltageLevel(body.voltageLevel, this.provider)) {
+      throw new ValidationError(
+        getVoltageLevelErrorMessage(calculationType, body.tariffType || 'unknown', body.voltageLevel, this.provider),
+        'voltageLevel'
+      );
+    }
+
+    // Validate numeric fields
+    const numericFields = [
+      { field: body.ftRateSatang, name: 'ftRateSatang' },
+      { field: body.peakKvar, name: 'peakKvar' },
+      { field: body.highestDemandChargeLast12m, name: 'highestDemandChargeLast12m' }
+    ];
+
+    for (const { field, name } of numericFields) {
+      if (field !== undefined && field !== null) {
+        const validation = validateNumericValue(field, name);
+        if (!validation.isValid) {
+          throw new ValidationError(validation.error, name);
+        }
+      }
+    }
+
+    // Validate consumption history (Type 1 residential classification)
+    if (body.previousMonthsKwh !== undefined) {
+      const historyValidation = validateKwhHistory(body.previousMonthsKwh, 'previousMonthsKwh');
+      if (!historyValidation.isValid) {
+        throw new ValidationError(historyValidation.error, 'previousMonthsKwh');
+      }
+    }
+
+    // Validate interruptible-rate terms
+    if (body.interruptible !== undefined) {
+      if (!INTERRUPTIBLE_CALCULATION_TYPES.includes(calculationType)) {
+        throw new ValidationError('interruptible is only available for Type 3, 4 and 5', 'interruptible');
+      }
+      const interruptibleValidation = validateInterruptibleTerms(body.interruptible);
+      if (!interruptibleValidation.isValid) {
+        throw new ValidationError(interruptibleValidation.error, 'interruptible');
+      }
+    }
+
+    if (body.persist !== undefined && typeof body.persist !== 'boolean') {
+      throw new ValidationError(`persist must be a boolean, received: ${body.persist}`, 'persist');
+    }
+
+    // Validate billing dates
+    const datesValidation = validateBillingDates(body.asOfDate, body.billingPeriod);
+    if (!datesValidation.isValid) {
+      throw new ValidationError(datesValidation.error, datesValidation.field);
+    }
+
+    // Validate usage fields
+    const usageValidation = validateUsageFields(body.usage, body.tariffType, calculationType);
+    if (!usageValidation.isValid) {
+      throw new ValidationError(usageValidation.error, 'usage');
+    }
+  }
+
+  /**
+   * Runs a validated calculation
+   * @param {string} calculationType - Type of calculation
+   * @param {Object} body - Validated calculation input
+   * @returns {Object} - Calculation result
+   * @throws {CalculationError} - If the calculation fails
+   */
+  runCalculation(calculationType, body) {
+    // Log calculation request
+    logger.logCalculation(this.provider, calculationType, body);
+    
+    try {
+      return this.electricityService.calculateBill(calculationType, body);
+    } catch (error) {
+      logger.error('Calculation failed', {
+        provider: this.provider,
+        calculationType,
+        error: error.message,
+        input: body
+      });
+      throw new CalculationError(`Failed to calculate ${calculationType}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Runs a validated calculation and writes the response
+   * @param {Object} ctx - Koa context
+   * @param {string} calculationType - Type of calculation
+   * @param {Object} body - Validated calculation input
+   * @param {Object} extras - Additional fields to include in the response
+   * @throws {CalculationError} - If the calculation fails
+   */
+  respondWithCalculation(ctx, calculationType, body, extras = {}) {
+    const result = this.runCalculation(calculationType, body);
+
+    this.writeResponse(ctx, calculationType, body, { ...result, ...extras });
+  }
+
+  /**
+   * Writes a calculation response
+   * With persist: true in the input, the bill is also stored in the bill
+   * history and its id returned as billId.
+   * @param {Object} ctx - Koa context
+   * @param {string} calculationType - Type of calculation
+   * @param {Object} input - Validated calculation input
+   * @param {Object} fields - Result fields for the response
+   * @param {string} historyType - Calculation type to store the bill under
+   */
+  writeResponse(ctx, calculationType, input, fields, historyType = calculationType) {
+    const { persist, ...calculationInput } = input;
+
+    ctx.status = 200;
+    ctx.body = {
+      ...fields,
+      success: true,
+      timestamp: new Date().toISOString(),
+      provider: this.provider,
+      calculationType
+    };
+
+    if (persist) {
+      const bill = billHistoryService.record({
+        customerId: fields.customerId,
+        provider: this.provider,
+        calculationType: historyType,
+        input: calculationInput,
+        result: ctx.body
+      });
+      ctx.body.billId = bill.id;
+    }
+  }
+
+  /**
+   * Lists the rate schedule versions for this provider
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  listRateSchedules(ctx) {
+    return asyncErrorHandler(async () => {
+      ctx.body = {
+        provider: this.provider,
+        rateSchedules: rateScheduleService.listVersions(this.provider),
+        success: true
+      };
+    })(ctx);
+  }
+
+  /**
+   * Gets one rate schedule version, including its rate table
+   * @param {Object} ctx - Koa context
+   * @returns {Promise<void>}
+   */
+  getRateSchedule(ctx) {
+    return asyncErrorHandler(async () => {
+      const version = rateScheduleService.getVersion(this.provider, ctx.params.id);
+      if (!version) {
+        throw new NotFoundError(`Rate schedule not found: ${ctx.params.id}`);
+      }
+
+      ctx.body = {
+        provider: this.provider,
+        ...version,
+        success: true
+      };
     })(ctx);
   }
 
@@ -119,41 +1032,64 @@ class BaseElectricityController {
     return validLevels[this.provider] || [];
   }
 
-  /**
-   * Get valid tariff types for calculation type
-   * @param {string} calculationType - Calculation type
-   * @returns {Array} - Array of valid tariff types
-   */
-  getValidTariffTypes(calculationType) {
-    const validTypes = {
-      'type-2': ['normal', 'tou'],
-      'type-3': ['normal', 'tou'],
-      'type-4': ['tod', 'tou'],
-      'type-5': ['normal', 'tou']
-    };
-    return validTypes[calculationType] || [];
+  // Type 1 calculation methods
+  calculateType1(ctx) {
+    return this.handleCalculation(ctx, REQUIRED_FIELDS['type-1'], 'type-1');
   }
 
   // Type 2 calculation methods
   calculateType2(ctx) {
-    const requiredFields = ['tariffType', 'voltageLevel', 'ftRateSatang', 'usage'];
-    return this.handleCalculation(ctx, requiredFields, 'type-2');
+    return this.handleCalculation(ctx, REQUIRED_FIELDS['type-2'], 'type-2');
   }
 
   // Type 3 calculation methods
   calculateType3(ctx) {
-    const requiredFields = ['tariffType', 'voltageLevel', 'ftRateSatang', 'peakKvar', 'highestDemandChargeLast12m', 'usage'];
-    return this.handleCalculation(ctx, requiredFields, 'type-3');
+    return this.handleCalculation(ctx, REQUIRED_FIELDS['type-3'], 'type-3');
   }
 
   calculateType4(ctx) {
-    const requiredFields = ['tariffType', 'voltageLevel', 'ftRateSatang', 'peakKvar', 'highestDemandChargeLast12m', 'usage'];
-    return this.handleCalculation(ctx, requiredFields, 'type-4');
+    return this.handleCalculation(ctx, REQUIRED_FIELDS['type-4'], 'type-4');
   }
 
   calculateType5(ctx) {
-    const requiredFields = ['tariffType', 'voltageLevel', 'ftRateSatang', 'peakKvar', 'highestDemandChargeLast12m', 'usage'];
-    return this.handleCalculation(ctx, requiredFields, 'type-5');
+    return this.handleCalculation(ctx, REQUIRED_FIELDS['type-5'], 'type-5');
+  }
+
+  // Type 6 calculation methods
+  calculateType6(ctx) {
+    return this.handleCalculation(ctx, REQUIRED_FIELDS['type-6'], 'type-6');
+  }
+
+  // Type 7 calculation methods (PEA only)
+  calculateType7(ctx) {
+    return this.handleCalculation(ctx, REQUIRED_FIELDS['type-7'], 'type-7');
+  }
+
+  // Type 8 calculation methods
+  calculateType8(ctx) {
+    return this.handleCalculation(ctx, REQUIRED_FIELDS['type-8'], 'type-8');
+  }
+
+  // EV charger calculation methods
+  calculateEvCharger(ctx) {
+    return this.handleCalculation(ctx, REQUIRED_FIELDS['ev-charger'], 'ev-charger');
+  }
+
+  // Interval data calculation methods
+  calculateType2FromIntervals(ctx) {
+    return this.handleIntervalCalculation(ctx, 'type-2');
+  }
+
+  calculateType3FromIntervals(ctx) {
+    return this.handleIntervalCalculation(ctx, 'type-3');
+  }
+
+  calculateType4FromIntervals(ctx) {
+    return this.handleIntervalCalculation(ctx, 'type-4');
+  }
+
+  calculateType5FromIntervals(ctx) {
+    return this.handleIntervalCalculation(ctx, 'type-5');
   }
 }
 
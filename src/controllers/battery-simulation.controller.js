@@ -0,0 +1,77 @@
+/**
+ * Battery Simulation Controller
+ * Handles battery storage dispatch simulations against interval load readings
+ */
+
+const batterySimulationService = require('../services/battery-simulation.service');
+const {
+  validateIntervalScenarioRequest,
+  validateBatterySystem,
+  validateDispatchStrategy
+} = require('../utils/validation');
+const { INTERVAL_CALCULATION_TYPES, BATTERY_STRATEGIES } = require('../utils/constants');
+const { calculateBillSavings } = require('../utils/calculation-helpers');
+const { ValidationError, asyncErrorHandler } = require('../utils/error-handler');
+
+/**
+ * Battery storage simulation handler
+ * Dispatches the battery against the load readings with the requested
+ * strategy and bills the load with and without the battery.
+ * @param {Object} ctx - Koa context
+ * @param {Object} electricityController - Provider controller billing the scenarios
+ * @returns {Promise<void>}
+ */
+const simulateBattery = (ctx, electricityController) => asyncErrorHandler(async () => {
+  const { body } = ctx.request;
+
+  const requestValidation = validateIntervalScenarioRequest(body, {
+    requiredFields: ['calculationType', 'readings', 'battery', 'strategy'],
+    calculationTypes: INTERVAL_CALCULATION_TYPES,
+    operation: 'battery simulations'
+  });
+  if (!requestValidation.isValid) {
+    throw new ValidationError(requestValidation.error, requestValidation.field);
+  }
+
+  const {
+    calculationType, readings, intervalMinutes, timestampAt, battery, strategy, persist, ...calculationInput
+  } = body;
+
+  const batteryValidation = validateBatterySystem(battery);
+  if (!batteryValidation.isValid) {
+    throw new ValidationError(batteryValidation.error, 'battery');
+  }
+
+  const strategyValidation = validateDispatchStrategy(strategy);
+  if (!strategyValidation.isValid) {
+    throw new ValidationError(strategyValidation.error, 'strategy');
+  }
+  if (strategy.type === BATTERY_STRATEGIES.TOU_ARBITRAGE && calculationInput.tariffType === 'normal') {
+    throw new ValidationError('tou-arbitrage needs a tou or tod tariff', 'strategy');
+  }
+
+  const options = { intervalMinutes, timestampAt };
+  const baseline = electricityController.billIntervalScenario(calculationType, calculationInput, readings, options);
+  const dispatch = batterySimulationService.simulate(readings, battery, strategy, {
+    ...options,
+    tariffType: calculationInput.tariffType
+  });
+  const withBattery = electricityController.billIntervalScenario(calculationType, calculationInput, dispatch.readings, options);
+
+  ctx.status = 200;
+  ctx.body = {
+    dispatch: dispatch.summary,
+    baseline,
+    withBattery,
+    savings: calculateBillSavings(baseline.result, withBattery.result),
+    intervals: dispatch.intervals,
+    success: true,
+    timestamp: new Date().toISOString(),
+    provider: electricityController.provider,
+    calculationType
+  };
+})(ctx);
+
+module.exports = {
+  simulateBattery
+};
@@ -0,0 +1,68 @@
+/**
+ * Bill Controller
+ * Handles bill history retrieval, search and recalculation
+ */
+
+const billHistoryService = require('../services/bill-history.service');
+const meaElectricityController = require('./mea-electricity.controller');
+const peaElectricityController = require('./pea-electricity.controller');
+const { isValidDateKey } = require('../utils/date-helpers');
+const { ValidationError, NotFoundError, asyncErrorHandler } = require('../utils/error-handler');
+
+const PROVIDER_CONTROLLERS = {
+  mea: meaElectricityController,
+  pea: peaElectricityController
+};
+
+/**
+ * Gets a stored bill
+ * @param {string} id - Bill id
+ * @returns {Object} - Bill
+ * @throws {NotFoundError} - If no bill is stored under the id
+ */
+const findBill = (id) => {
+  const bill = billHistoryService.get(id);
+  if (!bill) {
+    throw new NotFoundError(`Bill not found: ${id}`);
+  }
+  return bill;
+};
+
+const searchBills = asyncErrorHandler(async (ctx) => {
+  const { customerId, provider, calculationType, from, to } = ctx.query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value !== undefined && !isValidDateKey(value)) {
+      throw new ValidationError(`${name} must be a valid date (YYYY-MM-DD), received: ${value}`, name);
+    }
+  }
+  if (provider !== undefined && !PROVIDER_CONTROLLERS[provider]) {
+    throw new ValidationError(`provider must be one of ${Object.keys(PROVIDER_CONTROLLERS).join(', ')}, received: ${provider}`, 'provider');
+  }
+
+  const bills = billHistoryService.search({ customerId, provider, calculationType, from, to });
+
+  ctx.body = {
+    count: bills.length,
+    bills,
+    success: true
+  };
+});
+
+const getBill = asyncErrorHandler(async (ctx) => {
+  ctx.body = {
+    ...findBill(ctx.params.id),
+    success: true
+  };
+});
+
+const recalculateBill = asyncErrorHandler(async (ctx) => {
+  const bill = findBill(ctx.params.id);
+  await PROVIDER_CONTROLLERS[bill.provider].recalculateBill(ctx, bill);
+});
+
+module.exports = {
+  searchBills,
+  getBill,
+  recalculateBill
+};
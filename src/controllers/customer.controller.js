@@ -0,0 +1,149 @@
+/**
+ * Customer Controller
+ * Handles customer registry CRUD and bill calculation by customer id
+ */
+
+const customerService = require('../services/customer.service');
+const demandHistoryService = require('../services/demand-history.service');
+const meaElectricityController = require('./mea-electricity.controller');
+const peaElectricityController = require('./pea-electricity.controller');
+const { ValidationError, NotFoundError, asyncErrorHandler } = require('../utils/error-handler');
+const { logger } = require('../utils/logger');
+
+const PROVIDER_CONTROLLERS = {
+  mea: meaElectricityController,
+  pea: peaElectricityController
+};
+
+/**
+ * Runs a registry mutation, converting its validation errors
+ * @param {Function} mutate - Function performing the mutation
+ * @returns {*} - Mutation result
+ */
+const applyChange = (mutate) => {
+  try {
+    return mutate();
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+};
+
+/**
+ * Gets a registered customer
+ * @param {string} id - Customer id
+ * @returns {Object} - Customer
+ * @throws {NotFoundError} - If the customer is not registered
+ */
+const findCustomer = (id) => {
+  const customer = customerService.get(id);
+  if (!customer) {
+    throw new NotFoundError(`Customer not found: ${id}`);
+  }
+  return customer;
+};
+
+const listCustomers = asyncErrorHandler(async (ctx) => {
+  ctx.body = {
+    customers: customerService.list(),
+    success: true
+  };
+});
+
+const getCustomer = asyncErrorHandler(async (ctx) => {
+  ctx.body = {
+    ...findCustomer(ctx.params.id),
+    success: true
+  };
+});
+
+const createCustomer = asyncErrorHandler(async (ctx) => {
+  const customer = applyChange(() => customerService.create(ctx.request.body || {}));
+  logger.info('Customer registered', { id: customer.id, provider: customer.provider });
+
+  ctx.status = 201;
+  ctx.body = {
+    ...customer,
+    success: true
+  };
+});
+
+const updateCustomer = asyncErrorHandler(async (ctx) => {
+  const customer = applyChange(() => customerService.update(ctx.params.id, ctx.request.body || {}));
+  if (!customer) {
+    throw new NotFoundError(`Customer not found: ${ctx.params.id}`);
+  }
+  logger.info('Customer updated', { id: customer.id });
+
+  ctx.body = {
+    ...customer,
+    success: true
+  };
+});
+
+const deleteCustomer = asyncErrorHandler(async (ctx) => {
+  if (!customerService.remove(ctx.params.id)) {
+    throw new NotFoundError(`Customer not found: ${ctx.params.id}`);
+  }
+  demandHistoryService.clear(ctx.params.id);
+  logger.info('Customer removed', { id: ctx.params.id });
+
+  ctx.body = {
+    id: ctx.params.id,
+    success: true
+  };
+});
+
+const calculateCustomerBill = asyncErrorHandler(async (ctx) => {
+  const customer = findCustomer(ctx.params.id);
+  await PROVIDER_CONTROLLERS[customer.provider].calculateCustomerBill(ctx, customer);
+});
+
+const getDemandHistory = asyncErrorHandler(async (ctx) => {
+  const customer = findCustomer(ctx.params.id);
+
+  ctx.body = {
+    customerId: customer.id,
+    demandHistory: demandHistoryService.list(customer.id),
+    success: true
+  };
+});
+
+const recordDemandCharge = asyncErrorHandler(async (ctx) => {
+  const customer = findCustomer(ctx.params.id);
+  const { calculatedDemandCharge } = ctx.request.body || {};
+
+  const entry = applyChange(() => demandHistoryService.record(customer.id, ctx.params.month, calculatedDemandCharge));
+  logger.info('Demand charge recorded', { customerId: customer.id, ...entry });
+
+  ctx.body = {
+    customerId: customer.id,
+    ...entry,
+    success: true
+  };
+});
+
+const deleteDemandCharge = asyncErrorHandler(async (ctx) => {
+  const customer = findCustomer(ctx.params.id);
+  if (!demandHistoryService.removeMonth(customer.id, ctx.params.month)) {
+    throw new NotFoundError(`No demand charge recorded for ${customer.id} in ${ctx.params.month}`);
+  }
+  logger.info('Demand charge removed', { customerId: customer.id, month: ctx.params.month });
+
+  ctx.body = {
+    customerId: customer.id,
+    month: ctx.params.month,
+    success: true
+  };
+});
+
+module.exports = {
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer,
+  deleteCustomer,
+  calculateCustomerBill,
+  getDemandHistory,
+  recordDemandCharge,
+  deleteDemandCharge
+};
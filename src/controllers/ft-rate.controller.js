@@ -0,0 +1,104 @@
+/**
+ * Ft Rate Controller
+ * Handles Ft rate schedule CRUD and lookup endpoints
+ */
+
+const ftRateService = require('../services/ft-rate.service');
+const { isValidDateKey } = require('../utils/date-helpers');
+const { ValidationError, NotFoundError, asyncErrorHandler } = require('../utils/error-handler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Runs a store mutation, converting its validation errors
+ * @param {Function} mutate - Function performing the mutation
+ * @returns {*} - Mutation result
+ */
+const applyChange = (mutate) => {
+  try {
+    return mutate();
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+};
+
+const listFtRates = asyncErrorHandler(async (ctx) => {
+  ctx.body = {
+    ftRates: ftRateService.list(),
+    success: true
+  };
+});
+
+const getFtRate = asyncErrorHandler(async (ctx) => {
+  const period = ftRateService.get(ctx.params.id);
+  if (!period) {
+    throw new NotFoundError(`Ft rate period not found: ${ctx.params.id}`);
+  }
+
+  ctx.body = {
+    ...period,
+    success: true
+  };
+});
+
+const resolveFtRate = asyncErrorHandler(async (ctx) => {
+  const { date } = ctx.query;
+  if (!isValidDateKey(date)) {
+    throw new ValidationError(`date must be a valid date (YYYY-MM-DD), received: ${date}`, 'date');
+  }
+
+  const period = ftRateService.resolve(date);
+  if (!period) {
+    throw new NotFoundError(`No Ft rate published for ${date}`);
+  }
+
+  ctx.body = {
+    date,
+    ...period,
+    success: true
+  };
+});
+
+const createFtRate = asyncErrorHandler(async (ctx) => {
+  const period = applyChange(() => ftRateService.create(ctx.request.body || {}));
+  logger.info('Ft rate period created', period);
+
+  ctx.status = 201;
+  ctx.body = {
+    ...period,
+    success: true
+  };
+});
+
+const updateFtRate = asyncErrorHandler(async (ctx) => {
+  const period = applyChange(() => ftRateService.update(ctx.params.id, ctx.request.body || {}));
+  if (!period) {
+    throw new NotFoundError(`Ft rate period not found: ${ctx.params.id}`);
+  }
+  logger.info('Ft rate period updated', period);
+
+  ctx.body = {
+    ...period,
+    success: true
+  };
+});
+
+const deleteFtRate = asyncErrorHandler(async (ctx) => {
+  if (!ftRateService.remove(ctx.params.id)) {
+    throw new NotFoundError(`Ft rate period not found: ${ctx.params.id}`);
+  }
+  logger.info('Ft rate period deleted', { id: ctx.params.id });
+
+  ctx.body = {
+    id: ctx.params.id,
+    success: true
+  };
+});
+
+module.exports = {
+  listFtRates,
+  getFtRate,
+  resolveFtRate,
+  createFtRate,
+  updateFtRate,
+  deleteFtRate
+};
@@ -0,0 +1,149 @@
+/**
+ * Holiday Controller
+ * Handles holiday calendar administration endpoints
+ */
+
+const holidayCalendarService = require('../services/holiday-calendar.service');
+const { isValidDateKey } = require('../utils/date-helpers');
+const { ValidationError, NotFoundError, asyncErrorHandler } = require('../utils/error-handler');
+const { logger } = require('../utils/logger');
+
+/**
+ * Parses and validates the :year route parameter
+ * @param {Object} ctx - Koa context
+ * @returns {number} - Year
+ */
+const getYearParam = (ctx) => {
+  const year = Number(ctx.params.year);
+  if (!Number.isInteger(year) || year < 1900 || year > 2200) {
+    throw new ValidationError(`Invalid year: ${ctx.params.year}`, 'year');
+  }
+  return year;
+};
+
+/**
+ * Parses and validates the :date route parameter
+ * @param {Object} ctx - Koa context
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+const getDateParam = (ctx) => {
+  if (!isValidDateKey(ctx.params.date)) {
+    throw new ValidationError(`Invalid date: ${ctx.params.date}. Must be YYYY-MM-DD`, 'date');
+  }
+  return ctx.params.date;
+};
+
+/**
+ * Loads calendars, converting calendar format errors into validation errors
+ * @param {Function} load - Function returning loaded calendar summaries
+ * @returns {Array} - Loaded calendar summaries
+ */
+const loadCalendars = (load) => {
+  try {
+    return load();
+  } catch (error) {
+    throw new ValidationError(`Invalid holiday calendar: ${error.message}`);
+  }
+};
+
+const listCalendars = asyncErrorHandler(async (ctx) => {
+  ctx.body = {
+    calendars: holidayCalendarService.listCalendars(),
+    success: true
+  };
+});
+
+const getHolidays = asyncErrorHandler(async (ctx) => {
+  const year = getYearParam(ctx);
+  const calendar = holidayCalendarService.getHolidays(year);
+
+  if (!calendar) {
+    throw new NotFoundError(`No holiday calendar loaded for ${year}`);
+  }
+
+  ctx.body = {
+    ...calendar,
+    success: true
+  };
+});
+
+const replaceCalendar = asyncErrorHandler(async (ctx) => {
+  const year = getYearParam(ctx);
+  const { body } = ctx.request;
+
+  const [calendar] = loadCalendars(() => [holidayCalendarService.saveCalendar({ ...body, year })]);
+  logger.info('Holiday calendar replaced', calendar);
+
+  ctx.body = {
+    calendar,
+    success: true
+  };
+});
+
+const importCalendar = asyncErrorHandler(async (ctx) => {
+  const { format, content, version, source } = ctx.request.body || {};
+
+  if (format !== 'ics' && format !== 'json') {
+    throw new ValidationError(`Invalid format: ${format}. Must be "ics" or "json"`, 'format');
+  }
+  if (content === undefined || content === null || content === '') {
+    throw new ValidationError('Missing required field: content', 'content');
+  }
+
+  const calendars = loadCalendars(() => {
+    const parsed = format === 'ics'
+      ? holidayCalendarService.parseIcs(String(content), { version, source })
+      : [typeof content === 'string' ? JSON.parse(content) : content];
+
+    if (parsed.length === 0) {
+      throw new Error('No holidays found');
+    }
+    return parsed.map((calendar) => holidayCalendarService.saveCalendar(calendar));
+  });
+  logger.info('Holiday calendars imported', { format, years: calendars.map((calendar) => calendar.year) });
+
+  ctx.body = {
+    calendars,
+    success: true
+  };
+});
+
+const setOverride = asyncErrorHandler(async (ctx) => {
+  const date = getDateParam(ctx);
+  const { isHoliday, name } = ctx.request.body || {};
+
+  if (typeof isHoliday !== 'boolean') {
+    throw new ValidationError('isHoliday must be a boolean', 'isHoliday');
+  }
+
+  const override = holidayCalendarService.setOverride(date, { isHoliday, name });
+  logger.info('Holiday override set', override);
+
+  ctx.body = {
+    override,
+    success: true
+  };
+});
+
+const removeOverride = asyncErrorHandler(async (ctx) => {
+  const date = getDateParam(ctx);
+
+  if (!holidayCalendarService.removeOverride(date)) {
+    throw new NotFoundError(`No holiday override for ${date}`);
+  }
+  logger.info('Holiday override removed', { date });
+
+  ctx.body = {
+    date,
+    success: true
+  };
+});
+
+module.exports = {
+  listCalendars,
+  getHolidays,
+  replaceCalendar,
+  importCalendar,
+  setOverride,
+  removeOverride
+};
@@ -0,0 +1,74 @@
+/**
+ * Load Shifting Controller
+ * Handles scheduling flexible loads into the cheapest TOU and TOD periods
+ */
+
+const loadShiftingService = require('../services/load-shifting.service');
+const { validateIntervalScenarioRequest, validateFlexibleLoads } = require('../utils/validation');
+const { calculateBillSavings } = require('../utils/calculation-helpers');
+const { ValidationError, asyncErrorHandler } = require('../utils/error-handler');
+
+// Calculation types whose TOU and TOD tariffs flexible loads can be scheduled against
+const LOAD_SHIFT_CALCULATION_TYPES = ['type-3', 'type-4', 'type-5'];
+
+/**
+ * Load shifting optimizer handler
+ * Moves the flexible loads' daily runs into the cheapest periods their
+ * windows allow and bills the load before and after the shift.
+ * @param {Object} ctx - Koa context
+ * @param {Object} electricityController - Provider controller billing the scenarios
+ * @returns {Promise<void>}
+ */
+const optimizeLoadShift = (ctx, electricityController) => asyncErrorHandler(async () => {
+  const { body } = ctx.request;
+
+  const requestValidation = validateIntervalScenarioRequest(body, {
+    requiredFields: ['calculationType', 'readings', 'flexibleLoads'],
+    calculationTypes: LOAD_SHIFT_CALCULATION_TYPES,
+    operation: 'load shifting'
+  });
+  if (!requestValidation.isValid) {
+    throw new ValidationError(requestValidation.error, requestValidation.field);
+  }
+
+  const {
+    calculationType, readings, intervalMinutes, timestampAt, flexibleLoads, persist, ...calculationInput
+  } = body;
+  if (!['tou', 'tod'].includes(calculationInput.tariffType)) {
+    throw new ValidationError(
+      `Load shifting needs a tou or tod tariff, received: ${calculationInput.tariffType}`,
+      'tariffType'
+    );
+  }
+
+  const loadsValidation = validateFlexibleLoads(flexibleLoads, intervalMinutes);
+  if (!loadsValidation.isValid) {
+    throw new ValidationError(loadsValidation.error, 'flexibleLoads');
+  }
+
+  const options = { intervalMinutes, timestampAt };
+  const baseline = electricityController.billIntervalScenario(calculationType, calculationInput, readings, options);
+  const rates = electricityController.getPeriodRates(calculationType, calculationInput);
+  const optimization = loadShiftingService.optimize(readings, flexibleLoads, rates, {
+    ...options,
+    tariffType: calculationInput.tariffType
+  });
+  const optimized = electricityController.billIntervalScenario(calculationType, calculationInput, optimization.readings, options);
+
+  ctx.status = 200;
+  ctx.body = {
+    schedule: optimization.schedule,
+    summary: optimization.summary,
+    baseline,
+    optimized,
+    savings: calculateBillSavings(baseline.result, optimized.result),
+    success: true,
+    timestamp: new Date().toISOString(),
+    provider: electricityController.provider,
+    calculationType
+  };
+})(ctx);
+
+module.exports = {
+  optimizeLoadShift
+};
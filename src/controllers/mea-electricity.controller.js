@@ -5,6 +5,9 @@
 
 const BaseElectricityController = require('./base-electricity.controller');
 const meaElectricityService = require('../services/mea-electricity.service');
+const solarSimulationController = require('./solar-simulation.controller');
+const batterySimulationController = require('./battery-simulation.controller');
+const loadShiftingController = require('./load-shifting.controller');
 
 class MEAElectricityController extends BaseElectricityController {
   constructor() {
@@ -16,8 +19,31 @@ class MEAElectricityController extends BaseElectricityController {
 const meaElectricityController = new MEAElectricityController();
 
 module.exports = {
+  calculateType1: (ctx) => meaElectricityController.calculateType1(ctx),
   calculateType2: (ctx) => meaElectricityController.calculateType2(ctx),
   calculateType3: (ctx) => meaElectricityController.calculateType3(ctx),
   calculateType4: (ctx) => meaElectricityController.calculateType4(ctx),
-  calculateType5: (ctx) => meaElectricityController.calculateType5(ctx)
+  calculateType5: (ctx) => meaElectricityController.calculateType5(ctx),
+  calculateType6: (ctx) => meaElectricityController.calculateType6(ctx),
+  calculateType8: (ctx) => meaElectricityController.calculateType8(ctx),
+  calculateEvCharger: (ctx) => meaElectricityController.calculateEvCharger(ctx),
+  allocateEvSessions: (ctx) => meaElectricityController.allocateEvSessions(ctx),
+  calculateStandby: (ctx) => meaElectricityController.calculateStandby(ctx),
+  calculatePpa: (ctx) => meaElectricityController.calculatePpa(ctx),
+  calculateMultiMonth: (ctx) => meaElectricityController.calculateMultiMonth(ctx),
+  compareTariffs: (ctx) => meaElectricityController.compareTariffs(ctx),
+  solveTargetBill: (ctx) => meaElectricityController.solveTargetBill(ctx),
+  analyzeSensitivity: (ctx) => meaElectricityController.analyzeSensitivity(ctx),
+  classifyCustomer: (ctx) => meaElectricityController.classifyCustomer(ctx),
+  simulateSolar: (ctx) => solarSimulationController.simulateSolar(ctx, meaElectricityController),
+  simulateBattery: (ctx) => batterySimulationController.simulateBattery(ctx, meaElectricityController),
+  optimizeLoadShift: (ctx) => loadShiftingController.optimizeLoadShift(ctx, meaElectricityController),
+  calculateCustomerBill: (ctx, customer) => meaElectricityController.calculateCustomerBill(ctx, customer),
+  recalculateBill: (ctx, bill) => meaElectricityController.recalculateBill(ctx, bill),
+  calculateType2FromIntervals: (ctx) => meaElectricityController.calculateType2FromIntervals(ctx),
+  calculateType3FromIntervals: (ctx) => meaElectricityController.calculateType3FromIntervals(ctx),
+  calculateType4FromIntervals: (ctx) => meaElectricityController.calculateType4FromIntervals(ctx),
+  calculateType5FromIntervals: (ctx) => meaElectricityController.calculateType5FromIntervals(ctx),
+  listRateSchedules: (ctx) => meaElectricityController.listRateSchedules(ctx),
+  getRateSchedule: (ctx) => meaElectricityController.getRateSchedule(ctx)
 };
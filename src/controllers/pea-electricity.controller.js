@@ -5,6 +5,9 @@
 
 const BaseElectricityController = require('./base-electricity.controller');
 const peaElectricityService = require('../services/pea-electricity.service');
+const solarSimulationController = require('./solar-simulation.controller');
+const batterySimulationController = require('./battery-simulation.controller');
+const loadShiftingController = require('./load-shifting.controller');
 
 class PEAElectricityController extends BaseElectricityController {
   constructor() {
@@ -16,8 +19,32 @@ class PEAElectricityController extends BaseElectricityController {
 const peaElectricityController = new PEAElectricityController();
 
 module.exports = {
+  calculateType1: (ctx) => peaElectricityController.calculateType1(ctx),
   calculateType2: (ctx) => peaElectricityController.calculateType2(ctx),
   calculateType3: (ctx) => peaElectricityController.calculateType3(ctx),
   calculateType4: (ctx) => peaElectricityController.calculateType4(ctx),
-  calculateType5: (ctx) => peaElectricityController.calculateType5(ctx)
+  calculateType5: (ctx) => peaElectricityController.calculateType5(ctx),
+  calculateType6: (ctx) => peaElectricityController.calculateType6(ctx),
+  calculateType7: (ctx) => peaElectricityController.calculateType7(ctx),
+  calculateType8: (ctx) => peaElectricityController.calculateType8(ctx),
+  calculateEvCharger: (ctx) => peaElectricityController.calculateEvCharger(ctx),
+  allocateEvSessions: (ctx) => peaElectricityController.allocateEvSessions(ctx),
+  calculateStandby: (ctx) => peaElectricityController.calculateStandby(ctx),
+  calculatePpa: (ctx) => peaElectricityController.calculatePpa(ctx),
+  calculateMultiMonth: (ctx) => peaElectricityController.calculateMultiMonth(ctx),
+  compareTariffs: (ctx) => peaElectricityController.compareTariffs(ctx),
+  solveTargetBill: (ctx) => peaElectricityController.solveTargetBill(ctx),
+  analyzeSensitivity: (ctx) => peaElectricityController.analyzeSensitivity(ctx),
+  classifyCustomer: (ctx) => peaElectricityController.classifyCustomer(ctx),
+  simulateSolar: (ctx) => solarSimulationController.simulateSolar(ctx, peaElectricityController),
+  simulateBattery: (ctx) => batterySimulationController.simulateBattery(ctx, peaElectricityController),
+  optimizeLoadShift: (ctx) => loadShiftingController.optimizeLoadShift(ctx, peaElectricityController),
+  calculateCustomerBill: (ctx, customer) => peaElectricityController.calculateCustomerBill(ctx, customer),
+  recalculateBill: (ctx, bill) => peaElectricityController.recalculateBill(ctx, bill),
+  calculateType2FromIntervals: (ctx) => peaElectricityController.calculateType2FromIntervals(ctx),
+  calculateType3FromIntervals: (ctx) => peaElectricityController.calculateType3FromIntervals(ctx),
+  calculateType4FromIntervals: (ctx) => peaElectricityController.calculateType4FromIntervals(ctx),
+  calculateType5FromIntervals: (ctx) => peaElectricityController.calculateType5FromIntervals(ctx),
+  listRateSchedules: (ctx) => peaElectricityController.listRateSchedules(ctx),
+  getRateSchedule: (ctx) => peaElectricityController.getRateSchedule(ctx)
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+/**
+ * Power Factor Controller
+ * Handles power factor analysis and capacitor bank sizing
+ */
+
+const powerFactorService = require('../services/power-factor.service');
+const { validatePowerFactorInput } = require('../utils/validation');
+const { ValidationError, asyncErrorHandler } = require('../utils/error-handler');
+
+const analyzePowerFactor = asyncErrorHandler(async (ctx) => {
+  const body = ctx.request.body || {};
+
+  for (const field of ['peakKw', 'peakKvar']) {
+    if (body[field] === undefined || body[field] === null) {
+      throw new ValidationError(`Missing required field: ${field}`, field);
+    }
+  }
+
+  const validation = validatePowerFactorInput(body);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.error, validation.field);
+  }
+
+  ctx.body = {
+    ...powerFactorService.analyze(body),
+    success: true,
+    timestamp: new Date().toISOString()
+  };
+});
+
+module.exports = {
+  analyzePowerFactor
+};
@@ -0,0 +1,79 @@
+/**
+ * Solar Simulation Controller
+ * Handles rooftop PV simulations against interval load readings
+ */
+
+const solarSimulationService = require('../services/solar-simulation.service');
+const { validateIntervalScenarioRequest, validateIntervalReadings, validatePvSystem } = require('../utils/validation');
+const { INTERVAL_CALCULATION_TYPES } = require('../utils/constants');
+const { ValidationError, asyncErrorHandler } = require('../utils/error-handler');
+
+/**
+ * Rooftop solar simulation handler
+ * Nets PV generation (readings, or modelled from the system's capacity)
+ * against the load readings interval by interval and bills the load
+ * with and without PV, so demand savings reflect the netted peaks.
+ * @param {Object} ctx - Koa context
+ * @param {Object} electricityController - Provider controller billing the scenarios
+ * @returns {Promise<void>}
+ */
+const simulateSolar = (ctx, electricityController) => asyncErrorHandler(async () => {
+  const { body } = ctx.request;
+
+  const requestValidation = validateIntervalScenarioRequest(body, {
+    requiredFields: ['calculationType', 'readings', 'pv'],
+    calculationTypes: INTERVAL_CALCULATION_TYPES,
+    operation: 'solar simulations'
+  });
+  if (!requestValidation.isValid) {
+    throw new ValidationError(requestValidation.error, requestValidation.field);
+  }
+
+  const { calculationType, readings, intervalMinutes, timestampAt, pv, persist, ...calculationInput } = body;
+
+  const pvValidation = validatePvSystem(pv);
+  if (!pvValidation.isValid) {
+    throw new ValidationError(pvValidation.error, 'pv');
+  }
+  if (pv.readings !== undefined) {
+    const pvReadingsValidation = validateIntervalReadings(pv.readings, intervalMinutes, timestampAt);
+    if (!pvReadingsValidation.isValid) {
+      throw new ValidationError(`pv.${pvReadingsValidation.error}`, 'pv');
+    }
+  }
+
+  const options = { intervalMinutes, timestampAt };
+  const generation = pv.readings !== undefined
+    ? pv.readings
+    : solarSimulationService.modelGeneration(readings, pv, options);
+
+  let netted;
+  try {
+    netted = solarSimulationService.netReadings(readings, generation, options);
+  } catch (error) {
+    throw new ValidationError(error.message, 'pv');
+  }
+
+  const baseline = electricityController.billIntervalScenario(calculationType, calculationInput, readings, options);
+  const withSolar = electricityController.billIntervalScenario(calculationType, calculationInput, netted.readings, options);
+  const exportCredit = netted.energyBalance.exportedKwh * (pv.exportRatePerKwh || 0);
+
+  ctx.status = 200;
+  ctx.body = {
+    generation: pv.readings !== undefined
+      ? { source: 'readings' }
+      : { source: 'model', ...solarSimulationService.resolvePvSystem(pv) },
+    energyBalance: netted.energyBalance,
+    baseline,
+    withSolar,
+    savings: solarSimulationService.calculateSavings(baseline.result, withSolar.result, exportCredit),
+    success: true,
+    timestamp: new Date().toISOString(),
+    provider: electricityController.provider,
+    calculationType
+  };
+})(ctx);
+
+module.exports = {
+  simulateSolar
+};
@@ -1,5 +1,10 @@
 const Router = require('@koa/router');
 const healthController = require('../controllers/health.controller');
+const holidayController = require('../controllers/holiday.controller');
+const ftRateController = require('../controllers/ft-rate.controller');
+const customerController = require('../controllers/customer.controller');
+const billController = require('../controllers/bill.controller');
+const powerFactorController = require('../controllers/power-factor.controller');
 const meaElectricityController = require('../controllers/mea-electricity.controller');
 const peaElectricityController = require('../controllers/pea-electricity.controller');
 
@@ -9,15 +14,101 @@ const router = new Router();
 router.get('/info', healthController.getInfo);
 
 // MEA electricity calculation endpoints
+router.post('/mea/calculate/type-1', meaElectricityController.calculateType1);
 router.post('/mea/calculate/type-2', meaElectricityController.calculateType2);
 router.post('/mea/calculate/type-3', meaElectricityController.calculateType3);
 router.post('/mea/calculate/type-4', meaElectricityController.calculateType4);
 router.post('/mea/calculate/type-5', meaElectricityController.calculateType5);
+router.post('/mea/calculate/type-6', meaElectricityController.calculateType6);
+router.post('/mea/calculate/type-8', meaElectricityController.calculateType8);
+router.post('/mea/calculate/ev-charger', meaElectricityController.calculateEvCharger);
+router.post('/mea/calculate/ev-charger/sessions', meaElectricityController.allocateEvSessions);
+router.post('/mea/calculate/standby', meaElectricityController.calculateStandby);
+router.post('/mea/calculate/ppa', meaElectricityController.calculatePpa);
+router.post('/mea/calculate/multi-month', meaElectricityController.calculateMultiMonth);
+router.post('/mea/compare', meaElectricityController.compareTariffs);
+router.post('/mea/solve', meaElectricityController.solveTargetBill);
+router.post('/mea/sensitivity', meaElectricityController.analyzeSensitivity);
+router.post('/mea/classify', meaElectricityController.classifyCustomer);
+router.post('/mea/simulate/solar', meaElectricityController.simulateSolar);
+router.post('/mea/simulate/battery', meaElectricityController.simulateBattery);
+router.post('/mea/optimize/load-shift', meaElectricityController.optimizeLoadShift);
+
+// MEA interval meter data endpoints
+router.post('/mea/calculate/type-2/interval', meaElectricityController.calculateType2FromIntervals);
+router.post('/mea/calculate/type-3/interval', meaElectricityController.calculateType3FromIntervals);
+router.post('/mea/calculate/type-4/interval', meaElectricityController.calculateType4FromIntervals);
+router.post('/mea/calculate/type-5/interval', meaElectricityController.calculateType5FromIntervals);
+
+// MEA rate schedule endpoints
+router.get('/mea/rate-schedules', meaElectricityController.listRateSchedules);
+router.get('/mea/rate-schedules/:id', meaElectricityController.getRateSchedule);
 
 // PEA electricity calculation endpoints
+router.post('/pea/calculate/type-1', peaElectricityController.calculateType1);
 router.post('/pea/calculate/type-2', peaElectricityController.calculateType2);
 router.post('/pea/calculate/type-3', peaElectricityController.calculateType3);
 router.post('/pea/calculate/type-4', peaElectricityController.calculateType4);
 router.post('/pea/calculate/type-5', peaElectricityController.calculateType5);
+router.post('/pea/calculate/type-6', peaElectricityController.calculateType6);
+router.post('/pea/calculate/type-7', peaElectricityController.calculateType7);
+router.post('/pea/calculate/type-8', peaElectricityController.calculateType8);
+router.post('/pea/calculate/ev-charger', peaElectricityController.calculateEvCharger);
+router.post('/pea/calculate/ev-charger/sessions', peaElectricityController.allocateEvSessions);
+router.post('/pea/calculate/standby', peaElectricityController.calculateStandby);
+router.post('/pea/calculate/ppa', peaElectricityController.calculatePpa);
+router.post('/pea/calculate/multi-month', peaElectricityController.calculateMultiMonth);
+router.post('/pea/compare', peaElectricityController.compareTariffs);
+router.post('/pea/solve', peaElectricityController.solveTargetBill);
+router.post('/pea/sensitivity', peaElectricityController.analyzeSensitivity);
+router.post('/pea/classify', peaElectricityController.classifyCustomer);
+router.post('/pea/simulate/solar', peaElectricityController.simulateSolar);
+router.post('/pea/simulate/battery', peaElectricityController.simulateBattery);
+router.post('/pea/optimize/load-shift', peaElectricityController.optimizeLoadShift);
+
+// PEA interval meter data endpoints
+router.post('/pea/calculate/type-2/interval', peaElectricityController.calculateType2FromIntervals);
+router.post('/pea/calculate/type-3/interval', peaElectricityController.calculateType3FromIntervals);
+router.post('/pea/calculate/type-4/interval', peaElectricityController.calculateType4FromIntervals);
+router.post('/pea/calculate/type-5/interval', peaElectricityController.calculateType5FromIntervals);
+
+// PEA rate schedule endpoints
+router.get('/pea/rate-schedules', peaElectricityController.listRateSchedules);
+router.get('/pea/rate-schedules/:id', peaElectricityController.getRateSchedule);
+
+// Ft rate schedule endpoints
+router.get('/ft-rates', ftRateController.listFtRates);
+router.post('/ft-rates', ftRateController.createFtRate);
+router.get('/ft-rates/resolve', ftRateController.resolveFtRate);
+router.get('/ft-rates/:id', ftRateController.getFtRate);
+router.put('/ft-rates/:id', ftRateController.updateFtRate);
+router.delete('/ft-rates/:id', ftRateController.deleteFtRate);
+
+// Power factor analysis endpoint
+router.post('/power-factor/analysis', powerFactorController.analyzePowerFactor);
+
+// Customer registry endpoints
+router.get('/customers', customerController.listCustomers);
+router.post('/customers', customerController.createCustomer);
+router.get('/customers/:id', customerController.getCustomer);
+router.put('/customers/:id', customerController.updateCustomer);
+router.delete('/customers/:id', customerController.deleteCustomer);
+router.post('/customers/:id/bills', customerController.calculateCustomerBill);
+router.get('/customers/:id/demand-history', customerController.getDemandHistory);
+router.put('/customers/:id/demand-history/:month', customerController.recordDemandCharge);
+router.delete('/customers/:id/demand-history/:month', customerController.deleteDemandCharge);
+
+// Bill history endpoints
+router.get('/bills', billController.searchBills);
+router.get('/bills/:id', billController.getBill);
+router.post('/bills/:id/recalculate', billController.recalculateBill);
+
+// Holiday calendar administration endpoints
+router.get('/holidays', holidayController.listCalendars);
+router.post('/holidays/import', holidayController.importCalendar);
+router.put('/holidays/overrides/:date', holidayController.setOverride);
+router.delete('/holidays/overrides/:date', holidayController.removeOverride);
+router.get('/holidays/:year', holidayController.getHolidays);
+router.put('/holidays/:year', holidayController.replaceCalendar);
 
 module.exports = router;
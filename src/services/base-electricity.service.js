@@ -6,51 +6,872 @@
 const { 
   calculatePowerFactorCharge, 
   calculateTieredEnergyCharge, 
+  classifyResidentialClass,
   calculateVAT, 
   calculateFTCharge, 
   calculateEffectiveDemandCharge,
-  formatCalculationResult 
+  calculateInterruptibleAdjustment,
+  formatCalculationResult,
+  scaleCalculationResult,
+  sumCalculationResults,
+  roundToDecimals,
+  usesDemandRatchet,
+  getUsageTotalKwh,
+  getUsagePeakKw,
+  getBillTotal,
+  calculateBillSavings
 } = require('../utils/calculation-helpers');
+const { DEMAND_RATCHET_MONTHS, DEFAULT_SENSITIVITY_VARIATION } = require('../utils/constants');
+const { getCurrentDateKey, addDays, addMonths, countDays, parseTimestamp } = require('../utils/date-helpers');
+const rateScheduleService = require('./rate-schedule.service');
+const ftRateService = require('./ft-rate.service');
+const intervalUsageService = require('./interval-usage.service');
+const { PERIODS } = require('../utils/tariff-periods');
+
+// A comparison usage profile is one typical month; interval readings are annualized by their days
+const MONTHS_PER_YEAR = 12;
+const DAYS_PER_YEAR = 365;
+
+// Usage fields holding demand (kW) values
+const DEMAND_USAGE_FIELDS = ['peak_kw', 'on_peak_kw', 'partial_peak_kw', 'off_peak_kw'];
+
+// Limits of the bisection solving for a target bill
+const SOLVER_MAX_SCALE = 2 ** 40;
+const SOLVER_MAX_ITERATIONS = 200;
+const SOLVER_RELATIVE_TOLERANCE = 1e-10;
+
+// Sensitivity inputs taken from the request body rather than its usage object
+const SENSITIVITY_BODY_INPUTS = ['peakKvar', 'ftRateSatang'];
+
+/**
+ * Gets the unit one step of a sensitivity input is measured in
+ * @param {string} input - Usage field, peakKvar or ftRateSatang
+ * @returns {string} - Unit (kWh, kW, kVAR or satang)
+ */
+const getSensitivityUnit = (input) => {
+  if (input === 'peakKvar') {
+    return 'kVAR';
+  }
+  if (input === 'ftRateSatang') {
+    return 'satang';
+  }
+  return input.endsWith('_kwh') ? 'kWh' : 'kW';
+};
+
+/**
+ * Calculates demand and energy charges for a Type 3-5 or Type 6 TOU rate entry
+ * @param {string} tariffType - Tariff type (normal, tou, tod)
+ * @param {Object} rates - Rates for the tariff type and voltage level
+ * @param {Object} usage - Usage object in the tariff type's shape
+ * @returns {Object} - { demandCharge, energyCharge, totalKwh, peakKw } where peakKw is the highest kW in any period
+ */
+const calculateDemandAndEnergy = (tariffType, rates, usage) => {
+  if (tariffType === 'tod') {
+    return {
+      demandCharge: (usage.on_peak_kw * rates.demand_on) +
+        (usage.partial_peak_kw * rates.demand_partial) +
+        (usage.off_peak_kw * rates.demand_off),
+      energyCharge: usage.total_kwh * rates.energy,
+      totalKwh: usage.total_kwh,
+      peakKw: Math.max(usage.on_peak_kw, usage.partial_peak_kw, usage.off_peak_kw)
+    };
+  }
+
+  if (tariffType === 'tou') {
+    return {
+      demandCharge: usage.on_peak_kw * rates.demand_on,
+      energyCharge: (usage.on_peak_kwh * rates.energy_on) + (usage.off_peak_kwh * rates.energy_off),
+      totalKwh: usage.on_peak_kwh + usage.off_peak_kwh,
+      peakKw: Math.max(usage.on_peak_kw, usage.off_peak_kw)
+    };
+  }
+
+  return {
+    demandCharge: usage.peak_kw * rates.demand,
+    energyCharge: usage.total_kwh * rates.energy,
+    totalKwh: usage.total_kwh,
+    peakKw: usage.peak_kw
+  };
+};
+
+/**
+ * Scales the energy (kWh) fields of a usage object, leaving demand (kW) fields as they are
+ * @param {Object} usage - Usage object
+ * @param {number} factor - Scaling factor
+ * @returns {Object} - Scaled usage
+ */
+const scaleEnergyUsage = (usage, factor) => {
+  const scaled = {};
+  for (const [key, value] of Object.entries(usage)) {
+    scaled[key] = key.endsWith('_kwh') ? roundToDecimals(value * factor, 3) : value;
+  }
+  return scaled;
+};
 
 class BaseElectricityService {
-  constructor(rates, serviceCharge = null) {
+  constructor(rates, serviceCharge = null, provider = null) {
     this.rates = rates;
     this.serviceCharge = serviceCharge;
+    this.provider = provider;
   }
 
   /**
    * Main calculation dispatcher
+   * A billing period that spans a rate or Ft change is split into segments
+   * and prorated; otherwise the whole bill uses the rates on the billing date.
    * @param {string} calculationType - Type of calculation (type-2, type-3, etc.)
    * @param {Object} data - Input data for calculation
-   * @returns {Object} - Calculation result
+   * @returns {Object} - Calculation result, including the rate version and Ft rate used
    */
   calculateBill(calculationType, data) {
+    const segments = this.getBillingSegments(data);
+
+    if (segments.length > 1) {
+      return this._calculateProratedBill(calculationType, data, segments);
+    }
+
+    return this._calculateSingleBill(calculationType, data);
+  }
+
+  /**
+   * Calculates consecutive monthly bills for one site
+   * Months are billed in order so the 12-month demand ratchet carries
+   * forward: each month's highestDemandChargeLast12m is the highest calculated
+   * demand charge of the earlier months in its window, or the seed value for
+   * months whose window still reaches back before the first month. Type 1
+   * months likewise receive the earlier months' kWh as previousMonthsKwh.
+   * @param {string} calculationType - Type of calculation
+   * @param {Array} months - [{ month, data }] in ascending month order
+   * @param {Object} options - { highestDemandChargeLast12m, previousMonthsKwh } before the first month
+   * @returns {Object} - { months, summary }
+   */
+  calculateMultiMonth(calculationType, months, options = {}) {
+    const { highestDemandChargeLast12m = 0, previousMonthsKwh = [] } = options;
+    const firstMonth = months[0].month;
+    const demandHistory = [];
+    const kwhHistory = [...previousMonthsKwh];
+    let totalHours = 0;
+
+    const monthResults = months.map(({ month, data }) => {
+      const input = { ...data };
+      const tracksRatchet = usesDemandRatchet(calculationType, data.tariffType);
+      let ratchet = null;
+
+      if (tracksRatchet) {
+        const windowStart = addMonths(month, -DEMAND_RATCHET_MONTHS);
+        const candidates = demandHistory.filter((entry) => entry.month >= windowStart);
+        if (firstMonth > windowStart) {
+          candidates.unshift({ month: null, calculatedDemandCharge: highestDemandChargeLast12m });
+        }
+
+        ratchet = candidates.reduce(
+          (best, entry) => (!best || entry.calculatedDemandCharge > best.calculatedDemandCharge ? entry : best),
+          null
+        ) || { month: null, calculatedDemandCharge: 0 };
+        input.highestDemandChargeLast12m = ratchet.calculatedDemandCharge;
+      }
+
+      if (calculationType === 'type-1' && kwhHistory.length > 0) {
+        input.previousMonthsKwh = [...kwhHistory];
+      }
+
+      let result;
+      try {
+        result = this.calculateBill(calculationType, input);
+      } catch (error) {
+        throw new Error(`${month}: ${error.message}`);
+      }
+
+      const totalKwh = getUsageTotalKwh(input.usage);
+      const peakKw = getUsagePeakKw(input.usage);
+      const hours = countDays(input.billingPeriod.start, input.billingPeriod.end) * 24;
+      const bill = getBillTotal(result);
+
+      totalHours += hours;
+      kwhHistory.unshift(totalKwh);
+      if (tracksRatchet) {
+        demandHistory.push({ month, calculatedDemandCharge: result.calculatedDemandCharge });
+      }
+
+      return {
+        month,
+        ...result,
+        ...(ratchet ? {
+          ratchet: {
+            highestDemandChargeLast12m: ratchet.calculatedDemandCharge,
+            setByMonth: ratchet.month,
+            binding: result.effectiveDemandCharge > result.calculatedDemandCharge
+          }
+        } : {}),
+        metrics: {
+          totalKwh,
+          peakKw,
+          ratePerKwh: totalKwh > 0 ? roundToDecimals(bill / totalKwh, 4) : null,
+          loadFactor: peakKw ? roundToDecimals(totalKwh / (peakKw * hours), 4) : null
+        }
+      };
+    });
+
+    const totals = sumCalculationResults(monthResults.map(({ metrics, ...result }) => result));
+    const totalKwh = monthResults.reduce((sum, { metrics }) => sum + metrics.totalKwh, 0);
+    const peakKws = monthResults.map(({ metrics }) => metrics.peakKw).filter((peakKw) => peakKw !== null);
+    const peakKw = peakKws.length > 0 ? Math.max(...peakKws) : null;
+    const totalBill = getBillTotal(totals);
+
+    return {
+      months: monthResults,
+      summary: {
+        monthCount: monthResults.length,
+        totals,
+        totalKwh: roundToDecimals(totalKwh, 3),
+        peakKw,
+        averages: {
+          billPerMonth: roundToDecimals(totalBill / monthResults.length, 2),
+          kwhPerMonth: roundToDecimals(totalKwh / monthResults.length, 3),
+          ratePerKwh: totalKwh > 0 ? roundToDecimals(totalBill / totalKwh, 4) : null,
+          loadFactor: peakKw ? roundToDecimals(totalKwh / (peakKw * totalHours), 4) : null
+        }
+      }
+    };
+  }
+
+  /**
+   * Compares the bill for one usage profile across tariff options
+   * Options that cannot be calculated (no rates at the voltage level) are
+   * listed as unavailable. For each voltage level offering both a flat-energy
+   * tariff and TOU, the break-even on-peak share is the share of kWh used
+   * on-peak at which the two bills are equal; TOU bills are linear in that share.
+   * Savings are annualized by 365 / periodDays when the profile covers a
+   * known number of days, and as one month otherwise.
+   * @param {string} calculationType - Type of calculation
+   * @param {Array} candidates - [{ tariffType, voltageLevel, data }] validated inputs
+   * @param {Object} current - { tariffType, voltageLevel } of the customer's current option, or null
+   * @param {Object} options - { periodDays } covered by the profile, or null for one billing month
+   * @returns {Object} - { current, periodDays, options, unavailable, breakEven }
+   */
+  compareTariffOptions(calculationType, candidates, current = null, { periodDays = null } = {}) {
+    const available = [];
+    const unavailable = [];
+
+    for (const { tariffType, voltageLevel, data } of candidates) {
+      if (!this.hasRates(calculationType, tariffType, voltageLevel, this.resolveRateVersion(data).rates)) {
+        unavailable.push({ tariffType, voltageLevel, reason: `No ${tariffType} ${calculationType} rates at ${voltageLevel}` });
+        continue;
+      }
+
+      try {
+        const result = this.calculateBill(calculationType, data);
+        available.push({ tariffType, voltageLevel, data, totalBill: getBillTotal(result), result });
+      } catch (error) {
+        unavailable.push({ tariffType, voltageLevel, reason: error.message });
+      }
+    }
+
+    available.sort((a, b) => a.totalBill - b.totalBill);
+
+    const currentOption = current
+      ? available.find((option) => option.tariffType === current.tariffType && option.voltageLevel === current.voltageLevel)
+      : null;
+    const cheapestBill = available.length > 0 ? available[0].totalBill : null;
+    const periodsPerYear = periodDays ? DAYS_PER_YEAR / periodDays : MONTHS_PER_YEAR;
+
+    const options = available.map(({ tariffType, voltageLevel, totalBill, result }, index) => {
+      const monthlySavings = currentOption ? currentOption.totalBill - totalBill : null;
+      return {
+        rank: index + 1,
+        tariffType,
+        voltageLevel,
+        totalBill,
+        differenceFromCheapest: roundToDecimals(totalBill - cheapestBill, 2),
+        monthlySavings: monthlySavings !== null ? roundToDecimals(monthlySavings, 2) : null,
+        annualizedSavings: monthlySavings !== null ? roundToDecimals(monthlySavings * periodsPerYear, 2) : null,
+        result
+      };
+    });
+
+    const breakEven = [];
+    for (const touOption of available.filter((option) => option.tariffType === 'tou')) {
+      const baseOption = available.find((option) =>
+        option.voltageLevel === touOption.voltageLevel && option.tariffType !== 'tou');
+      if (!baseOption) {
+        continue;
+      }
+
+      const { usage } = touOption.data;
+      const totalKwh = usage.on_peak_kwh + usage.off_peak_kwh;
+      const billAtShare = (share) => getBillTotal(this.calculateBill(calculationType, {
+        ...touOption.data,
+        usage: { ...usage, on_peak_kwh: totalKwh * share, off_peak_kwh: totalKwh * (1 - share) }
+      }));
+      const allOffPeakBill = billAtShare(0);
+      const allOnPeakBill = billAtShare(1);
+      const share = allOnPeakBill !== allOffPeakBill
+        ? (baseOption.totalBill - allOffPeakBill) / (allOnPeakBill - allOffPeakBill)
+        : null;
+
+      breakEven.push({
+        voltageLevel: touOption.voltageLevel,
+        tariffTypes: [baseOption.tariffType, 'tou'],
+        // Outside 0-1 one tariff is cheaper whatever the load shape
+        onPeakShare: share !== null && share >= 0 && share <= 1 ? roundToDecimals(share, 4) : null,
+        currentOnPeakShare: totalKwh > 0 ? roundToDecimals(usage.on_peak_kwh / totalKwh, 4) : null,
+        touCheaper: touOption.totalBill < baseOption.totalBill
+      });
+    }
+
+    return {
+      current: currentOption
+        ? { tariffType: currentOption.tariffType, voltageLevel: currentOption.voltageLevel, totalBill: currentOption.totalBill }
+        : null,
+      periodDays,
+      options,
+      unavailable,
+      breakEven
+    };
+  }
+
+  /**
+   * Solves for the usage that yields a target bill
+   * The usage template is scaled by one factor found by bisection: every
+   * usage field when solving for kWh, which keeps the on-peak share and load
+   * factor, or only the demand fields when solving for kW. peakKvar scales
+   * with demand so the power factor is kept. Bills never fall as usage grows,
+   * so the smallest factor reaching the target is returned; with a demand
+   * ratchet, that is where the floor stops covering the target. Tier and
+   * class boundaries can make the bill jump past the target, leaving
+   * achievedBill above it.
+   * @param {string} calculationType - Type of calculation
+   * @param {Object} data - Validated input data, whose usage is the template
+   * @param {Object} options - { targetBill, solveFor: 'kwh' | 'kw' }
+   * @returns {Object} - { scale, usage, peakKvar, result, achievedBill, minimumBill, ratchetBinding, iterations }
+   * @throws {Error} - If the target is below the bill at zero usage or out of reach
+   */
+  solveForTargetBill(calculationType, data, { targetBill, solveFor }) {
+    const scaledFields = Object.keys(data.usage)
+      .filter((field) => solveFor === 'kwh' || DEMAND_USAGE_FIELDS.includes(field));
+    const scaleInput = (scale) => {
+      const usage = { ...data.usage };
+      for (const field of scaledFields) {
+        usage[field] = roundToDecimals(data.usage[field] * scale, 3);
+      }
+      const scaled = { ...data, usage };
+      if (typeof data.peakKvar === 'number') {
+        scaled.peakKvar = roundToDecimals(data.peakKvar * scale, 3);
+      }
+      return scaled;
+    };
+    const billAt = (scale) => getBillTotal(this.calculateBill(calculationType, scaleInput(scale)));
+
+    const minimumBill = billAt(0);
+    if (targetBill < minimumBill) {
+      throw new Error(`targetBill ${targetBill} is below the bill of ${roundToDecimals(minimumBill, 2)} at zero ${solveFor}`);
+    }
+
+    let low = 0;
+    let high = 1;
+    let iterations = 0;
+    while (billAt(high) < targetBill) {
+      low = high;
+      high *= 2;
+      iterations += 1;
+      if (high > SOLVER_MAX_SCALE) {
+        throw new Error(`targetBill ${targetBill} is out of reach by scaling the usage ${solveFor}`);
+      }
+    }
+
+    while (high - low > high * SOLVER_RELATIVE_TOLERANCE && iterations < SOLVER_MAX_ITERATIONS) {
+      const middle = (low + high) / 2;
+      if (billAt(middle) < targetBill) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+      iterations += 1;
+    }
+
+    const solved = scaleInput(high);
+    const result = this.calculateBill(calculationType, solved);
+
+    return {
+      scale: roundToDecimals(high, 6),
+      usage: solved.usage,
+      peakKvar: solved.peakKvar !== undefined ? solved.peakKvar : null,
+      result,
+      achievedBill: getBillTotal(result),
+      minimumBill: roundToDecimals(minimumBill, 2),
+      // Whether the demand ratchet floor sets the demand charge at the solution
+      ratchetBinding: result.effectiveDemandCharge !== undefined
+        ? result.effectiveDemandCharge > result.calculatedDemandCharge
+        : null,
+      iterations
+    };
+  }
+
+  /**
+   * Analyzes how the bill responds to each usage input, peakKvar and the Ft rate
+   * Each input is moved on its own through the calculators, so the demand
+   * ratchet, power factor penalty, minimum charges and VAT all apply. The
+   * marginal cost is the bill increase from one more unit (kWh, kW, kVAR or
+   * satang), broken down by component. The elasticity is the percentage
+   * change in the bill per percent change in the input, measured between the
+   * input moved down and up by variation; the tornado ranks the inputs by
+   * that swing. Inputs at zero have no swing and a null elasticity. The Ft
+   * rate is the one the bill used, whether given or taken from the schedule,
+   * and the moved runs pass it explicitly; a bill prorated across Ft periods
+   * has no single Ft rate and leaves it out.
+   * @param {string} calculationType - Type of calculation
+   * @param {Object} data - Validated input data
+   * @param {Object} options - { variation } as a share of each input's value
+   * @returns {Object} - { totalBill, variation, inputs, tornado, result }
+   */
+  analyzeSensitivity(calculationType, data, { variation = DEFAULT_SENSITIVITY_VARIATION } = {}) {
+    const withInput = (input, value) => (SENSITIVITY_BODY_INPUTS.includes(input)
+      ? { ...data, [input]: value }
+      : { ...data, usage: { ...data.usage, [input]: value } });
+    const billWith = (input, value) => this.calculateBill(calculationType, withInput(input, value));
+
+    const result = this.calculateBill(calculationType, data);
+    const totalBill = getBillTotal(result);
+
+    const values = { ...data.usage, peakKvar: data.peakKvar };
+    values.ftRateSatang = result.ftRate ? result.ftRate.rateSatang : data.ftRateSatang;
+
+    const inputs = Object.entries(values)
+      .filter(([, value]) => typeof value === 'number')
+      .map(([input, value]) => {
+        const { total: marginalCost, percent, ...marginalBreakdown } = calculateBillSavings(billWith(input, value + 1), result);
+        const lowBill = getBillTotal(billWith(input, value * (1 - variation)));
+        const highBill = getBillTotal(billWith(input, value * (1 + variation)));
+
+        return {
+          input,
+          unit: getSensitivityUnit(input),
+          value,
+          marginalCost,
+          marginalBreakdown,
+          elasticity: value !== 0 && totalBill > 0
+            ? roundToDecimals((highBill - lowBill) / totalBill / (2 * variation), 4)
+            : null,
+          lowBill: roundToDecimals(lowBill, 2),
+          highBill: roundToDecimals(highBill, 2),
+          swing: roundToDecimals(Math.abs(highBill - lowBill), 2)
+        };
+      });
+
+    const tornado = [...inputs]
+      .sort((a, b) => b.swing - a.swing)
+      .map(({ input, lowBill, highBill, swing }, index) => ({ rank: index + 1, input, lowBill, highBill, swing }));
+
+    return { totalBill, variation, inputs, tornado, result };
+  }
+
+  /**
+   * Calculates a bill using the rates in effect on the billing date
+   * @param {string} calculationType - Type of calculation
+   * @param {Object} data - Input data for calculation
+   * @returns {Object} - Calculation result, including the rate version and Ft rate used
+   */
+  _calculateSingleBill(calculationType, data) {
+    const rateVersion = this.resolveRateVersion(data);
+    const ftRate = this.resolveFtRate(data);
+    const result = this._calculateByType(calculationType, { ...data, ftRateSatang: ftRate.rateSatang }, rateVersion);
+
+    return {
+      ...result,
+      rateVersion: rateScheduleService.describe(rateVersion),
+      ftRate
+    };
+  }
+
+  /**
+   * Dispatches to the calculator for a calculation type
+   * @param {string} calculationType - Type of calculation
+   * @param {Object} data - Input data with ftRateSatang resolved
+   * @param {Object} rateVersion - Rate table version to apply
+   * @returns {Object} - Calculation result
+   */
+  _calculateByType(calculationType, data, rateVersion) {
     switch (calculationType) {
+      case 'type-1':
+        return this._calculateType1(data, rateVersion);
       case 'type-2':
-        return this._calculateType2(data);
+        return this._calculateType2(data, rateVersion);
       case 'type-3':
-        return this._calculateType3(data);
+        return this._calculateType3(data, rateVersion);
       case 'type-4':
-        return this._calculateType4(data);
+        return this._calculateType4(data, rateVersion);
       case 'type-5':
-        return this._calculateType5(data);
+        return this._calculateType5(data, rateVersion);
+      case 'type-6':
+        return this._calculateType6(data, rateVersion);
+      case 'type-7':
+        return this._calculateType7(data, rateVersion);
+      case 'type-8':
+        return this._calculateType8(data, rateVersion);
+      case 'ev-charger':
+        return this._calculateEvCharger(data, rateVersion);
+      case 'standby':
+        return this._calculateStandby(data, rateVersion);
       default:
         throw new Error(`Invalid calculation type: ${calculationType}`);
     }
   }
 
+  /**
+   * Splits the billing period at every rate version or Ft period change inside it
+   * Only applies when a billingPeriod is given without asOfDate; Ft changes are
+   * ignored when ftRateSatang is supplied explicitly.
+   * @param {Object} data - Input data for calculation
+   * @returns {Array} - [{ start, end, days }] covering the period, or [] when not prorating
+   */
+  getBillingSegments(data) {
+    if (!this.provider || data.asOfDate || !data.billingPeriod) {
+      return [];
+    }
+
+    const { start, end } = data.billingPeriod;
+    const changeDates = new Set(rateScheduleService.getChangeDates(this.provider, start, end));
+    if (data.ftRateSatang === undefined || data.ftRateSatang === null) {
+      ftRateService.getChangeDates(start, end).forEach((date) => changeDates.add(date));
+    }
+
+    const segments = [];
+    let segmentStart = start;
+    for (const changeDate of [...changeDates].sort()) {
+      const segmentEnd = addDays(changeDate, -1);
+      segments.push({ start: segmentStart, end: segmentEnd, days: countDays(segmentStart, segmentEnd) });
+      segmentStart = changeDate;
+    }
+    segments.push({ start: segmentStart, end, days: countDays(segmentStart, end) });
+
+    return segments;
+  }
+
+  /**
+   * Calculates a bill split across billing segments
+   * Each segment is billed as a full month at its own rates and then scaled by
+   * its share of the period's days, so fixed and demand charges are prorated.
+   * Energy is split pro-rata by days, or exactly when interval readings are given.
+   * @param {string} calculationType - Type of calculation
+   * @param {Object} data - Input data for calculation, optionally with readings
+   * @param {Array} segments - Result of getBillingSegments()
+   * @returns {Object} - Combined totals with a per-segment breakdown
+   */
+  _calculateProratedBill(calculationType, data, segments) {
+    const { readings, intervalMinutes, timestampAt, billingPeriod, ...input } = data;
+    const totalDays = countDays(billingPeriod.start, billingPeriod.end);
+    const useIntervals = Array.isArray(readings);
+    const segmentCharges = [];
+
+    const segmentResults = segments.map((segment) => {
+      const fraction = segment.days / totalDays;
+      let usage;
+      let monthlyUsage;
+
+      if (useIntervals) {
+        const summary = intervalUsageService.summarize(readings, {
+          intervalMinutes,
+          timestampAt,
+          dateRange: { start: segment.start, end: segment.end }
+        });
+        usage = intervalUsageService.buildUsage(summary, calculationType, input.tariffType);
+        monthlyUsage = scaleEnergyUsage(usage, 1 / fraction);
+      } else {
+        usage = scaleEnergyUsage(input.usage, fraction);
+        monthlyUsage = input.usage;
+      }
+
+      const { rateVersion, ftRate, ...charges } = this._calculateSingleBill(calculationType, {
+        ...input,
+        asOfDate: segment.start,
+        usage: monthlyUsage
+      });
+
+      const proratedCharges = scaleCalculationResult(charges, fraction);
+      segmentCharges.push(proratedCharges);
+
+      return {
+        ...segment,
+        fraction: roundToDecimals(fraction, 6),
+        usage,
+        rateVersion,
+        ftRate,
+        ...proratedCharges
+      };
+    });
+
+    const totals = sumCalculationResults(segmentCharges);
+
+    return {
+      ...totals,
+      billingPeriod: { start: billingPeriod.start, end: billingPeriod.end, days: totalDays },
+      proration: { method: useIntervals ? 'interval' : 'days', segmentCount: segments.length },
+      segments: segmentResults
+    };
+  }
+
+  /**
+   * Resolves the Ft rate for a calculation
+   * An explicit ftRateSatang always wins; otherwise the published Ft period
+   * in effect on the billing date is used. A billing date after the latest
+   * period takes that period's rate, reported with source 'carried-forward'.
+   * @param {Object} data - Input data for calculation
+   * @returns {Object} - { rateSatang, source: 'request' | 'schedule' | 'carried-forward', periodId, effectiveFrom, effectiveTo }
+   * @throws {Error} - If no ftRateSatang is given and the billing date precedes every Ft period
+   */
+  resolveFtRate(data) {
+    if (data.ftRateSatang !== undefined && data.ftRateSatang !== null) {
+      return { rateSatang: data.ftRateSatang, source: 'request', periodId: null, effectiveFrom: null, effectiveTo: null };
+    }
+
+    const billingDate = this.getBillingDate(data);
+    const period = ftRateService.resolve(billingDate);
+    if (!period) {
+      throw new Error(`No Ft rate published for ${billingDate}; supply ftRateSatang`);
+    }
+
+    return {
+      rateSatang: period.rateSatang,
+      source: period.carriedForward ? 'carried-forward' : 'schedule',
+      periodId: period.id,
+      effectiveFrom: period.effectiveFrom,
+      effectiveTo: period.effectiveTo
+    };
+  }
+
+  /**
+   * Gets the date that determines which rates apply
+   * @param {Object} data - Input data for calculation
+   * @returns {string} - asOfDate, else the billing period end, else today (YYYY-MM-DD)
+   */
+  getBillingDate(data) {
+    if (data.asOfDate) {
+      return data.asOfDate;
+    }
+    if (data.billingPeriod && data.billingPeriod.end) {
+      return data.billingPeriod.end;
+    }
+    return getCurrentDateKey();
+  }
+
+  /**
+   * Checks whether a rate table has rates for a tariff option
+   * @param {string} calculationType - Calculation type (type-1 to type-8, ev-charger)
+   * @param {string} tariffType - Tariff type
+   * @param {string} voltageLevel - Voltage level
+   * @param {Object} rates - Rate table
+   * @returns {boolean} - True if the option has rates
+   */
+  hasRates(calculationType, tariffType, voltageLevel, rates = this.rates) {
+    const typeRates = rates[calculationType.replace('-', '_').toUpperCase()];
+    return Boolean(typeRates && typeRates[tariffType] && typeRates[tariffType][voltageLevel]);
+  }
+
+  /**
+   * Gets the energy and demand rates of each period of a TOU or TOD tariff
+   * Uses the rates in effect on the billing date. Periods whose demand is
+   * not billed have a demand rate of 0.
+   * @param {string} calculationType - Calculation type (type-3, type-4, type-5)
+   * @param {Object} data - { tariffType, voltageLevel } and billing date fields
+   * @returns {Object} - { energy, demand } rates keyed by period
+   * @throws {Error} - If the tariff has no periods or no rates at the voltage level
+   */
+  getPeriodRates(calculationType, data) {
+    const { tariffType, voltageLevel } = data;
+    const { rates } = this.resolveRateVersion(data);
+    if (!['tou', 'tod'].includes(tariffType) || !this.hasRates(calculationType, tariffType, voltageLevel, rates)) {
+      throw new Error(`No ${tariffType} ${calculationType} period rates at ${voltageLevel}`);
+    }
+
+    const optionRates = rates[calculationType.replace('-', '_').toUpperCase()][tariffType][voltageLevel];
+    if (tariffType === 'tod') {
+      return {
+        energy: {
+          [PERIODS.ON_PEAK]: optionRates.energy,
+          [PERIODS.PARTIAL_PEAK]: optionRates.energy,
+          [PERIODS.OFF_PEAK]: optionRates.energy
+        },
+        demand: {
+          [PERIODS.ON_PEAK]: optionRates.demand_on,
+          [PERIODS.PARTIAL_PEAK]: optionRates.demand_partial,
+          [PERIODS.OFF_PEAK]: optionRates.demand_off
+        }
+      };
+    }
+
+    return {
+      energy: { [PERIODS.ON_PEAK]: optionRates.energy_on, [PERIODS.OFF_PEAK]: optionRates.energy_off },
+      demand: { [PERIODS.ON_PEAK]: optionRates.demand_on, [PERIODS.OFF_PEAK]: 0 }
+    };
+  }
+
+  /**
+   * Lists the voltage levels a calculation type is offered at, with the tariff types at each
+   * @param {string} calculationType - Calculation type (type-1 to type-8)
+   * @param {Array} tariffTypes - Tariff types to check
+   * @param {Array} voltageLevels - Voltage levels to check
+   * @param {Object} data - Input data, optionally with a billing date selecting the rate table
+   * @returns {Array} - [{ voltageLevel, tariffTypes }] for levels with at least one tariff type
+   */
+  getTariffOptions(calculationType, tariffTypes, voltageLevels, data = {}) {
+    const { rates } = this.resolveRateVersion(data);
+
+    return voltageLevels
+      .map((voltageLevel) => ({
+        voltageLevel,
+        tariffTypes: tariffTypes.filter((tariffType) => this.hasRates(calculationType, tariffType, voltageLevel, rates))
+      }))
+      .filter((option) => option.tariffTypes.length > 0);
+  }
+
+  /**
+   * Resolves the rate table version for a calculation
+   * Services constructed without a provider always use their own rate table.
+   * @param {Object} data - Input data for calculation
+   * @returns {Object} - { id, label, effectiveFrom, effectiveTo, rates, serviceCharge }
+   */
+  resolveRateVersion(data) {
+    if (!this.provider) {
+      return {
+        id: null,
+        label: null,
+        effectiveFrom: null,
+        effectiveTo: null,
+        rates: this.rates,
+        serviceCharge: this.serviceCharge
+      };
+    }
+
+    return rateScheduleService.resolve(this.provider, this.getBillingDate(data));
+  }
+
+  /**
+   * Calculates the interruptible-rate lines for Types 3, 4 and 5
+   * @param {Object} data - Input data, optionally with interruptible terms
+   * @param {number} demandCharge - Effective demand charge the discount applies to
+   * @returns {Object} - { discount, penalty, lines } where lines are the extra response fields
+   */
+  _calculateInterruptible(data, demandCharge) {
+    if (!data.interruptible) {
+      return { discount: 0, penalty: 0, lines: {} };
+    }
+
+    const { discount, penalty, ...summary } = calculateInterruptibleAdjustment(data.interruptible, demandCharge);
+
+    return {
+      discount,
+      penalty,
+      lines: {
+        interruptibleDiscount: discount,
+        interruptiblePenalty: penalty,
+        interruptible: { contractedKw: data.interruptible.contractedKw, ...summary }
+      }
+    };
+  }
+
+  /**
+   * Calculate Type 1 (Residential)
+   * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
+   * @returns {Object} - Calculation result
+   */
+  _calculateType1(data, rateVersion = this.resolveRateVersion(data)) {
+    const { tariffType, voltageLevel } = data;
+    const rateTable = rateVersion.rates.TYPE_1[tariffType];
+
+    if (!rateTable) {
+      throw new Error(`Invalid tariff type for Type 1. Must be "normal" or "tou", received: ${tariffType}`);
+    }
+
+    if (!rateTable[voltageLevel]) {
+      const validLevels = Object.keys(rateTable);
+      throw new Error(`Invalid voltage level for Type 1 ${tariffType}. Must be "${validLevels.join('" or "')}", received: ${voltageLevel}`);
+    }
+
+    if (tariffType === 'normal') {
+      return this._calculateType1Normal(data, rateTable[voltageLevel]);
+    }
+    return this._calculateType1Tou(data, rateTable[voltageLevel]);
+  }
+
+  /**
+   * Calculate Type 1 Normal tariff (1.1 or 1.2, by consumption)
+   * @param {Object} data - Input data
+   * @param {Object} classRates - Rates for the voltage level, keyed by residential class
+   * @returns {Object} - Calculation result
+   */
+  _calculateType1Normal(data, classRates) {
+    const { ftRateSatang, usage, previousMonthsKwh } = data;
+    const { total_kwh } = usage;
+
+    const tariffClass = classifyResidentialClass(total_kwh, previousMonthsKwh);
+    const rates = classRates[tariffClass];
+    const serviceCharge = rates.serviceCharge;
+    const energyCharge = calculateTieredEnergyCharge(total_kwh, rates.energyRates);
+
+    const baseTariff = energyCharge + serviceCharge;
+    const ftCharge = calculateFTCharge(total_kwh, ftRateSatang);
+    const vat = calculateVAT(baseTariff + ftCharge);
+    const totalBill = baseTariff + ftCharge + vat;
+
+    const result = {
+      tariffClass,
+      energyCharge,
+      serviceCharge,
+      baseTariff,
+      ftCharge,
+      vat,
+      totalBill
+    };
+
+    return formatCalculationResult(result);
+  }
+
+  /**
+   * Calculate Type 1 TOU tariff (1.3)
+   * @param {Object} data - Input data
+   * @param {Object} rates - Rates for the voltage level
+   * @returns {Object} - Calculation result
+   */
+  _calculateType1Tou(data, rates) {
+    const { ftRateSatang, usage } = data;
+    const { on_peak_kwh, off_peak_kwh } = usage;
+
+    const serviceCharge = rates.serviceCharge;
+    const energyCharge = (on_peak_kwh * rates.onPeakRate) + (off_peak_kwh * rates.offPeakRate);
+    const totalKwh = on_peak_kwh + off_peak_kwh;
+
+    const baseTariff = energyCharge + serviceCharge;
+    const ftCharge = calculateFTCharge(totalKwh, ftRateSatang);
+    const vat = calculateVAT(baseTariff + ftCharge);
+    const totalBill = baseTariff + ftCharge + vat;
+
+    const result = {
+      tariffClass: '1.3',
+      energyCharge,
+      serviceCharge,
+      baseTariff,
+      ftCharge,
+      vat,
+      totalBill
+    };
+
+    return formatCalculationResult(result);
+  }
+
   /**
    * Calculate Type 2 (Small Business/General Service)
    * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
    * @returns {Object} - Calculation result
    */
-  _calculateType2(data) {
+  _calculateType2(data, rateVersion = this.resolveRateVersion(data)) {
     const { tariffType } = data;
     
     if (tariffType === 'normal') {
-      return this._calculateType2Normal(data);
+      return this._calculateType2Normal(data, rateVersion);
     } else if (tariffType === 'tou') {
-      return this._calculateType2Tou(data);
+      return this._calculateType2Tou(data, rateVersion);
     } else {
       throw new Error('Invalid tariff type for Type 2. Must be "normal" or "tou"');
     }
@@ -59,13 +880,14 @@ class BaseElectricityService {
   /**
    * Calculate Type 2 Normal tariff
    * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
    * @returns {Object} - Calculation result
    */
-  _calculateType2Normal(data) {
+  _calculateType2Normal(data, rateVersion) {
     const { voltageLevel, ftRateSatang, usage } = data;
     const { total_kwh } = usage;
     
-    const rates = this.rates.TYPE_2.normal[voltageLevel];
+    const rates = rateVersion.rates.TYPE_2.normal[voltageLevel];
     const serviceCharge = rates.serviceCharge;
     
     let energyCharge;
@@ -97,13 +919,14 @@ class BaseElectricityService {
   /**
    * Calculate Type 2 TOU tariff
    * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
    * @returns {Object} - Calculation result
    */
-  _calculateType2Tou(data) {
+  _calculateType2Tou(data, rateVersion) {
     const { voltageLevel, ftRateSatang, usage } = data;
     const { on_peak_kwh, off_peak_kwh } = usage;
     
-    const rates = this.rates.TYPE_2.tou[voltageLevel];
+    const rates = rateVersion.rates.TYPE_2.tou[voltageLevel];
     const serviceCharge = rates.serviceCharge;
     const energyCharge = (on_peak_kwh * rates.onPeakRate) + (off_peak_kwh * rates.offPeakRate);
     const totalKwh = on_peak_kwh + off_peak_kwh;
@@ -128,30 +951,26 @@ class BaseElectricityService {
   /**
    * Calculate Type 3 (Medium Business/General Service)
    * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
    * @returns {Object} - Calculation result
    */
-  _calculateType3(data) {
+  _calculateType3(data, rateVersion = this.resolveRateVersion(data)) {
     const { tariffType, voltageLevel, ftRateSatang, peakKvar, highestDemandChargeLast12m, usage } = data;
-    const rates = this.rates.TYPE_3[tariffType][voltageLevel];
-    
-    let calculatedDemandCharge, energyCharge, totalKwhForFt, overallPeakKw;
+    const rates = rateVersion.rates.TYPE_3[tariffType][voltageLevel];
     
-    if (tariffType === 'normal') {
-      calculatedDemandCharge = usage.peak_kw * rates.demand;
-      energyCharge = usage.total_kwh * rates.energy;
-      totalKwhForFt = usage.total_kwh;
-      overallPeakKw = usage.peak_kw;
-    } else {
-      calculatedDemandCharge = usage.on_peak_kw * rates.demand_on;
-      energyCharge = (usage.on_peak_kwh * rates.energy_on) + (usage.off_peak_kwh * rates.energy_off);
-      totalKwhForFt = usage.on_peak_kwh + usage.off_peak_kwh;
-      overallPeakKw = Math.max(usage.on_peak_kw, usage.off_peak_kw);
-    }
+    const {
+      demandCharge: calculatedDemandCharge,
+      energyCharge,
+      totalKwh: totalKwhForFt,
+      peakKw: overallPeakKw
+    } = calculateDemandAndEnergy(tariffType, rates, usage);
     
     const effectiveDemandCharge = calculateEffectiveDemandCharge(calculatedDemandCharge, highestDemandChargeLast12m);
     const pfCharge = calculatePowerFactorCharge(peakKvar, overallPeakKw);
-    const serviceCharge = rates.serviceCharge || this.serviceCharge;
-    const totalBaseTariff = effectiveDemandCharge + energyCharge + pfCharge + serviceCharge;
+    const serviceCharge = rates.serviceCharge || rateVersion.serviceCharge;
+    const interruptible = this._calculateInterruptible(data, effectiveDemandCharge);
+    const totalBaseTariff = effectiveDemandCharge + energyCharge + pfCharge + serviceCharge +
+      interruptible.penalty - interruptible.discount;
     const ftCharge = calculateFTCharge(totalKwhForFt, ftRateSatang);
     const subTotal = totalBaseTariff + ftCharge;
     const vat = calculateVAT(subTotal);
@@ -166,7 +985,8 @@ class BaseElectricityService {
       ftCharge,
       subTotal,
       vat,
-      grandTotal
+      grandTotal,
+      ...interruptible.lines
     };
     
     return formatCalculationResult(result);
@@ -175,41 +995,35 @@ class BaseElectricityService {
   /**
    * Calculate Type 4 (Large Business/General Service)
    * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
    * @returns {Object} - Calculation result
    */
-  _calculateType4(data) {
+  _calculateType4(data, rateVersion = this.resolveRateVersion(data)) {
     const { tariffType, voltageLevel, ftRateSatang, peakKvar, highestDemandChargeLast12m, usage } = data;
     
-    if (!this.rates.TYPE_4[tariffType]) {
+    if (!rateVersion.rates.TYPE_4[tariffType]) {
       throw new Error(`Invalid tariff type for Type 4. Must be "tod" or "tou", received: ${tariffType}`);
     }
     
-    if (!this.rates.TYPE_4[tariffType][voltageLevel]) {
+    if (!rateVersion.rates.TYPE_4[tariffType][voltageLevel]) {
       throw new Error(`Invalid voltage level for Type 4 ${tariffType}. Must be ">=69kV", "22-33kV", or "<22kV", received: ${voltageLevel}`);
     }
     
-    const rates = this.rates.TYPE_4[tariffType][voltageLevel];
+    const rates = rateVersion.rates.TYPE_4[tariffType][voltageLevel];
     
-    let calculatedDemandCharge, energyCharge, totalKwhForFt, overallPeakKw;
-    
-    if (tariffType === 'tod') {
-      calculatedDemandCharge = (usage.on_peak_kw * rates.demand_on) + 
-                              (usage.partial_peak_kw * rates.demand_partial) + 
-                              (usage.off_peak_kw * rates.demand_off);
-      energyCharge = usage.total_kwh * rates.energy;
-      totalKwhForFt = usage.total_kwh;
-      overallPeakKw = Math.max(usage.on_peak_kw, usage.partial_peak_kw, usage.off_peak_kw);
-    } else {
-      calculatedDemandCharge = usage.on_peak_kw * rates.demand_on;
-      energyCharge = (usage.on_peak_kwh * rates.energy_on) + (usage.off_peak_kwh * rates.energy_off);
-      totalKwhForFt = usage.on_peak_kwh + usage.off_peak_kwh;
-      overallPeakKw = Math.max(usage.on_peak_kw, usage.off_peak_kw);
-    }
+    const {
+      demandCharge: calculatedDemandCharge,
+      energyCharge,
+      totalKwh: totalKwhForFt,
+      peakKw: overallPeakKw
+    } = calculateDemandAndEnergy(tariffType, rates, usage);
     
     const effectiveDemandCharge = calculateEffectiveDemandCharge(calculatedDemandCharge, highestDemandChargeLast12m);
     const pfCharge = calculatePowerFactorCharge(peakKvar, overallPeakKw);
-    const serviceCharge = rates.serviceCharge || this.serviceCharge;
-    const totalBaseTariff = effectiveDemandCharge + energyCharge + pfCharge + serviceCharge;
+    const serviceCharge = rates.serviceCharge || rateVersion.serviceCharge;
+    const interruptible = this._calculateInterruptible(data, effectiveDemandCharge);
+    const totalBaseTariff = effectiveDemandCharge + energyCharge + pfCharge + serviceCharge +
+      interruptible.penalty - interruptible.discount;
     const ftCharge = calculateFTCharge(totalKwhForFt, ftRateSatang);
     const subTotal = totalBaseTariff + ftCharge;
     const vat = calculateVAT(subTotal);
@@ -224,7 +1038,8 @@ class BaseElectricityService {
       ftCharge,
       subTotal,
       vat,
-      grandTotal
+      grandTotal,
+      ...interruptible.lines
     };
     
     return formatCalculationResult(result);
@@ -233,44 +1048,104 @@ class BaseElectricityService {
   /**
    * Calculate Type 5 (Specific Business)
    * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
    * @returns {Object} - Calculation result
    */
-  _calculateType5(data) {
+  _calculateType5(data, rateVersion = this.resolveRateVersion(data)) {
     const { tariffType, voltageLevel, ftRateSatang, peakKvar, highestDemandChargeLast12m, usage } = data;
     
-    if (!this.rates.TYPE_5[tariffType]) {
+    if (!rateVersion.rates.TYPE_5[tariffType]) {
       throw new Error(`Invalid tariff type for Type 5. Must be "normal" or "tou", received: ${tariffType}`);
     }
     
-    if (!this.rates.TYPE_5[tariffType][voltageLevel]) {
+    if (!rateVersion.rates.TYPE_5[tariffType][voltageLevel]) {
       throw new Error(`Invalid voltage level for Type 5 ${tariffType}. Must be ">=69kV", "22-33kV", or "<22kV", received: ${voltageLevel}`);
     }
     
-    const rates = this.rates.TYPE_5[tariffType][voltageLevel];
+    const rates = rateVersion.rates.TYPE_5[tariffType][voltageLevel];
     
-    let calculatedDemandCharge, energyCharge, totalKwhForFt, overallPeakKw;
+    const {
+      demandCharge: calculatedDemandCharge,
+      energyCharge,
+      totalKwh: totalKwhForFt,
+      peakKw: overallPeakKw
+    } = calculateDemandAndEnergy(tariffType, rates, usage);
     
+    const effectiveDemandCharge = calculateEffectiveDemandCharge(calculatedDemandCharge, highestDemandChargeLast12m);
+    const pfCharge = calculatePowerFactorCharge(peakKvar, overallPeakKw);
+    const serviceCharge = rates.serviceCharge || rateVersion.serviceCharge;
+    const interruptible = this._calculateInterruptible(data, effectiveDemandCharge);
+    const totalBaseTariff = effectiveDemandCharge + energyCharge + pfCharge + serviceCharge +
+      interruptible.penalty - interruptible.discount;
+    const ftCharge = calculateFTCharge(totalKwhForFt, ftRateSatang);
+    const subTotal = totalBaseTariff + ftCharge;
+    const vat = calculateVAT(subTotal);
+    const grandTotal = subTotal + vat;
+    
+    const result = {
+      calculatedDemandCharge,
+      energyCharge,
+      effectiveDemandCharge,
+      pfCharge,
+      serviceCharge,
+      ftCharge,
+      subTotal,
+      vat,
+      grandTotal,
+      ...interruptible.lines
+    };
+    
+    return formatCalculationResult(result);
+  }
+
+  /**
+   * Calculate Type 6 (Government and Non-Profit Organizations)
+   * The normal tariff is energy-only, so it has no demand, minimum bill or
+   * power factor charge; the TOU tariff is billed like Type 4 TOU.
+   * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
+   * @returns {Object} - Calculation result
+   */
+  _calculateType6(data, rateVersion = this.resolveRateVersion(data)) {
+    const { tariffType, voltageLevel, ftRateSatang, peakKvar = 0, highestDemandChargeLast12m = 0, usage } = data;
+
+    const rateTable = rateVersion.rates.TYPE_6[tariffType];
+    if (!rateTable) {
+      throw new Error(`Invalid tariff type for Type 6. Must be "normal" or "tou", received: ${tariffType}`);
+    }
+
+    const rates = rateTable[voltageLevel];
+    if (!rates) {
+      const validLevels = Object.keys(rateTable);
+      throw new Error(`Invalid voltage level for Type 6 ${tariffType}. Must be "${validLevels.join('" or "')}", received: ${voltageLevel}`);
+    }
+
+    let calculatedDemandCharge, energyCharge, effectiveDemandCharge, pfCharge, totalKwhForFt;
+
     if (tariffType === 'normal') {
-      calculatedDemandCharge = usage.peak_kw * rates.demand;
-      energyCharge = usage.total_kwh * rates.energy;
+      calculatedDemandCharge = 0;
+      energyCharge = rates.energyRates
+        ? calculateTieredEnergyCharge(usage.total_kwh, rates.energyRates)
+        : usage.total_kwh * rates.energy;
+      effectiveDemandCharge = 0;
+      pfCharge = 0;
       totalKwhForFt = usage.total_kwh;
-      overallPeakKw = usage.peak_kw;
     } else {
-      calculatedDemandCharge = usage.on_peak_kw * rates.demand_on;
-      energyCharge = (usage.on_peak_kwh * rates.energy_on) + (usage.off_peak_kwh * rates.energy_off);
-      totalKwhForFt = usage.on_peak_kwh + usage.off_peak_kwh;
-      overallPeakKw = Math.max(usage.on_peak_kw, usage.off_peak_kw);
+      const charges = calculateDemandAndEnergy(tariffType, rates, usage);
+      calculatedDemandCharge = charges.demandCharge;
+      energyCharge = charges.energyCharge;
+      effectiveDemandCharge = calculateEffectiveDemandCharge(calculatedDemandCharge, highestDemandChargeLast12m);
+      pfCharge = calculatePowerFactorCharge(peakKvar, charges.peakKw);
+      totalKwhForFt = charges.totalKwh;
     }
-    
-    const effectiveDemandCharge = calculateEffectiveDemandCharge(calculatedDemandCharge, highestDemandChargeLast12m);
-    const pfCharge = calculatePowerFactorCharge(peakKvar, overallPeakKw);
-    const serviceCharge = rates.serviceCharge || this.serviceCharge;
+
+    const serviceCharge = rates.serviceCharge || rateVersion.serviceCharge;
     const totalBaseTariff = effectiveDemandCharge + energyCharge + pfCharge + serviceCharge;
     const ftCharge = calculateFTCharge(totalKwhForFt, ftRateSatang);
     const subTotal = totalBaseTariff + ftCharge;
     const vat = calculateVAT(subTotal);
     const grandTotal = subTotal + vat;
-    
+
     const result = {
       calculatedDemandCharge,
       energyCharge,
@@ -282,7 +1157,230 @@ class BaseElectricityService {
       vat,
       grandTotal
     };
-    
+
+    return formatCalculationResult(result);
+  }
+
+  /**
+   * Calculate Type 7 (Agricultural Water Pumping)
+   * Only PEA publishes Type 7 rates.
+   * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
+   * @returns {Object} - Calculation result
+   */
+  _calculateType7(data, rateVersion = this.resolveRateVersion(data)) {
+    const { tariffType, voltageLevel, ftRateSatang, usage } = data;
+
+    if (!rateVersion.rates.TYPE_7) {
+      throw new Error('Type 7 is not available for this provider');
+    }
+
+    const rateTable = rateVersion.rates.TYPE_7[tariffType];
+    if (!rateTable) {
+      throw new Error(`Invalid tariff type for Type 7. Must be "normal" or "tou", received: ${tariffType}`);
+    }
+
+    const rates = rateTable[voltageLevel];
+    if (!rates) {
+      const validLevels = Object.keys(rateTable);
+      throw new Error(`Invalid voltage level for Type 7 ${tariffType}. Must be "${validLevels.join('" or "')}", received: ${voltageLevel}`);
+    }
+
+    let energyCharge, totalKwh;
+
+    if (tariffType === 'normal') {
+      totalKwh = usage.total_kwh;
+      energyCharge = calculateTieredEnergyCharge(totalKwh, rates.energyRates);
+    } else {
+      totalKwh = usage.on_peak_kwh + usage.off_peak_kwh;
+      energyCharge = (usage.on_peak_kwh * rates.onPeakRate) + (usage.off_peak_kwh * rates.offPeakRate);
+    }
+
+    const serviceCharge = rates.serviceCharge;
+    const baseTariff = energyCharge + serviceCharge;
+    const ftCharge = calculateFTCharge(totalKwh, ftRateSatang);
+    const vat = calculateVAT(baseTariff + ftCharge);
+    const totalBill = baseTariff + ftCharge + vat;
+
+    const result = {
+      energyCharge,
+      serviceCharge,
+      baseTariff,
+      ftCharge,
+      vat,
+      totalBill
+    };
+
+    return formatCalculationResult(result);
+  }
+
+  /**
+   * Calculate Type 8 (Temporary Supply)
+   * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
+   * @returns {Object} - Calculation result
+   */
+  _calculateType8(data, rateVersion = this.resolveRateVersion(data)) {
+    const { tariffType, voltageLevel, ftRateSatang, usage } = data;
+    const { total_kwh } = usage;
+
+    const rateTable = rateVersion.rates.TYPE_8[tariffType];
+    if (!rateTable) {
+      throw new Error(`Invalid tariff type for Type 8. Must be "normal", received: ${tariffType}`);
+    }
+
+    const rates = rateTable[voltageLevel];
+    if (!rates) {
+      const validLevels = Object.keys(rateTable);
+      throw new Error(`Invalid voltage level for Type 8 ${tariffType}. Must be "${validLevels.join('" or "')}", received: ${voltageLevel}`);
+    }
+    const serviceCharge = rates.serviceCharge;
+    const energyCharge = total_kwh * rates.energyRate;
+
+    const baseTariff = energyCharge + serviceCharge;
+    const ftCharge = calculateFTCharge(total_kwh, ftRateSatang);
+    const vat = calculateVAT(baseTariff + ftCharge);
+    const totalBill = baseTariff + ftCharge + vat;
+
+    const result = {
+      energyCharge,
+      serviceCharge,
+      baseTariff,
+      ftCharge,
+      vat,
+      totalBill
+    };
+
+    return formatCalculationResult(result);
+  }
+
+  /**
+   * Calculate an EV charger (public EV charging station) bill
+   * The on-peak and off-peak energy charges are reported separately so the
+   * bill can be allocated across charging sessions.
+   * @param {Object} data - Input data
+   * @param {Object} rateVersion - Rate table version to apply
+   * @returns {Object} - Calculation result
+   */
+  _calculateEvCharger(data, rateVersion = this.resolveRateVersion(data)) {
+    const { tariffType, voltageLevel, ftRateSatang, usage } = data;
+    const { on_peak_kwh, off_peak_kwh } = usage;
+
+    const rateTable = rateVersion.rates.EV_CHARGER && rateVersion.rates.EV_CHARGER[tariffType];
+    if (!rateTable) {
+      throw new Error(`Invalid tariff type for EV charger. Must be "tou", received: ${tariffType}`);
+    }
+
+    const rates = rateTable[voltageLevel];
+    if (!rates) {
+      const validLevels = Object.keys(rateTable);
+      throw new Error(`Invalid voltage level for EV charger ${tariffType}. Must be "${validLevels.join('" or "')}", received: ${voltageLevel}`);
+    }
+    const serviceCharge = rates.serviceCharge;
+    const onPeakEnergyCharge = on_peak_kwh * rates.onPeakRate;
+    const offPeakEnergyCharge = off_peak_kwh * rates.offPeakRate;
+    const energyCharge = onPeakEnergyCharge + offPeakEnergyCharge;
+
+    const baseTariff = energyCharge + serviceCharge;
+    const ftCharge = calculateFTCharge(on_peak_kwh + off_peak_kwh, ftRateSatang);
+    const vat = calculateVAT(baseTariff + ftCharge);
+    const totalBill = baseTariff + ftCharge + vat;
+
+    const result = {
+      onPeakEnergyCharge,
+      offPeakEnergyCharge,
+      energyCharge,
+      serviceCharge,
+      baseTariff,
+      ftCharge,
+      vat,
+      totalBill
+    };
+
+    return formatCalculationResult(result);
+  }
+
+  /**
+   * Calculate a standby (backup supply) bill
+   * The reservation charge covers the contracted backup kW. Backup energy drawn
+   * is billed at the applicable type's rates, and demand charges apply only to
+   * backup kW above the contracted backup kW. Supplementary usage, drawn while
+   * the generator runs, is billed at the normal energy and demand rates.
+   * @param {Object} data - Input data with applicableType, standby terms, backup usage and optional supplementaryUsage
+   * @param {Object} rateVersion - Rate table version to apply
+   * @returns {Object} - Calculation result
+   */
+  _calculateStandby(data, rateVersion = this.resolveRateVersion(data)) {
+    const { applicableType, tariffType, voltageLevel, ftRateSatang, peakKvar = 0, standby, usage, supplementaryUsage } = data;
+    const typeNumber = applicableType.replace('type-', '');
+    const typeRates = rateVersion.rates[`TYPE_${typeNumber}`];
+
+    if (!typeRates || !typeRates[tariffType]) {
+      throw new Error(`Invalid tariff type for Type ${typeNumber} standby, received: ${tariffType}`);
+    }
+
+    const rates = typeRates[tariffType][voltageLevel];
+    const reservationRatePerKw = standby.reservationRatePerKw !== undefined
+      ? standby.reservationRatePerKw
+      : rateVersion.rates.STANDBY[voltageLevel].reservationRate;
+
+    const excessUsage = { ...usage };
+    for (const field of DEMAND_USAGE_FIELDS.filter((candidate) => candidate in usage)) {
+      excessUsage[field] = Math.max(0, usage[field] - standby.contractedKw);
+    }
+
+    const backup = calculateDemandAndEnergy(tariffType, rates, usage);
+    const supplementary = supplementaryUsage
+      ? calculateDemandAndEnergy(tariffType, rates, supplementaryUsage)
+      : { demandCharge: 0, energyCharge: 0, totalKwh: 0, peakKw: 0 };
+    const backupKw = backup.peakKw;
+    const supplementaryKw = supplementary.peakKw;
+    const drawnKw = Math.max(backupKw, supplementaryKw);
+    const excessDemandCharge = calculateDemandAndEnergy(tariffType, rates, excessUsage).demandCharge;
+    const supplementaryDemandCharge = supplementary.demandCharge;
+    const energyCharge = backup.energyCharge + supplementary.energyCharge;
+    const reservationCharge = standby.contractedKw * reservationRatePerKw;
+    const pfCharge = calculatePowerFactorCharge(peakKvar, drawnKw);
+    const serviceCharge = rates.serviceCharge || rateVersion.serviceCharge;
+    const ftCharge = calculateFTCharge(backup.totalKwh + supplementary.totalKwh, ftRateSatang);
+    const usageCharge = excessDemandCharge + supplementaryDemandCharge + energyCharge + pfCharge + ftCharge;
+    const subTotal = reservationCharge + usageCharge + serviceCharge;
+    const vat = calculateVAT(subTotal);
+    const grandTotal = subTotal + vat;
+
+    const outages = standby.outages || [];
+    const outageHours = outages.reduce(
+      (hours, outage) => hours + (parseTimestamp(outage.end) - parseTimestamp(outage.start)) / 3600000,
+      0
+    );
+
+    const result = {
+      reservationCharge,
+      excessDemandCharge,
+      supplementaryDemandCharge,
+      energyCharge,
+      pfCharge,
+      serviceCharge,
+      ftCharge,
+      usageCharge,
+      subTotal,
+      vat,
+      grandTotal,
+      standby: {
+        applicableType,
+        contractedKw: standby.contractedKw,
+        reservationRatePerKw,
+        drawnKw,
+        backupKw,
+        excessKw: Math.max(0, backupKw - standby.contractedKw),
+        supplementaryKw,
+        backupKwh: roundToDecimals(backup.totalKwh, 3),
+        supplementaryKwh: roundToDecimals(supplementary.totalKwh, 3),
+        outageCount: outages.length,
+        outageHours: roundToDecimals(outageHours, 2)
+      }
+    };
+
     return formatCalculationResult(result);
   }
 }
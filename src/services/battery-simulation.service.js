@@ -0,0 +1,148 @@
+/**
+ * Battery Simulation Service
+ * Dispatches battery storage against a load profile interval by interval
+ */
+
+const { BATTERY_STRATEGIES, BATTERY_DEFAULTS, DEFAULT_INTERVAL_MINUTES } = require('../utils/constants');
+const { toLocalDateParts, getIntervalStart, formatLocalTimestamp } = require('../utils/date-helpers');
+const { PERIODS, getPeriodClassifier } = require('../utils/tariff-periods');
+const { roundToDecimals } = require('../utils/calculation-helpers');
+const holidayCalendarService = require('./holiday-calendar.service');
+
+class BatterySimulationService {
+  /**
+   * Fills in the defaults for a battery system
+   * The battery starts at its maximum state of charge unless told otherwise.
+   * @param {Object} battery - { powerKw, capacityKwh, roundTripEfficiency, minSocPercent, maxSocPercent, initialSocPercent }
+   * @returns {Object} - Battery system with every field set
+   */
+  resolveBattery(battery) {
+    const {
+      powerKw,
+      capacityKwh,
+      roundTripEfficiency = BATTERY_DEFAULTS.ROUND_TRIP_EFFICIENCY,
+      minSocPercent = BATTERY_DEFAULTS.MIN_SOC_PERCENT,
+      maxSocPercent = BATTERY_DEFAULTS.MAX_SOC_PERCENT
+    } = battery;
+
+    return {
+      powerKw,
+      capacityKwh,
+      roundTripEfficiency,
+      minSocPercent,
+      maxSocPercent,
+      initialSocPercent: battery.initialSocPercent !== undefined ? battery.initialSocPercent : maxSocPercent
+    };
+  }
+
+  /**
+   * Simulates battery dispatch over a load profile
+   * Peak shaving discharges whatever load exceeds the target demand and
+   * recharges below the target, in off-peak intervals only so recharging
+   * never raises a billed on-peak or partial-peak demand. TOU arbitrage
+   * charges at full power off-peak and discharges on-peak, never beyond the
+   * interval's load. Losses are split evenly between charging and discharging.
+   * @param {Array} readings - Load readings [{ timestamp, kwh }]
+   * @param {Object} battery - Battery system (see resolveBattery)
+   * @param {Object} strategy - { type, targetKw }
+   * @param {Object} options - { intervalMinutes, timestampAt, tariffType }
+   * @returns {Object} - { readings, intervals, summary } where readings are the grid imports
+   */
+  simulate(readings, battery, strategy, options = {}) {
+    const intervalHours = (options.intervalMinutes || DEFAULT_INTERVAL_MINUTES) / 60;
+    const system = this.resolveBattery(battery);
+    const classifyPeriod = getPeriodClassifier(options.tariffType, {
+      isHoliday: (dateKey) => holidayCalendarService.isHoliday(dateKey)
+    });
+    const oneWayEfficiency = Math.sqrt(system.roundTripEfficiency);
+    const minSocKwh = (system.capacityKwh * system.minSocPercent) / 100;
+    const maxSocKwh = (system.capacityKwh * system.maxSocPercent) / 100;
+    const maxIntervalKwh = system.powerKw * intervalHours;
+    const targetKwh = strategy.type === BATTERY_STRATEGIES.PEAK_SHAVE ? strategy.targetKw * intervalHours : null;
+
+    const ordered = readings
+      .map((reading) => ({ reading, start: getIntervalStart(reading.timestamp, options) }))
+      .sort((a, b) => a.start - b.start);
+
+    const initialSocKwh = (system.capacityKwh * system.initialSocPercent) / 100;
+    let socKwh = initialSocKwh;
+    let chargedKwh = 0;
+    let dischargedKwh = 0;
+    let peakLoadKwh = 0;
+    let peakGridKwh = 0;
+    let targetMissedIntervals = 0;
+    const gridReadings = [];
+    const intervals = [];
+
+    for (const { reading, start } of ordered) {
+      const loadKwh = reading.kwh;
+      const period = classifyPeriod(toLocalDateParts(start));
+      // Energy the battery can still deliver, and take in from the grid, this interval
+      const deliverableKwh = Math.min(maxIntervalKwh, Math.max(socKwh - minSocKwh, 0) * oneWayEfficiency);
+      const acceptableKwh = Math.min(maxIntervalKwh, Math.max(maxSocKwh - socKwh, 0) / oneWayEfficiency);
+      let batteryKwh = 0;
+
+      if (strategy.type === BATTERY_STRATEGIES.PEAK_SHAVE) {
+        if (loadKwh > targetKwh) {
+          batteryKwh = -Math.min(loadKwh - targetKwh, deliverableKwh);
+        } else if (period === PERIODS.OFF_PEAK) {
+          batteryKwh = Math.min(targetKwh - loadKwh, acceptableKwh);
+        }
+      } else if (period === PERIODS.ON_PEAK) {
+        batteryKwh = -Math.min(loadKwh, deliverableKwh);
+      } else if (period === PERIODS.OFF_PEAK) {
+        batteryKwh = acceptableKwh;
+      }
+
+      if (batteryKwh > 0) {
+        socKwh += batteryKwh * oneWayEfficiency;
+        chargedKwh += batteryKwh;
+      } else if (batteryKwh < 0) {
+        socKwh += batteryKwh / oneWayEfficiency;
+        dischargedKwh -= batteryKwh;
+      }
+
+      const gridKwh = loadKwh + batteryKwh;
+      if (targetKwh !== null && gridKwh > targetKwh + 1e-9) {
+        targetMissedIntervals += 1;
+      }
+      peakLoadKwh = Math.max(peakLoadKwh, loadKwh);
+      peakGridKwh = Math.max(peakGridKwh, gridKwh);
+
+      gridReadings.push({ timestamp: reading.timestamp, kwh: gridKwh });
+      intervals.push({
+        start: formatLocalTimestamp(start),
+        period,
+        loadKwh,
+        batteryKwh: roundToDecimals(batteryKwh, 4),
+        gridKwh: roundToDecimals(gridKwh, 4),
+        socPercent: roundToDecimals((socKwh / system.capacityKwh) * 100, 2)
+      });
+    }
+
+    const usableKwh = maxSocKwh - minSocKwh;
+
+    return {
+      readings: gridReadings,
+      intervals,
+      summary: {
+        battery: system,
+        strategy,
+        chargedKwh: roundToDecimals(chargedKwh, 3),
+        dischargedKwh: roundToDecimals(dischargedKwh, 3),
+        lossesKwh: roundToDecimals(chargedKwh - dischargedKwh - (socKwh - initialSocKwh), 3),
+        equivalentCycles: roundToDecimals(dischargedKwh / usableKwh, 2),
+        finalSocPercent: roundToDecimals((socKwh / system.capacityKwh) * 100, 2),
+        peakKwBefore: roundToDecimals(peakLoadKwh / intervalHours, 3),
+        peakKwAfter: roundToDecimals(peakGridKwh / intervalHours, 3),
+        // Peak shaving only: intervals still above the target after discharging
+        targetMissedIntervals: targetKwh !== null ? targetMissedIntervals : null
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const batterySimulationService = new BatterySimulationService();
+
+module.exports = batterySimulationService;
@@ -0,0 +1,140 @@
+/**
+ * Bill History Service
+ * Persisted calculation results with their input, rate version and Ft rate,
+ * kept as an audit trail and for recalculation when rates are corrected
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const JsonStore = require('../utils/json-store');
+const { roundToDecimals } = require('../utils/calculation-helpers');
+
+const BILL_STORE_FILE = process.env.BILL_STORE_FILE || path.join(__dirname, '../../data/bills.json');
+
+// Response fields that describe the request rather than the bill
+const RESPONSE_ONLY_FIELDS = ['success', 'timestamp', 'billId'];
+
+/**
+ * Gets the period a calculation input bills
+ * @param {Object} input - Calculation input
+ * @returns {Object|null} - { start, end }, or null without a billing date
+ */
+const getBillingPeriod = (input) => {
+  if (input.billingPeriod) {
+    return { start: input.billingPeriod.start, end: input.billingPeriod.end };
+  }
+  if (input.asOfDate) {
+    return { start: input.asOfDate, end: input.asOfDate };
+  }
+  return null;
+};
+
+/**
+ * Flattens the numeric fields of a result into dot-separated paths
+ * @param {Object} value - Result object
+ * @param {string} prefix - Path of the object
+ * @param {Object} fields - Accumulated fields
+ * @returns {Object} - Numbers keyed by path
+ */
+const flattenNumbers = (value, prefix = '', fields = {}) => {
+  for (const [key, child] of Object.entries(value)) {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (typeof child === 'number') {
+      fields[fieldPath] = child;
+    } else if (child && typeof child === 'object') {
+      flattenNumbers(child, fieldPath, fields);
+    }
+  }
+  return fields;
+};
+
+class BillHistoryService {
+  constructor(storeFile = BILL_STORE_FILE) {
+    this.store = new JsonStore(storeFile);
+  }
+
+  /**
+   * Records a calculation
+   * @param {Object} calculation - { customerId, provider, calculationType, input, result }
+   * @returns {Object} - Stored bill
+   */
+  record({ customerId = null, provider, calculationType, input, result }) {
+    const response = { ...result };
+    for (const field of RESPONSE_ONLY_FIELDS) {
+      delete response[field];
+    }
+
+    // A PPA bill's rates are those of its reference bill
+    const rateSource = response.referenceBill || response;
+    const bill = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      customerId,
+      provider,
+      calculationType,
+      period: getBillingPeriod(input),
+      input,
+      rateVersion: rateSource.rateVersion || null,
+      ftRate: rateSource.ftRate || null,
+      result: response
+    };
+
+    return this.store.set(bill.id, bill);
+  }
+
+  /**
+   * Gets a bill by id
+   * @param {string} id - Bill id
+   * @returns {Object|null} - Bill, or null if unknown
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Searches bills
+   * A bill matches the from/to range when its period overlaps it; bills
+   * without a billing period never match a range.
+   * @param {Object} filters - { customerId, provider, calculationType, from, to }
+   * @returns {Array} - Matching bills, newest first
+   */
+  search(filters = {}) {
+    const { customerId, provider, calculationType, from, to } = filters;
+
+    return this.store.list()
+      .filter((bill) => !customerId || bill.customerId === customerId)
+      .filter((bill) => !provider || bill.provider === provider)
+      .filter((bill) => !calculationType || bill.calculationType === calculationType)
+      .filter((bill) => (!from && !to) || (bill.period &&
+        (!from || bill.period.end >= from) &&
+        (!to || bill.period.start <= to)))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Lists the numeric fields of a recalculated result that differ from the stored result
+   * Fields only in the stored result (response extras such as the ratchet
+   * summary) are not compared.
+   * @param {Object} original - Stored result
+   * @param {Object} recalculated - New result
+   * @returns {Array} - [{ field, original, recalculated, change }]
+   */
+  diff(original, recalculated) {
+    const before = flattenNumbers(original);
+    const after = flattenNumbers(recalculated);
+
+    return Object.keys(after)
+      .filter((field) => before[field] !== after[field])
+      .map((field) => ({
+        field,
+        original: before[field] !== undefined ? before[field] : null,
+        recalculated: after[field],
+        change: before[field] !== undefined ? roundToDecimals(after[field] - before[field], 5) : null
+      }));
+  }
+}
+
+// Create singleton instance
+const billHistoryService = new BillHistoryService();
+
+module.exports = billHistoryService;
@@ -0,0 +1,155 @@
+/**
+ * Customer Service
+ * Registry of customer accounts and the tariff parameters they are billed under
+ */
+
+const path = require('path');
+const JsonStore = require('../utils/json-store');
+const { CALCULATION_TYPES, PROVIDERS } = require('../utils/constants');
+const {
+  validateVoltageLevel,
+  getValidTariffTypes,
+  getTariffTypeErrorMessage
+} = require('../utils/validation');
+
+const CUSTOMER_STORE_FILE = process.env.CUSTOMER_STORE_FILE || path.join(__dirname, '../../data/customers.json');
+
+// Customer ids appear in URLs, so they are limited to URL-safe characters,
+// and names plain objects reserve are refused
+const CUSTOMER_ID_PATTERN = /^(?!(?:__proto__|constructor|prototype)$)[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Checks for a plain object
+ * @param {any} value - Value to check
+ * @returns {boolean} - True if a non-array object
+ */
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+class CustomerService {
+  constructor(storeFile = CUSTOMER_STORE_FILE) {
+    this.store = new JsonStore(storeFile);
+  }
+
+  /**
+   * Validates a customer record
+   * @param {Object} customer - Customer record
+   * @throws {Error} - If the record is invalid
+   */
+  _validate(customer) {
+    const { id, name, provider, calculationType, voltageLevel, tariffType, contract, meterIds } = customer;
+
+    if (typeof id !== 'string' || !CUSTOMER_ID_PATTERN.test(id)) {
+      throw new Error(`id must be 1-64 letters, digits, "-" or "_" and not a reserved name, received: ${id}`);
+    }
+    if (name !== null && typeof name !== 'string') {
+      throw new Error(`name must be a string, received: ${name}`);
+    }
+
+    const providers = Object.values(PROVIDERS);
+    if (!providers.includes(provider)) {
+      throw new Error(`provider must be one of ${providers.join(', ')}, received: ${provider}`);
+    }
+
+    const calculationTypes = Object.values(CALCULATION_TYPES);
+    if (!calculationTypes.includes(calculationType)) {
+      throw new Error(`calculationType must be one of ${calculationTypes.join(', ')}, received: ${calculationType}`);
+    }
+    if (calculationType === CALCULATION_TYPES.TYPE_7 && provider !== PROVIDERS.PEA) {
+      throw new Error('Type 7 is only available for PEA customers');
+    }
+
+    if (!getValidTariffTypes(calculationType).includes(tariffType)) {
+      throw new Error(getTariffTypeErrorMessage(calculationType, tariffType));
+    }
+    if (!validateVoltageLevel(voltageLevel, provider)) {
+      throw new Error(`Invalid voltage level for ${provider.toUpperCase()}, received: ${voltageLevel}`);
+    }
+
+    if (!isPlainObject(contract)) {
+      throw new Error('contract must be an object');
+    }
+
+    if (!Array.isArray(meterIds) || meterIds.some((meterId) => typeof meterId !== 'string' || meterId.length === 0)) {
+      throw new Error('meterIds must be an array of non-empty strings');
+    }
+  }
+
+  /**
+   * Lists all customers
+   * @returns {Array} - Customers ordered by id
+   */
+  list() {
+    return this.store.list().sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Gets a customer by id
+   * @param {string} id - Customer id
+   * @returns {Object|null} - Customer, or null if unknown
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Registers a customer
+   * @param {Object} input - { id, name, provider, calculationType, voltageLevel, tariffType, contract, meterIds }
+   * @returns {Object} - Created customer
+   */
+  create(input) {
+    const customer = {
+      id: input.id,
+      name: input.name !== undefined ? input.name : null,
+      provider: input.provider,
+      calculationType: input.calculationType,
+      voltageLevel: input.voltageLevel,
+      tariffType: input.tariffType,
+      contract: input.contract !== undefined ? input.contract : {},
+      meterIds: input.meterIds !== undefined ? input.meterIds : []
+    };
+
+    this._validate(customer);
+    if (this.store.get(customer.id)) {
+      throw new Error(`Customer ${customer.id} already exists`);
+    }
+
+    return this.store.set(customer.id, customer);
+  }
+
+  /**
+   * Updates a customer's details
+   * @param {string} id - Customer id
+   * @param {Object} changes - Any customer fields except id
+   * @returns {Object|null} - Updated customer, or null if unknown
+   */
+  update(id, changes) {
+    const existing = this.store.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const customer = { ...existing };
+    for (const field of ['name', 'provider', 'calculationType', 'voltageLevel', 'tariffType', 'contract', 'meterIds']) {
+      if (changes[field] !== undefined) {
+        customer[field] = changes[field];
+      }
+    }
+
+    this._validate(customer);
+    return this.store.set(id, customer);
+  }
+
+  /**
+   * Removes a customer
+   * @param {string} id - Customer id
+   * @returns {boolean} - True if a customer was removed
+   */
+  remove(id) {
+    return this.store.remove(id);
+  }
+}
+
+// Create singleton instance
+const customerService = new CustomerService();
+
+module.exports = customerService;
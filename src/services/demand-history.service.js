@@ -0,0 +1,118 @@
+/**
+ * Demand History Service
+ * Per-customer monthly calculated demand charges, used to derive the
+ * 12-month minimum demand charge (ratchet) automatically
+ */
+
+const path = require('path');
+const JsonStore = require('../utils/json-store');
+const { DEMAND_RATCHET_MONTHS } = require('../utils/constants');
+const { isValidMonthKey, addMonths } = require('../utils/date-helpers');
+
+const DEMAND_HISTORY_STORE_FILE = process.env.DEMAND_HISTORY_STORE_FILE ||
+  path.join(__dirname, '../../data/demand-history.json');
+
+class DemandHistoryService {
+  constructor(storeFile = DEMAND_HISTORY_STORE_FILE) {
+    this.store = new JsonStore(storeFile);
+  }
+
+  /**
+   * Lists a customer's recorded months
+   * @param {string} customerId - Customer id
+   * @returns {Array} - [{ month, calculatedDemandCharge }] ordered by month
+   */
+  list(customerId) {
+    const history = this.store.get(customerId);
+    if (!history) {
+      return [];
+    }
+
+    return Object.keys(history.months)
+      .sort()
+      .map((month) => ({ month, calculatedDemandCharge: history.months[month] }));
+  }
+
+  /**
+   * Records a month's calculated demand charge, replacing any earlier value
+   * @param {string} customerId - Customer id
+   * @param {string} month - Billing month (YYYY-MM)
+   * @param {number} calculatedDemandCharge - Demand charge before the minimum is applied
+   * @returns {Object} - { month, calculatedDemandCharge }
+   * @throws {Error} - If the month or charge is invalid
+   */
+  record(customerId, month, calculatedDemandCharge) {
+    if (!isValidMonthKey(month)) {
+      throw new Error(`month must be a valid month (YYYY-MM), received: ${month}`);
+    }
+    if (typeof calculatedDemandCharge !== 'number' || isNaN(calculatedDemandCharge) || calculatedDemandCharge < 0) {
+      throw new Error(`calculatedDemandCharge must be a non-negative number, received: ${calculatedDemandCharge}`);
+    }
+
+    const history = this.store.get(customerId) || { customerId, months: {} };
+    this.store.set(customerId, {
+      ...history,
+      months: { ...history.months, [month]: calculatedDemandCharge }
+    });
+
+    return { month, calculatedDemandCharge };
+  }
+
+  /**
+   * Removes one recorded month
+   * @param {string} customerId - Customer id
+   * @param {string} month - Billing month (YYYY-MM)
+   * @returns {boolean} - True if a month was removed
+   */
+  removeMonth(customerId, month) {
+    const history = this.store.get(customerId);
+    if (!history || !Object.prototype.hasOwnProperty.call(history.months, month)) {
+      return false;
+    }
+
+    const { [month]: removed, ...months } = history.months;
+    this.store.set(customerId, { ...history, months });
+    return true;
+  }
+
+  /**
+   * Removes a customer's whole history
+   * @param {string} customerId - Customer id
+   * @returns {boolean} - True if a history was removed
+   */
+  clear(customerId) {
+    return this.store.remove(customerId);
+  }
+
+  /**
+   * Finds the highest calculated demand charge in the months before a billing month
+   * The window is the DEMAND_RATCHET_MONTHS months ending the month before
+   * billingMonth; the billing month itself is compared by the calculation.
+   * @param {string} customerId - Customer id
+   * @param {string} billingMonth - Billing month (YYYY-MM)
+   * @returns {Object} - { highestDemandChargeLast12m, setByMonth, window: { from, to }, monthsOnRecord }
+   */
+  getHighestDemandCharge(customerId, billingMonth) {
+    const from = addMonths(billingMonth, -DEMAND_RATCHET_MONTHS);
+    const to = addMonths(billingMonth, -1);
+    const months = this.list(customerId).filter(({ month }) => month >= from && month <= to);
+
+    // Earliest month wins a tie, so the ratchet is attributed to when it was set
+    const highest = months.reduce(
+      (best, entry) => (!best || entry.calculatedDemandCharge > best.calculatedDemandCharge ? entry : best),
+      null
+    );
+
+    return {
+      highestDemandChargeLast12m: highest ? highest.calculatedDemandCharge : 0,
+      setByMonth: highest ? highest.month : null,
+      window: { from, to },
+      monthsOnRecord: months.length
+    };
+  }
+}
+
+// Create singleton instance
+const demandHistoryService = new DemandHistoryService();
+
+module.exports = demandHistoryService;
@@ -0,0 +1,136 @@
+/**
+ * Eligibility Service
+ * Classifies which calculation type applies to a customer from its business
+ * category and demand history
+ */
+
+const {
+  BUSINESS_CATEGORIES,
+  CALCULATION_TYPES,
+  PROVIDERS,
+  SMALL_GENERAL_SERVICE_MAX_KW,
+  LARGE_GENERAL_SERVICE_MIN_KW,
+  LARGE_GENERAL_SERVICE_MIN_AVERAGE_KWH
+} = require('../utils/constants');
+
+// Calculation types assigned by business category alone
+const CATEGORY_TYPES = {
+  [BUSINESS_CATEGORIES.RESIDENTIAL]: {
+    calculationType: CALCULATION_TYPES.TYPE_1,
+    rule: 'residential',
+    reason: 'Residential customers are billed under Type 1'
+  },
+  [BUSINESS_CATEGORIES.GOVERNMENT]: {
+    calculationType: CALCULATION_TYPES.TYPE_6,
+    rule: 'government',
+    reason: 'Government and non-profit organizations are billed under Type 6'
+  },
+  [BUSINESS_CATEGORIES.TEMPORARY]: {
+    calculationType: CALCULATION_TYPES.TYPE_8,
+    rule: 'temporary',
+    reason: 'Temporary supply is billed under Type 8'
+  },
+  [BUSINESS_CATEGORIES.EV_CHARGING_STATION]: {
+    calculationType: CALCULATION_TYPES.EV_CHARGER,
+    rule: 'ev-charging-station',
+    reason: 'Public EV charging stations are billed under the EV charger TOU rate'
+  }
+};
+
+/**
+ * Formats a number with thousands separators for rule explanations
+ * @param {number} value - Value
+ * @returns {string} - Formatted value
+ */
+const formatNumber = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+class EligibilityService {
+  /**
+   * Classifies a general service customer by demand and energy
+   * @param {number} highestKw - Highest monthly peak demand (kW)
+   * @param {number} averageMonthlyKwh - Average monthly energy (kWh)
+   * @returns {Object} - { calculationType, rule, reason }
+   */
+  classifyGeneralService(highestKw, averageMonthlyKwh) {
+    if (highestKw >= LARGE_GENERAL_SERVICE_MIN_KW) {
+      return {
+        calculationType: CALCULATION_TYPES.TYPE_4,
+        rule: 'large-demand',
+        reason: `Highest demand of ${formatNumber(highestKw)} kW is at least ${formatNumber(LARGE_GENERAL_SERVICE_MIN_KW)} kW`
+      };
+    }
+    if (averageMonthlyKwh > LARGE_GENERAL_SERVICE_MIN_AVERAGE_KWH) {
+      return {
+        calculationType: CALCULATION_TYPES.TYPE_4,
+        rule: 'large-energy',
+        reason: `Average energy of ${formatNumber(averageMonthlyKwh)} kWh per month exceeds ${formatNumber(LARGE_GENERAL_SERVICE_MIN_AVERAGE_KWH)} kWh`
+      };
+    }
+    if (highestKw >= SMALL_GENERAL_SERVICE_MAX_KW) {
+      return {
+        calculationType: CALCULATION_TYPES.TYPE_3,
+        rule: 'medium-demand',
+        reason: `Highest demand of ${formatNumber(highestKw)} kW is at least ${SMALL_GENERAL_SERVICE_MAX_KW} kW but below ${formatNumber(LARGE_GENERAL_SERVICE_MIN_KW)} kW`
+      };
+    }
+    return {
+      calculationType: CALCULATION_TYPES.TYPE_2,
+      rule: 'small-demand',
+      reason: `Highest demand of ${formatNumber(highestKw)} kW is below ${SMALL_GENERAL_SERVICE_MAX_KW} kW`
+    };
+  }
+
+  /**
+   * Classifies the calculation type for a customer
+   * Specific businesses are billed under Type 5 once their demand reaches the
+   * small general service threshold, and as small general service below it.
+   * Agricultural pumping is a PEA tariff; MEA customers are classified as
+   * general service.
+   * @param {string} provider - Provider (mea or pea)
+   * @param {Object} profile - { businessCategory, monthlyPeakKw, averageMonthlyKwh }
+   * @returns {Object} - { calculationType, rule, reason, highestKw, averageMonthlyKwh }
+   */
+  classify(provider, profile) {
+    const { businessCategory, monthlyPeakKw, averageMonthlyKwh } = profile;
+    const highestKw = Math.max(...monthlyPeakKw);
+    const metrics = { highestKw, averageMonthlyKwh };
+
+    if (CATEGORY_TYPES[businessCategory]) {
+      return { ...CATEGORY_TYPES[businessCategory], ...metrics };
+    }
+
+    if (businessCategory === BUSINESS_CATEGORIES.AGRICULTURAL_PUMPING) {
+      if (provider === PROVIDERS.PEA) {
+        return {
+          calculationType: CALCULATION_TYPES.TYPE_7,
+          rule: 'agricultural-pumping',
+          reason: 'Agricultural water pumping is billed under Type 7',
+          ...metrics
+        };
+      }
+
+      const generalService = this.classifyGeneralService(highestKw, averageMonthlyKwh);
+      return {
+        ...generalService,
+        reason: `MEA has no agricultural pumping tariff; classified as general service. ${generalService.reason}`,
+        ...metrics
+      };
+    }
+
+    if (businessCategory === BUSINESS_CATEGORIES.SPECIFIC_BUSINESS && highestKw >= SMALL_GENERAL_SERVICE_MAX_KW) {
+      return {
+        calculationType: CALCULATION_TYPES.TYPE_5,
+        rule: 'specific-business',
+        reason: `Specific business with highest demand of ${formatNumber(highestKw)} kW, at least ${SMALL_GENERAL_SERVICE_MAX_KW} kW`,
+        ...metrics
+      };
+    }
+
+    return { ...this.classifyGeneralService(highestKw, averageMonthlyKwh), ...metrics };
+  }
+}
+
+// Create singleton instance
+const eligibilityService = new EligibilityService();
+
+module.exports = eligibilityService;
@@ -0,0 +1,150 @@
+/**
+ * EV Charging Service
+ * Splits EV charging sessions into TOU periods and allocates an EV charger
+ * meter's bill across them
+ */
+
+const { THAILAND_UTC_OFFSET_MINUTES, TOU_ON_PEAK_WINDOW } = require('../utils/constants');
+const { parseTimestamp, toLocalDateParts } = require('../utils/date-helpers');
+const { PERIODS, classifyTouPeriod } = require('../utils/tariff-periods');
+const { calculateVAT, roundToDecimals } = require('../utils/calculation-helpers');
+const holidayCalendarService = require('./holiday-calendar.service');
+
+const MINUTE_MS = 60000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const UTC_OFFSET_MS = THAILAND_UTC_OFFSET_MINUTES * MINUTE_MS;
+
+/**
+ * Gets the next moment the TOU period can change: 09:00, 22:00 or midnight local time
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} - Epoch milliseconds of the next boundary after time
+ */
+const getNextPeriodBoundary = (time) => {
+  const localTime = time + UTC_OFFSET_MS;
+  const localMidnight = localTime - (localTime % DAY_MS);
+  const boundary = [TOU_ON_PEAK_WINDOW.start, TOU_ON_PEAK_WINDOW.end, 24 * 60]
+    .map((minutes) => localMidnight + minutes * MINUTE_MS)
+    .find((candidate) => candidate > localTime);
+
+  return boundary - UTC_OFFSET_MS;
+};
+
+/**
+ * Gets a session's share of a total, falling back to an even split
+ * @param {number} value - Session value
+ * @param {number} total - Total over all sessions
+ * @param {number} count - Number of sessions
+ * @returns {number} - Share (0-1)
+ */
+const getShare = (value, total, count) => (total > 0 ? value / total : 1 / count);
+
+class EvChargingService {
+  /**
+   * Splits a charging session's energy into TOU periods
+   * Power is assumed constant over the session, so energy is split by the
+   * time spent in each period. Weekends and public holidays are off-peak.
+   * @param {Object} session - { id, start, end, kwh }
+   * @returns {Object} - Session with onPeakKwh and offPeakKwh
+   */
+  splitSession(session) {
+    const start = parseTimestamp(session.start).getTime();
+    const end = parseTimestamp(session.end).getTime();
+    const isHoliday = (dateKey) => holidayCalendarService.isHoliday(dateKey);
+    let onPeakMs = 0;
+
+    for (let cursor = start; cursor < end;) {
+      const segmentEnd = Math.min(getNextPeriodBoundary(cursor), end);
+      if (classifyTouPeriod(toLocalDateParts(new Date(cursor)), { isHoliday }) === PERIODS.ON_PEAK) {
+        onPeakMs += segmentEnd - cursor;
+      }
+      cursor = segmentEnd;
+    }
+
+    const onPeakKwh = (session.kwh * onPeakMs) / (end - start);
+
+    return {
+      ...session,
+      onPeakKwh,
+      offPeakKwh: session.kwh - onPeakKwh
+    };
+  }
+
+  /**
+   * Builds an EV charger usage object from split sessions
+   * @param {Array} sessions - Results of splitSession()
+   * @returns {Object} - { on_peak_kwh, off_peak_kwh }
+   */
+  getSessionUsage(sessions) {
+    return {
+      on_peak_kwh: roundToDecimals(sessions.reduce((sum, session) => sum + session.onPeakKwh, 0), 3),
+      off_peak_kwh: roundToDecimals(sessions.reduce((sum, session) => sum + session.offPeakKwh, 0), 3)
+    };
+  }
+
+  /**
+   * Allocates an EV charger bill across charging sessions
+   * Each period's energy charge is shared by the sessions' kWh in that period,
+   * so metered energy no session accounts for (standby load, losses) is
+   * spread over the sessions too. The service and Ft charges are shared by
+   * total kWh, and VAT follows each session's subtotal, so the allocations
+   * add up to the bill.
+   * @param {Object} bill - EV charger calculation result
+   * @param {Object} usage - Metered usage the bill was calculated from
+   * @param {Array} sessions - Results of splitSession()
+   * @returns {Object} - { sessions, allocationSummary }
+   */
+  allocate(bill, usage, sessions) {
+    const count = sessions.length;
+    const sessionUsage = sessions.reduce((totals, session) => ({
+      onPeakKwh: totals.onPeakKwh + session.onPeakKwh,
+      offPeakKwh: totals.offPeakKwh + session.offPeakKwh
+    }), { onPeakKwh: 0, offPeakKwh: 0 });
+    const sessionKwh = sessionUsage.onPeakKwh + sessionUsage.offPeakKwh;
+    const meterKwh = usage.on_peak_kwh + usage.off_peak_kwh;
+
+    const allocated = sessions.map((session) => {
+      const kwhShare = getShare(session.kwh, sessionKwh, count);
+      // A period no session charged in is shared by total kWh instead
+      const onPeakShare = sessionUsage.onPeakKwh > 0 ? session.onPeakKwh / sessionUsage.onPeakKwh : kwhShare;
+      const offPeakShare = sessionUsage.offPeakKwh > 0 ? session.offPeakKwh / sessionUsage.offPeakKwh : kwhShare;
+
+      const energyCharge = bill.onPeakEnergyCharge * onPeakShare + bill.offPeakEnergyCharge * offPeakShare;
+      const serviceCharge = bill.serviceCharge * kwhShare;
+      const ftCharge = bill.ftCharge * kwhShare;
+      const vat = calculateVAT(energyCharge + serviceCharge + ftCharge);
+      const total = energyCharge + serviceCharge + ftCharge + vat;
+
+      return {
+        id: session.id,
+        start: session.start,
+        end: session.end,
+        kwh: session.kwh,
+        onPeakKwh: roundToDecimals(session.onPeakKwh, 3),
+        offPeakKwh: roundToDecimals(session.offPeakKwh, 3),
+        energyCharge: roundToDecimals(energyCharge, 2),
+        serviceCharge: roundToDecimals(serviceCharge, 2),
+        ftCharge: roundToDecimals(ftCharge, 2),
+        vat: roundToDecimals(vat, 2),
+        total: roundToDecimals(total, 2),
+        ratePerKwh: session.kwh > 0 ? roundToDecimals(total / session.kwh, 4) : null
+      };
+    });
+
+    return {
+      sessions: allocated,
+      allocationSummary: {
+        sessionCount: count,
+        sessionKwh: roundToDecimals(sessionKwh, 3),
+        meterKwh: roundToDecimals(meterKwh, 3),
+        // Metered energy not drawn by any session; negative when sessions exceed the meter
+        unattributedKwh: roundToDecimals(meterKwh - sessionKwh, 3),
+        allocatedTotal: roundToDecimals(allocated.reduce((sum, session) => sum + session.total, 0), 2)
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const evChargingService = new EvChargingService();
+
+module.exports = evChargingService;
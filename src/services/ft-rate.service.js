@@ -0,0 +1,198 @@
+/**
+ * Ft Rate Service
+ * Store of published Ft rate periods with lookup by billing date
+ */
+
+const path = require('path');
+const JsonStore = require('../utils/json-store');
+const { FT_RATE_PERIODS } = require('../config/ft-rates');
+const { FT_PERIOD_START_MONTHS } = require('../utils/constants');
+const { isValidDateKey, addDays } = require('../utils/date-helpers');
+const { validateNumericValue } = require('../utils/validation');
+
+const FT_RATE_STORE_FILE = process.env.FT_RATE_STORE_FILE || path.join(__dirname, '../../data/ft-rates.json');
+
+// Period ids appear in URLs, so they are limited to URL-safe characters,
+// and names plain objects reserve are refused
+const FT_PERIOD_ID_PATTERN = /^(?!(?:__proto__|constructor|prototype)$)[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Gets the last day of the 4-month Ft period containing a date
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {string} - Period end date (YYYY-MM-DD)
+ */
+const getFtPeriodEnd = (dateKey) => {
+  const year = Number(dateKey.slice(0, 4));
+  const month = Number(dateKey.slice(5, 7));
+  const startMonth = FT_PERIOD_START_MONTHS.filter((candidate) => candidate <= month).pop();
+  // Day 0 of the month after the period is the period's last day
+  return new Date(Date.UTC(year, startMonth + 3, 0)).toISOString().slice(0, 10);
+};
+
+class FtRateService {
+  /**
+   * The bundled periods seed the store until it is first changed
+   * @param {string} storeFile - Path of the JSON file backing the store
+   */
+  constructor(storeFile = FT_RATE_STORE_FILE) {
+    this.store = new JsonStore(storeFile, {
+      defaults: Object.fromEntries(FT_RATE_PERIODS.map((period) => [period.id, period]))
+    });
+  }
+
+  /**
+   * Validates a period against the store
+   * @param {Object} period - { id, effectiveFrom, effectiveTo, rateSatang }
+   * @param {string} ignoreId - Id to skip in the overlap check (when updating)
+   * @throws {Error} - If the period is invalid or overlaps another period
+   */
+  _validate(period, ignoreId = null) {
+    const { id, effectiveFrom, effectiveTo, rateSatang } = period;
+
+    if (!isValidDateKey(effectiveFrom)) {
+      throw new Error(`effectiveFrom must be a valid date (YYYY-MM-DD), received: ${effectiveFrom}`);
+    }
+    if (!isValidDateKey(effectiveTo)) {
+      throw new Error(`effectiveTo must be a valid date (YYYY-MM-DD), received: ${effectiveTo}`);
+    }
+    if (effectiveTo < effectiveFrom) {
+      throw new Error('effectiveTo must not be before effectiveFrom');
+    }
+    if (typeof id !== 'string' || !FT_PERIOD_ID_PATTERN.test(id)) {
+      throw new Error(`id must be 1-64 letters, digits, "-" or "_" and not a reserved name, received: ${id}`);
+    }
+
+    if (rateSatang === undefined || rateSatang === null) {
+      throw new Error('Missing required field: rateSatang');
+    }
+    const rateValidation = validateNumericValue(rateSatang, 'ftRateSatang');
+    if (!rateValidation.isValid) {
+      throw new Error(rateValidation.error.replace('ftRateSatang', 'rateSatang'));
+    }
+
+    for (const existing of this.store.list()) {
+      if (existing.id === ignoreId) {
+        continue;
+      }
+      if (existing.id === id) {
+        throw new Error(`Ft rate period ${id} already exists`);
+      }
+      if (existing.effectiveFrom <= effectiveTo && effectiveFrom <= existing.effectiveTo) {
+        throw new Error(`Ft rate period ${id} overlaps ${existing.id}`);
+      }
+    }
+  }
+
+  /**
+   * Lists all periods
+   * @returns {Array} - Periods ordered by effectiveFrom
+   */
+  list() {
+    return this.store.list().sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  }
+
+  /**
+   * Gets a period by id
+   * @param {string} id - Period id
+   * @returns {Object|null} - Period, or null if unknown
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Creates a period
+   * effectiveTo defaults to the end of the 4-month Ft period containing effectiveFrom,
+   * and id defaults to the YYYY-MM of effectiveFrom.
+   * @param {Object} input - { id, effectiveFrom, effectiveTo, rateSatang }
+   * @returns {Object} - Created period
+   */
+  create(input) {
+    const { effectiveFrom, rateSatang } = input;
+    const period = {
+      id: input.id || (typeof effectiveFrom === 'string' ? effectiveFrom.slice(0, 7) : undefined),
+      effectiveFrom,
+      effectiveTo: input.effectiveTo || (isValidDateKey(effectiveFrom) ? getFtPeriodEnd(effectiveFrom) : undefined),
+      rateSatang
+    };
+
+    this._validate(period);
+    return this.store.set(period.id, period);
+  }
+
+  /**
+   * Updates a period's dates or rate
+   * @param {string} id - Period id
+   * @param {Object} changes - { effectiveFrom, effectiveTo, rateSatang }
+   * @returns {Object|null} - Updated period, or null if unknown
+   */
+  update(id, changes) {
+    const existing = this.store.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const period = {
+      id,
+      effectiveFrom: changes.effectiveFrom !== undefined ? changes.effectiveFrom : existing.effectiveFrom,
+      effectiveTo: changes.effectiveTo !== undefined ? changes.effectiveTo : existing.effectiveTo,
+      rateSatang: changes.rateSatang !== undefined ? changes.rateSatang : existing.rateSatang
+    };
+
+    this._validate(period, id);
+    return this.store.set(id, period);
+  }
+
+  /**
+   * Removes a period
+   * @param {string} id - Period id
+   * @returns {boolean} - True if a period was removed
+   */
+  remove(id) {
+    return this.store.remove(id);
+  }
+
+  /**
+   * Gets the dates inside a period on which the Ft rate changes
+   * @param {string} startKey - Period start (YYYY-MM-DD, inclusive)
+   * @param {string} endKey - Period end (YYYY-MM-DD, inclusive)
+   * @returns {Array} - Change dates after startKey and up to endKey, ascending
+   */
+  getChangeDates(startKey, endKey) {
+    const dates = new Set();
+    const periods = this.list();
+
+    periods.forEach((period, index) => {
+      dates.add(period.effectiveFrom);
+      // The latest period's rate carries forward, so its end is no change
+      if (index < periods.length - 1) {
+        dates.add(addDays(period.effectiveTo, 1));
+      }
+    });
+
+    return [...dates].filter((date) => date > startKey && date <= endKey).sort();
+  }
+
+  /**
+   * Resolves the period in effect on a date
+   * Ft stays at its latest published rate until the next period is announced,
+   * so dates after the last period resolve to that period, marked carriedForward.
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @returns {Object|null} - Period, or null if no Ft rate is published for the date
+   */
+  resolve(dateKey) {
+    const periods = this.list();
+    const period = periods.find((candidate) => candidate.effectiveFrom <= dateKey && dateKey <= candidate.effectiveTo);
+    if (period) {
+      return period;
+    }
+
+    const latest = periods[periods.length - 1];
+    return latest && latest.effectiveTo < dateKey ? { ...latest, carriedForward: true } : null;
+  }
+}
+
+// Create singleton instance
+const ftRateService = new FtRateService();
+
+module.exports = ftRateService;
@@ -0,0 +1,386 @@
+/**
+ * Holiday Calendar Service
+ * Thai public holidays observed as all-day off-peak under the TOU tariffs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JsonStore = require('../utils/json-store');
+const { isValidDateKey, addDays } = require('../utils/date-helpers');
+const { ConfigurationError } = require('../utils/error-handler');
+const { logger } = require('../utils/logger');
+
+const BUNDLED_CALENDAR_DIR = path.join(__dirname, '../config/holidays');
+const HOLIDAY_STORE_FILE = process.env.HOLIDAY_STORE_FILE || path.join(__dirname, '../../data/holidays.json');
+
+/**
+ * Unfolds ICS content lines (continuation lines start with a space or tab)
+ * @param {string} content - Raw ICS content
+ * @returns {Array} - Logical lines
+ */
+const unfoldIcsLines = (content) => {
+  return content
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+};
+
+/**
+ * Converts an ICS date value (YYYYMMDD or YYYYMMDDTHHMMSS) to YYYY-MM-DD
+ * @param {string} value - ICS date value
+ * @returns {string|null} - Date key, or null if malformed
+ */
+const icsValueToDateKey = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+class HolidayCalendarService {
+  /**
+   * Calendars and overrides saved through the admin API are kept per year in
+   * the store and applied over the bundled calendars at startup
+   * @param {string} calendarDir - Directory of bundled calendar files
+   * @param {string} storeFile - Path of the JSON file backing the store
+   */
+  constructor(calendarDir = BUNDLED_CALENDAR_DIR, storeFile = HOLIDAY_STORE_FILE) {
+    this.calendars = new Map();
+    this.overrides = new Map();
+    this.store = new JsonStore(storeFile);
+    this.loadDirectory(calendarDir);
+
+    if (process.env.HOLIDAY_CALENDAR_FILE) {
+      this.loadFromFile(process.env.HOLIDAY_CALENDAR_FILE);
+    }
+    this.loadStore();
+  }
+
+  /**
+   * Applies the stored calendars and overrides
+   */
+  loadStore() {
+    try {
+      for (const record of this.store.list()) {
+        if (record.calendar) {
+          this.loadCalendar(record.calendar);
+        }
+        for (const override of Object.values(record.overrides)) {
+          this.overrides.set(override.date, override);
+        }
+      }
+    } catch (error) {
+      throw new ConfigurationError(`Failed to load stored holiday calendars: ${error.message}`);
+    }
+  }
+
+  /**
+   * Changes the stored record of a year, removing it once it holds nothing
+   * @param {number} year - Calendar year
+   * @param {Function} change - Returns the updated record from the current one
+   */
+  _updateStoredYear(year, change) {
+    const key = String(year);
+    const record = change(this.store.get(key) || { year, calendar: null, overrides: {} });
+
+    if (!record.calendar && Object.keys(record.overrides).length === 0) {
+      this.store.remove(key);
+    } else {
+      this.store.set(key, record);
+    }
+  }
+
+  /**
+   * Loads every JSON and ICS calendar file in a directory
+   * @param {string} directory - Directory path
+   */
+  loadDirectory(directory) {
+    const files = fs.readdirSync(directory)
+      .filter((file) => /\.(json|ics)$/i.test(file))
+      .sort();
+
+    for (const file of files) {
+      this.loadFromFile(path.join(directory, file));
+    }
+  }
+
+  /**
+   * Loads a calendar file, replacing any calendar already loaded for the same year
+   * @param {string} filePath - Path to a .json or .ics file
+   * @returns {Array} - Loaded calendar summaries
+   */
+  loadFromFile(filePath) {
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const calendars = /\.ics$/i.test(filePath)
+        ? this.parseIcs(content, { version: path.basename(filePath, path.extname(filePath)), source: filePath })
+        : [JSON.parse(content)];
+
+      return calendars.map((calendar) => this.loadCalendar(calendar));
+    } catch (error) {
+      throw new ConfigurationError(`Failed to load holiday calendar ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parses ICS content into per-year calendars
+   * Multi-day events (DTEND is exclusive) are expanded into individual dates.
+   * @param {string} content - Raw ICS content
+   * @param {Object} options - { version, source } applied to every resulting year
+   * @returns {Array} - Calendars in the JSON calendar format
+   */
+  parseIcs(content, options = {}) {
+    const byYear = new Map();
+    let event = null;
+
+    for (const line of unfoldIcsLines(content)) {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+        continue;
+      }
+      if (line === 'END:VEVENT') {
+        if (!event.start) {
+          throw new Error('VEVENT is missing DTSTART');
+        }
+        const end = event.end || addDays(event.start, 1);
+        for (let date = event.start; date < end; date = addDays(date, 1)) {
+          const year = Number(date.slice(0, 4));
+          if (!byYear.has(year)) {
+            byYear.set(year, []);
+          }
+          byYear.get(year).push({ date, name: event.name || 'Public holiday' });
+        }
+        event = null;
+        continue;
+      }
+      if (!event) {
+        continue;
+      }
+
+      const separatorIndex = line.indexOf(':');
+      const property = line.slice(0, separatorIndex).split(';')[0].toUpperCase();
+      const value = line.slice(separatorIndex + 1);
+
+      if (property === 'DTSTART' || property === 'DTEND') {
+        const dateKey = icsValueToDateKey(value);
+        if (!dateKey || !isValidDateKey(dateKey)) {
+          throw new Error(`Invalid ${property} value: ${value}`);
+        }
+        event[property === 'DTSTART' ? 'start' : 'end'] = dateKey;
+      } else if (property === 'SUMMARY') {
+        event.name = value.replace(/\\([,;\\])/g, '$1');
+      }
+    }
+
+    return [...byYear.entries()].map(([year, holidays]) => ({
+      year,
+      version: options.version || `${year}.ics`,
+      source: options.source || 'ics',
+      holidays
+    }));
+  }
+
+  /**
+   * Validates and registers a year calendar
+   * @param {Object} calendar - { year, version, source, holidays: [{ date, name }] }
+   * @returns {Object} - Calendar summary { year, version, source, holidayCount }
+   */
+  loadCalendar(calendar) {
+    const { year, version, source, holidays } = calendar || {};
+
+    if (!Number.isInteger(year)) {
+      throw new Error('Calendar year must be an integer');
+    }
+    if (typeof version !== 'string' || version.trim() === '') {
+      throw new Error('Calendar version must be a non-empty string');
+    }
+    if (!Array.isArray(holidays)) {
+      throw new Error('Calendar holidays must be an array');
+    }
+
+    const dates = new Map();
+    for (const holiday of holidays) {
+      if (!holiday || !isValidDateKey(holiday.date)) {
+        throw new Error(`Invalid holiday date: ${holiday && holiday.date}`);
+      }
+      if (Number(holiday.date.slice(0, 4)) !== year) {
+        throw new Error(`Holiday ${holiday.date} does not belong to calendar year ${year}`);
+      }
+      dates.set(holiday.date, holiday.name || 'Public holiday');
+    }
+
+    this.calendars.set(year, { year, version, source: source || null, dates });
+    logger.debug('Holiday calendar loaded', { year, version, holidayCount: dates.size });
+
+    return { year, version, source: source || null, holidayCount: dates.size };
+  }
+
+  /**
+   * Registers a year calendar and stores it, so it outlives a restart
+   * @param {Object} calendar - { year, version, source, holidays: [{ date, name }] }
+   * @returns {Object} - Calendar summary { year, version, source, holidayCount }
+   */
+  saveCalendar(calendar) {
+    const summary = this.loadCalendar(calendar);
+    const { dates } = this.calendars.get(summary.year);
+
+    this._updateStoredYear(summary.year, (record) => ({
+      ...record,
+      calendar: {
+        year: summary.year,
+        version: summary.version,
+        source: summary.source,
+        holidays: [...dates].map(([date, name]) => ({ date, name }))
+      }
+    }));
+
+    return summary;
+  }
+
+  /**
+   * Lists loaded calendar years
+   * @returns {Array} - Calendar summaries sorted by year
+   */
+  listCalendars() {
+    return [...this.calendars.values()]
+      .sort((a, b) => a.year - b.year)
+      .map(({ year, version, source, dates }) => ({
+        year,
+        version,
+        source,
+        holidayCount: dates.size,
+        overrideCount: this.getOverrides(year).length
+      }));
+  }
+
+  /**
+   * Gets the calendar version in use for a year
+   * @param {number} year - Calendar year
+   * @returns {string|null} - Version, or null if no calendar is loaded for the year
+   */
+  getVersion(year) {
+    const calendar = this.calendars.get(year);
+    return calendar ? calendar.version : null;
+  }
+
+  /**
+   * Gets overrides for a year
+   * @param {number} year - Calendar year
+   * @returns {Array} - Overrides sorted by date
+   */
+  getOverrides(year) {
+    return [...this.overrides.values()]
+      .filter((override) => override.date.startsWith(`${year}-`))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Gets the effective holidays for a year, with overrides applied
+   * @param {number} year - Calendar year
+   * @returns {Object|null} - { year, version, source, holidays, overrides }, or null if unknown year without overrides
+   */
+  getHolidays(year) {
+    const calendar = this.calendars.get(year);
+    const overrides = this.getOverrides(year);
+
+    if (!calendar && overrides.length === 0) {
+      return null;
+    }
+
+    const holidays = new Map();
+    if (calendar) {
+      for (const [date, name] of calendar.dates) {
+        holidays.set(date, { date, name, source: 'calendar' });
+      }
+    }
+    for (const override of overrides) {
+      if (override.isHoliday) {
+        holidays.set(override.date, { date: override.date, name: override.name, source: 'override' });
+      } else {
+        holidays.delete(override.date);
+      }
+    }
+
+    return {
+      year,
+      version: calendar ? calendar.version : null,
+      source: calendar ? calendar.source : null,
+      holidays: [...holidays.values()].sort((a, b) => a.date.localeCompare(b.date)),
+      overrides
+    };
+  }
+
+  /**
+   * Checks whether a date is a holiday
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @returns {boolean} - True if the date is an off-peak holiday
+   */
+  isHoliday(dateKey) {
+    const override = this.overrides.get(dateKey);
+    if (override) {
+      return override.isHoliday;
+    }
+
+    const calendar = this.calendars.get(Number(dateKey.slice(0, 4)));
+    return calendar ? calendar.dates.has(dateKey) : false;
+  }
+
+  /**
+   * Gets the holiday name for a date
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @returns {string|null} - Holiday name, or null if not a holiday
+   */
+  getHolidayName(dateKey) {
+    if (!this.isHoliday(dateKey)) {
+      return null;
+    }
+
+    const override = this.overrides.get(dateKey);
+    if (override) {
+      return override.name;
+    }
+    return this.calendars.get(Number(dateKey.slice(0, 4))).dates.get(dateKey);
+  }
+
+  /**
+   * Adds or replaces an override for a single date
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @param {Object} override - { isHoliday, name }
+   * @returns {Object} - Stored override
+   */
+  setOverride(dateKey, { isHoliday, name }) {
+    const override = {
+      date: dateKey,
+      isHoliday,
+      name: isHoliday ? (name || 'Public holiday') : null
+    };
+    this.overrides.set(dateKey, override);
+    this._updateStoredYear(Number(dateKey.slice(0, 4)), (record) => ({
+      ...record,
+      overrides: { ...record.overrides, [dateKey]: override }
+    }));
+    return override;
+  }
+
+  /**
+   * Removes an override
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @returns {boolean} - True if an override was removed
+   */
+  removeOverride(dateKey) {
+    if (!this.overrides.delete(dateKey)) {
+      return false;
+    }
+
+    this._updateStoredYear(Number(dateKey.slice(0, 4)), (record) => {
+      const { [dateKey]: removed, ...overrides } = record.overrides;
+      return { ...record, overrides };
+    });
+    return true;
+  }
+}
+
+// Create singleton instance
+const holidayCalendarService = new HolidayCalendarService();
+
+module.exports = holidayCalendarService;
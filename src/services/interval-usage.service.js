@@ -0,0 +1,197 @@
+/**
+ * Interval Usage Service
+ * Derives TOU/TOD usage buckets from interval meter readings
+ */
+
+const { DEFAULT_INTERVAL_MINUTES } = require('../utils/constants');
+const { parseTimestamp, toLocalDateParts, formatLocalTimestamp, getIntervalStart } = require('../utils/date-helpers');
+const { PERIODS, classifyTouPeriod, classifyTodPeriod } = require('../utils/tariff-periods');
+const { roundToDecimals } = require('../utils/calculation-helpers');
+const holidayCalendarService = require('./holiday-calendar.service');
+
+// Calculation types billed on energy only (no demand charge)
+const ENERGY_ONLY_CALCULATION_TYPES = ['type-2'];
+
+/**
+ * Creates empty usage buckets for the given periods
+ * @param {Array} periods - Period keys
+ * @returns {Object} - Buckets keyed by period
+ */
+const createBuckets = (periods) => {
+  const buckets = {};
+  for (const period of periods) {
+    buckets[period] = { kwh: 0, maxKw: 0, intervalCount: 0 };
+  }
+  return buckets;
+};
+
+/**
+ * Adds an interval to a bucket
+ * @param {Object} bucket - Bucket to update
+ * @param {number} kwh - Interval energy
+ * @param {number} demandKw - Interval average demand
+ */
+const addToBucket = (bucket, kwh, demandKw) => {
+  bucket.kwh += kwh;
+  bucket.maxKw = Math.max(bucket.maxKw, demandKw);
+  bucket.intervalCount += 1;
+};
+
+/**
+ * Rounds bucket values for output
+ * @param {Object} buckets - Buckets keyed by period
+ * @returns {Object} - Rounded buckets
+ */
+const formatBuckets = (buckets) => {
+  const formatted = {};
+  for (const [period, bucket] of Object.entries(buckets)) {
+    formatted[period] = {
+      kwh: roundToDecimals(bucket.kwh, 3),
+      maxKw: roundToDecimals(bucket.maxKw, 3),
+      intervalCount: bucket.intervalCount
+    };
+  }
+  return formatted;
+};
+
+class IntervalUsageService {
+  /**
+   * Summarizes interval readings into TOU and TOD buckets
+   * Demand is the average kW over each interval, so 30 and 60 minute data
+   * yields the average over that interval rather than a true 15 minute peak.
+   * TOU classification consults the holiday calendar; a null entry in
+   * holidayCalendarVersions means no calendar is loaded for that year.
+   * @param {Array} readings - [{ timestamp, kwh }] with timestamps in Thailand local time unless offset given
+   * @param {Object} options - { intervalMinutes, timestampAt: 'start' | 'end', dateRange: { start, end } }
+   *   dateRange limits the summary to intervals starting on those local dates (inclusive)
+   * @returns {Object} - Interval summary with totals and per-period buckets
+   */
+  summarize(readings, options = {}) {
+    const intervalMinutes = options.intervalMinutes || DEFAULT_INTERVAL_MINUTES;
+    const startOffsetMs = options.timestampAt === 'end' ? intervalMinutes * 60000 : 0;
+    const intervalHours = intervalMinutes / 60;
+    const { dateRange } = options;
+
+    const intervals = readings
+      .map((reading) => ({
+        start: new Date(parseTimestamp(reading.timestamp).getTime() - startOffsetMs),
+        kwh: reading.kwh
+      }))
+      .filter((interval) => {
+        if (!dateRange) {
+          return true;
+        }
+        const { dateKey } = toLocalDateParts(interval.start);
+        return dateRange.start <= dateKey && dateKey <= dateRange.end;
+      })
+      .sort((a, b) => a.start - b.start);
+
+    const tou = createBuckets([PERIODS.ON_PEAK, PERIODS.OFF_PEAK]);
+    const tod = createBuckets([PERIODS.ON_PEAK, PERIODS.PARTIAL_PEAK, PERIODS.OFF_PEAK]);
+    const holidays = new Map();
+    const calendarVersions = {};
+    const isHoliday = (dateKey) => holidayCalendarService.isHoliday(dateKey);
+    let totalKwh = 0;
+    let peakKw = 0;
+
+    for (const interval of intervals) {
+      const localParts = toLocalDateParts(interval.start);
+      const demandKw = interval.kwh / intervalHours;
+
+      if (!(localParts.year in calendarVersions)) {
+        calendarVersions[localParts.year] = holidayCalendarService.getVersion(localParts.year);
+      }
+      if (!holidays.has(localParts.dateKey) && isHoliday(localParts.dateKey)) {
+        holidays.set(localParts.dateKey, holidayCalendarService.getHolidayName(localParts.dateKey));
+      }
+
+      addToBucket(tou[classifyTouPeriod(localParts, { isHoliday })], interval.kwh, demandKw);
+      addToBucket(tod[classifyTodPeriod(localParts)], interval.kwh, demandKw);
+      totalKwh += interval.kwh;
+      peakKw = Math.max(peakKw, demandKw);
+    }
+
+    const firstInterval = intervals[0];
+    const lastInterval = intervals[intervals.length - 1];
+
+    return {
+      intervalMinutes,
+      intervalCount: intervals.length,
+      periodStart: firstInterval ? formatLocalTimestamp(firstInterval.start) : null,
+      periodEnd: lastInterval
+        ? formatLocalTimestamp(new Date(lastInterval.start.getTime() + intervalMinutes * 60000))
+        : null,
+      totalKwh: roundToDecimals(totalKwh, 3),
+      peakKw: roundToDecimals(peakKw, 3),
+      tou: formatBuckets(tou),
+      tod: formatBuckets(tod),
+      holidays: [...holidays.entries()].map(([date, name]) => ({ date, name })),
+      holidayCalendarVersions: calendarVersions
+    };
+  }
+
+  /**
+   * Splits interval readings by whether each interval starts inside a window
+   * @param {Array} readings - [{ timestamp, kwh }]
+   * @param {Array} windows - [{ start, end }] ISO 8601 timestamps, end exclusive
+   * @param {Object} options - { intervalMinutes, timestampAt: 'start' | 'end' }
+   * @returns {Object} - { inside, outside } readings
+   */
+  splitByWindows(readings, windows, options = {}) {
+    const ranges = windows.map((window) => ({ start: parseTimestamp(window.start), end: parseTimestamp(window.end) }));
+    const inside = [];
+    const outside = [];
+
+    for (const reading of readings) {
+      const start = getIntervalStart(reading.timestamp, options);
+      const isInside = ranges.some((range) => range.start <= start && start < range.end);
+      (isInside ? inside : outside).push(reading);
+    }
+
+    return { inside, outside };
+  }
+
+  /**
+   * Builds the usage object expected by the calculators from an interval summary
+   * @param {Object} summary - Result of summarize()
+   * @param {string} calculationType - Calculation type (type-2, type-3, etc.)
+   * @param {string} tariffType - Tariff type (normal, tou, tod)
+   * @returns {Object} - Usage object
+   */
+  buildUsage(summary, calculationType, tariffType) {
+    const includeDemand = !ENERGY_ONLY_CALCULATION_TYPES.includes(calculationType);
+    const { tou, tod } = summary;
+
+    if (tariffType === 'tod') {
+      return {
+        on_peak_kw: tod.on_peak.maxKw,
+        partial_peak_kw: tod.partial_peak.maxKw,
+        off_peak_kw: tod.off_peak.maxKw,
+        total_kwh: summary.totalKwh
+      };
+    }
+
+    if (tariffType === 'tou') {
+      const usage = {
+        on_peak_kwh: tou.on_peak.kwh,
+        off_peak_kwh: tou.off_peak.kwh
+      };
+      if (includeDemand) {
+        usage.on_peak_kw = tou.on_peak.maxKw;
+        usage.off_peak_kw = tou.off_peak.maxKw;
+      }
+      return usage;
+    }
+
+    const usage = { total_kwh: summary.totalKwh };
+    if (includeDemand) {
+      usage.peak_kw = summary.peakKw;
+    }
+    return usage;
+  }
+}
+
+// Create singleton instance
+const intervalUsageService = new IntervalUsageService();
+
+module.exports = intervalUsageService;
@@ -0,0 +1,242 @@
+/**
+ * Load Shifting Service
+ * Schedules flexible loads into the cheapest TOU or TOD periods of a load profile
+ */
+
+const { DEFAULT_INTERVAL_MINUTES } = require('../utils/constants');
+const {
+  parseTimestamp,
+  toLocalDateParts,
+  getIntervalStart,
+  formatLocalTimestamp,
+  parseTimeOfDay
+} = require('../utils/date-helpers');
+const { getPeriodClassifier } = require('../utils/tariff-periods');
+const { roundToDecimals } = require('../utils/calculation-helpers');
+const { ValidationError } = require('../utils/error-handler');
+const holidayCalendarService = require('./holiday-calendar.service');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Tolerance for comparing run costs and for taking runs out of metered readings
+const EPSILON = 1e-9;
+
+/**
+ * Lists the times of day a flexible load may start
+ * Starts fall on interval boundaries and the whole run must fit inside one
+ * window. A window running past midnight also offers the starts in its
+ * part after midnight, as the previous day's window.
+ * @param {Object} load - Flexible load
+ * @param {number} intervalMinutes - Interval length (minutes)
+ * @returns {Array} - Start times in minutes from midnight, ascending
+ */
+const getCandidateStarts = (load, intervalMinutes) => {
+  const windows = load.windows || [{ start: '00:00', end: '24:00' }];
+  const starts = new Set();
+
+  for (const window of windows) {
+    const start = parseTimeOfDay(window.start);
+    const windowEnd = parseTimeOfDay(window.end);
+    const end = windowEnd > start ? windowEnd : windowEnd + MINUTES_PER_DAY;
+
+    for (const dayOffset of [-MINUTES_PER_DAY, 0]) {
+      const from = Math.max(0, start + dayOffset);
+      for (let minute = Math.ceil(from / intervalMinutes) * intervalMinutes;
+        minute < MINUTES_PER_DAY && minute + load.durationMinutes <= end + dayOffset;
+        minute += intervalMinutes) {
+        starts.add(minute);
+      }
+    }
+  }
+
+  return [...starts].sort((a, b) => a - b);
+};
+
+class LoadShiftingService {
+  /**
+   * Moves flexible loads into the cheapest periods their windows allow
+   * The readings are the metered load with each flexible load running daily
+   * from its currentStart. Every run is first taken out of the profile, then
+   * the runs are placed back one at a time, largest load first, at the start
+   * that adds the least energy cost and billed period demand to the profile
+   * so far. A run costing no more where it already is stays put; between
+   * equally cheap starts the one with the lower resulting peak is taken.
+   * Days whose current run is not fully covered by the readings are left as
+   * metered.
+   * @param {Array} readings - Load readings [{ timestamp, kwh }]
+   * @param {Array} loads - Flexible loads [{ id, kw, durationMinutes, currentStart, windows }]
+   * @param {Object} rates - { energy, demand } rates keyed by period
+   * @param {Object} options - { intervalMinutes, timestampAt, tariffType }
+   * @returns {Object} - { readings, schedule, summary } where readings are the shifted load
+   * @throws {ValidationError} - If a flexible load draws more than the metered load in an interval
+   */
+  optimize(readings, loads, rates, options = {}) {
+    const intervalMinutes = options.intervalMinutes || DEFAULT_INTERVAL_MINUTES;
+    const intervalHours = intervalMinutes / 60;
+    const classifyPeriod = getPeriodClassifier(options.tariffType, {
+      isHoliday: (dateKey) => holidayCalendarService.isHoliday(dateKey)
+    });
+
+    const intervals = readings.map((reading) => {
+      const start = getIntervalStart(reading.timestamp, options);
+      const localParts = toLocalDateParts(start);
+      return { timestamp: reading.timestamp, start, dateKey: localParts.dateKey, period: classifyPeriod(localParts) };
+    });
+    const indexByStart = new Map(intervals.map((interval, index) => [interval.start.getTime(), index]));
+    const dates = [...new Set(intervals.map((interval) => interval.dateKey))].sort();
+    const profileKwh = readings.map((reading) => reading.kwh);
+
+    // Intervals a run starting at a minute of a day covers, or null if the readings miss any
+    const getRunIndexes = (dateKey, startMinute, durationMinutes) => {
+      const dayStart = parseTimestamp(dateKey).getTime();
+      const indexes = [];
+      for (let minute = startMinute; minute < startMinute + durationMinutes; minute += intervalMinutes) {
+        const index = indexByStart.get(dayStart + minute * 60000);
+        if (index === undefined) {
+          return null;
+        }
+        indexes.push(index);
+      }
+      return indexes;
+    };
+
+    const runs = [];
+    loads.forEach((load, loadIndex) => {
+      const currentStart = parseTimeOfDay(load.currentStart);
+      const runKwh = load.kw * intervalHours;
+
+      for (const dateKey of dates) {
+        const indexes = getRunIndexes(dateKey, currentStart, load.durationMinutes);
+        if (!indexes) {
+          continue;
+        }
+        for (const index of indexes) {
+          if (profileKwh[index] - runKwh < -EPSILON) {
+            throw new ValidationError(
+              `flexibleLoads[${loadIndex}] draws more than the metered load at ${formatLocalTimestamp(intervals[index].start)}`,
+              'flexibleLoads'
+            );
+          }
+          profileKwh[index] = Math.max(profileKwh[index] - runKwh, 0);
+        }
+        runs.push({ load, loadIndex, dateKey, currentStart, currentIndexes: indexes, runKwh });
+      }
+    });
+
+    const periodPeakKw = {};
+    const raisePeaks = (indexes) => {
+      for (const index of indexes) {
+        const { period } = intervals[index];
+        periodPeakKw[period] = Math.max(periodPeakKw[period] || 0, profileKwh[index] / intervalHours);
+      }
+    };
+    raisePeaks(intervals.map((interval, index) => index));
+
+    // Energy cost and billed demand increase of adding a run, with the highest kW it leaves
+    const evaluateRun = (indexes, runKwh) => {
+      let cost = 0;
+      let peakKw = 0;
+      const runPeakKw = {};
+      for (const index of indexes) {
+        const { period } = intervals[index];
+        const kw = (profileKwh[index] + runKwh) / intervalHours;
+        cost += runKwh * (rates.energy[period] || 0);
+        runPeakKw[period] = Math.max(runPeakKw[period] || 0, kw);
+        peakKw = Math.max(peakKw, kw);
+      }
+      for (const [period, kw] of Object.entries(runPeakKw)) {
+        cost += Math.max(kw - (periodPeakKw[period] || 0), 0) * (rates.demand[period] || 0);
+      }
+      return { cost, peakKw };
+    };
+
+    const placeOrder = [...runs].sort((a, b) =>
+      b.load.kw - a.load.kw || a.loadIndex - b.loadIndex || a.dateKey.localeCompare(b.dateKey));
+    const candidateStarts = loads.map((load) => getCandidateStarts(load, intervalMinutes));
+
+    for (const run of placeOrder) {
+      let best = null;
+      for (const startMinute of candidateStarts[run.loadIndex]) {
+        const indexes = getRunIndexes(run.dateKey, startMinute, run.load.durationMinutes);
+        if (!indexes) {
+          continue;
+        }
+        const candidate = { startMinute, indexes, ...evaluateRun(indexes, run.runKwh) };
+        if (!best || candidate.cost < best.cost - EPSILON ||
+          (candidate.cost <= best.cost + EPSILON && candidate.peakKw < best.peakKw - EPSILON)) {
+          best = candidate;
+        }
+      }
+
+      const current = { startMinute: run.currentStart, indexes: run.currentIndexes, ...evaluateRun(run.currentIndexes, run.runKwh) };
+      const stays = !best || (candidateStarts[run.loadIndex].includes(run.currentStart) && current.cost <= best.cost + EPSILON);
+      const placement = stays ? current : best;
+
+      for (const index of placement.indexes) {
+        profileKwh[index] += run.runKwh;
+      }
+      raisePeaks(placement.indexes);
+      run.placement = placement;
+    }
+
+    const periods = Object.keys(rates.energy);
+    const emptyPeriods = () => Object.fromEntries(periods.map((period) => [period, 0]));
+    const kwhBefore = emptyPeriods();
+    const kwhAfter = emptyPeriods();
+    const schedule = loads.map((load) => ({
+      id: load.id,
+      kw: load.kw,
+      durationMinutes: load.durationMinutes,
+      currentStart: load.currentStart,
+      runs: [],
+      movedRuns: 0,
+      shiftedKwh: 0
+    }));
+
+    for (const run of runs) {
+      const entry = schedule[run.loadIndex];
+      const moved = run.placement.startMinute !== run.currentStart;
+      for (const index of run.currentIndexes) {
+        kwhBefore[intervals[index].period] += run.runKwh;
+      }
+      for (const index of run.placement.indexes) {
+        kwhAfter[intervals[index].period] += run.runKwh;
+      }
+
+      entry.runs.push({
+        date: run.dateKey,
+        currentStart: formatLocalTimestamp(intervals[run.currentIndexes[0]].start),
+        optimizedStart: formatLocalTimestamp(intervals[run.placement.indexes[0]].start),
+        moved
+      });
+      if (moved) {
+        entry.movedRuns += 1;
+        entry.shiftedKwh += run.runKwh * run.currentIndexes.length;
+      }
+    }
+
+    const roundPeriods = (kwh) => Object.fromEntries(
+      Object.entries(kwh).map(([period, value]) => [period, roundToDecimals(value, 3)])
+    );
+    const peakKwOf = (kwhValues) => roundToDecimals(Math.max(...kwhValues) / intervalHours, 3);
+
+    return {
+      readings: intervals.map((interval, index) => ({ timestamp: interval.timestamp, kwh: profileKwh[index] })),
+      schedule: schedule.map((entry) => ({ ...entry, shiftedKwh: roundToDecimals(entry.shiftedKwh, 3) })),
+      summary: {
+        runCount: runs.length,
+        movedRuns: schedule.reduce((sum, entry) => sum + entry.movedRuns, 0),
+        shiftedKwh: roundToDecimals(schedule.reduce((sum, entry) => sum + entry.shiftedKwh, 0), 3),
+        flexibleKwhBefore: roundPeriods(kwhBefore),
+        flexibleKwhAfter: roundPeriods(kwhAfter),
+        peakKwBefore: peakKwOf(readings.map((reading) => reading.kwh)),
+        peakKwAfter: peakKwOf(profileKwh)
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const loadShiftingService = new LoadShiftingService();
+
+module.exports = loadShiftingService;
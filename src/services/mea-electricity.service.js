@@ -8,7 +8,7 @@ const { MEA_RATES, MEA_SERVICE_CHARGE } = require('../config/mea-rates');
 
 class MEAElectricityService extends BaseElectricityService {
   constructor() {
-    super(MEA_RATES, MEA_SERVICE_CHARGE);
+    super(MEA_RATES, MEA_SERVICE_CHARGE, 'mea');
   }
 
   /**
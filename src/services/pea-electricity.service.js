@@ -8,7 +8,7 @@ const { PEA_RATES } = require('../config/pea-rates');
 
 class PEAElectricityService extends BaseElectricityService {
   constructor() {
-    super(PEA_RATES);
+    super(PEA_RATES, null, 'pea');
   }
 
   /**
@@ -0,0 +1,90 @@
+/**
+ * Power Factor Service
+ * Analyzes the power factor penalty and sizes a capacitor bank to remove it
+ */
+
+const { PF_PENALTY_RATE, PF_THRESHOLD_FACTOR, DEFAULT_CAPACITOR_STEP_KVAR } = require('../utils/constants');
+const { calculatePowerFactorCharge, roundToDecimals } = require('../utils/calculation-helpers');
+
+const MONTHS_PER_YEAR = 12;
+
+/**
+ * Calculates the power factor from real and reactive power
+ * @param {number} kw - Real power (kW)
+ * @param {number} kvar - Reactive power (kVAR)
+ * @returns {number} - Power factor (0-1)
+ */
+const getPowerFactor = (kw, kvar) => kw / Math.sqrt(kw * kw + kvar * kvar);
+
+class PowerFactorService {
+  /**
+   * Analyzes a month's power factor penalty and the capacitor bank that removes it
+   * The penalty is charged per whole kVAR above PF_THRESHOLD_FACTOR x peak kW,
+   * so the bank is sized to bring kVAR down to that allowance, or to the
+   * targetPowerFactor when one is given, rounded up to whole steps. The annual
+   * penalty assumes every month matches this one. Amounts exclude VAT.
+   * @param {Object} input - { peakKw, peakKvar, targetPowerFactor, stepKvar, costPerKvar }
+   * @returns {Object} - Power factor, penalty, capacitor bank, savings and payback
+   */
+  analyze(input) {
+    const { peakKw, peakKvar, targetPowerFactor, stepKvar = DEFAULT_CAPACITOR_STEP_KVAR, costPerKvar } = input;
+    const allowedKvar = peakKw * PF_THRESHOLD_FACTOR;
+    const monthlyPenalty = calculatePowerFactorCharge(peakKvar, peakKw);
+
+    const targetKvar = targetPowerFactor !== undefined
+      ? peakKw * Math.tan(Math.acos(targetPowerFactor))
+      : allowedKvar;
+    // Without a target, correction is only needed while a penalty is charged
+    const requiredKvar = targetPowerFactor !== undefined || monthlyPenalty > 0
+      ? Math.max(0, peakKvar - targetKvar)
+      : 0;
+    const steps = Math.ceil(roundToDecimals(requiredKvar / stepKvar, 6));
+    const bankKvar = steps * stepKvar;
+
+    const correctedKvar = Math.max(0, peakKvar - bankKvar);
+    const remainingMonthlyPenalty = calculatePowerFactorCharge(correctedKvar, peakKw);
+    const monthlySavings = monthlyPenalty - remainingMonthlyPenalty;
+    const bankCost = costPerKvar !== undefined ? bankKvar * costPerKvar : null;
+    const hasPayback = bankCost !== null && monthlySavings > 0;
+
+    return {
+      peakKw,
+      peakKvar,
+      powerFactor: roundToDecimals(getPowerFactor(peakKw, peakKvar), 4),
+      thresholdPowerFactor: roundToDecimals(getPowerFactor(1, PF_THRESHOLD_FACTOR), 4),
+      allowedKvar: roundToDecimals(allowedKvar, 3),
+      excessKvar: roundToDecimals(Math.max(0, peakKvar - allowedKvar), 3),
+      penaltyRatePerKvar: PF_PENALTY_RATE,
+      monthlyPenalty: roundToDecimals(monthlyPenalty, 2),
+      annualPenalty: roundToDecimals(monthlyPenalty * MONTHS_PER_YEAR, 2),
+      capacitorBank: {
+        targetPowerFactor: targetPowerFactor !== undefined ? targetPowerFactor : null,
+        requiredKvar: roundToDecimals(requiredKvar, 3),
+        stepKvar,
+        steps,
+        bankKvar,
+        correctedKvar: roundToDecimals(correctedKvar, 3),
+        correctedPowerFactor: roundToDecimals(getPowerFactor(peakKw, correctedKvar), 4),
+        remainingMonthlyPenalty: roundToDecimals(remainingMonthlyPenalty, 2),
+        costPerKvar: costPerKvar !== undefined ? costPerKvar : null,
+        cost: bankCost !== null ? roundToDecimals(bankCost, 2) : null
+      },
+      savings: {
+        monthly: roundToDecimals(monthlySavings, 2),
+        annual: roundToDecimals(monthlySavings * MONTHS_PER_YEAR, 2)
+      },
+      // Simple payback from the penalty avoided; null without a cost per kVAR or any savings
+      payback: hasPayback
+        ? {
+          months: roundToDecimals(bankCost / monthlySavings, 1),
+          years: roundToDecimals(bankCost / (monthlySavings * MONTHS_PER_YEAR), 2)
+        }
+        : null
+    };
+  }
+}
+
+// Create singleton instance
+const powerFactorService = new PowerFactorService();
+
+module.exports = powerFactorService;
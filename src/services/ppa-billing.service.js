@@ -0,0 +1,121 @@
+/**
+ * PPA Billing Service
+ * Prices power purchase agreement bills as discounts off the grid tariff
+ */
+
+const { PPA_COMPONENTS } = require('../utils/constants');
+const { calculateVAT, roundToDecimals, getUsageTotalKwh } = require('../utils/calculation-helpers');
+
+/**
+ * Splits a grid bill into the components a PPA contract discounts
+ * Demand is the effective (post-minimum) demand charge, net of any
+ * interruptible-rate lines.
+ * @param {Object} bill - Grid calculation result
+ * @returns {Object} - Amounts keyed by component
+ */
+const extractComponents = (bill) => ({
+  energy: bill.energyCharge || 0,
+  demand: (bill.effectiveDemandCharge || 0) + (bill.interruptiblePenalty || 0) - (bill.interruptibleDiscount || 0),
+  pf: bill.pfCharge || 0,
+  service: bill.serviceCharge || 0,
+  ft: bill.ftCharge || 0
+});
+
+/**
+ * Sums component amounts
+ * @param {Object} components - Amounts keyed by component
+ * @returns {number} - Total
+ */
+const sumComponents = (components) => Object.values(components).reduce((total, amount) => total + amount, 0);
+
+/**
+ * Rounds every amount in an object to satang
+ * @param {Object} amounts - Amounts keyed by name
+ * @returns {Object} - Rounded amounts
+ */
+const roundAmounts = (amounts) => {
+  const rounded = {};
+  for (const [key, value] of Object.entries(amounts)) {
+    rounded[key] = roundToDecimals(value, 2);
+  }
+  return rounded;
+};
+
+class PpaBillingService {
+  /**
+   * Gets the discount percentage for each component
+   * A component discount overrides the contract-wide discountPercent.
+   * @param {Object} contract - { discountPercent, componentDiscounts }
+   * @returns {Object} - Discount percentages keyed by component
+   */
+  getDiscounts(contract) {
+    const componentDiscounts = contract.componentDiscounts || {};
+    const discounts = {};
+
+    for (const component of PPA_COMPONENTS) {
+      discounts[component] = componentDiscounts[component] !== undefined
+        ? componentDiscounts[component]
+        : (contract.discountPercent || 0);
+    }
+
+    return discounts;
+  }
+
+  /**
+   * Prices a PPA bill against a grid reference bill
+   * The floor price sets a minimum PPA amount per kWh before VAT.
+   * @param {Object} referenceBill - Grid calculation result for the same usage
+   * @param {Object} usage - Usage object the reference bill was calculated from
+   * @param {Object} contract - { discountPercent, componentDiscounts, floorPricePerKwh }
+   * @returns {Object} - { gridEquivalent, ppaBill, savings }
+   */
+  calculate(referenceBill, usage, contract) {
+    const gridComponents = extractComponents(referenceBill);
+    const discounts = this.getDiscounts(contract);
+    const totalKwh = getUsageTotalKwh(usage);
+
+    const ppaComponents = {};
+    for (const component of PPA_COMPONENTS) {
+      ppaComponents[component] = gridComponents[component] * (1 - discounts[component] / 100);
+    }
+
+    const gridSubTotal = sumComponents(gridComponents);
+    const gridVat = calculateVAT(gridSubTotal);
+    const gridGrandTotal = gridSubTotal + gridVat;
+
+    const discountedSubTotal = sumComponents(ppaComponents);
+    const floorAmount = contract.floorPricePerKwh !== undefined ? totalKwh * contract.floorPricePerKwh : null;
+    const floorApplied = floorAmount !== null && floorAmount > discountedSubTotal;
+    const ppaSubTotal = floorApplied ? floorAmount : discountedSubTotal;
+    const ppaVat = calculateVAT(ppaSubTotal);
+    const ppaGrandTotal = ppaSubTotal + ppaVat;
+
+    const savingsAmount = gridGrandTotal - ppaGrandTotal;
+
+    return {
+      gridEquivalent: {
+        components: roundAmounts(gridComponents),
+        ...roundAmounts({ subTotal: gridSubTotal, vat: gridVat, grandTotal: gridGrandTotal })
+      },
+      ppaBill: {
+        discounts,
+        components: roundAmounts(ppaComponents),
+        discountedSubTotal: roundToDecimals(discountedSubTotal, 2),
+        floorPricePerKwh: contract.floorPricePerKwh !== undefined ? contract.floorPricePerKwh : null,
+        floorAmount: floorAmount !== null ? roundToDecimals(floorAmount, 2) : null,
+        floorApplied,
+        ...roundAmounts({ subTotal: ppaSubTotal, vat: ppaVat, grandTotal: ppaGrandTotal }),
+        effectiveRatePerKwh: totalKwh > 0 ? roundToDecimals(ppaSubTotal / totalKwh, 4) : null
+      },
+      savings: {
+        amount: roundToDecimals(savingsAmount, 2),
+        percent: gridGrandTotal > 0 ? roundToDecimals((savingsAmount / gridGrandTotal) * 100, 2) : 0
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const ppaBillingService = new PpaBillingService();
+
+module.exports = ppaBillingService;
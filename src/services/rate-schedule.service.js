@@ -0,0 +1,158 @@
+/**
+ * Rate Schedule Service
+ * Registry of effective-dated rate table versions per provider
+ */
+
+const { MEA_RATE_SCHEDULES, PEA_RATE_SCHEDULES } = require('../config/rate-schedules');
+const { isValidDateKey, addDays } = require('../utils/date-helpers');
+
+/**
+ * Checks whether a version is in effect on a date
+ * @param {Object} version - Rate schedule version
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {boolean} - True if in effect
+ */
+const isInEffect = (version, dateKey) => {
+  return version.effectiveFrom <= dateKey && (version.effectiveTo === null || dateKey <= version.effectiveTo);
+};
+
+/**
+ * Describes a version without its rate table
+ * @param {Object} version - Rate schedule version
+ * @returns {Object} - { id, label, effectiveFrom, effectiveTo }
+ */
+const describeVersion = ({ id, label, effectiveFrom, effectiveTo }) => ({ id, label, effectiveFrom, effectiveTo });
+
+class RateScheduleService {
+  constructor() {
+    this.schedules = new Map();
+
+    for (const version of MEA_RATE_SCHEDULES) {
+      this.register('mea', version);
+    }
+    for (const version of PEA_RATE_SCHEDULES) {
+      this.register('pea', version);
+    }
+  }
+
+  /**
+   * Registers a rate table version
+   * An open-ended version that starts before the new one is closed the day
+   * before the new version takes effect; any other overlap is rejected.
+   * @param {string} provider - Provider (mea or pea)
+   * @param {Object} version - { id, label, effectiveFrom, effectiveTo, rates, serviceCharge }
+   * @returns {Object} - Version description
+   */
+  register(provider, version) {
+    const { id, effectiveFrom, effectiveTo = null, rates } = version;
+
+    if (!id) {
+      throw new Error('Rate schedule id is required');
+    }
+    if (!isValidDateKey(effectiveFrom)) {
+      throw new Error(`Rate schedule ${id} has an invalid effectiveFrom: ${effectiveFrom}`);
+    }
+    if (effectiveTo !== null && (!isValidDateKey(effectiveTo) || effectiveTo < effectiveFrom)) {
+      throw new Error(`Rate schedule ${id} has an invalid effectiveTo: ${effectiveTo}`);
+    }
+    if (!rates || typeof rates !== 'object') {
+      throw new Error(`Rate schedule ${id} has no rate table`);
+    }
+
+    const candidate = { label: null, serviceCharge: null, ...version, effectiveTo };
+    const versions = (this.schedules.get(provider) || []).map((existing) => {
+      if (existing.effectiveTo === null && existing.effectiveFrom < effectiveFrom) {
+        return { ...existing, effectiveTo: addDays(effectiveFrom, -1) };
+      }
+      return existing;
+    });
+
+    for (const existing of versions) {
+      if (existing.id === id) {
+        throw new Error(`Rate schedule ${id} is already registered`);
+      }
+      const overlaps = existing.effectiveFrom <= (effectiveTo || '9999-12-31') &&
+        effectiveFrom <= (existing.effectiveTo || '9999-12-31');
+      if (overlaps) {
+        throw new Error(`Rate schedule ${id} overlaps ${existing.id}`);
+      }
+    }
+
+    this.schedules.set(
+      provider,
+      [...versions, candidate].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))
+    );
+
+    return describeVersion(candidate);
+  }
+
+  /**
+   * Describes a version without its rate table, for inclusion in responses
+   * @param {Object} version - Rate schedule version
+   * @returns {Object} - { id, label, effectiveFrom, effectiveTo }
+   */
+  describe(version) {
+    return describeVersion(version);
+  }
+
+  /**
+   * Lists versions for a provider
+   * @param {string} provider - Provider (mea or pea)
+   * @returns {Array} - Version descriptions ordered by effectiveFrom
+   */
+  listVersions(provider) {
+    return (this.schedules.get(provider) || []).map(describeVersion);
+  }
+
+  /**
+   * Gets a version by id
+   * @param {string} provider - Provider (mea or pea)
+   * @param {string} id - Version id
+   * @returns {Object|null} - Version including its rate table, or null if unknown
+   */
+  getVersion(provider, id) {
+    return (this.schedules.get(provider) || []).find((version) => version.id === id) || null;
+  }
+
+  /**
+   * Gets the dates inside a period on which the rate table changes
+   * @param {string} provider - Provider (mea or pea)
+   * @param {string} startKey - Period start (YYYY-MM-DD, inclusive)
+   * @param {string} endKey - Period end (YYYY-MM-DD, inclusive)
+   * @returns {Array} - Change dates after startKey and up to endKey, ascending
+   */
+  getChangeDates(provider, startKey, endKey) {
+    const dates = new Set();
+
+    for (const version of this.schedules.get(provider) || []) {
+      dates.add(version.effectiveFrom);
+      if (version.effectiveTo !== null) {
+        dates.add(addDays(version.effectiveTo, 1));
+      }
+    }
+
+    return [...dates].filter((date) => date > startKey && date <= endKey).sort();
+  }
+
+  /**
+   * Resolves the version in effect on a date
+   * @param {string} provider - Provider (mea or pea)
+   * @param {string} dateKey - Date (YYYY-MM-DD)
+   * @returns {Object} - Version including its rate table
+   * @throws {Error} - If no version is in effect on the date
+   */
+  resolve(provider, dateKey) {
+    const version = (this.schedules.get(provider) || []).find((candidate) => isInEffect(candidate, dateKey));
+
+    if (!version) {
+      throw new Error(`No ${provider.toUpperCase()} rate schedule in effect on ${dateKey}`);
+    }
+
+    return version;
+  }
+}
+
+// Create singleton instance
+const rateScheduleService = new RateScheduleService();
+
+module.exports = rateScheduleService;
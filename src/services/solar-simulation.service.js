@@ -0,0 +1,170 @@
+/**
+ * Solar Simulation Service
+ * Models rooftop PV generation and nets it against a load profile interval by interval
+ */
+
+const {
+  MONTHLY_DAILY_IRRADIATION,
+  SUNRISE_HOUR,
+  SUNSET_HOUR,
+  TILT_FACTORS,
+  DEFAULT_PERFORMANCE_RATIO,
+  DEFAULT_TILT_DEGREES
+} = require('../config/solar-irradiance');
+const { DEFAULT_INTERVAL_MINUTES } = require('../utils/constants');
+const { toLocalDateParts, getIntervalStart } = require('../utils/date-helpers');
+const { roundToDecimals, calculateBillSavings } = require('../utils/calculation-helpers');
+
+/**
+ * Gets the share of a day's irradiation falling between two local times
+ * Irradiance follows sin(pi * (t - sunrise) / daylight), whose integral over
+ * [a, b] is proportional to cos at a minus cos at b; the whole day sums to 2.
+ * @param {number} startHour - Interval start in hours from local midnight
+ * @param {number} endHour - Interval end in hours from local midnight
+ * @returns {number} - Share of the day's irradiation (0-1)
+ */
+const getDaylightShare = (startHour, endHour) => {
+  const daylightHours = SUNSET_HOUR - SUNRISE_HOUR;
+  const clamp = (hour) => Math.min(Math.max(hour, SUNRISE_HOUR), SUNSET_HOUR);
+  const angle = (hour) => (Math.PI * (clamp(hour) - SUNRISE_HOUR)) / daylightHours;
+
+  return (Math.cos(angle(startHour)) - Math.cos(angle(endHour))) / 2;
+};
+
+class SolarSimulationService {
+  /**
+   * Gets the tilt factor for an array, interpolating between table entries
+   * @param {number} tiltDegrees - Array tilt from horizontal (0-90)
+   * @returns {number} - Output relative to a horizontal array
+   */
+  getTiltFactor(tiltDegrees) {
+    const upperIndex = TILT_FACTORS.findIndex((entry) => entry.tiltDegrees >= tiltDegrees);
+    if (upperIndex <= 0) {
+      return TILT_FACTORS[0].factor;
+    }
+
+    const lower = TILT_FACTORS[upperIndex - 1];
+    const upper = TILT_FACTORS[upperIndex];
+    const position = (tiltDegrees - lower.tiltDegrees) / (upper.tiltDegrees - lower.tiltDegrees);
+    return lower.factor + (upper.factor - lower.factor) * position;
+  }
+
+  /**
+   * Fills in the model defaults for a PV system
+   * @param {Object} pvSystem - { capacityKwp, tiltDegrees, performanceRatio }
+   * @returns {Object} - { capacityKwp, tiltDegrees, tiltFactor, performanceRatio }
+   */
+  resolvePvSystem(pvSystem) {
+    const {
+      capacityKwp,
+      tiltDegrees = DEFAULT_TILT_DEGREES,
+      performanceRatio = DEFAULT_PERFORMANCE_RATIO
+    } = pvSystem;
+
+    return {
+      capacityKwp,
+      tiltDegrees,
+      tiltFactor: roundToDecimals(this.getTiltFactor(tiltDegrees), 4),
+      performanceRatio
+    };
+  }
+
+  /**
+   * Models PV generation for the intervals of a load profile
+   * @param {Array} readings - Load readings [{ timestamp, kwh }]
+   * @param {Object} pvSystem - { capacityKwp, tiltDegrees, performanceRatio }
+   * @param {Object} options - { intervalMinutes, timestampAt }
+   * @returns {Array} - Generation readings [{ timestamp, kwh }] with the load readings' timestamps
+   */
+  modelGeneration(readings, pvSystem, options = {}) {
+    const intervalHours = (options.intervalMinutes || DEFAULT_INTERVAL_MINUTES) / 60;
+    const { capacityKwp, tiltFactor, performanceRatio } = this.resolvePvSystem(pvSystem);
+    // 1 kWp yields 1 kWh per kWh/m² of irradiation before losses
+    const outputPerKwhM2 = capacityKwp * tiltFactor * performanceRatio;
+
+    return readings.map((reading) => {
+      const { month, minutesOfDay } = toLocalDateParts(getIntervalStart(reading.timestamp, options));
+      const startHour = minutesOfDay / 60;
+      const share = getDaylightShare(startHour, startHour + intervalHours);
+
+      return {
+        timestamp: reading.timestamp,
+        kwh: roundToDecimals(outputPerKwhM2 * MONTHLY_DAILY_IRRADIATION[month] * share, 4)
+      };
+    });
+  }
+
+  /**
+   * Nets PV generation against load interval by interval
+   * Generation beyond an interval's load is exported; it does not offset
+   * load in other intervals.
+   * @param {Array} loadReadings - Load readings [{ timestamp, kwh }]
+   * @param {Array} pvReadings - Generation readings [{ timestamp, kwh }]; missing intervals generate nothing
+   * @param {Object} options - { intervalMinutes, timestampAt }
+   * @returns {Object} - { readings, energyBalance } where readings are the grid imports
+   * @throws {Error} - If a generation reading has no matching load interval
+   */
+  netReadings(loadReadings, pvReadings, options = {}) {
+    const generation = new Map();
+    pvReadings.forEach((reading, index) => {
+      generation.set(getIntervalStart(reading.timestamp, options).getTime(), { kwh: reading.kwh, index });
+    });
+
+    let loadKwh = 0;
+    let pvKwh = 0;
+    let selfConsumedKwh = 0;
+    const readings = loadReadings.map((reading) => {
+      const key = getIntervalStart(reading.timestamp, options).getTime();
+      const pvReading = generation.get(key);
+      const generatedKwh = pvReading ? pvReading.kwh : 0;
+      const selfConsumed = Math.min(reading.kwh, generatedKwh);
+      generation.delete(key);
+
+      loadKwh += reading.kwh;
+      pvKwh += generatedKwh;
+      selfConsumedKwh += selfConsumed;
+      return { timestamp: reading.timestamp, kwh: reading.kwh - selfConsumed };
+    });
+
+    if (generation.size > 0) {
+      const [{ index }] = generation.values();
+      throw new Error(`pv.readings[${index}] has no matching load interval`);
+    }
+
+    return {
+      readings,
+      energyBalance: {
+        loadKwh: roundToDecimals(loadKwh, 3),
+        pvGenerationKwh: roundToDecimals(pvKwh, 3),
+        selfConsumedKwh: roundToDecimals(selfConsumedKwh, 3),
+        exportedKwh: roundToDecimals(pvKwh - selfConsumedKwh, 3),
+        gridImportKwh: roundToDecimals(loadKwh - selfConsumedKwh, 3),
+        // Share of generation used on site, and share of load met by PV
+        selfConsumptionRatio: pvKwh > 0 ? roundToDecimals(selfConsumedKwh / pvKwh, 4) : null,
+        solarFraction: loadKwh > 0 ? roundToDecimals(selfConsumedKwh / loadKwh, 4) : null
+      }
+    };
+  }
+
+  /**
+   * Breaks the bill savings from PV into components
+   * @param {Object} baseline - Calculation result without PV
+   * @param {Object} withPv - Calculation result with the netted load
+   * @param {number} exportCredit - Amount credited for exported energy
+   * @returns {Object} - Savings keyed by component, with total, exportCredit and totalWithExport
+   */
+  calculateSavings(baseline, withPv, exportCredit = 0) {
+    const savings = calculateBillSavings(baseline, withPv);
+
+    return {
+      ...savings,
+      exportCredit: roundToDecimals(exportCredit, 2),
+      totalWithExport: roundToDecimals(savings.total + exportCredit, 2)
+    };
+  }
+}
+
+// Create singleton instance
+const solarSimulationService = new SolarSimulationService();
+
+module.exports = solarSimulationService;
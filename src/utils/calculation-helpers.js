@@ -3,7 +3,14 @@
  * Common calculation functions used across MEA and PEA services
  */
 
-const { VAT_RATE, PF_PENALTY_RATE, PF_THRESHOLD_FACTOR, MINIMUM_BILL_FACTOR } = require('./constants');
+const {
+  VAT_RATE,
+  PF_PENALTY_RATE,
+  PF_THRESHOLD_FACTOR,
+  MINIMUM_BILL_FACTOR,
+  RESIDENTIAL_CLASS_THRESHOLD_KWH,
+  RESIDENTIAL_CLASS_MONTHS
+} = require('./constants');
 
 /**
  * Calculates power factor charge
@@ -43,6 +50,26 @@ const calculateTieredEnergyCharge = (totalKwh, energyRates) => {
   return energyCharge;
 };
 
+/**
+ * Classifies a Type 1 residential customer as 1.1 or 1.2
+ * With at least three months of history, the customer is 1.2 when each of the
+ * three most recent months exceeded 150 kWh; otherwise the current month decides.
+ * @param {number} totalKwh - Current month kWh
+ * @param {Array} previousMonthsKwh - Previous months' kWh, most recent first (optional)
+ * @returns {string} - '1.1' or '1.2'
+ */
+const classifyResidentialClass = (totalKwh, previousMonthsKwh) => {
+  if (!previousMonthsKwh || previousMonthsKwh.length < RESIDENTIAL_CLASS_MONTHS) {
+    return totalKwh > RESIDENTIAL_CLASS_THRESHOLD_KWH ? '1.2' : '1.1';
+  }
+
+  const consecutiveOver = previousMonthsKwh
+    .slice(0, RESIDENTIAL_CLASS_MONTHS)
+    .every((kwh) => kwh > RESIDENTIAL_CLASS_THRESHOLD_KWH);
+
+  return consecutiveOver ? '1.2' : '1.1';
+};
+
 /**
  * Calculates VAT
  * @param {number} baseAmount - Base amount before VAT
@@ -73,6 +100,44 @@ const calculateEffectiveDemandCharge = (calculatedDemandCharge, highestDemandCha
   return Math.max(calculatedDemandCharge, minimumCharge);
 };
 
+/**
+ * Calculates the interruptible-rate demand discount and curtailment penalty
+ * The discount is contractedKw x discountPerKw, capped at the demand charge it
+ * reduces. Each curtailment event that fell short of the requested kW (the
+ * contracted kW unless given) costs penaltyPerKw per kW of shortfall, and
+ * with forfeitDiscountOnMiss any shortfall cancels the month's discount.
+ * @param {Object} terms - { contractedKw, discountPerKw, penaltyPerKw, forfeitDiscountOnMiss, events }
+ * @param {number} demandCharge - Demand charge the discount applies to
+ * @returns {Object} - { discount, penalty, eventCount, missedEventCount, shortfallKw }
+ */
+const calculateInterruptibleAdjustment = (terms, demandCharge) => {
+  const { contractedKw, discountPerKw, forfeitDiscountOnMiss = false, events = [] } = terms;
+  const penaltyPerKw = terms.penaltyPerKw !== undefined ? terms.penaltyPerKw : discountPerKw;
+
+  let shortfallKw = 0;
+  let missedEventCount = 0;
+
+  for (const event of events) {
+    const requestedKw = event.requestedKw !== undefined ? event.requestedKw : contractedKw;
+    const eventShortfall = Math.max(0, requestedKw - event.curtailedKw);
+    if (eventShortfall > 0) {
+      shortfallKw += eventShortfall;
+      missedEventCount += 1;
+    }
+  }
+
+  const forfeited = forfeitDiscountOnMiss && missedEventCount > 0;
+  const discount = forfeited ? 0 : Math.min(contractedKw * discountPerKw, demandCharge);
+
+  return {
+    discount,
+    penalty: shortfallKw * penaltyPerKw,
+    eventCount: events.length,
+    missedEventCount,
+    shortfallKw
+  };
+};
+
 /**
  * Rounds a number to specified decimal places
  * @param {number} value - Value to round
@@ -95,15 +160,15 @@ const formatCalculationResult = (result) => {
   for (const [key, value] of Object.entries(result)) {
     if (typeof value === 'number') {
       // Apply different rounding based on field type and original implementation
-      if (key === 'energyCharge' || key === 'baseTariff' || key === 'ftCharge') {
+      if (key === 'energyCharge' || key === 'onPeakEnergyCharge' || key === 'offPeakEnergyCharge' || key === 'baseTariff' || key === 'ftCharge') {
         formatted[key] = roundToDecimals(value, 3);
       } else if (key === 'vat' || key === 'totalBill' || key === 'grandTotal') {
         formatted[key] = roundToDecimals(value, 5);
       } else if (key === 'calculatedDemandCharge' || key === 'effectiveDemandCharge' || key === 'ftCharge') {
         formatted[key] = roundToDecimals(value, 1);
-      } else if (key === 'pfCharge') {
+      } else if (key === 'pfCharge' || key === 'interruptibleDiscount' || key === 'interruptiblePenalty') {
         formatted[key] = roundToDecimals(value, 3);
-      } else if (key === 'subTotal') {
+      } else if (key === 'subTotal' || key === 'serviceCharge' || key === 'reservationCharge' || key === 'excessDemandCharge' || key === 'usageCharge') {
         formatted[key] = roundToDecimals(value, 3);
       } else {
         formatted[key] = value;
@@ -116,12 +181,133 @@ const formatCalculationResult = (result) => {
   return formatted;
 };
 
+/**
+ * Scales every numeric field of a calculation result
+ * Used to prorate a full-month bill to part of a billing period.
+ * @param {Object} result - Calculation result
+ * @param {number} factor - Scaling factor
+ * @returns {Object} - Scaled and formatted result
+ */
+const scaleCalculationResult = (result, factor) => {
+  const scaled = {};
+
+  for (const [key, value] of Object.entries(result)) {
+    scaled[key] = typeof value === 'number' ? value * factor : value;
+  }
+
+  return formatCalculationResult(scaled);
+};
+
+/**
+ * Checks whether a tariff bills a minimum demand charge against the last 12 months
+ * @param {string} calculationType - Calculation type
+ * @param {string} tariffType - Tariff type
+ * @returns {boolean} - True if highestDemandChargeLast12m applies
+ */
+const usesDemandRatchet = (calculationType, tariffType) => {
+  return ['type-3', 'type-4', 'type-5'].includes(calculationType) ||
+    (calculationType === 'type-6' && tariffType === 'tou');
+};
+
+/**
+ * Gets total kWh from a usage object
+ * @param {Object} usage - Usage object
+ * @returns {number} - Total kWh
+ */
+const getUsageTotalKwh = (usage) => {
+  if (usage.total_kwh !== undefined) {
+    return usage.total_kwh;
+  }
+  return (usage.on_peak_kwh || 0) + (usage.off_peak_kwh || 0);
+};
+
+/**
+ * Gets the highest demand in a usage object across its TOU/TOD periods
+ * @param {Object} usage - Usage object
+ * @returns {number|null} - Peak kW, or null if the usage has no demand fields
+ */
+const getUsagePeakKw = (usage) => {
+  const demands = ['peak_kw', 'on_peak_kw', 'partial_peak_kw', 'off_peak_kw']
+    .filter((field) => typeof usage[field] === 'number')
+    .map((field) => usage[field]);
+
+  return demands.length > 0 ? Math.max(...demands) : null;
+};
+
+/**
+ * Gets the amount payable from a calculation result
+ * Type 1, 2, 7 and 8 results report totalBill; the demand-billed types report grandTotal.
+ * @param {Object} result - Calculation result
+ * @returns {number} - Total including VAT
+ */
+const getBillTotal = (result) => (result.grandTotal !== undefined ? result.grandTotal : result.totalBill);
+
+/**
+ * Breaks the difference between two bills for the same site into components
+ * Demand is the effective (post-minimum) demand charge.
+ * @param {Object} baseline - Calculation result before the change
+ * @param {Object} scenario - Calculation result after the change
+ * @returns {Object} - Savings keyed by component (energy, demand, pf, service, ft, vat), with total and percent
+ */
+const calculateBillSavings = (baseline, scenario) => {
+  const components = {
+    energy: 'energyCharge',
+    demand: 'effectiveDemandCharge',
+    pf: 'pfCharge',
+    service: 'serviceCharge',
+    ft: 'ftCharge',
+    vat: 'vat'
+  };
+  const savings = {};
+
+  for (const [component, field] of Object.entries(components)) {
+    savings[component] = roundToDecimals((baseline[field] || 0) - (scenario[field] || 0), 2);
+  }
+
+  const baselineTotal = getBillTotal(baseline);
+  const total = baselineTotal - getBillTotal(scenario);
+
+  return {
+    ...savings,
+    total: roundToDecimals(total, 2),
+    percent: baselineTotal > 0 ? roundToDecimals((total / baselineTotal) * 100, 2) : 0
+  };
+};
+
+/**
+ * Sums the numeric fields of several calculation results
+ * @param {Array} results - Calculation results with the same shape
+ * @returns {Object} - Summed and formatted result
+ */
+const sumCalculationResults = (results) => {
+  const totals = {};
+
+  for (const result of results) {
+    for (const [key, value] of Object.entries(result)) {
+      if (typeof value === 'number') {
+        totals[key] = (totals[key] || 0) + value;
+      }
+    }
+  }
+
+  return formatCalculationResult(totals);
+};
+
 module.exports = {
   calculatePowerFactorCharge,
   calculateTieredEnergyCharge,
+  classifyResidentialClass,
   calculateVAT,
   calculateFTCharge,
   calculateEffectiveDemandCharge,
+  calculateInterruptibleAdjustment,
   roundToDecimals,
-  formatCalculationResult
+  formatCalculationResult,
+  scaleCalculationResult,
+  sumCalculationResults,
+  usesDemandRatchet,
+  getUsageTotalKwh,
+  getUsagePeakKw,
+  getBillTotal,
+  calculateBillSavings
 };
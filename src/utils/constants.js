@@ -9,6 +9,9 @@ const PF_PENALTY_RATE = 56.07;
 const PF_THRESHOLD_FACTOR = 0.6197;
 const MINIMUM_BILL_FACTOR = 0.70;
 
+// The minimum demand charge looks back over this many months before the billing month
+const DEMAND_RATCHET_MONTHS = 12;
+
 // Voltage levels
 const VOLTAGE_LEVELS = {
   LOW: '<22kV',      // For PEA
@@ -29,25 +32,126 @@ const TARIFF_TYPES = {
 
 // Calculation types
 const CALCULATION_TYPES = {
+  TYPE_1: 'type-1',
   TYPE_2: 'type-2',
   TYPE_3: 'type-3',
   TYPE_4: 'type-4',
-  TYPE_5: 'type-5'
+  TYPE_5: 'type-5',
+  TYPE_6: 'type-6',
+  TYPE_7: 'type-7', // PEA only
+  TYPE_8: 'type-8',
+  EV_CHARGER: 'ev-charger' // Public EV charging stations
+};
+
+// Residential (Type 1) classification: a customer moves from 1.1 to 1.2 after
+// using more than the threshold for this many consecutive months
+const RESIDENTIAL_CLASS_THRESHOLD_KWH = 150;
+const RESIDENTIAL_CLASS_MONTHS = 3;
+
+// General service classification by the highest 15-minute demand over the
+// last 12 months and the average monthly energy: Type 2 below the small
+// threshold, Type 4 at the large threshold or above the energy limit, Type 3 between
+const SMALL_GENERAL_SERVICE_MAX_KW = 30;
+const LARGE_GENERAL_SERVICE_MIN_KW = 1000;
+const LARGE_GENERAL_SERVICE_MIN_AVERAGE_KWH = 250000;
+const ELIGIBILITY_HISTORY_MONTHS = 12;
+
+// Business categories used to classify a customer's calculation type
+const BUSINESS_CATEGORIES = {
+  RESIDENTIAL: 'residential',
+  GENERAL: 'general',
+  SPECIFIC_BUSINESS: 'specific-business', // Hotels, guest houses, rental rooms
+  GOVERNMENT: 'government',               // Government and non-profit organizations
+  AGRICULTURAL_PUMPING: 'agricultural-pumping',
+  TEMPORARY: 'temporary',
+  EV_CHARGING_STATION: 'ev-charging-station'
 };
 
+// Battery dispatch strategies
+const BATTERY_STRATEGIES = {
+  PEAK_SHAVE: 'peak-shave',       // Discharge above a target demand, recharge below it
+  TOU_ARBITRAGE: 'tou-arbitrage'  // Charge off-peak, discharge on-peak
+};
+
+// Battery parameters assumed when a simulation request leaves them out
+const BATTERY_DEFAULTS = {
+  ROUND_TRIP_EFFICIENCY: 0.9,
+  MIN_SOC_PERCENT: 10,
+  MAX_SOC_PERCENT: 100
+};
+
+// Capacitor banks for power factor correction are built from steps of one of these sizes (kVAR)
+const CAPACITOR_STEP_SIZES_KVAR = [5, 10, 12.5, 15, 20, 25, 30, 40, 50, 60, 75, 100];
+const DEFAULT_CAPACITOR_STEP_KVAR = 25;
+
+// Bill components a PPA contract can discount
+const PPA_COMPONENTS = ['energy', 'demand', 'pf', 'service', 'ft'];
+
 // Providers
 const PROVIDERS = {
   MEA: 'mea',
   PEA: 'pea'
 };
 
+// Thailand local time (UTC+7, no daylight saving)
+const THAILAND_UTC_OFFSET_MINUTES = 7 * 60;
+
+// Time-of-use windows, in minutes from local midnight (start inclusive, end exclusive)
+const TOU_ON_PEAK_WINDOW = { start: 9 * 60, end: 22 * 60 }; // Weekdays 09:00-22:00
+
+const TOD_PERIOD_WINDOWS = {
+  ON_PEAK: { start: 18 * 60 + 30, end: 21 * 60 + 30 },     // 18:30-21:30
+  PARTIAL_PEAK: { start: 8 * 60, end: 18 * 60 + 30 }       // 08:00-18:30
+  // Off-peak: 21:30-08:00
+};
+
+// Ft rates are published for 4-month periods starting in these months
+const FT_PERIOD_START_MONTHS = [1, 5, 9];
+
+// A billing period covers one meter-reading month, so fixed charges apply once
+const MAX_BILLING_PERIOD_DAYS = 31;
+
+// Sensitivity analysis: each input is moved up and down by this share of its value
+const DEFAULT_SENSITIVITY_VARIATION = 0.1;
+const MAX_SENSITIVITY_VARIATION = 0.5;
+
+// Interval meter data
+const INTERVAL_MINUTES_OPTIONS = [15, 30, 60];
+const DEFAULT_INTERVAL_MINUTES = 15;
+
+// Calculation types that can be billed from interval readings
+const INTERVAL_CALCULATION_TYPES = ['type-2', 'type-3', 'type-4', 'type-5'];
+
 module.exports = {
   VAT_RATE,
   PF_PENALTY_RATE,
   PF_THRESHOLD_FACTOR,
   MINIMUM_BILL_FACTOR,
+  DEMAND_RATCHET_MONTHS,
   VOLTAGE_LEVELS,
   TARIFF_TYPES,
   CALCULATION_TYPES,
-  PROVIDERS
+  RESIDENTIAL_CLASS_THRESHOLD_KWH,
+  RESIDENTIAL_CLASS_MONTHS,
+  SMALL_GENERAL_SERVICE_MAX_KW,
+  LARGE_GENERAL_SERVICE_MIN_KW,
+  LARGE_GENERAL_SERVICE_MIN_AVERAGE_KWH,
+  ELIGIBILITY_HISTORY_MONTHS,
+  BUSINESS_CATEGORIES,
+  BATTERY_STRATEGIES,
+  BATTERY_DEFAULTS,
+  CAPACITOR_STEP_SIZES_KVAR,
+  DEFAULT_CAPACITOR_STEP_KVAR,
+  DEFAULT_SENSITIVITY_VARIATION,
+  MAX_SENSITIVITY_VARIATION,
+  PPA_COMPONENTS,
+  PROVIDERS,
+  THAILAND_UTC_OFFSET_MINUTES,
+  FT_PERIOD_START_MONTHS,
+  MAX_BILLING_PERIOD_DAYS,
+  TOU_ON_PEAK_WINDOW,
+  TOD_PERIOD_WINDOWS,
+  INTERVAL_MINUTES_OPTIONS,
+  DEFAULT_INTERVAL_MINUTES,
+  INTERVAL_CALCULATION_TYPES
 };
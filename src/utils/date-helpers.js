@@ -0,0 +1,185 @@
+/**
+ * Date Helpers
+ * Timestamp parsing and Thailand local time conversion used by date-aware calculations
+ */
+
+const { THAILAND_UTC_OFFSET_MINUTES, DEFAULT_INTERVAL_MINUTES } = require('./constants');
+
+const TIMEZONE_SUFFIX_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const TIME_OF_DAY_PATTERN = /^(?:([01]\d|2[0-3]):([0-5]\d)|24:00)$/;
+
+/**
+ * Pads a number with leading zeros
+ * @param {number} value - Value to pad
+ * @param {number} length - Target length
+ * @returns {string} - Padded value
+ */
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Parses a timestamp into a Date
+ * Strings without an explicit timezone are interpreted as Thailand local time,
+ * which is how MEA and PEA meter exports are written.
+ * @param {string|number} value - ISO 8601 string or epoch milliseconds
+ * @returns {Date|null} - Parsed date, or null if the value is not a valid timestamp
+ */
+const parseTimestamp = (value) => {
+  if (typeof value === 'number') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  let normalized = value.trim().replace(' ', 'T');
+  if (DATE_ONLY_PATTERN.test(normalized)) {
+    normalized = `${normalized}T00:00:00`;
+  }
+  if (!TIMEZONE_SUFFIX_PATTERN.test(normalized)) {
+    const offsetHours = THAILAND_UTC_OFFSET_MINUTES / 60;
+    normalized = `${normalized}+${pad(offsetHours)}:00`;
+  }
+
+  const date = new Date(normalized);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Breaks a date into its Thailand local time components
+ * @param {Date} date - Date to convert
+ * @returns {Object} - { year, month, day, dayOfWeek, minutesOfDay, dateKey }
+ */
+const toLocalDateParts = (date) => {
+  const local = new Date(date.getTime() + THAILAND_UTC_OFFSET_MINUTES * 60000);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth() + 1;
+  const day = local.getUTCDate();
+
+  return {
+    year,
+    month,
+    day,
+    dayOfWeek: local.getUTCDay(),
+    minutesOfDay: local.getUTCHours() * 60 + local.getUTCMinutes(),
+    dateKey: `${year}-${pad(month)}-${pad(day)}`
+  };
+};
+
+/**
+ * Formats a date as an ISO 8601 string in Thailand local time
+ * @param {Date} date - Date to format
+ * @returns {string} - e.g. 2024-01-01T09:00:00+07:00
+ */
+const formatLocalTimestamp = (date) => {
+  const local = new Date(date.getTime() + THAILAND_UTC_OFFSET_MINUTES * 60000);
+  const offsetHours = THAILAND_UTC_OFFSET_MINUTES / 60;
+
+  return `${local.getUTCFullYear()}-${pad(local.getUTCMonth() + 1)}-${pad(local.getUTCDate())}` +
+    `T${pad(local.getUTCHours())}:${pad(local.getUTCMinutes())}:${pad(local.getUTCSeconds())}` +
+    `+${pad(offsetHours)}:00`;
+};
+
+/**
+ * Checks whether a value is a valid calendar date string (YYYY-MM-DD)
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if the value is a real calendar date
+ */
+const isValidDateKey = (value) => {
+  if (typeof value !== 'string' || !DATE_ONLY_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Adds a number of days to a calendar date string
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Resulting date (YYYY-MM-DD)
+ */
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Counts the days from start to end, both inclusive
+ * @param {string} startKey - Start date (YYYY-MM-DD)
+ * @param {string} endKey - End date (YYYY-MM-DD)
+ * @returns {number} - Number of days
+ */
+const countDays = (startKey, endKey) => {
+  const start = Date.parse(`${startKey}T00:00:00Z`);
+  const end = Date.parse(`${endKey}T00:00:00Z`);
+  return Math.round((end - start) / 86400000) + 1;
+};
+
+/**
+ * Checks whether a value is a valid calendar month string (YYYY-MM)
+ * @param {string} value - Value to check
+ * @returns {boolean} - True if the value is a calendar month
+ */
+const isValidMonthKey = (value) => typeof value === 'string' && MONTH_PATTERN.test(value);
+
+/**
+ * Adds a number of months to a calendar month string
+ * @param {string} monthKey - Month (YYYY-MM)
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} - Resulting month (YYYY-MM)
+ */
+const addMonths = (monthKey, months) => {
+  const date = new Date(`${monthKey}-01T00:00:00Z`);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 7);
+};
+
+/**
+ * Parses a local time of day
+ * @param {string} value - Time (HH:MM), with 24:00 for the end of the day
+ * @returns {number|null} - Minutes from midnight, or null if the value is not a valid time
+ */
+const parseTimeOfDay = (value) => {
+  const match = typeof value === 'string' ? TIME_OF_DAY_PATTERN.exec(value) : null;
+  if (!match) {
+    return null;
+  }
+  return match[1] === undefined ? 24 * 60 : Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Gets the start of the interval an interval reading covers
+ * @param {string|number} timestamp - Reading timestamp
+ * @param {Object} options - { intervalMinutes, timestampAt: 'start' | 'end' }
+ * @returns {Date} - Interval start
+ */
+const getIntervalStart = (timestamp, options = {}) => {
+  const intervalMinutes = options.intervalMinutes || DEFAULT_INTERVAL_MINUTES;
+  const startOffsetMs = options.timestampAt === 'end' ? intervalMinutes * 60000 : 0;
+  return new Date(parseTimestamp(timestamp).getTime() - startOffsetMs);
+};
+
+/**
+ * Gets today's date in Thailand local time
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+const getCurrentDateKey = () => toLocalDateParts(new Date()).dateKey;
+
+module.exports = {
+  parseTimestamp,
+  getCurrentDateKey,
+  isValidDateKey,
+  addDays,
+  countDays,
+  isValidMonthKey,
+  addMonths,
+  toLocalDateParts,
+  formatLocalTimestamp,
+  parseTimeOfDay,
+  getIntervalStart
+};
@@ -25,6 +25,14 @@ class CalculationError extends Error {
   }
 }
 
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.statusCode = 404;
+  }
+}
+
 class ConfigurationError extends Error {
   constructor(message) {
     super(message);
@@ -74,6 +82,10 @@ const handleError = (ctx, error) => {
     statusCode = error.statusCode;
     message = error.message;
     logLevel = 'error';
+  } else if (error instanceof NotFoundError) {
+    statusCode = error.statusCode;
+    message = error.message;
+    logLevel = 'warn';
   } else if (error instanceof ConfigurationError) {
     statusCode = error.statusCode;
     message = error.message;
@@ -131,6 +143,7 @@ const asyncErrorHandler = (fn) => {
 module.exports = {
   ValidationError,
   CalculationError,
+  NotFoundError,
   ConfigurationError,
   formatErrorResponse,
   handleError,
@@ -0,0 +1,105 @@
+/**
+ * JSON File Store
+ * Small embedded key-value store persisted as a single JSON file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError } = require('./error-handler');
+
+class JsonStore {
+  /**
+   * @param {string} filePath - Path of the JSON file backing the store
+   * @param {Object} options - { defaults } records to start from while the file does not exist
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.defaults = options.defaults || {};
+    this.records = null;
+  }
+
+  /**
+   * Loads the records from disk on first use
+   * A missing file is treated as a store holding only the defaults; they
+   * are written out with the first change. Records are kept on an object
+   * without a prototype, so an id such as __proto__ is an ordinary key.
+   * @returns {Object} - Records keyed by id
+   */
+  _load() {
+    if (this.records) {
+      return this.records;
+    }
+
+    if (!fs.existsSync(this.filePath)) {
+      this.records = Object.assign(Object.create(null), JSON.parse(JSON.stringify(this.defaults)));
+      return this.records;
+    }
+
+    try {
+      this.records = Object.assign(Object.create(null), JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+    } catch (error) {
+      throw new ConfigurationError(`Failed to load store ${this.filePath}: ${error.message}`);
+    }
+    return this.records;
+  }
+
+  /**
+   * Writes the records to disk
+   * The file is written beside the target and renamed over it, so a failed
+   * write never leaves a truncated store behind.
+   */
+  _save() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(this.records, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Lists all records
+   * @returns {Array} - Records in insertion order
+   */
+  list() {
+    return Object.values(this._load());
+  }
+
+  /**
+   * Gets a record by id
+   * @param {string} id - Record id
+   * @returns {Object|null} - Record, or null if unknown
+   */
+  get(id) {
+    const records = this._load();
+    return Object.prototype.hasOwnProperty.call(records, id) ? records[id] : null;
+  }
+
+  /**
+   * Creates or replaces a record
+   * @param {string} id - Record id
+   * @param {Object} record - Record to store
+   * @returns {Object} - Stored record
+   */
+  set(id, record) {
+    this._load()[id] = record;
+    this._save();
+    return record;
+  }
+
+  /**
+   * Removes a record
+   * @param {string} id - Record id
+   * @returns {boolean} - True if a record was removed
+   */
+  remove(id) {
+    if (!this.get(id)) {
+      return false;
+    }
+
+    delete this.records[id];
+    this._save();
+    return true;
+  }
+}
+
+module.exports = JsonStore;
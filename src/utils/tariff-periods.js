@@ -0,0 +1,83 @@
+/**
+ * Tariff Period Classification
+ * Maps Thailand local time to TOU and TOD tariff periods
+ */
+
+const { TOU_ON_PEAK_WINDOW, TOD_PERIOD_WINDOWS } = require('./constants');
+
+// Period keys, matching the usage field prefixes (on_peak_kwh, partial_peak_kw, ...)
+const PERIODS = {
+  ON_PEAK: 'on_peak',
+  PARTIAL_PEAK: 'partial_peak',
+  OFF_PEAK: 'off_peak'
+};
+
+/**
+ * Checks whether minutes from midnight fall inside a window
+ * @param {number} minutesOfDay - Minutes from local midnight
+ * @param {Object} window - { start, end } in minutes, end exclusive
+ * @returns {boolean} - True if inside the window
+ */
+const isWithinWindow = (minutesOfDay, window) => {
+  return minutesOfDay >= window.start && minutesOfDay < window.end;
+};
+
+/**
+ * Classifies a moment into a TOU period
+ * On-peak is 09:00-22:00 on weekdays; weekends and public holidays are off-peak all day.
+ * @param {Object} localParts - Local date parts from toLocalDateParts
+ * @param {Object} options - { isHoliday: (dateKey) => boolean }
+ * @returns {string} - PERIODS.ON_PEAK or PERIODS.OFF_PEAK
+ */
+const classifyTouPeriod = (localParts, options = {}) => {
+  const isWeekend = localParts.dayOfWeek === 0 || localParts.dayOfWeek === 6;
+  const isHoliday = options.isHoliday ? options.isHoliday(localParts.dateKey) : false;
+
+  if (isWeekend || isHoliday) {
+    return PERIODS.OFF_PEAK;
+  }
+
+  return isWithinWindow(localParts.minutesOfDay, TOU_ON_PEAK_WINDOW)
+    ? PERIODS.ON_PEAK
+    : PERIODS.OFF_PEAK;
+};
+
+/**
+ * Classifies a moment into a TOD period
+ * TOD periods apply every day of the week.
+ * @param {Object} localParts - Local date parts from toLocalDateParts
+ * @returns {string} - PERIODS.ON_PEAK, PERIODS.PARTIAL_PEAK or PERIODS.OFF_PEAK
+ */
+const classifyTodPeriod = (localParts) => {
+  if (isWithinWindow(localParts.minutesOfDay, TOD_PERIOD_WINDOWS.ON_PEAK)) {
+    return PERIODS.ON_PEAK;
+  }
+  if (isWithinWindow(localParts.minutesOfDay, TOD_PERIOD_WINDOWS.PARTIAL_PEAK)) {
+    return PERIODS.PARTIAL_PEAK;
+  }
+  return PERIODS.OFF_PEAK;
+};
+
+/**
+ * Gets a function classifying moments into a tariff type's periods
+ * Normal tariffs have no periods, so every moment is treated as off-peak.
+ * @param {string} tariffType - Tariff type (normal, tou, tod)
+ * @param {Object} options - { isHoliday: (dateKey) => boolean } for TOU
+ * @returns {Function} - (localParts) => period
+ */
+const getPeriodClassifier = (tariffType, options = {}) => {
+  if (tariffType === 'tod') {
+    return classifyTodPeriod;
+  }
+  if (tariffType === 'tou') {
+    return (localParts) => classifyTouPeriod(localParts, options);
+  }
+  return () => PERIODS.OFF_PEAK;
+};
+
+module.exports = {
+  PERIODS,
+  classifyTouPeriod,
+  classifyTodPeriod,
+  getPeriodClassifier
+};
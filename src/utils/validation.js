@@ -3,6 +3,20 @@
  * Common validation functions used across MEA and PEA controllers
  */
 
+const {
+  INTERVAL_MINUTES_OPTIONS,
+  PPA_COMPONENTS,
+  BUSINESS_CATEGORIES,
+  BATTERY_STRATEGIES,
+  BATTERY_DEFAULTS,
+  ELIGIBILITY_HISTORY_MONTHS,
+  PF_THRESHOLD_FACTOR,
+  CAPACITOR_STEP_SIZES_KVAR,
+  DEFAULT_INTERVAL_MINUTES,
+  MAX_BILLING_PERIOD_DAYS
+} = require('./constants');
+const { parseTimestamp, isValidDateKey, parseTimeOfDay, countDays } = require('./date-helpers');
+
 // Business logic constants
 const VALIDATION_LIMITS = {
   MIN_FT_RATE: 0,
@@ -14,7 +28,10 @@ const VALIDATION_LIMITS = {
   MIN_KWH: 0,
   MAX_KWH: 10000000,
   MIN_KW: 0,
-  MAX_KW: 100000
+  MAX_KW: 100000,
+  MAX_INTERVAL_READINGS: 10000,
+  MAX_CHARGING_SESSIONS: 10000,
+  MAX_FLEXIBLE_LOADS: 50
 };
 
 /**
@@ -226,7 +243,7 @@ const validateBusinessLogic = (data) => {
  * Validates usage fields based on tariff type and calculation type
  * @param {Object} usage - Usage object to validate
  * @param {string} tariffType - Tariff type (normal, tou, tod)
- * @param {string} calculationType - Calculation type (type-2, type-3, type-4, type-5)
+ * @param {string} calculationType - Calculation type (type-1 to type-8, ev-charger)
  * @returns {Object} - { isValid: boolean, error?: string }
  */
 const validateUsageFields = (usage, tariffType, calculationType) => {
@@ -234,7 +251,7 @@ const validateUsageFields = (usage, tariffType, calculationType) => {
     return { isValid: false, error: 'Usage object is required' };
   }
 
-  if (calculationType === 'type-2') {
+  if (calculationType === 'type-1' || calculationType === 'type-2' || calculationType === 'type-7' || calculationType === 'ev-charger') {
     if (tariffType === 'normal') {
       if (!usage.total_kwh && usage.total_kwh !== 0) {
         return { isValid: false, error: 'Missing required field: total_kwh' };
@@ -247,7 +264,11 @@ const validateUsageFields = (usage, tariffType, calculationType) => {
         return { isValid: false, error: 'Missing required field: off_peak_kwh' };
       }
     }
-  } else if (calculationType === 'type-3' || calculationType === 'type-5') {
+  } else if (calculationType === 'type-8' || (calculationType === 'type-6' && tariffType === 'normal')) {
+    if (!usage.total_kwh && usage.total_kwh !== 0) {
+      return { isValid: false, error: 'Missing required field: total_kwh' };
+    }
+  } else if (calculationType === 'type-3' || calculationType === 'type-5' || calculationType === 'type-6') {
     if (tariffType === 'normal') {
       if (!usage.peak_kw && usage.peak_kw !== 0) {
         return { isValid: false, error: 'Missing required field: peak_kw' };
@@ -314,6 +335,666 @@ const validateUsageFields = (usage, tariffType, calculationType) => {
   return { isValid: true };
 };
 
+/**
+ * Validates a consumption history of previous months' kWh
+ * @param {Array} values - kWh per month, most recent first
+ * @param {string} fieldName - Name of the field for error message
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateKwhHistory = (values, fieldName) => {
+  if (!Array.isArray(values)) {
+    return { isValid: false, error: `${fieldName} must be an array of kWh values` };
+  }
+
+  for (let i = 0; i < values.length; i++) {
+    const value = values[i];
+    if (typeof value !== 'number' || isNaN(value)) {
+      return { isValid: false, error: `${fieldName}[${i}] must be a valid number` };
+    }
+    if (value < 0) {
+      return { isValid: false, error: `${fieldName}[${i}] must be a positive number, received: ${value}` };
+    }
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates interval meter readings
+ * @param {Array} readings - Array of { timestamp, kwh } readings
+ * @param {number} intervalMinutes - Interval length in minutes (optional)
+ * @param {string} timestampAt - Whether timestamps mark interval 'start' or 'end' (optional)
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateIntervalReadings = (readings, intervalMinutes, timestampAt) => {
+  if (intervalMinutes !== undefined && !INTERVAL_MINUTES_OPTIONS.includes(intervalMinutes)) {
+    return { isValid: false, error: `intervalMinutes must be one of ${INTERVAL_MINUTES_OPTIONS.join(', ')}, received: ${intervalMinutes}` };
+  }
+
+  if (timestampAt !== undefined && timestampAt !== 'start' && timestampAt !== 'end') {
+    return { isValid: false, error: `timestampAt must be "start" or "end", received: ${timestampAt}` };
+  }
+
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return { isValid: false, error: 'readings must be a non-empty array' };
+  }
+
+  if (readings.length > VALIDATION_LIMITS.MAX_INTERVAL_READINGS) {
+    return { isValid: false, error: `readings must not exceed ${VALIDATION_LIMITS.MAX_INTERVAL_READINGS} intervals` };
+  }
+
+  const seenTimestamps = new Set();
+  for (let i = 0; i < readings.length; i++) {
+    const reading = readings[i];
+    if (!reading || typeof reading !== 'object') {
+      return { isValid: false, error: `readings[${i}] must be an object with timestamp and kwh` };
+    }
+
+    const timestamp = parseTimestamp(reading.timestamp);
+    if (!timestamp) {
+      return { isValid: false, error: `readings[${i}].timestamp must be a valid ISO 8601 timestamp` };
+    }
+    if (seenTimestamps.has(timestamp.getTime())) {
+      return { isValid: false, error: `readings[${i}].timestamp is duplicated: ${reading.timestamp}` };
+    }
+    seenTimestamps.add(timestamp.getTime());
+
+    if (typeof reading.kwh !== 'number' || isNaN(reading.kwh)) {
+      return { isValid: false, error: `readings[${i}].kwh must be a valid number` };
+    }
+    if (reading.kwh < VALIDATION_LIMITS.MIN_KWH) {
+      return { isValid: false, error: `readings[${i}].kwh must be a positive number, received: ${reading.kwh}` };
+    }
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates the optional billing date fields
+ * @param {string} asOfDate - Date the rates are resolved for (YYYY-MM-DD)
+ * @param {Object} billingPeriod - { start, end } dates (YYYY-MM-DD, inclusive)
+ * @returns {Object} - { isValid: boolean, error?: string, field?: string }
+ */
+const validateBillingDates = (asOfDate, billingPeriod) => {
+  if (asOfDate !== undefined && asOfDate !== null && !isValidDateKey(asOfDate)) {
+    return { isValid: false, error: `asOfDate must be a valid date (YYYY-MM-DD), received: ${asOfDate}`, field: 'asOfDate' };
+  }
+
+  if (billingPeriod !== undefined && billingPeriod !== null) {
+    if (typeof billingPeriod !== 'object') {
+      return { isValid: false, error: 'billingPeriod must be an object with start and end dates', field: 'billingPeriod' };
+    }
+    for (const key of ['start', 'end']) {
+      if (!isValidDateKey(billingPeriod[key])) {
+        return { isValid: false, error: `billingPeriod.${key} must be a valid date (YYYY-MM-DD), received: ${billingPeriod[key]}`, field: 'billingPeriod' };
+      }
+    }
+    if (billingPeriod.start > billingPeriod.end) {
+      return { isValid: false, error: 'billingPeriod.start must not be after billingPeriod.end', field: 'billingPeriod' };
+    }
+    const days = countDays(billingPeriod.start, billingPeriod.end);
+    if (days > MAX_BILLING_PERIOD_DAYS) {
+      return {
+        isValid: false,
+        error: `billingPeriod must not exceed ${MAX_BILLING_PERIOD_DAYS} days (one billing month), received: ${days} days`,
+        field: 'billingPeriod'
+      };
+    }
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates interruptible-rate terms and curtailment events
+ * @param {Object} interruptible - { contractedKw, discountPerKw, penaltyPerKw, forfeitDiscountOnMiss, events }
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateInterruptibleTerms = (interruptible) => {
+  const isNonNegativeNumber = (value) => typeof value === 'number' && !isNaN(value) && value >= 0;
+
+  if (!interruptible || typeof interruptible !== 'object' || Array.isArray(interruptible)) {
+    return { isValid: false, error: 'interruptible must be an object' };
+  }
+
+  const { contractedKw, discountPerKw, penaltyPerKw, forfeitDiscountOnMiss, events } = interruptible;
+
+  if (!isNonNegativeNumber(contractedKw) || contractedKw === 0 || contractedKw > VALIDATION_LIMITS.MAX_KW) {
+    return { isValid: false, error: `interruptible.contractedKw must be a positive number up to ${VALIDATION_LIMITS.MAX_KW}, received: ${contractedKw}` };
+  }
+  if (!isNonNegativeNumber(discountPerKw)) {
+    return { isValid: false, error: `interruptible.discountPerKw must be a non-negative number, received: ${discountPerKw}` };
+  }
+  if (penaltyPerKw !== undefined && !isNonNegativeNumber(penaltyPerKw)) {
+    return { isValid: false, error: `interruptible.penaltyPerKw must be a non-negative number, received: ${penaltyPerKw}` };
+  }
+  if (forfeitDiscountOnMiss !== undefined && typeof forfeitDiscountOnMiss !== 'boolean') {
+    return { isValid: false, error: 'interruptible.forfeitDiscountOnMiss must be a boolean' };
+  }
+
+  if (events === undefined) {
+    return { isValid: true };
+  }
+  if (!Array.isArray(events)) {
+    return { isValid: false, error: 'interruptible.events must be an array' };
+  }
+
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
+    if (!event || typeof event !== 'object') {
+      return { isValid: false, error: `interruptible.events[${i}] must be an object` };
+    }
+    if (!isValidDateKey(event.date)) {
+      return { isValid: false, error: `interruptible.events[${i}].date must be a valid date (YYYY-MM-DD), received: ${event.date}` };
+    }
+    if (event.requestedKw !== undefined && !isNonNegativeNumber(event.requestedKw)) {
+      return { isValid: false, error: `interruptible.events[${i}].requestedKw must be a non-negative number, received: ${event.requestedKw}` };
+    }
+    if (!isNonNegativeNumber(event.curtailedKw)) {
+      return { isValid: false, error: `interruptible.events[${i}].curtailedKw must be a non-negative number, received: ${event.curtailedKw}` };
+    }
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates standby (backup supply) terms and generator outage periods
+ * @param {Object} standby - { contractedKw, reservationRatePerKw, outages: [{ start, end }] }
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateStandbyTerms = (standby) => {
+  if (!standby || typeof standby !== 'object' || Array.isArray(standby)) {
+    return { isValid: false, error: 'standby must be an object' };
+  }
+
+  const { contractedKw, reservationRatePerKw, outages } = standby;
+
+  if (typeof contractedKw !== 'number' || isNaN(contractedKw) || contractedKw <= 0 || contractedKw > VALIDATION_LIMITS.MAX_KW) {
+    return { isValid: false, error: `standby.contractedKw must be a positive number up to ${VALIDATION_LIMITS.MAX_KW}, received: ${contractedKw}` };
+  }
+  if (reservationRatePerKw !== undefined &&
+    (typeof reservationRatePerKw !== 'number' || isNaN(reservationRatePerKw) || reservationRatePerKw < 0)) {
+    return { isValid: false, error: `standby.reservationRatePerKw must be a non-negative number, received: ${reservationRatePerKw}` };
+  }
+
+  if (outages === undefined) {
+    return { isValid: true };
+  }
+  if (!Array.isArray(outages)) {
+    return { isValid: false, error: 'standby.outages must be an array' };
+  }
+
+  for (let i = 0; i < outages.length; i++) {
+    const outage = outages[i] || {};
+    const start = parseTimestamp(outage.start);
+    const end = parseTimestamp(outage.end);
+    if (!start) {
+      return { isValid: false, error: `standby.outages[${i}].start must be a valid ISO 8601 timestamp` };
+    }
+    if (!end) {
+      return { isValid: false, error: `standby.outages[${i}].end must be a valid ISO 8601 timestamp` };
+    }
+    if (end <= start) {
+      return { isValid: false, error: `standby.outages[${i}].end must be after start` };
+    }
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates PPA contract discount terms
+ * @param {Object} contract - { discountPercent, componentDiscounts, floorPricePerKwh }
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validatePpaContract = (contract) => {
+  const isPercent = (value) => typeof value === 'number' && !isNaN(value) && value >= 0 && value <= 100;
+
+  if (!contract || typeof contract !== 'object' || Array.isArray(contract)) {
+    return { isValid: false, error: 'contract must be an object' };
+  }
+
+  const { discountPercent, componentDiscounts, floorPricePerKwh } = contract;
+
+  if (discountPercent === undefined && componentDiscounts === undefined) {
+    return { isValid: false, error: 'contract must define discountPercent or componentDiscounts' };
+  }
+  if (discountPercent !== undefined && !isPercent(discountPercent)) {
+    return { isValid: false, error: `contract.discountPercent must be between 0 and 100, received: ${discountPercent}` };
+  }
+
+  if (componentDiscounts !== undefined) {
+    if (!componentDiscounts || typeof componentDiscounts !== 'object' || Array.isArray(componentDiscounts)) {
+      return { isValid: false, error: 'contract.componentDiscounts must be an object' };
+    }
+    for (const [component, value] of Object.entries(componentDiscounts)) {
+      if (!PPA_COMPONENTS.includes(component)) {
+        return { isValid: false, error: `contract.componentDiscounts.${component} is not a bill component. Must be one of ${PPA_COMPONENTS.join(', ')}` };
+      }
+      if (!isPercent(value)) {
+        return { isValid: false, error: `contract.componentDiscounts.${component} must be between 0 and 100, received: ${value}` };
+      }
+    }
+  }
+
+  if (floorPricePerKwh !== undefined &&
+    (typeof floorPricePerKwh !== 'number' || isNaN(floorPricePerKwh) || floorPricePerKwh < 0)) {
+    return { isValid: false, error: `contract.floorPricePerKwh must be a non-negative number, received: ${floorPricePerKwh}` };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates a rooftop PV system for solar simulation
+ * Generation comes from the system's own readings or from its capacity.
+ * @param {Object} pv - { readings, capacityKwp, tiltDegrees, performanceRatio, exportRatePerKwh }
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validatePvSystem = (pv) => {
+  if (!pv || typeof pv !== 'object' || Array.isArray(pv)) {
+    return { isValid: false, error: 'pv must be an object' };
+  }
+
+  const { readings, capacityKwp, tiltDegrees, performanceRatio, exportRatePerKwh } = pv;
+  const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+  if (readings === undefined && capacityKwp === undefined) {
+    return { isValid: false, error: 'pv must define readings or capacityKwp' };
+  }
+  if (readings !== undefined && capacityKwp !== undefined) {
+    return { isValid: false, error: 'pv must define either readings or capacityKwp, not both' };
+  }
+  if (capacityKwp !== undefined && (!isNumber(capacityKwp) || capacityKwp <= 0)) {
+    return { isValid: false, error: `pv.capacityKwp must be a positive number, received: ${capacityKwp}` };
+  }
+  if (tiltDegrees !== undefined && (!isNumber(tiltDegrees) || tiltDegrees < 0 || tiltDegrees > 90)) {
+    return { isValid: false, error: `pv.tiltDegrees must be between 0 and 90, received: ${tiltDegrees}` };
+  }
+  if (performanceRatio !== undefined && (!isNumber(performanceRatio) || performanceRatio <= 0 || performanceRatio > 1)) {
+    return { isValid: false, error: `pv.performanceRatio must be greater than 0 and at most 1, received: ${performanceRatio}` };
+  }
+  if (exportRatePerKwh !== undefined && (!isNumber(exportRatePerKwh) || exportRatePerKwh < 0)) {
+    return { isValid: false, error: `pv.exportRatePerKwh must be a non-negative number, received: ${exportRatePerKwh}` };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates a battery storage system for battery simulation
+ * @param {Object} battery - { powerKw, capacityKwh, roundTripEfficiency, minSocPercent, maxSocPercent, initialSocPercent }
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateBatterySystem = (battery) => {
+  if (!battery || typeof battery !== 'object' || Array.isArray(battery)) {
+    return { isValid: false, error: 'battery must be an object' };
+  }
+
+  const {
+    powerKw,
+    capacityKwh,
+    roundTripEfficiency,
+    minSocPercent = BATTERY_DEFAULTS.MIN_SOC_PERCENT,
+    maxSocPercent = BATTERY_DEFAULTS.MAX_SOC_PERCENT,
+    initialSocPercent
+  } = battery;
+  const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+  const isPercent = (value) => isNumber(value) && value >= 0 && value <= 100;
+
+  if (!isNumber(powerKw) || powerKw <= 0) {
+    return { isValid: false, error: `battery.powerKw must be a positive number, received: ${powerKw}` };
+  }
+  if (!isNumber(capacityKwh) || capacityKwh <= 0) {
+    return { isValid: false, error: `battery.capacityKwh must be a positive number, received: ${capacityKwh}` };
+  }
+  if (roundTripEfficiency !== undefined &&
+    (!isNumber(roundTripEfficiency) || roundTripEfficiency <= 0 || roundTripEfficiency > 1)) {
+    return { isValid: false, error: `battery.roundTripEfficiency must be greater than 0 and at most 1, received: ${roundTripEfficiency}` };
+  }
+  if (!isPercent(minSocPercent) || !isPercent(maxSocPercent) || minSocPercent >= maxSocPercent) {
+    return { isValid: false, error: 'battery.minSocPercent and battery.maxSocPercent must be between 0 and 100, with the minimum below the maximum' };
+  }
+  if (initialSocPercent !== undefined &&
+    (!isNumber(initialSocPercent) || initialSocPercent < minSocPercent || initialSocPercent > maxSocPercent)) {
+    return { isValid: false, error: `battery.initialSocPercent must be between minSocPercent and maxSocPercent, received: ${initialSocPercent}` };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates a battery dispatch strategy
+ * @param {Object} strategy - { type, targetKw }
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateDispatchStrategy = (strategy) => {
+  const types = Object.values(BATTERY_STRATEGIES);
+
+  if (!strategy || typeof strategy !== 'object' || Array.isArray(strategy)) {
+    return { isValid: false, error: 'strategy must be an object' };
+  }
+  if (!types.includes(strategy.type)) {
+    return { isValid: false, error: `strategy.type must be one of ${types.join(', ')}, received: ${strategy.type}` };
+  }
+  if (strategy.type === BATTERY_STRATEGIES.PEAK_SHAVE &&
+    (typeof strategy.targetKw !== 'number' || isNaN(strategy.targetKw) || strategy.targetKw < 0)) {
+    return { isValid: false, error: `strategy.targetKw must be a non-negative number, received: ${strategy.targetKw}` };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates a power factor analysis request
+ * @param {Object} input - { peakKw, peakKvar, targetPowerFactor, stepKvar, costPerKvar }
+ * @returns {Object} - { isValid: boolean, error?: string, field?: string }
+ */
+const validatePowerFactorInput = (input) => {
+  const { peakKw, peakKvar, targetPowerFactor, stepKvar, costPerKvar } = input;
+  const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+  // Lowest power factor charged no penalty
+  const thresholdPowerFactor = 1 / Math.sqrt(1 + PF_THRESHOLD_FACTOR * PF_THRESHOLD_FACTOR);
+
+  if (!isNumber(peakKw) || peakKw <= 0 || peakKw > VALIDATION_LIMITS.MAX_KW) {
+    return {
+      isValid: false,
+      error: `peakKw must be greater than 0 and at most ${VALIDATION_LIMITS.MAX_KW}, received: ${peakKw}`,
+      field: 'peakKw'
+    };
+  }
+  if (!isNumber(peakKvar) || peakKvar < VALIDATION_LIMITS.MIN_KVAR || peakKvar > VALIDATION_LIMITS.MAX_KVAR) {
+    return {
+      isValid: false,
+      error: `peakKvar must be between ${VALIDATION_LIMITS.MIN_KVAR} and ${VALIDATION_LIMITS.MAX_KVAR}, received: ${peakKvar}`,
+      field: 'peakKvar'
+    };
+  }
+  if (targetPowerFactor !== undefined &&
+    (!isNumber(targetPowerFactor) || targetPowerFactor < Number(thresholdPowerFactor.toFixed(2)) || targetPowerFactor > 1)) {
+    return {
+      isValid: false,
+      error: `targetPowerFactor must be between ${thresholdPowerFactor.toFixed(2)} and 1, received: ${targetPowerFactor}`,
+      field: 'targetPowerFactor'
+    };
+  }
+  if (stepKvar !== undefined && !CAPACITOR_STEP_SIZES_KVAR.includes(stepKvar)) {
+    return {
+      isValid: false,
+      error: `stepKvar must be one of ${CAPACITOR_STEP_SIZES_KVAR.join(', ')}, received: ${stepKvar}`,
+      field: 'stepKvar'
+    };
+  }
+  if (costPerKvar !== undefined && (!isNumber(costPerKvar) || costPerKvar < 0)) {
+    return { isValid: false, error: `costPerKvar must be a non-negative number, received: ${costPerKvar}`, field: 'costPerKvar' };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates EV charging sessions
+ * Sessions may overlap, as one meter can supply several chargers.
+ * @param {Array} sessions - [{ id, start, end, kwh }]
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateChargingSessions = (sessions) => {
+  if (!Array.isArray(sessions) || sessions.length === 0) {
+    return { isValid: false, error: 'sessions must be a non-empty array' };
+  }
+  if (sessions.length > VALIDATION_LIMITS.MAX_CHARGING_SESSIONS) {
+    return { isValid: false, error: `sessions must not exceed ${VALIDATION_LIMITS.MAX_CHARGING_SESSIONS} sessions` };
+  }
+
+  const seenIds = new Set();
+  for (let i = 0; i < sessions.length; i++) {
+    const session = sessions[i];
+    if (!session || typeof session !== 'object' || Array.isArray(session)) {
+      return { isValid: false, error: `sessions[${i}] must be an object with id, start, end and kwh` };
+    }
+
+    if ((typeof session.id !== 'string' || session.id.length === 0) && typeof session.id !== 'number') {
+      return { isValid: false, error: `sessions[${i}].id must be a non-empty string or a number` };
+    }
+    if (seenIds.has(String(session.id))) {
+      return { isValid: false, error: `sessions[${i}].id is duplicated: ${session.id}` };
+    }
+    seenIds.add(String(session.id));
+
+    const start = parseTimestamp(session.start);
+    if (!start) {
+      return { isValid: false, error: `sessions[${i}].start must be a valid ISO 8601 timestamp` };
+    }
+    const end = parseTimestamp(session.end);
+    if (!end) {
+      return { isValid: false, error: `sessions[${i}].end must be a valid ISO 8601 timestamp` };
+    }
+    if (end <= start) {
+      return { isValid: false, error: `sessions[${i}].end must be after start` };
+    }
+
+    if (typeof session.kwh !== 'number' || isNaN(session.kwh)) {
+      return { isValid: false, error: `sessions[${i}].kwh must be a valid number` };
+    }
+    if (session.kwh < VALIDATION_LIMITS.MIN_KWH) {
+      return { isValid: false, error: `sessions[${i}].kwh must be a positive number, received: ${session.kwh}` };
+    }
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates the flexible loads of a load shifting request
+ * Each load runs once a day for durationMinutes from currentStart; windows
+ * (HH:MM, default the whole day) limit where it may be moved, and a window
+ * ending at or before its start runs past midnight.
+ * @param {Array} loads - [{ id, kw, durationMinutes, currentStart, windows: [{ start, end }] }]
+ * @param {number} intervalMinutes - Interval length of the readings
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateFlexibleLoads = (loads, intervalMinutes = DEFAULT_INTERVAL_MINUTES) => {
+  if (!Array.isArray(loads) || loads.length === 0) {
+    return { isValid: false, error: 'flexibleLoads must be a non-empty array' };
+  }
+  if (loads.length > VALIDATION_LIMITS.MAX_FLEXIBLE_LOADS) {
+    return { isValid: false, error: `flexibleLoads must not exceed ${VALIDATION_LIMITS.MAX_FLEXIBLE_LOADS} loads` };
+  }
+
+  const minutesPerDay = 24 * 60;
+  const seenIds = new Set();
+  for (let i = 0; i < loads.length; i++) {
+    const load = loads[i];
+    if (!load || typeof load !== 'object' || Array.isArray(load)) {
+      return { isValid: false, error: `flexibleLoads[${i}] must be an object with id, kw, durationMinutes and currentStart` };
+    }
+
+    if ((typeof load.id !== 'string' || load.id.length === 0) && typeof load.id !== 'number') {
+      return { isValid: false, error: `flexibleLoads[${i}].id must be a non-empty string or a number` };
+    }
+    if (seenIds.has(String(load.id))) {
+      return { isValid: false, error: `flexibleLoads[${i}].id is duplicated: ${load.id}` };
+    }
+    seenIds.add(String(load.id));
+
+    if (typeof load.kw !== 'number' || isNaN(load.kw) || load.kw <= VALIDATION_LIMITS.MIN_KW || load.kw > VALIDATION_LIMITS.MAX_KW) {
+      return {
+        isValid: false,
+        error: `flexibleLoads[${i}].kw must be greater than ${VALIDATION_LIMITS.MIN_KW} and at most ${VALIDATION_LIMITS.MAX_KW}, received: ${load.kw}`
+      };
+    }
+
+    const { durationMinutes } = load;
+    if (!Number.isInteger(durationMinutes) || durationMinutes <= 0 || durationMinutes > minutesPerDay ||
+      durationMinutes % intervalMinutes !== 0) {
+      return {
+        isValid: false,
+        error: `flexibleLoads[${i}].durationMinutes must be a whole number of ${intervalMinutes}-minute intervals up to ${minutesPerDay}, received: ${durationMinutes}`
+      };
+    }
+
+    const currentStart = parseTimeOfDay(load.currentStart);
+    if (currentStart === null || currentStart === minutesPerDay || currentStart % intervalMinutes !== 0) {
+      return {
+        isValid: false,
+        error: `flexibleLoads[${i}].currentStart must be a time (HH:MM) on a ${intervalMinutes}-minute interval boundary, received: ${load.currentStart}`
+      };
+    }
+
+    if (load.windows === undefined) {
+      continue;
+    }
+    if (!Array.isArray(load.windows) || load.windows.length === 0) {
+      return { isValid: false, error: `flexibleLoads[${i}].windows must be a non-empty array` };
+    }
+    for (let j = 0; j < load.windows.length; j++) {
+      const window = load.windows[j] || {};
+      const start = parseTimeOfDay(window.start);
+      const end = parseTimeOfDay(window.end);
+      if (start === null || end === null || start === minutesPerDay) {
+        return { isValid: false, error: `flexibleLoads[${i}].windows[${j}] must have start and end times (HH:MM)` };
+      }
+      const length = end > start ? end - start : end + minutesPerDay - start;
+      if (length < durationMinutes) {
+        return { isValid: false, error: `flexibleLoads[${i}].windows[${j}] is shorter than durationMinutes` };
+      }
+    }
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates a customer profile for calculation type classification
+ * @param {Object} profile - { businessCategory, monthlyPeakKw, averageMonthlyKwh }
+ * @returns {Object} - { isValid: boolean, error?: string, field?: string }
+ */
+const validateEligibilityProfile = (profile) => {
+  const { businessCategory, monthlyPeakKw, averageMonthlyKwh } = profile;
+  const categories = Object.values(BUSINESS_CATEGORIES);
+
+  if (!categories.includes(businessCategory)) {
+    return {
+      isValid: false,
+      error: `businessCategory must be one of ${categories.join(', ')}, received: ${businessCategory}`,
+      field: 'businessCategory'
+    };
+  }
+
+  if (!Array.isArray(monthlyPeakKw) || monthlyPeakKw.length === 0 || monthlyPeakKw.length > ELIGIBILITY_HISTORY_MONTHS) {
+    return {
+      isValid: false,
+      error: `monthlyPeakKw must be an array of 1 to ${ELIGIBILITY_HISTORY_MONTHS} monthly peak demands (kW)`,
+      field: 'monthlyPeakKw'
+    };
+  }
+  for (let i = 0; i < monthlyPeakKw.length; i++) {
+    const value = monthlyPeakKw[i];
+    if (typeof value !== 'number' || isNaN(value) || value < 0) {
+      return { isValid: false, error: `monthlyPeakKw[${i}] must be a non-negative number, received: ${value}`, field: 'monthlyPeakKw' };
+    }
+  }
+
+  const energyValidation = validateNumericValue(averageMonthlyKwh, 'averageMonthlyKwh');
+  if (!energyValidation.isValid) {
+    return { ...energyValidation, field: 'averageMonthlyKwh' };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates the request of a simulation billed from interval readings
+ * Checks the required fields, that persist is not requested, the
+ * calculation type and the load readings.
+ * @param {Object} body - Request body
+ * @param {Object} options - { requiredFields, calculationTypes, operation }
+ * @returns {Object} - { isValid: boolean, error?: string, field?: string }
+ */
+const validateIntervalScenarioRequest = (body, { requiredFields, calculationTypes, operation }) => {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+    return { isValid: false, error: 'Request body is required' };
+  }
+
+  for (const field of requiredFields) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') {
+      return { isValid: false, error: `Missing required field: ${field}`, field };
+    }
+  }
+
+  const persistValidation = validateNotPersisted(body.persist, operation);
+  if (!persistValidation.isValid) {
+    return { ...persistValidation, field: 'persist' };
+  }
+
+  if (!calculationTypes.includes(body.calculationType)) {
+    return {
+      isValid: false,
+      error: `calculationType must be one of ${calculationTypes.join(', ')}, received: ${body.calculationType}`,
+      field: 'calculationType'
+    };
+  }
+
+  const readingsValidation = validateIntervalReadings(body.readings, body.intervalMinutes, body.timestampAt);
+  if (!readingsValidation.isValid) {
+    return { ...readingsValidation, field: 'readings' };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Validates that a request does not ask to store its result
+ * Only endpoints responding with a single bill can persist it.
+ * @param {*} persist - Requested persist flag
+ * @param {string} operation - What the endpoint does, for the error message
+ * @returns {Object} - { isValid: boolean, error?: string }
+ */
+const validateNotPersisted = (persist, operation) => {
+  if (persist !== undefined && persist !== false) {
+    return {
+      isValid: false,
+      error: `persist is not available for ${operation}; store bills through the calculate endpoints`
+    };
+  }
+
+  return { isValid: true };
+};
+
+/**
+ * Gets the tariff types offered for a calculation type
+ * @param {string} calculationType - Calculation type
+ * @returns {Array} - Valid tariff types
+ */
+const getValidTariffTypes = (calculationType) => {
+  const validTypes = {
+    'type-1': ['normal', 'tou'],
+    'type-2': ['normal', 'tou'],
+    'type-3': ['normal', 'tou'],
+    'type-4': ['tod', 'tou'],
+    'type-5': ['normal', 'tou'],
+    'type-6': ['normal', 'tou'],
+    'type-7': ['normal', 'tou'],
+    'type-8': ['normal'],
+    'ev-charger': ['tou']
+  };
+  return validTypes[calculationType] || [];
+};
+
+/**
+ * Gets the name of a calculation type for error messages
+ * @param {string} calculationType - Calculation type
+ * @returns {string} - e.g. "Type 2" or "EV charger"
+ */
+const getCalculationTypeLabel = (calculationType) => {
+  if (calculationType === 'ev-charger') {
+    return 'EV charger';
+  }
+  return `Type ${calculationType.replace('type-', '')}`;
+};
+
 /**
  * Gets tariff type error message
  * @param {string} calculationType - Calculation type
@@ -321,9 +1002,8 @@ const validateUsageFields = (usage, tariffType, calculationType) => {
  * @returns {string} - Error message
  */
 const getTariffTypeErrorMessage = (calculationType, tariffType) => {
-  const typeNumber = calculationType.replace('type-', '');
-  const validTypes = calculationType === 'type-4' ? ['tod', 'tou'] : ['normal', 'tou'];
-  return `Invalid tariff type for Type ${typeNumber}. Must be "${validTypes.join('" or "')}", received: ${tariffType}`;
+  const validTypes = getValidTariffTypes(calculationType);
+  return `Invalid tariff type for ${getCalculationTypeLabel(calculationType)}. Must be "${validTypes.join('" or "')}", received: ${tariffType}`;
 };
 
 /**
@@ -335,7 +1015,6 @@ const getTariffTypeErrorMessage = (calculationType, tariffType) => {
  * @returns {string} - Error message
  */
 const getVoltageLevelErrorMessage = (calculationType, tariffType, voltageLevel, provider) => {
-  const typeNumber = calculationType.replace('type-', '');
   const validLevels = provider === 'mea' 
     ? ['>=69kV', '12-24kV', '<12kV']
     : ['>=69kV', '22-33kV', '<22kV'];
@@ -343,7 +1022,7 @@ const getVoltageLevelErrorMessage = (calculationType, tariffType, voltageLevel,
   const levelsText = validLevels.length > 1 
     ? `"${validLevels.slice(0, -1).join('", "')}", or "${validLevels[validLevels.length - 1]}"`
     : `"${validLevels[0]}"`;
-  return `Invalid voltage level for Type ${typeNumber} ${tariffType}. Must be ${levelsText}, received: ${voltageLevel}`;
+  return `Invalid voltage level for ${getCalculationTypeLabel(calculationType)} ${tariffType}. Must be ${levelsText}, received: ${voltageLevel}`;
 };
 
 module.exports = {
@@ -352,6 +1031,22 @@ module.exports = {
   validateTariffType,
   validateNumericValue,
   validateUsageFields,
+  validateKwhHistory,
+  validateIntervalReadings,
+  validateBillingDates,
+  validateInterruptibleTerms,
+  validateStandbyTerms,
+  validatePpaContract,
+  validatePvSystem,
+  validateBatterySystem,
+  validateDispatchStrategy,
+  validateChargingSessions,
+  validateFlexibleLoads,
+  validatePowerFactorInput,
+  validateEligibilityProfile,
+  validateNotPersisted,
+  validateIntervalScenarioRequest,
+  getValidTariffTypes,
   getTariffTypeErrorMessage,
   getVoltageLevelErrorMessage,
   sanitizeAndValidateInput,
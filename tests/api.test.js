@@ -165,7 +165,7 @@ describe('MEA Electricity Bill Calculation API', () => {
         expect(response.body).toHaveProperty('error', 'Missing required field: voltageLevel');
       });
 
-      test('should return 400 for missing ftRateSatang', async () => {
+      test('should resolve a missing ftRateSatang from the Ft schedule', async () => {
         const response = await request(server)
           .post(baseUrl)
           .send({
@@ -176,8 +176,8 @@ describe('MEA Electricity Bill Calculation API', () => {
             }
           });
 
-        expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.status).toBe(200);
+        expect(response.body.ftRate.source).not.toBe('request');
       });
 
       test('should return 400 for missing usage', async () => {
@@ -949,7 +949,7 @@ describe('PEA Electricity Bill Calculation API', () => {
         expect(response.body).toHaveProperty('error', 'Missing required field: voltageLevel');
       });
 
-      test('should return 400 for missing ftRateSatang', async () => {
+      test('should resolve a missing ftRateSatang from the Ft schedule', async () => {
         const response = await request(server)
           .post(baseUrl)
           .send({
@@ -960,8 +960,8 @@ describe('PEA Electricity Bill Calculation API', () => {
             }
           });
 
-        expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.status).toBe(200);
+        expect(response.body.ftRate.source).not.toBe('request');
       });
 
       test('should return 400 for missing usage', async () => {
@@ -1383,7 +1383,7 @@ describe('PEA Electricity Bill Calculation API', () => {
         expect(response.body).toHaveProperty('error', 'Missing required field: voltageLevel');
       });
 
-      test('should return 400 for missing ftRateSatang', async () => {
+      test('should resolve a missing ftRateSatang from the Ft schedule', async () => {
         const response = await request(server)
           .post(baseUrl)
           .send({
@@ -1397,8 +1397,8 @@ describe('PEA Electricity Bill Calculation API', () => {
             }
           });
 
-        expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.status).toBe(200);
+        expect(response.body.ftRate.source).not.toBe('request');
       });
 
       test('should return 400 for missing peakKvar', async () => {
@@ -1750,7 +1750,7 @@ describe('PEA Electricity Bill Calculation API', () => {
         expect(response.body).toHaveProperty('error', 'Missing required field: voltageLevel');
       });
 
-      test('should return 400 for missing ftRateSatang', async () => {
+      test('should resolve a missing ftRateSatang from the Ft schedule', async () => {
         const response = await request(server)
           .post(baseUrl)
           .send({
@@ -1766,8 +1766,8 @@ describe('PEA Electricity Bill Calculation API', () => {
             }
           });
 
-        expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.status).toBe(200);
+        expect(response.body.ftRate.source).not.toBe('request');
       });
 
       test('should return 400 for missing peakKvar', async () => {
@@ -0,0 +1,217 @@
+/**
+ * Battery Storage Simulation Tests
+ * Test suite for peak-shaving and TOU arbitrage dispatch and the bill impact
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+/**
+ * Generate one day of 15-minute readings in Thailand local time
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {Function} kwAt - Returns average kW for the interval starting at hour (fractional)
+ * @returns {Array} readings
+ */
+const generateDayReadings = (date, kwAt) => {
+  const readings = [];
+  for (let minutes = 0; minutes < 24 * 60; minutes += 15) {
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    readings.push({
+      timestamp: `${date}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00`,
+      kwh: kwAt(minutes / 60) / 4
+    });
+  }
+  return readings;
+};
+
+// 300 kW in the TOD on-peak window, 200 kW in partial peak, 100 kW off-peak
+const eveningPeakLoad = (hour) => {
+  if (hour >= 18.5 && hour < 21.5) {
+    return 300;
+  }
+  return hour >= 8 && hour < 18.5 ? 200 : 100;
+};
+
+describe('Battery Storage Simulation API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const type4Request = {
+    calculationType: 'type-4',
+    tariffType: 'tod',
+    voltageLevel: '<12kV',
+    ftRateSatang: 39.72,
+    peakKvar: 0,
+    highestDemandChargeLast12m: 0,
+    readings: [
+      ...generateDayReadings('2024-03-04', eveningPeakLoad),
+      ...generateDayReadings('2024-03-05', eveningPeakLoad)
+    ],
+    battery: { powerKw: 100, capacityKwh: 400 }
+  };
+
+  describe('Peak Shaving', () => {
+    test('should hold demand at the target and cut the on-peak demand charge', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, strategy: { type: 'peak-shave', targetKw: 220 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.dispatch).toMatchObject({
+        peakKwBefore: 300,
+        peakKwAfter: 220,
+        targetMissedIntervals: 0
+      });
+      expect(response.body.baseline.usage.on_peak_kw).toBe(300);
+      expect(response.body.withBattery.usage.on_peak_kw).toBe(220);
+      expect(response.body.withBattery.usage.partial_peak_kw).toBe(200);
+      // 80 kW off the on-peak demand at 352.71 baht/kW
+      expect(response.body.savings.demand).toBeCloseTo(80 * 352.71, 1);
+    });
+
+    test('should only recharge in off-peak intervals', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, strategy: { type: 'peak-shave', targetKw: 220 } });
+
+      const charging = response.body.intervals.filter((interval) => interval.batteryKwh > 0);
+      expect(charging.length).toBeGreaterThan(0);
+      expect(charging.every((interval) => interval.period === 'off_peak')).toBe(true);
+      expect(Math.max(...response.body.intervals.map((interval) => interval.gridKwh))).toBeLessThanOrEqual(55);
+    });
+
+    test('should report the intervals the battery could not hold to the target', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, battery: { powerKw: 100, capacityKwh: 100 }, strategy: { type: 'peak-shave', targetKw: 220 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.dispatch.targetMissedIntervals).toBeGreaterThan(0);
+      expect(response.body.dispatch.peakKwAfter).toBe(300);
+    });
+
+    test('should track state of charge within its limits and account for losses', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, strategy: { type: 'peak-shave', targetKw: 220 } });
+
+      const { dispatch, intervals } = response.body;
+      expect(intervals).toHaveLength(192);
+      expect(intervals[0]).toMatchObject({ start: '2024-03-04T00:00:00+07:00', period: 'off_peak', loadKwh: 25 });
+      expect(Math.min(...intervals.map((interval) => interval.socPercent))).toBeGreaterThanOrEqual(10);
+      expect(dispatch.battery).toEqual({
+        powerKw: 100,
+        capacityKwh: 400,
+        roundTripEfficiency: 0.9,
+        minSocPercent: 10,
+        maxSocPercent: 100,
+        initialSocPercent: 100
+      });
+
+      const socChangeKwh = ((dispatch.finalSocPercent - 100) / 100) * 400;
+      expect(dispatch.chargedKwh - dispatch.dischargedKwh - dispatch.lossesKwh).toBeCloseTo(socChangeKwh, 1);
+      expect(response.body.withBattery.usage.total_kwh - response.body.baseline.usage.total_kwh)
+        .toBeCloseTo(dispatch.chargedKwh - dispatch.dischargedKwh, 2);
+    });
+  });
+
+  describe('TOU Arbitrage', () => {
+    test('should charge off-peak and discharge on-peak', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, tariffType: 'tou', strategy: { type: 'tou-arbitrage' } });
+
+      expect(response.status).toBe(200);
+      const { intervals } = response.body;
+      expect(intervals.filter((interval) => interval.batteryKwh < 0).every((interval) => interval.period === 'on_peak')).toBe(true);
+      expect(intervals.filter((interval) => interval.batteryKwh > 0).every((interval) => interval.period === 'off_peak')).toBe(true);
+      expect(response.body.withBattery.usage.on_peak_kwh).toBeLessThan(response.body.baseline.usage.on_peak_kwh);
+      expect(response.body.dispatch.targetMissedIntervals).toBeNull();
+    });
+
+    test('should break the bill impact into components', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, strategy: { type: 'tou-arbitrage' } });
+
+      const { savings, baseline, withBattery } = response.body;
+      expect(savings.total).toBeCloseTo(baseline.result.grandTotal - withBattery.result.grandTotal, 2);
+      expect(savings.energy + savings.demand + savings.pf + savings.service + savings.ft + savings.vat)
+        .toBeCloseTo(savings.total, 1);
+    });
+
+    test('should reject arbitrage on a normal tariff', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/battery')
+        .send({ ...type4Request, calculationType: 'type-3', tariffType: 'normal', voltageLevel: '<22kV', strategy: { type: 'tou-arbitrage' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('tou-arbitrage needs a tou or tod tariff');
+    });
+  });
+
+  describe('Validation', () => {
+    test('should require a strategy', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send(type4Request);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: strategy');
+    });
+
+    test('should reject an unknown strategy', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, strategy: { type: 'backup' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('strategy.type must be one of peak-shave, tou-arbitrage, received: backup');
+    });
+
+    test('should require a target for peak shaving', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, strategy: { type: 'peak-shave' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('strategy.targetKw must be a non-negative number, received: undefined');
+    });
+
+    test('should reject a battery without capacity', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, battery: { powerKw: 100 }, strategy: { type: 'tou-arbitrage' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('battery.capacityKwh must be a positive number, received: undefined');
+    });
+
+    test('should reject an initial state of charge outside the limits', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, battery: { powerKw: 100, capacityKwh: 400, initialSocPercent: 5 }, strategy: { type: 'tou-arbitrage' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('battery.initialSocPercent must be between minSocPercent and maxSocPercent, received: 5');
+    });
+
+    test('should reject persist', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/battery')
+        .send({ ...type4Request, persist: true, strategy: { type: 'tou-arbitrage' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('persist');
+      expect(response.body.error).toBe('persist is not available for battery simulations; store bills through the calculate endpoints');
+    });
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Bill History Tests
+ * Test suite for persisting, searching and recalculating bills
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bill-store-'));
+process.env.BILL_STORE_FILE = path.join(storeDir, 'bills.json');
+process.env.CUSTOMER_STORE_FILE = path.join(storeDir, 'customers.json');
+process.env.DEMAND_HISTORY_STORE_FILE = path.join(storeDir, 'demand-history.json');
+
+const app = require('../../src/app');
+const rateScheduleService = require('../../src/services/rate-schedule.service');
+const { MEA_RATES } = require('../../src/config/mea-rates');
+
+describe('Bill History API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  const type2Request = {
+    tariffType: 'normal',
+    voltageLevel: '12-24kV',
+    ftRateSatang: 19.72,
+    asOfDate: '2032-02-01',
+    usage: { total_kwh: 1000 }
+  };
+
+  let type2BillId;
+
+  describe('Persistence', () => {
+    test('should store a calculation when persist is true', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ ...type2Request, persist: true });
+
+      expect(response.status).toBe(200);
+      expect(typeof response.body.billId).toBe('string');
+      type2BillId = response.body.billId;
+
+      const billResponse = await request(server).get(`/api/bills/${type2BillId}`);
+      expect(billResponse.status).toBe(200);
+      expect(billResponse.body).toMatchObject({
+        id: type2BillId,
+        customerId: null,
+        provider: 'mea',
+        calculationType: 'type-2',
+        period: { start: '2032-02-01', end: '2032-02-01' },
+        input: type2Request,
+        rateVersion: { id: 'mea-2015-09' },
+        ftRate: { rateSatang: 19.72, source: 'request' }
+      });
+      expect(billResponse.body.result.totalBill).toBe(response.body.totalBill);
+      expect(billResponse.body.result.success).toBeUndefined();
+    });
+
+    test('should not store a calculation by default', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send(type2Request);
+
+      expect(response.status).toBe(200);
+      expect(response.body.billId).toBeUndefined();
+    });
+
+    test('should reject a non-boolean persist', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ ...type2Request, persist: 'yes' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('persist must be a boolean, received: yes');
+    });
+
+    test('should store PPA bills under the ppa calculation type', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/ppa')
+        .send({ ...type2Request, calculationType: 'type-2', contract: { discountPercent: 10 }, persist: true });
+
+      expect(response.status).toBe(200);
+
+      const billResponse = await request(server).get(`/api/bills/${response.body.billId}`);
+      expect(billResponse.body.calculationType).toBe('ppa');
+      expect(billResponse.body.input.contract).toEqual({ discountPercent: 10 });
+      expect(billResponse.body.rateVersion.id).toBe('mea-2015-09');
+    });
+
+    test('should store customer bills with the customer id', async () => {
+      await request(server)
+        .post('/api/customers')
+        .send({
+          id: 'BILL-CUST',
+          provider: 'pea',
+          calculationType: 'type-3',
+          voltageLevel: '<22kV',
+          tariffType: 'normal',
+          contract: { peakKvar: 0, highestDemandChargeLast12m: 0 }
+        });
+
+      const response = await request(server)
+        .post('/api/customers/BILL-CUST/bills')
+        .send({
+          billingPeriod: { start: '2024-01-16', end: '2024-02-15' },
+          usage: { peak_kw: 100, total_kwh: 31000 },
+          persist: true
+        });
+
+      expect(response.status).toBe(200);
+
+      const billResponse = await request(server).get(`/api/bills/${response.body.billId}`);
+      expect(billResponse.body).toMatchObject({
+        customerId: 'BILL-CUST',
+        provider: 'pea',
+        calculationType: 'type-3',
+        period: { start: '2024-01-16', end: '2024-02-15' },
+        ftRate: { periodId: '2024-01' }
+      });
+    });
+
+    test('should return 404 for an unknown bill', async () => {
+      const response = await request(server).get('/api/bills/unknown');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Bill not found: unknown');
+    });
+  });
+
+  describe('Search', () => {
+    test('should search by customer', async () => {
+      const response = await request(server).get('/api/bills?customerId=BILL-CUST');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.bills[0].customerId).toBe('BILL-CUST');
+    });
+
+    test('should search by provider and calculation type', async () => {
+      const response = await request(server).get('/api/bills?provider=mea&calculationType=type-2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.bills.map((bill) => bill.id)).toEqual([type2BillId]);
+    });
+
+    test('should search by overlapping period', async () => {
+      const response = await request(server).get('/api/bills?from=2024-02-01&to=2024-02-29');
+
+      expect(response.status).toBe(200);
+      expect(response.body.bills.map((bill) => bill.customerId)).toEqual(['BILL-CUST']);
+
+      const laterResponse = await request(server).get('/api/bills?from=2032-01-01');
+      expect(laterResponse.body.count).toBe(2);
+    });
+
+    test('should reject an invalid date filter', async () => {
+      const response = await request(server).get('/api/bills?from=2024-02-30');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('from must be a valid date (YYYY-MM-DD), received: 2024-02-30');
+    });
+  });
+
+  describe('Recalculation', () => {
+    test('should report no differences when rates are unchanged', async () => {
+      const response = await request(server).post(`/api/bills/${type2BillId}/recalculate`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.differences).toEqual([]);
+    });
+
+    test('should diff a bill against corrected rates', async () => {
+      rateScheduleService.register('mea', {
+        id: 'mea-2032-01',
+        label: 'Corrected tariff',
+        effectiveFrom: '2032-01-01',
+        rates: {
+          ...MEA_RATES,
+          TYPE_2: {
+            ...MEA_RATES.TYPE_2,
+            normal: {
+              ...MEA_RATES.TYPE_2.normal,
+              '12-24kV': { serviceCharge: 312.24, energyRate: 4.0 }
+            }
+          }
+        },
+        serviceCharge: 312.24
+      });
+
+      const response = await request(server).post(`/api/bills/${type2BillId}/recalculate`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.recalculated.rateVersion.id).toBe('mea-2032-01');
+      expect(response.body.differences).toContainEqual({
+        field: 'energyCharge',
+        original: 3908.6,
+        recalculated: 4000,
+        change: 91.4
+      });
+      expect(response.body.differences.map((difference) => difference.field)).toEqual(
+        expect.arrayContaining(['baseTariff', 'vat', 'totalBill'])
+      );
+    });
+  });
+});
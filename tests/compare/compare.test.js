@@ -0,0 +1,280 @@
+/**
+ * Tariff Comparison Tests
+ * Test suite for ranking tariff options for one usage profile
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+/**
+ * Generate one day of hourly readings in Thailand local time
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {Function} kwhAt - Returns kWh for the interval starting at hour
+ * @returns {Array} readings
+ */
+const generateHourlyReadings = (date, kwhAt = () => 1) => {
+  const readings = [];
+  for (let hour = 0; hour < 24; hour++) {
+    readings.push({ timestamp: `${date}T${String(hour).padStart(2, '0')}:00:00`, kwh: kwhAt(hour) });
+  }
+  return readings;
+};
+
+describe('Tariff Comparison API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const type3Request = {
+    calculationType: 'type-3',
+    ftRateSatang: 39.72,
+    peakKvar: 0,
+    highestDemandChargeLast12m: 0,
+    usage: {
+      on_peak_kwh: 8000,
+      off_peak_kwh: 12000,
+      on_peak_kw: 80,
+      off_peak_kw: 100
+    }
+  };
+
+  describe('Ranking', () => {
+    test('should rank every tariff type and voltage level by total bill', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send(type3Request);
+
+      expect(response.status).toBe(200);
+      expect(response.body.options).toHaveLength(6);
+      expect(response.body.options.map((option) => option.rank)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(response.body.options[0]).toMatchObject({ tariffType: 'tou', voltageLevel: '>=69kV', differenceFromCheapest: 0 });
+
+      const bills = response.body.options.map((option) => option.totalBill);
+      expect(bills).toEqual([...bills].sort((a, b) => a - b));
+      expect(response.body.current).toBeNull();
+      expect(response.body.options[0].monthlySavings).toBeNull();
+      expect(response.body.unavailable).toEqual([]);
+    });
+
+    test('should price each option the same as the calculate endpoint', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send(type3Request);
+
+      const normal = response.body.options.find((option) => option.tariffType === 'normal' && option.voltageLevel === '<22kV');
+      const calculated = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<22kV',
+          ftRateSatang: 39.72,
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          usage: { total_kwh: 20000, peak_kw: 100 }
+        });
+
+      expect(normal.totalBill).toBe(calculated.body.grandTotal);
+      expect(normal.result.energyCharge).toBe(calculated.body.energyCharge);
+    });
+
+    test('should limit the comparison to the requested voltage levels', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send({ ...type3Request, voltageLevels: ['<22kV'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.options.map((option) => option.voltageLevel)).toEqual(['<22kV', '<22kV']);
+    });
+  });
+
+  describe('Savings', () => {
+    test('should report monthly and annualized savings against the current option', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send({ ...type3Request, tariffType: 'normal', voltageLevel: '<22kV' });
+
+      expect(response.status).toBe(200);
+      const current = response.body.options.find((option) => option.tariffType === 'normal' && option.voltageLevel === '<22kV');
+      expect(response.body.current).toEqual({ tariffType: 'normal', voltageLevel: '<22kV', totalBill: current.totalBill });
+      expect(current.monthlySavings).toBe(0);
+
+      const tou = response.body.options.find((option) => option.tariffType === 'tou' && option.voltageLevel === '<22kV');
+      expect(tou.monthlySavings).toBeCloseTo(current.totalBill - tou.totalBill, 2);
+      expect(tou.annualizedSavings).toBeCloseTo(tou.monthlySavings * 12, 1);
+      expect(response.body.periodDays).toBeNull();
+    });
+  });
+
+  describe('Break-even', () => {
+    test('should find the on-peak share at which normal and TOU cost the same', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send({ ...type3Request, voltageLevels: ['<22kV'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.breakEven).toHaveLength(1);
+
+      const [breakEven] = response.body.breakEven;
+      expect(breakEven).toMatchObject({
+        voltageLevel: '<22kV',
+        tariffTypes: ['normal', 'tou'],
+        currentOnPeakShare: 0.4,
+        touCheaper: true
+      });
+
+      const onPeakKwh = 20000 * breakEven.onPeakShare;
+      const tou = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<22kV',
+          ftRateSatang: 39.72,
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          usage: { on_peak_kwh: onPeakKwh, off_peak_kwh: 20000 - onPeakKwh, on_peak_kw: 80, off_peak_kw: 100 }
+        });
+      const normal = response.body.options.find((option) => option.tariffType === 'normal');
+
+      expect(Math.abs(tou.body.grandTotal - normal.totalBill)).toBeLessThan(5);
+    });
+  });
+
+  describe('Interval Readings', () => {
+    test('should include TOD when the profile is interval readings', async () => {
+      const response = await request(server)
+        .post('/api/mea/compare')
+        .send({
+          calculationType: 'type-4',
+          ftRateSatang: 19.72,
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          voltageLevels: ['<12kV'],
+          intervalMinutes: 60,
+          readings: generateHourlyReadings('2024-01-08', (hour) => (hour >= 9 && hour < 22 ? 20 : 10))
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.options.map((option) => option.tariffType).sort()).toEqual(['tod', 'tou']);
+      expect(response.body.unavailable).toEqual([]);
+      expect(response.body.intervalSummary.totalKwh).toBe(370);
+      expect(response.body.breakEven[0]).toMatchObject({ tariffTypes: ['tod', 'tou'], touCheaper: true });
+      expect(response.body.breakEven[0].currentOnPeakShare).toBeCloseTo(260 / 370, 4);
+    });
+
+    test('should annualize savings by the days the readings cover', async () => {
+      const response = await request(server)
+        .post('/api/mea/compare')
+        .send({
+          calculationType: 'type-4',
+          tariffType: 'tod',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          voltageLevels: ['<12kV'],
+          intervalMinutes: 60,
+          readings: [
+            ...generateHourlyReadings('2024-01-08', (hour) => (hour >= 9 && hour < 22 ? 20 : 10)),
+            ...generateHourlyReadings('2024-01-09', (hour) => (hour >= 9 && hour < 22 ? 20 : 10))
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.periodDays).toBe(2);
+      const tou = response.body.options.find((option) => option.tariffType === 'tou');
+      expect(tou.monthlySavings).not.toBe(0);
+      expect(tou.annualizedSavings).toBeCloseTo((response.body.current.totalBill - tou.totalBill) * 365 / 2, 1);
+    });
+
+    test('should list TOD as unavailable without interval readings', async () => {
+      const response = await request(server)
+        .post('/api/mea/compare')
+        .send({ ...type3Request, calculationType: 'type-4', ftRateSatang: 19.72, voltageLevels: ['<12kV'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.unavailable).toEqual([
+        { tariffType: 'tod', voltageLevel: '<12kV', reason: 'TOD needs interval readings' }
+      ]);
+      expect(response.body.options.map((option) => option.tariffType)).toEqual(['tou']);
+    });
+  });
+
+  describe('Unavailable Options', () => {
+    test('should list options without rates at a voltage level', async () => {
+      const response = await request(server)
+        .post('/api/mea/compare')
+        .send({ calculationType: 'type-2', ftRateSatang: 19.72, usage: { on_peak_kwh: 300, off_peak_kwh: 700 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.unavailable).toEqual([
+        { tariffType: 'normal', voltageLevel: '>=69kV', reason: 'No normal type-2 rates at >=69kV' },
+        { tariffType: 'tou', voltageLevel: '>=69kV', reason: 'No tou type-2 rates at >=69kV' }
+      ]);
+      expect(response.body.options).toHaveLength(4);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should require calculationType', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send({ usage: type3Request.usage });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: calculationType');
+    });
+
+    test('should reject an unknown calculationType', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send({ ...type3Request, calculationType: 'type-9' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^calculationType must be one of/);
+    });
+
+    test('should require a usage profile or readings', async () => {
+      const { usage, ...withoutUsage } = type3Request;
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send(withoutUsage);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: usage');
+    });
+
+    test('should reject an invalid voltage level list', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send({ ...type3Request, voltageLevels: ['<12kV'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('voltageLevels must be a non-empty array of <22kV, 22-33kV, >=69kV');
+    });
+
+    test('should reject a current option outside the comparison', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send({ ...type3Request, tariffType: 'tou', voltageLevel: '>=69kV', voltageLevels: ['<22kV'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Current option tou at >=69kV is not among the compared options');
+    });
+
+    test('should reject persist', async () => {
+      const response = await request(server)
+        .post('/api/pea/compare')
+        .send({ ...type3Request, persist: true });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('persist');
+      expect(response.body.error).toBe('persist is not available for tariff comparisons; store bills through the calculate endpoints');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Customer Registry Tests
+ * Test suite for the customer registry and bill calculation by customer id
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'customer-store-'));
+process.env.CUSTOMER_STORE_FILE = path.join(storeDir, 'customers.json');
+process.env.DEMAND_HISTORY_STORE_FILE = path.join(storeDir, 'demand-history.json');
+
+const app = require('../../src/app');
+const JsonStore = require('../../src/utils/json-store');
+
+describe('Customer Registry API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  const factoryCustomer = {
+    id: 'CUST-001',
+    name: 'Bangna Factory',
+    provider: 'pea',
+    calculationType: 'type-3',
+    voltageLevel: '<22kV',
+    tariffType: 'normal',
+    contract: {
+      peakKvar: 0,
+      highestDemandChargeLast12m: 0
+    },
+    meterIds: ['PEA-1234567']
+  };
+
+  describe('Registry', () => {
+    test('should register a customer', async () => {
+      const response = await request(server)
+        .post('/api/customers')
+        .send(factoryCustomer);
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject(factoryCustomer);
+      expect(response.body.success).toBe(true);
+    });
+
+    test('should persist customers to the store file', () => {
+      const store = new JsonStore(process.env.CUSTOMER_STORE_FILE);
+      expect(store.get('CUST-001')).toEqual(factoryCustomer);
+    });
+
+    test('should list and get customers', async () => {
+      const listResponse = await request(server).get('/api/customers');
+      expect(listResponse.status).toBe(200);
+      expect(listResponse.body.customers).toEqual([factoryCustomer]);
+
+      const getResponse = await request(server).get('/api/customers/CUST-001');
+      expect(getResponse.status).toBe(200);
+      expect(getResponse.body.name).toBe('Bangna Factory');
+    });
+
+    test('should update a customer', async () => {
+      const response = await request(server)
+        .put('/api/customers/CUST-001')
+        .send({ meterIds: ['PEA-1234567', 'PEA-7654321'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.meterIds).toEqual(['PEA-1234567', 'PEA-7654321']);
+      expect(response.body.voltageLevel).toBe('<22kV');
+    });
+
+    test('should reject a duplicate id', async () => {
+      const response = await request(server)
+        .post('/api/customers')
+        .send(factoryCustomer);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Customer CUST-001 already exists');
+    });
+
+    test('should reject a reserved id', async () => {
+      const response = await request(server)
+        .post('/api/customers')
+        .send({ ...factoryCustomer, id: '__proto__' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('id must be 1-64 letters, digits, "-" or "_" and not a reserved name, received: __proto__');
+    });
+
+    test('should keep __proto__ as an ordinary key in the store', () => {
+      const filePath = path.join(storeDir, 'reserved.json');
+      new JsonStore(filePath).set('__proto__', { id: '__proto__' });
+
+      const reloaded = new JsonStore(filePath);
+      expect(reloaded.get('__proto__')).toEqual({ id: '__proto__' });
+      expect(reloaded.list()).toEqual([{ id: '__proto__' }]);
+      expect(reloaded.get('constructor')).toBeNull();
+    });
+
+    test('should reject a tariff type the calculation type does not offer', async () => {
+      const response = await request(server)
+        .post('/api/customers')
+        .send({ ...factoryCustomer, id: 'CUST-002', calculationType: 'type-4', tariffType: 'normal' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid tariff type for Type 4. Must be "tod" or "tou", received: normal');
+    });
+
+    test('should reject a voltage level from the other provider', async () => {
+      const response = await request(server)
+        .post('/api/customers')
+        .send({ ...factoryCustomer, id: 'CUST-002', voltageLevel: '12-24kV' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid voltage level for PEA, received: 12-24kV');
+    });
+
+    test('should reject Type 7 for an MEA customer', async () => {
+      const response = await request(server)
+        .post('/api/customers')
+        .send({ ...factoryCustomer, id: 'CUST-002', provider: 'mea', calculationType: 'type-7', voltageLevel: '<12kV' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Type 7 is only available for PEA customers');
+    });
+
+    test('should return 404 for an unknown customer', async () => {
+      const response = await request(server).get('/api/customers/UNKNOWN');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Customer not found: UNKNOWN');
+    });
+  });
+
+  describe('Bills by Customer', () => {
+    test('should calculate a bill from the registry and the period usage', async () => {
+      const response = await request(server)
+        .post('/api/customers/CUST-001/bills')
+        .send({ ftRateSatang: 39.72, usage: { peak_kw: 100, total_kwh: 31000 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.customerId).toBe('CUST-001');
+      expect(response.body.meterIds).toEqual(['PEA-1234567', 'PEA-7654321']);
+      expect(response.body.provider).toBe('pea');
+      expect(response.body.calculationType).toBe('type-3');
+      expect(response.body.calculatedDemandCharge).toBeCloseTo(22150, 1);
+      expect(response.body.energyCharge).toBeCloseTo(31000 * 3.1751, 2);
+      expect(response.body.ftCharge).toBeCloseTo(31000 * 0.3972, 2);
+    });
+
+    test('should let the request override contract defaults but not registry tariff fields', async () => {
+      const response = await request(server)
+        .post('/api/customers/CUST-001/bills')
+        .send({
+          ftRateSatang: 39.72,
+          highestDemandChargeLast12m: 40000,
+          voltageLevel: '>=69kV',
+          usage: { peak_kw: 100, total_kwh: 31000 }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.effectiveDemandCharge).toBeCloseTo(28000, 1);
+      expect(response.body.energyCharge).toBeCloseTo(31000 * 3.1751, 2);
+    });
+
+    test('should resolve Ft from the billing period', async () => {
+      const response = await request(server)
+        .post('/api/customers/CUST-001/bills')
+        .send({ asOfDate: '2024-02-15', usage: { peak_kw: 100, total_kwh: 31000 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ftRate.periodId).toBe('2024-01');
+    });
+
+    test('should validate the usage against the registered calculation type', async () => {
+      const response = await request(server)
+        .post('/api/customers/CUST-001/bills')
+        .send({ ftRateSatang: 39.72, usage: { total_kwh: 31000 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/peak_kw/);
+    });
+
+    test('should return 404 for an unknown customer', async () => {
+      const response = await request(server)
+        .post('/api/customers/UNKNOWN/bills')
+        .send({ ftRateSatang: 39.72, usage: { peak_kw: 100, total_kwh: 31000 } });
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should delete a customer', async () => {
+      const response = await request(server).delete('/api/customers/CUST-001');
+      expect(response.status).toBe(200);
+
+      const getResponse = await request(server).get('/api/customers/CUST-001');
+      expect(getResponse.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Demand Ratchet Tracking Tests
+ * Test suite for deriving highestDemandChargeLast12m from recorded demand charges
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'demand-history-store-'));
+process.env.CUSTOMER_STORE_FILE = path.join(storeDir, 'customers.json');
+process.env.DEMAND_HISTORY_STORE_FILE = path.join(storeDir, 'demand-history.json');
+process.env.BILL_STORE_FILE = path.join(storeDir, 'bills.json');
+
+const app = require('../../src/app');
+
+describe('Demand Ratchet Tracking API', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = app.listen(0); // Use random port for testing
+
+    await request(server)
+      .post('/api/customers')
+      .send({
+        id: 'RATCHET-1',
+        provider: 'pea',
+        calculationType: 'type-3',
+        voltageLevel: '<22kV',
+        tariffType: 'normal',
+        contract: { peakKvar: 0 }
+      });
+  });
+
+  afterAll((done) => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  // 100 kW at the PEA Type 3 <22kV demand rate of 221.50 baht/kW
+  const monthBill = (asOfDate, extras = {}) => ({
+    asOfDate,
+    persist: true,
+    ftRateSatang: 39.72,
+    usage: { peak_kw: 100, total_kwh: 31000 },
+    ...extras
+  });
+
+  describe('Demand History', () => {
+    test('should record backfilled demand charges', async () => {
+      const response = await request(server)
+        .put('/api/customers/RATCHET-1/demand-history/2024-03')
+        .send({ calculatedDemandCharge: 40000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ customerId: 'RATCHET-1', month: '2024-03', calculatedDemandCharge: 40000 });
+
+      await request(server)
+        .put('/api/customers/RATCHET-1/demand-history/2024-06')
+        .send({ calculatedDemandCharge: 30000 });
+    });
+
+    test('should reject an invalid month', async () => {
+      const response = await request(server)
+        .put('/api/customers/RATCHET-1/demand-history/2024-13')
+        .send({ calculatedDemandCharge: 1000 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('month must be a valid month (YYYY-MM), received: 2024-13');
+    });
+
+    test('should reject a negative demand charge', async () => {
+      const response = await request(server)
+        .put('/api/customers/RATCHET-1/demand-history/2024-04')
+        .send({ calculatedDemandCharge: -5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('calculatedDemandCharge must be a non-negative number, received: -5');
+    });
+
+    test('should return 404 for an unknown customer', async () => {
+      const response = await request(server).get('/api/customers/UNKNOWN/demand-history');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Ratchet in Bills', () => {
+    test('should apply a binding ratchet from the highest month in the window', async () => {
+      const response = await request(server)
+        .post('/api/customers/RATCHET-1/bills')
+        .send(monthBill('2024-12-15'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculatedDemandCharge).toBeCloseTo(22150, 1);
+      expect(response.body.effectiveDemandCharge).toBeCloseTo(28000, 1);
+      expect(response.body.ratchet).toEqual({
+        billingMonth: '2024-12',
+        source: 'history',
+        highestDemandChargeLast12m: 40000,
+        setByMonth: '2024-03',
+        window: { from: '2023-12', to: '2024-11' },
+        monthsOnRecord: 2,
+        minimumDemandCharge: 28000,
+        calculatedDemandCharge: 22150,
+        effectiveDemandCharge: 28000,
+        binding: true
+      });
+    });
+
+    test('should record the month and let older months fall out of the window', async () => {
+      const response = await request(server)
+        .post('/api/customers/RATCHET-1/bills')
+        .send(monthBill('2025-04-15'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.ratchet).toMatchObject({
+        billingMonth: '2025-04',
+        highestDemandChargeLast12m: 30000,
+        setByMonth: '2024-06',
+        window: { from: '2024-04', to: '2025-03' },
+        monthsOnRecord: 2,
+        minimumDemandCharge: 21000,
+        binding: false
+      });
+      expect(response.body.effectiveDemandCharge).toBeCloseTo(22150, 1);
+
+      const historyResponse = await request(server).get('/api/customers/RATCHET-1/demand-history');
+      expect(historyResponse.body.demandHistory).toEqual([
+        { month: '2024-03', calculatedDemandCharge: 40000 },
+        { month: '2024-06', calculatedDemandCharge: 30000 },
+        { month: '2024-12', calculatedDemandCharge: 22150 },
+        { month: '2025-04', calculatedDemandCharge: 22150 }
+      ]);
+    });
+
+    test('should not record bills that are not persisted', async () => {
+      const response = await request(server)
+        .post('/api/customers/RATCHET-1/bills')
+        .send(monthBill('2025-04-15', { persist: false, usage: { peak_kw: 300, total_kwh: 31000 } }));
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculatedDemandCharge).toBeCloseTo(66450, 1);
+
+      const historyResponse = await request(server).get('/api/customers/RATCHET-1/demand-history');
+      expect(historyResponse.body.demandHistory).toHaveLength(4);
+      expect(historyResponse.body.demandHistory[3]).toEqual({ month: '2025-04', calculatedDemandCharge: 22150 });
+    });
+
+    test('should replace a month when it is recalculated', async () => {
+      await request(server)
+        .post('/api/customers/RATCHET-1/bills')
+        .send(monthBill('2025-04-15', { usage: { peak_kw: 200, total_kwh: 31000 } }));
+
+      const historyResponse = await request(server).get('/api/customers/RATCHET-1/demand-history');
+      expect(historyResponse.body.demandHistory).toHaveLength(4);
+      expect(historyResponse.body.demandHistory[3]).toEqual({ month: '2025-04', calculatedDemandCharge: 44300 });
+    });
+
+    test('should take the billing month from the billing period end', async () => {
+      const response = await request(server)
+        .post('/api/customers/RATCHET-1/bills')
+        .send({
+          billingPeriod: { start: '2025-04-16', end: '2025-05-15' },
+          persist: true,
+          ftRateSatang: 39.72,
+          usage: { peak_kw: 100, total_kwh: 31000 }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ratchet).toMatchObject({
+        billingMonth: '2025-05',
+        highestDemandChargeLast12m: 44300,
+        setByMonth: '2025-04',
+        binding: true
+      });
+      expect(response.body.effectiveDemandCharge).toBeCloseTo(31010, 1);
+    });
+
+    test('should let the request override the derived value', async () => {
+      const response = await request(server)
+        .post('/api/customers/RATCHET-1/bills')
+        .send(monthBill('2025-06-15', { highestDemandChargeLast12m: 0 }));
+
+      expect(response.status).toBe(200);
+      expect(response.body.ratchet).toMatchObject({
+        source: 'request',
+        highestDemandChargeLast12m: 0,
+        setByMonth: null,
+        binding: false
+      });
+      expect(response.body.effectiveDemandCharge).toBeCloseTo(22150, 1);
+
+      // An overridden ratchet is not a real month of history
+      const historyResponse = await request(server).get('/api/customers/RATCHET-1/demand-history');
+      expect(historyResponse.body.demandHistory.map((entry) => entry.month)).not.toContain('2025-06');
+    });
+
+    test('should use the contract value until there is history in the window', async () => {
+      await request(server)
+        .post('/api/customers')
+        .send({
+          id: 'RATCHET-2',
+          provider: 'pea',
+          calculationType: 'type-3',
+          voltageLevel: '<22kV',
+          tariffType: 'normal',
+          contract: { peakKvar: 0, highestDemandChargeLast12m: 50000 }
+        });
+
+      const response = await request(server)
+        .post('/api/customers/RATCHET-2/bills')
+        .send(monthBill('2025-01-15'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.ratchet).toMatchObject({
+        source: 'contract',
+        highestDemandChargeLast12m: 50000,
+        minimumDemandCharge: 35000,
+        binding: true
+      });
+    });
+
+    test('should not track a ratchet for tariffs without a minimum demand charge', async () => {
+      await request(server)
+        .post('/api/customers')
+        .send({ id: 'SHOP-1', provider: 'mea', calculationType: 'type-2', voltageLevel: '<12kV', tariffType: 'normal' });
+
+      const response = await request(server)
+        .post('/api/customers/SHOP-1/bills')
+        .send({ asOfDate: '2025-01-15', ftRateSatang: 19.72, usage: { total_kwh: 500 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ratchet).toBeUndefined();
+
+      const historyResponse = await request(server).get('/api/customers/SHOP-1/demand-history');
+      expect(historyResponse.body.demandHistory).toEqual([]);
+    });
+
+    test('should remove a recorded month', async () => {
+      const response = await request(server).delete('/api/customers/RATCHET-1/demand-history/2024-03');
+      expect(response.status).toBe(200);
+
+      const missingResponse = await request(server).delete('/api/customers/RATCHET-1/demand-history/2024-03');
+      expect(missingResponse.status).toBe(404);
+      expect(missingResponse.body.error).toBe('No demand charge recorded for RATCHET-1 in 2024-03');
+    });
+
+    test.each(['__proto__', 'constructor'])('should not find a month named %s', async (month) => {
+      const response = await request(server).delete(`/api/customers/RATCHET-1/demand-history/${month}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe(`No demand charge recorded for RATCHET-1 in ${month}`);
+    });
+  });
+});
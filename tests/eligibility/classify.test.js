@@ -0,0 +1,205 @@
+/**
+ * Calculation Type Classification Tests
+ * Test suite for determining a customer's calculation type from its demand history
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Calculation Type Classification API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const generalProfile = {
+    businessCategory: 'general',
+    monthlyPeakKw: [20, 22, 25, 24, 21, 20, 19, 23, 26, 28, 27, 25],
+    averageMonthlyKwh: 5000
+  };
+
+  describe('General Service', () => {
+    test('should classify demand below 30 kW as Type 2', async () => {
+      const response = await request(server)
+        .post('/api/mea/classify')
+        .send(generalProfile);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        calculationType: 'type-2',
+        rule: 'small-demand',
+        reason: 'Highest demand of 28 kW is below 30 kW',
+        highestKw: 28,
+        averageMonthlyKwh: 5000,
+        businessCategory: 'general',
+        provider: 'mea'
+      });
+    });
+
+    test('should classify a single month at 30 kW or more as Type 3', async () => {
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send({ ...generalProfile, monthlyPeakKw: [...generalProfile.monthlyPeakKw.slice(1), 45] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe('type-3');
+      expect(response.body.rule).toBe('medium-demand');
+      expect(response.body.reason).toBe('Highest demand of 45 kW is at least 30 kW but below 1,000 kW');
+    });
+
+    test('should classify demand of 1,000 kW or more as Type 4', async () => {
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send({ ...generalProfile, monthlyPeakKw: [950, 1000], averageMonthlyKwh: 200000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe('type-4');
+      expect(response.body.rule).toBe('large-demand');
+    });
+
+    test('should classify average energy above 250,000 kWh as Type 4', async () => {
+      const response = await request(server)
+        .post('/api/mea/classify')
+        .send({ ...generalProfile, monthlyPeakKw: [800], averageMonthlyKwh: 300000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe('type-4');
+      expect(response.body.rule).toBe('large-energy');
+      expect(response.body.reason).toBe('Average energy of 300,000 kWh per month exceeds 250,000 kWh');
+    });
+  });
+
+  describe('Business Categories', () => {
+    test.each([
+      ['residential', 'type-1'],
+      ['government', 'type-6'],
+      ['temporary', 'type-8'],
+      ['ev-charging-station', 'ev-charger']
+    ])('should classify %s customers by category', async (businessCategory, calculationType) => {
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send({ ...generalProfile, businessCategory, monthlyPeakKw: [500] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe(calculationType);
+      expect(response.body.rule).toBe(businessCategory);
+    });
+
+    test('should classify a specific business at 30 kW or more as Type 5', async () => {
+      const response = await request(server)
+        .post('/api/mea/classify')
+        .send({ ...generalProfile, businessCategory: 'specific-business', monthlyPeakKw: [40] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe('type-5');
+      expect(response.body.rule).toBe('specific-business');
+    });
+
+    test('should classify a small specific business as Type 2', async () => {
+      const response = await request(server)
+        .post('/api/mea/classify')
+        .send({ ...generalProfile, businessCategory: 'specific-business' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe('type-2');
+    });
+
+    test('should classify agricultural pumping as Type 7 for PEA', async () => {
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send({ ...generalProfile, businessCategory: 'agricultural-pumping' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe('type-7');
+      expect(response.body.voltageLevels).toEqual([
+        { voltageLevel: '<22kV', tariffTypes: ['normal', 'tou'] },
+        { voltageLevel: '22-33kV', tariffTypes: ['tou'] }
+      ]);
+    });
+
+    test('should classify agricultural pumping as general service for MEA', async () => {
+      const response = await request(server)
+        .post('/api/mea/classify')
+        .send({ ...generalProfile, businessCategory: 'agricultural-pumping' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe('type-2');
+      expect(response.body.reason).toMatch(/^MEA has no agricultural pumping tariff/);
+    });
+  });
+
+  describe('Voltage Level Options', () => {
+    test('should list only the voltage levels with rates for the type', async () => {
+      const response = await request(server)
+        .post('/api/mea/classify')
+        .send(generalProfile);
+
+      expect(response.body.voltageLevels).toEqual([
+        { voltageLevel: '<12kV', tariffTypes: ['normal', 'tou'] },
+        { voltageLevel: '12-24kV', tariffTypes: ['normal', 'tou'] }
+      ]);
+    });
+
+    test('should list the TOD and TOU options for Type 4', async () => {
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send({ ...generalProfile, monthlyPeakKw: [1200] });
+
+      expect(response.body.voltageLevels.map((option) => option.voltageLevel)).toEqual(['<22kV', '22-33kV', '>=69kV']);
+      expect(response.body.voltageLevels[0].tariffTypes).toEqual(['tod', 'tou']);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should require the demand history', async () => {
+      const { monthlyPeakKw, ...withoutHistory } = generalProfile;
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send(withoutHistory);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: monthlyPeakKw');
+    });
+
+    test('should reject an unknown business category', async () => {
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send({ ...generalProfile, businessCategory: 'shop' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^businessCategory must be one of residential, general/);
+    });
+
+    test('should reject more than 12 months of demand', async () => {
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send({ ...generalProfile, monthlyPeakKw: [...generalProfile.monthlyPeakKw, 30] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('monthlyPeakKw must be an array of 1 to 12 monthly peak demands (kW)');
+    });
+
+    test('should reject a negative demand', async () => {
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send({ ...generalProfile, monthlyPeakKw: [20, -1] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('monthlyPeakKw[1] must be a non-negative number, received: -1');
+    });
+
+    test('should reject a negative average energy', async () => {
+      const response = await request(server)
+        .post('/api/pea/classify')
+        .send({ ...generalProfile, averageMonthlyKwh: -5 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('averageMonthlyKwh must be non-negative');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * EV Charging Session Allocation Tests
+ * Test suite for splitting an EV charger bill across charging sessions
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+const baseRequest = {
+  tariffType: 'tou',
+  voltageLevel: '<22kV',
+  ftRateSatang: 19.72
+};
+
+// Monday 4 March 2024 and Saturday 9 March 2024
+const sessions = [
+  { id: 'a', start: '2024-03-04T08:00:00+07:00', end: '2024-03-04T10:00:00+07:00', kwh: 40 },
+  { id: 'b', start: '2024-03-04T21:00:00+07:00', end: '2024-03-05T01:00:00+07:00', kwh: 60 },
+  { id: 'c', start: '2024-03-09T12:00:00+07:00', end: '2024-03-09T13:00:00+07:00', kwh: 20 }
+];
+
+describe('EV Charging Session Allocation API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const baseUrl = '/api/pea/calculate/ev-charger/sessions';
+
+  describe('TOU Split', () => {
+    test('should split sessions at the on-peak window and treat weekends as off-peak', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, sessions });
+
+      expect(response.status).toBe(200);
+      const byId = Object.fromEntries(response.body.sessions.map((session) => [session.id, session]));
+      // 08:00-10:00: one hour either side of 09:00
+      expect(byId.a.onPeakKwh).toBe(20);
+      expect(byId.a.offPeakKwh).toBe(20);
+      // 21:00-01:00: one hour before 22:00
+      expect(byId.b.onPeakKwh).toBe(15);
+      expect(byId.b.offPeakKwh).toBe(45);
+      expect(byId.c.onPeakKwh).toBe(0);
+      expect(byId.c.offPeakKwh).toBe(20);
+    });
+
+    test('should treat public holidays as off-peak', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          ...baseRequest,
+          sessions: [{ id: 'labour-day', start: '2024-05-01T12:00:00+07:00', end: '2024-05-01T14:00:00+07:00', kwh: 30 }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessions[0].onPeakKwh).toBe(0);
+      expect(response.body.sessions[0].offPeakKwh).toBe(30);
+    });
+  });
+
+  describe('Allocation', () => {
+    test('should bill the sessions usage when no metered usage is given', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, sessions });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe('ev-charger');
+      expect(response.body.usageSource).toBe('sessions');
+      expect(response.body.usage).toEqual({ on_peak_kwh: 35, off_peak_kwh: 85 });
+      expect(response.body.onPeakEnergyCharge).toBeCloseTo(158.54, 2); // 35 * 4.5297
+      expect(response.body.offPeakEnergyCharge).toBeCloseTo(224.14, 2); // 85 * 2.6369
+      expect(response.body.totalBill).toBeCloseTo(768.88, 2);
+      expect(response.body.allocationSummary).toEqual({
+        sessionCount: 3,
+        sessionKwh: 120,
+        meterKwh: 120,
+        unattributedKwh: 0,
+        allocatedTotal: 768.88
+      });
+    });
+
+    test('should price each session at its own periods and share fixed charges by kWh', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, sessions });
+
+      const [a, b, c] = response.body.sessions;
+      expect(a.energyCharge).toBeCloseTo(20 * 4.5297 + 20 * 2.6369, 2);
+      expect(c.energyCharge).toBeCloseTo(20 * 2.6369, 2);
+      expect(a.serviceCharge).toBeCloseTo(104.08, 2); // 40 / 120 of 312.24
+      expect(b.serviceCharge).toBeCloseTo(156.12, 2);
+      expect(b.ftCharge).toBeCloseTo(11.83, 2); // 60 kWh * 0.1972
+      expect(a.total).toBeCloseTo(273.17, 2);
+      expect(a.ratePerKwh).toBeCloseTo(6.8293, 4);
+
+      const allocatedTotal = response.body.sessions.reduce((sum, session) => sum + session.total, 0);
+      expect(allocatedTotal).toBeCloseTo(response.body.totalBill, 1);
+    });
+
+    test('should spread metered energy no session accounts for over the sessions', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          ...baseRequest,
+          usage: { on_peak_kwh: 70, off_peak_kwh: 170 },
+          sessions
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usageSource).toBe('request');
+      expect(response.body.allocationSummary.meterKwh).toBe(240);
+      expect(response.body.allocationSummary.unattributedKwh).toBe(120);
+
+      // Metered usage is twice the sessions' in each period, so energy charges double
+      const [a] = response.body.sessions;
+      expect(a.energyCharge).toBeCloseTo(2 * (20 * 4.5297 + 20 * 2.6369), 2);
+      expect(response.body.allocationSummary.allocatedTotal).toBeCloseTo(response.body.totalBill, 1);
+    });
+
+    test('should share a period no session charged in by total kWh', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          ...baseRequest,
+          usage: { on_peak_kwh: 10, off_peak_kwh: 20 },
+          sessions: [
+            { id: 1, start: '2024-03-09T12:00:00+07:00', end: '2024-03-09T13:00:00+07:00', kwh: 15 },
+            { id: 2, start: '2024-03-09T14:00:00+07:00', end: '2024-03-09T15:00:00+07:00', kwh: 5 }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      const [first, second] = response.body.sessions;
+      expect(first.energyCharge).toBeCloseTo(0.75 * (10 * 4.5297 + 20 * 2.6369), 2);
+      expect(second.energyCharge).toBeCloseTo(0.25 * (10 * 4.5297 + 20 * 2.6369), 2);
+    });
+
+    test('should apply MEA rates on the MEA endpoint', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/ev-charger/sessions')
+        .send({ ...baseRequest, voltageLevel: '12-24kV', sessions });
+
+      expect(response.status).toBe(200);
+      expect(response.body.provider).toBe('mea');
+      expect(response.body.energyCharge).toBeCloseTo(35 * 4.1839 + 85 * 2.6037, 2);
+    });
+  });
+
+  describe('Invalid Input Tests', () => {
+    test('should return error for missing sessions', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send(baseRequest);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: sessions');
+    });
+
+    test.each([
+      [[], 'sessions must be a non-empty array'],
+      [[{ ...sessions[0], end: sessions[0].start }], 'sessions[0].end must be after start'],
+      [[sessions[0], { ...sessions[1], id: 'a' }], 'sessions[1].id is duplicated: a'],
+      [[{ ...sessions[0], start: 'yesterday' }], 'sessions[0].start must be a valid ISO 8601 timestamp'],
+      [[{ ...sessions[0], kwh: -1 }], 'sessions[0].kwh must be a positive number, received: -1']
+    ])('should reject invalid sessions %#', async (invalidSessions, error) => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, sessions: invalidSessions });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe(error);
+      expect(response.body.field).toBe('sessions');
+    });
+
+    test('should return error for a normal tariff', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, tariffType: 'normal', sessions });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid tariff type for EV charger. Must be "tou", received: normal');
+      expect(response.body.field).toBe('tariffType');
+    });
+  });
+});
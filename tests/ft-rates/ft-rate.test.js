@@ -0,0 +1,215 @@
+/**
+ * Ft Rate Schedule Tests
+ * Test suite for the Ft rate store and automatic Ft lookup by billing period
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ft-rate-store-'));
+process.env.FT_RATE_STORE_FILE = path.join(storeDir, 'ft-rates.json');
+
+const app = require('../../src/app');
+const JsonStore = require('../../src/utils/json-store');
+
+describe('Ft Rate Schedule API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  const type3Request = {
+    tariffType: 'normal',
+    voltageLevel: '<22kV',
+    peakKvar: 60,
+    highestDemandChargeLast12m: 10000,
+    usage: {
+      peak_kw: 50,
+      total_kwh: 20000
+    }
+  };
+
+  describe('Ft Rate Store', () => {
+    test('should list the published Ft periods', async () => {
+      const response = await request(server).get('/api/ft-rates');
+
+      expect(response.status).toBe(200);
+      expect(response.body.ftRates).toContainEqual({
+        id: '2024-01',
+        effectiveFrom: '2024-01-01',
+        effectiveTo: '2024-04-30',
+        rateSatang: 39.72
+      });
+    });
+
+    test('should resolve the Ft period for a date', async () => {
+      const response = await request(server).get('/api/ft-rates/resolve?date=2025-06-15');
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe('2025-05');
+      expect(response.body.rateSatang).toBe(19.72);
+    });
+
+    test('should create a period ending with its 4-month block', async () => {
+      const response = await request(server)
+        .post('/api/ft-rates')
+        .send({ effectiveFrom: '2030-05-01', rateSatang: 45.5 });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({
+        id: '2030-05',
+        effectiveFrom: '2030-05-01',
+        effectiveTo: '2030-08-31',
+        rateSatang: 45.5
+      });
+    });
+
+    test('should persist periods to the store file', () => {
+      const store = new JsonStore(process.env.FT_RATE_STORE_FILE);
+      expect(store.get('2030-05')).toEqual({
+        id: '2030-05',
+        effectiveFrom: '2030-05-01',
+        effectiveTo: '2030-08-31',
+        rateSatang: 45.5
+      });
+      // The bundled periods are written out with the first change
+      expect(store.get('2024-01').rateSatang).toBe(39.72);
+    });
+
+    test('should update a period', async () => {
+      const response = await request(server)
+        .put('/api/ft-rates/2030-05')
+        .send({ rateSatang: 42.1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.rateSatang).toBe(42.1);
+
+      const getResponse = await request(server).get('/api/ft-rates/2030-05');
+      expect(getResponse.body.rateSatang).toBe(42.1);
+    });
+
+    test('should delete a period', async () => {
+      const response = await request(server).delete('/api/ft-rates/2030-05');
+      expect(response.status).toBe(200);
+
+      const getResponse = await request(server).get('/api/ft-rates/2030-05');
+      expect(getResponse.status).toBe(404);
+      expect(getResponse.body.error).toBe('Ft rate period not found: 2030-05');
+    });
+
+    test('should reject an overlapping period', async () => {
+      const response = await request(server)
+        .post('/api/ft-rates')
+        .send({ id: 'late-2024', effectiveFrom: '2024-12-01', effectiveTo: '2025-01-31', rateSatang: 30 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Ft rate period late-2024 overlaps 2024-09');
+    });
+
+    test('should reject a reserved id', async () => {
+      const response = await request(server)
+        .post('/api/ft-rates')
+        .send({ id: '__proto__', effectiveFrom: '2031-01-01', rateSatang: 30 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('id must be 1-64 letters, digits, "-" or "_" and not a reserved name, received: __proto__');
+    });
+
+    test('should reject an out-of-range rate', async () => {
+      const response = await request(server)
+        .post('/api/ft-rates')
+        .send({ effectiveFrom: '2031-01-01', rateSatang: 150 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('rateSatang must be between 0 and 100 satang');
+    });
+
+    test('should carry the latest Ft rate forward past the last period', async () => {
+      const response = await request(server).get('/api/ft-rates/resolve?date=2026-10-20');
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe('2025-09');
+      expect(response.body.rateSatang).toBe(19.72);
+      expect(response.body.carriedForward).toBe(true);
+    });
+
+    test('should return 404 when resolving a date without a published Ft rate', async () => {
+      const response = await request(server).get('/api/ft-rates/resolve?date=2019-01-01');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('No Ft rate published for 2019-01-01');
+    });
+  });
+
+  describe('Ft Lookup in Calculations', () => {
+    test('should resolve Ft from the billing period when ftRateSatang is omitted', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, billingPeriod: { start: '2024-01-16', end: '2024-02-15' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ftCharge).toBeCloseTo(20000 * 0.3972, 2);
+      expect(response.body.ftRate).toEqual({
+        rateSatang: 39.72,
+        source: 'schedule',
+        periodId: '2024-01',
+        effectiveFrom: '2024-01-01',
+        effectiveTo: '2024-04-30'
+      });
+    });
+
+    test('should resolve Ft from asOfDate', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ tariffType: 'normal', voltageLevel: '<12kV', asOfDate: '2023-10-01', usage: { total_kwh: 500 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ftRate.rateSatang).toBe(20.48);
+      expect(response.body.ftCharge).toBeCloseTo(102.4, 2);
+    });
+
+    test('should let an explicit ftRateSatang override the schedule', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, ftRateSatang: 10, billingPeriod: { start: '2024-01-16', end: '2024-02-15' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ftCharge).toBeCloseTo(2000, 2);
+      expect(response.body.ftRate.source).toBe('request');
+    });
+
+    test('should resolve Ft without ftRateSatang or a billing date', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send(type3Request);
+
+      expect(response.status).toBe(200);
+      // Today is past the bundled periods, so the latest rate carries forward
+      expect(response.body.ftRate).toEqual({
+        rateSatang: 19.72,
+        source: 'carried-forward',
+        periodId: '2025-09',
+        effectiveFrom: '2025-09-01',
+        effectiveTo: '2025-12-31'
+      });
+      expect(response.body.ftCharge).toBeCloseTo(20000 * 0.1972, 2);
+    });
+
+    test('should return error when no Ft rate is published for the billing period', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, asOfDate: '2019-06-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Failed to calculate type-3: No Ft rate published for 2019-06-01; supply ftRateSatang');
+    });
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Holiday Calendar Tests
+ * Test suite for the holiday calendar administration API and TOU holiday classification
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'holiday-store-'));
+process.env.HOLIDAY_STORE_FILE = path.join(storeDir, 'holidays.json');
+
+const app = require('../../src/app');
+
+/**
+ * Load a fresh holiday calendar service, as after a restart
+ * @returns {Object} service reading the same store file
+ */
+const reloadHolidayService = () => {
+  let service;
+  jest.isolateModules(() => {
+    service = require('../../src/services/holiday-calendar.service');
+  });
+  return service;
+};
+
+/**
+ * Generate one day of hourly readings of 1 kWh in Thailand local time
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {Array} readings
+ */
+const generateHourlyReadings = (date) => {
+  const readings = [];
+  for (let hour = 0; hour < 24; hour++) {
+    readings.push({ timestamp: `${date}T${String(hour).padStart(2, '0')}:00:00`, kwh: 1 });
+  }
+  return readings;
+};
+
+/**
+ * Build a Type 2 TOU interval request for one day
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {Object} request body
+ */
+const buildTouRequest = (date) => ({
+  tariffType: 'tou',
+  voltageLevel: '<12kV',
+  ftRateSatang: 39.72,
+  intervalMinutes: 60,
+  readings: generateHourlyReadings(date)
+});
+
+describe('Holiday Calendar API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  describe('Bundled Calendars', () => {
+    test('should list the bundled calendar years with versions', async () => {
+      const response = await request(server).get('/api/holidays');
+
+      expect(response.status).toBe(200);
+      const years = response.body.calendars.map((calendar) => calendar.year);
+      expect(years).toEqual(expect.arrayContaining([2024, 2025, 2026]));
+      expect(response.body.calendars.find((calendar) => calendar.year === 2024).version).toBe('2024.1');
+    });
+
+    test('should return the holidays for a year', async () => {
+      const response = await request(server).get('/api/holidays/2024');
+
+      expect(response.status).toBe(200);
+      expect(response.body.year).toBe(2024);
+      expect(response.body.version).toBe('2024.1');
+      const dates = response.body.holidays.map((holiday) => holiday.date);
+      expect(dates).toEqual(expect.arrayContaining(['2024-01-01', '2024-04-13', '2024-04-14', '2024-04-15', '2024-12-31']));
+    });
+
+    test('should return 404 for a year without a calendar', async () => {
+      const response = await request(server).get('/api/holidays/1999');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('No holiday calendar loaded for 1999');
+    });
+
+    test('should return error for an invalid year', async () => {
+      const response = await request(server).get('/api/holidays/abc');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid year: abc');
+    });
+  });
+
+  describe('TOU Classification', () => {
+    test('should treat a weekday public holiday as off-peak all day', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send(buildTouRequest('2024-04-15')); // Monday, Songkran
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage).toEqual({ on_peak_kwh: 0, off_peak_kwh: 24 });
+      expect(response.body.intervalSummary.holidays).toEqual([{ date: '2024-04-15', name: 'Songkran Festival' }]);
+      expect(response.body.intervalSummary.holidayCalendarVersions).toEqual({ 2024: '2024.1' });
+    });
+
+    test('should not affect TOD classification on a holiday', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-4/interval')
+        .send({
+          ...buildTouRequest('2024-04-15'),
+          tariffType: 'tod',
+          voltageLevel: '<22kV',
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.intervalSummary.tod.on_peak.kwh).toBe(3);
+    });
+
+    test('should report a missing calendar year', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send(buildTouRequest('2030-01-07'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.intervalSummary.holidayCalendarVersions).toEqual({ 2030: null });
+    });
+  });
+
+  describe('Overrides', () => {
+    test('should add a holiday through an override', async () => {
+      const overrideResponse = await request(server)
+        .put('/api/holidays/overrides/2024-01-08')
+        .send({ isHoliday: true, name: 'Special holiday' });
+
+      expect(overrideResponse.status).toBe(200);
+      expect(overrideResponse.body.override).toEqual({ date: '2024-01-08', isHoliday: true, name: 'Special holiday' });
+
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send(buildTouRequest('2024-01-08'));
+
+      expect(response.body.usage).toEqual({ on_peak_kwh: 0, off_peak_kwh: 24 });
+
+      const calendarResponse = await request(server).get('/api/holidays/2024');
+      expect(calendarResponse.body.holidays).toContainEqual({ date: '2024-01-08', name: 'Special holiday', source: 'override' });
+    });
+
+    test('should remove an override', async () => {
+      const deleteResponse = await request(server).delete('/api/holidays/overrides/2024-01-08');
+      expect(deleteResponse.status).toBe(200);
+
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send(buildTouRequest('2024-01-08'));
+
+      expect(response.body.usage).toEqual({ on_peak_kwh: 13, off_peak_kwh: 11 });
+    });
+
+    test('should cancel a calendar holiday through an override', async () => {
+      await request(server)
+        .put('/api/holidays/overrides/2024-04-15')
+        .send({ isHoliday: false });
+
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send(buildTouRequest('2024-04-15'));
+
+      expect(response.body.usage).toEqual({ on_peak_kwh: 13, off_peak_kwh: 11 });
+
+      await request(server).delete('/api/holidays/overrides/2024-04-15');
+    });
+
+    test('should return 404 when removing a missing override', async () => {
+      const response = await request(server).delete('/api/holidays/overrides/2024-02-02');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('No holiday override for 2024-02-02');
+    });
+
+    test('should return error for an invalid override date', async () => {
+      const response = await request(server)
+        .put('/api/holidays/overrides/2024-02-30')
+        .send({ isHoliday: true });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid date: 2024-02-30. Must be YYYY-MM-DD');
+    });
+
+    test('should return error for a non-boolean isHoliday', async () => {
+      const response = await request(server)
+        .put('/api/holidays/overrides/2024-02-02')
+        .send({ isHoliday: 'yes' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('isHoliday must be a boolean');
+    });
+  });
+
+  describe('Persistence', () => {
+    test('should keep overrides and replaced calendars after a restart', async () => {
+      await request(server)
+        .put('/api/holidays/overrides/2024-06-11')
+        .send({ isHoliday: true, name: 'Special holiday' });
+      await request(server)
+        .put('/api/holidays/2028')
+        .send({ version: '2028.1', holidays: [{ date: '2028-04-13', name: 'Songkran Festival' }] });
+
+      const service = reloadHolidayService();
+      expect(service.isHoliday('2024-06-11')).toBe(true);
+      expect(service.getHolidayName('2024-06-11')).toBe('Special holiday');
+      expect(service.getHolidays(2028)).toMatchObject({
+        version: '2028.1',
+        holidays: [{ date: '2028-04-13', name: 'Songkran Festival', source: 'calendar' }]
+      });
+      // Bundled calendars stay in use for the other years
+      expect(service.isHoliday('2024-04-15')).toBe(true);
+    });
+
+    test('should forget a removed override after a restart', async () => {
+      await request(server).delete('/api/holidays/overrides/2024-06-11');
+
+      const service = reloadHolidayService();
+      expect(service.isHoliday('2024-06-11')).toBe(false);
+      expect(service.getOverrides(2024)).toEqual([]);
+    });
+  });
+
+  describe('Loading Calendars', () => {
+    test('should replace a year calendar from JSON', async () => {
+      const response = await request(server)
+        .put('/api/holidays/2027')
+        .send({
+          version: '2027.1',
+          holidays: [
+            { date: '2027-01-01', name: "New Year's Day" },
+            { date: '2027-04-13', name: 'Songkran Festival' }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calendar).toEqual({ year: 2027, version: '2027.1', source: null, holidayCount: 2 });
+
+      const calendarResponse = await request(server).get('/api/holidays/2027');
+      expect(calendarResponse.body.holidays.map((holiday) => holiday.date)).toEqual(['2027-01-01', '2027-04-13']);
+    });
+
+    test('should import an ICS calendar and expand multi-day events', async () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20280101',
+        'SUMMARY:New Year\'s Day',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20280413',
+        'DTEND;VALUE=DATE:20280416',
+        'SUMMARY:Songkran Fes',
+        ' tival',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n');
+
+      const response = await request(server)
+        .post('/api/holidays/import')
+        .send({ format: 'ics', content: ics, version: '2028.1' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calendars).toEqual([{ year: 2028, version: '2028.1', source: 'ics', holidayCount: 4 }]);
+
+      const calendarResponse = await request(server).get('/api/holidays/2028');
+      expect(calendarResponse.body.holidays).toContainEqual({ date: '2028-04-15', name: 'Songkran Festival', source: 'calendar' });
+    });
+
+    test('should return error for a holiday outside the calendar year', async () => {
+      const response = await request(server)
+        .put('/api/holidays/2029')
+        .send({ version: '2029.1', holidays: [{ date: '2028-12-31', name: 'Wrong year' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid holiday calendar: Holiday 2028-12-31 does not belong to calendar year 2029');
+    });
+
+    test('should return error for an unsupported import format', async () => {
+      const response = await request(server)
+        .post('/api/holidays/import')
+        .send({ format: 'csv', content: 'x' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid format: csv. Must be "ics" or "json"');
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Interruptible Rate Tests
+ * Test suite for the interruptible-rate demand discount and curtailment penalties
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Interruptible Rate API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const type3Request = {
+    tariffType: 'normal',
+    voltageLevel: '<22kV',
+    ftRateSatang: 19.72,
+    peakKvar: 0,
+    highestDemandChargeLast12m: 0,
+    usage: {
+      peak_kw: 1000,
+      total_kwh: 400000
+    }
+  };
+
+  describe('Demand Discount', () => {
+    test('should add a separate demand discount line', async () => {
+      const baseline = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send(type3Request);
+
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, interruptible: { contractedKw: 400, discountPerKw: 50 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.effectiveDemandCharge).toBeCloseTo(221500, 1);
+      expect(response.body.interruptibleDiscount).toBeCloseTo(20000, 2);
+      expect(response.body.interruptiblePenalty).toBe(0);
+      expect(response.body.interruptible).toEqual({
+        contractedKw: 400,
+        eventCount: 0,
+        missedEventCount: 0,
+        shortfallKw: 0
+      });
+      expect(response.body.subTotal).toBeCloseTo(baseline.body.subTotal - 20000, 2);
+      expect(baseline.body).not.toHaveProperty('interruptibleDiscount');
+    });
+
+    test('should cap the discount at the demand charge', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, interruptible: { contractedKw: 5000, discountPerKw: 100 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.interruptibleDiscount).toBeCloseTo(221500, 2);
+    });
+
+    test('should apply to Type 4 TOD', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-4')
+        .send({
+          tariffType: 'tod',
+          voltageLevel: '>=69kV',
+          ftRateSatang: 19.72,
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          interruptible: { contractedKw: 200, discountPerKw: 30 },
+          usage: {
+            on_peak_kw: 500,
+            partial_peak_kw: 400,
+            off_peak_kw: 300,
+            total_kwh: 300000
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.interruptibleDiscount).toBeCloseTo(6000, 2);
+    });
+  });
+
+  describe('Curtailment Events', () => {
+    const events = [
+      { date: '2024-03-05', curtailedKw: 400 },
+      { date: '2024-03-12', curtailedKw: 250 }
+    ];
+
+    test('should charge a penalty for each kW not curtailed', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, interruptible: { contractedKw: 400, discountPerKw: 50, penaltyPerKw: 80, events } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.interruptibleDiscount).toBeCloseTo(20000, 2);
+      expect(response.body.interruptiblePenalty).toBeCloseTo(12000, 2); // 150 kW * 80
+      expect(response.body.interruptible).toEqual({
+        contractedKw: 400,
+        eventCount: 2,
+        missedEventCount: 1,
+        shortfallKw: 150
+      });
+    });
+
+    test('should default the penalty rate to the discount rate', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, interruptible: { contractedKw: 400, discountPerKw: 50, events } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.interruptiblePenalty).toBeCloseTo(7500, 2);
+    });
+
+    test('should measure shortfall against the requested kW when given', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({
+          ...type3Request,
+          interruptible: {
+            contractedKw: 400,
+            discountPerKw: 50,
+            events: [{ date: '2024-03-05', requestedKw: 200, curtailedKw: 200 }]
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.interruptiblePenalty).toBe(0);
+      expect(response.body.interruptible.missedEventCount).toBe(0);
+    });
+
+    test('should forfeit the discount after a missed event when agreed', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({
+          ...type3Request,
+          interruptible: { contractedKw: 400, discountPerKw: 50, forfeitDiscountOnMiss: true, events }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.interruptibleDiscount).toBe(0);
+      expect(response.body.interruptiblePenalty).toBeCloseTo(7500, 2);
+    });
+  });
+
+  describe('Validation Errors', () => {
+    test('should reject interruptible terms for Type 2', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-2')
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          interruptible: { contractedKw: 10, discountPerKw: 50 },
+          usage: { total_kwh: 500 }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('interruptible is only available for Type 3, 4 and 5');
+      expect(response.body.field).toBe('interruptible');
+    });
+
+    test('should reject a zero contracted kW', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, interruptible: { contractedKw: 0, discountPerKw: 50 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('interruptible.contractedKw must be a positive number up to 100000, received: 0');
+    });
+
+    test('should reject an event without a valid date', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({
+          ...type3Request,
+          interruptible: { contractedKw: 400, discountPerKw: 50, events: [{ date: '2024-02-30', curtailedKw: 400 }] }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('interruptible.events[0].date must be a valid date (YYYY-MM-DD), received: 2024-02-30');
+    });
+
+    test('should reject a missing discount rate', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, interruptible: { contractedKw: 400 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('interruptible.discountPerKw must be a non-negative number, received: undefined');
+    });
+  });
+});
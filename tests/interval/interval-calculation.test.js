@@ -0,0 +1,301 @@
+/**
+ * Interval Meter Data Calculation Tests
+ * Test suite for deriving TOU/TOD usage buckets from interval readings
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+/**
+ * Generate one day of interval readings in Thailand local time
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {number} intervalMinutes - Interval length in minutes
+ * @param {Function} kwhAt - Returns kWh for the interval starting at (hour, minute)
+ * @returns {Array} readings
+ */
+const generateDayReadings = (date, intervalMinutes, kwhAt = () => 1) => {
+  const readings = [];
+  for (let minutes = 0; minutes < 24 * 60; minutes += intervalMinutes) {
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    readings.push({
+      timestamp: `${date}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00`,
+      kwh: kwhAt(hour, minute)
+    });
+  }
+  return readings;
+};
+
+describe('Interval Meter Data Calculation API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  describe('TOU Classification', () => {
+    test('should split a weekday into on-peak 09:00-22:00 and off-peak', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          readings: generateDayReadings('2024-01-08', 15) // Monday
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage).toEqual({ on_peak_kwh: 52, off_peak_kwh: 44 });
+      expect(response.body.intervalSummary.intervalCount).toBe(96);
+      expect(response.body.intervalSummary.totalKwh).toBe(96);
+      expect(response.body.intervalSummary.periodStart).toBe('2024-01-08T00:00:00+07:00');
+      expect(response.body.intervalSummary.periodEnd).toBe('2024-01-09T00:00:00+07:00');
+      expect(response.body.energyCharge).toBeCloseTo((52 * 5.7982) + (44 * 2.6369), 2);
+    });
+
+    test('should classify weekends as off-peak all day', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-2/interval')
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<22kV',
+          ftRateSatang: 39.72,
+          readings: generateDayReadings('2024-01-06', 15) // Saturday
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage).toEqual({ on_peak_kwh: 0, off_peak_kwh: 96 });
+    });
+
+    test('should derive on-peak and off-peak demand for Type 3 TOU', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3/interval')
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '22-33kV',
+          ftRateSatang: 39.72,
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          readings: generateDayReadings('2024-01-08', 15, (hour) => (hour === 10 ? 25 : 5))
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage.on_peak_kw).toBe(100); // 25 kWh per 15 minutes
+      expect(response.body.usage.off_peak_kw).toBe(20);
+      expect(response.body.usage.on_peak_kwh).toBe((48 * 5) + (4 * 25));
+      expect(response.body.usage.off_peak_kwh).toBe(44 * 5);
+      expect(response.body.calculatedDemandCharge).toBeCloseTo(100 * 132.93, 1);
+    });
+
+    test('should honour timestamps that mark the interval end', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          timestampAt: 'end',
+          readings: [
+            { timestamp: '2024-01-08T09:00:00', kwh: 1 }, // 08:45-09:00
+            { timestamp: '2024-01-08T09:15:00', kwh: 2 }  // 09:00-09:15
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage).toEqual({ on_peak_kwh: 2, off_peak_kwh: 1 });
+    });
+
+    test('should convert timestamps with an explicit offset to Thailand time', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          readings: [
+            { timestamp: '2024-01-08T02:00:00Z', kwh: 3 }, // 09:00 local
+            { timestamp: '2024-01-08T01:45:00Z', kwh: 1 }  // 08:45 local
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage).toEqual({ on_peak_kwh: 3, off_peak_kwh: 1 });
+    });
+  });
+
+  describe('TOD Classification', () => {
+    test('should split a day into on-peak, partial-peak and off-peak', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-4/interval')
+        .send({
+          tariffType: 'tod',
+          voltageLevel: '>=69kV',
+          ftRateSatang: 39.72,
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          readings: generateDayReadings('2024-01-06', 15, (hour) => {
+            if (hour === 19) return 50;  // on-peak
+            if (hour === 12) return 30;  // partial-peak
+            return 10;
+          })
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage).toEqual({
+        on_peak_kw: 200,
+        partial_peak_kw: 120,
+        off_peak_kw: 40,
+        total_kwh: (4 * 50) + (4 * 30) + (88 * 10)
+      });
+      expect(response.body.intervalSummary.tod.on_peak.intervalCount).toBe(12);
+      expect(response.body.intervalSummary.tod.partial_peak.intervalCount).toBe(42);
+      expect(response.body.intervalSummary.tod.off_peak.intervalCount).toBe(42);
+      expect(response.body.calculatedDemandCharge).toBeCloseTo((200 * 224.30) + (120 * 29.91), 1);
+    });
+  });
+
+  describe('Normal Tariff and Interval Lengths', () => {
+    test('should derive peak demand and total energy for Type 5 normal', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-5/interval')
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '12-24kV',
+          ftRateSatang: 19.72,
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          readings: generateDayReadings('2024-01-08', 15, (hour, minute) => (hour === 14 && minute === 30 ? 12 : 2))
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage).toEqual({ total_kwh: (95 * 2) + 12, peak_kw: 48 });
+    });
+
+    test('should derive demand from hourly readings', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-3/interval')
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          intervalMinutes: 60,
+          readings: generateDayReadings('2024-01-08', 60, (hour) => (hour === 11 ? 80 : 40))
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage).toEqual({ total_kwh: (23 * 40) + 80, peak_kw: 80 });
+      expect(response.body.intervalSummary.intervalMinutes).toBe(60);
+    });
+
+    test('should produce the same bill as the pre-aggregated endpoint', async () => {
+      const intervalResponse = await request(server)
+        .post('/api/pea/calculate/type-5/interval')
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<22kV',
+          ftRateSatang: 39.72,
+          peakKvar: 30,
+          highestDemandChargeLast12m: 5000,
+          readings: generateDayReadings('2024-01-09', 30, (hour) => (hour >= 9 && hour < 17 ? 20 : 8))
+        });
+
+      const directResponse = await request(server)
+        .post('/api/pea/calculate/type-5')
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<22kV',
+          ftRateSatang: 39.72,
+          peakKvar: 30,
+          highestDemandChargeLast12m: 5000,
+          usage: intervalResponse.body.usage
+        });
+
+      expect(intervalResponse.status).toBe(200);
+      expect(directResponse.status).toBe(200);
+      expect(intervalResponse.body.grandTotal).toBe(directResponse.body.grandTotal);
+    });
+  });
+
+  describe('Validation Errors', () => {
+    const baseData = {
+      tariffType: 'tou',
+      voltageLevel: '<12kV',
+      ftRateSatang: 19.72
+    };
+
+    test('should return error for missing readings', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send(baseData);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: readings');
+    });
+
+    test('should return error for empty readings', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send({ ...baseData, readings: [] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('readings must be a non-empty array');
+    });
+
+    test('should return error for invalid timestamp', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send({ ...baseData, readings: [{ timestamp: 'yesterday', kwh: 1 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('readings[0].timestamp must be a valid ISO 8601 timestamp');
+    });
+
+    test('should return error for duplicated timestamp', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send({
+          ...baseData,
+          readings: [
+            { timestamp: '2024-01-08T09:00:00', kwh: 1 },
+            { timestamp: '2024-01-08T02:00:00Z', kwh: 1 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('readings[1].timestamp is duplicated: 2024-01-08T02:00:00Z');
+    });
+
+    test('should return error for negative kWh', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send({ ...baseData, readings: [{ timestamp: '2024-01-08T09:00:00', kwh: -1 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('readings[0].kwh must be a positive number, received: -1');
+    });
+
+    test('should return error for unsupported interval length', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2/interval')
+        .send({ ...baseData, intervalMinutes: 10, readings: generateDayReadings('2024-01-08', 15) });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('intervalMinutes must be one of 15, 30, 60, received: 10');
+    });
+
+    test('should still require the calculation fields', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-3/interval')
+        .send({ ...baseData, readings: generateDayReadings('2024-01-08', 15) });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: peakKvar');
+    });
+  });
+});
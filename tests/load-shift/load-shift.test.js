@@ -0,0 +1,221 @@
+/**
+ * Load Shifting Optimizer Tests
+ * Test suite for scheduling flexible loads into the cheapest TOU and TOD periods
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+/**
+ * Generate hourly readings in Thailand local time
+ * @param {Array} dates - Local dates (YYYY-MM-DD)
+ * @param {Function} kwAt - Returns average kW for the hour
+ * @returns {Array} readings
+ */
+const generateHourlyReadings = (dates, kwAt) => {
+  const readings = [];
+  for (const date of dates) {
+    for (let hour = 0; hour < 24; hour++) {
+      readings.push({ timestamp: `${date}T${String(hour).padStart(2, '0')}:00:00`, kwh: kwAt(hour) });
+    }
+  }
+  return readings;
+};
+
+// 100 kW base load, 150 kW during the day, with a 200 kW chiller at 13:00-15:00
+const chillerLoad = (hour) => {
+  const base = hour >= 9 && hour < 22 ? 150 : 100;
+  return hour === 13 || hour === 14 ? base + 200 : base;
+};
+
+// Monday 4 and Tuesday 5 March 2024
+const weekdays = ['2024-03-04', '2024-03-05'];
+
+const chiller = { id: 'chiller', kw: 200, durationMinutes: 120, currentStart: '13:00' };
+
+describe('Load Shifting Optimizer API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const baseUrl = '/api/pea/optimize/load-shift';
+  const baseRequest = {
+    calculationType: 'type-4',
+    tariffType: 'tou',
+    voltageLevel: '<22kV',
+    ftRateSatang: 19.72,
+    peakKvar: 0,
+    highestDemandChargeLast12m: 0,
+    intervalMinutes: 60,
+    readings: generateHourlyReadings(weekdays, chillerLoad)
+  };
+
+  describe('TOU Scheduling', () => {
+    test('should move on-peak runs off-peak and bill both profiles', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, flexibleLoads: [chiller] });
+
+      expect(response.status).toBe(200);
+      const [schedule] = response.body.schedule;
+      expect(schedule.runs).toEqual([
+        { date: '2024-03-04', currentStart: '2024-03-04T13:00:00+07:00', optimizedStart: '2024-03-04T00:00:00+07:00', moved: true },
+        { date: '2024-03-05', currentStart: '2024-03-05T13:00:00+07:00', optimizedStart: '2024-03-05T00:00:00+07:00', moved: true }
+      ]);
+      expect(schedule.shiftedKwh).toBe(800);
+
+      const { summary } = response.body;
+      expect(summary.flexibleKwhBefore).toEqual({ on_peak: 800, off_peak: 0 });
+      expect(summary.flexibleKwhAfter).toEqual({ on_peak: 0, off_peak: 800 });
+      expect(summary.peakKwBefore).toBe(350);
+      expect(summary.peakKwAfter).toBe(300);
+
+      expect(response.body.baseline.usage.on_peak_kw).toBe(350);
+      expect(response.body.optimized.usage.on_peak_kw).toBe(150);
+      expect(response.body.savings.demand).toBe(42000); // 200 kW * 210
+      expect(response.body.savings.total).toBeCloseTo(
+        response.body.baseline.result.grandTotal - response.body.optimized.result.grandTotal, 2
+      );
+    });
+
+    test('should keep runs inside their windows, including windows past midnight', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          ...baseRequest,
+          flexibleLoads: [{ ...chiller, windows: [{ start: '21:00', end: '01:00' }] }]
+        });
+
+      expect(response.status).toBe(200);
+      // 21:00 is still on-peak, so the run goes to 22:00 or to the after-midnight part of the window
+      for (const run of response.body.schedule[0].runs) {
+        expect(['00:00', '22:00']).toContain(run.optimizedStart.slice(11, 16));
+      }
+      expect(response.body.summary.flexibleKwhAfter.on_peak).toBe(0);
+    });
+
+    test('should leave runs that are already in the cheapest period', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          ...baseRequest,
+          readings: generateHourlyReadings(weekdays, (hour) => (hour === 2 || hour === 3 ? 300 : 100)),
+          flexibleLoads: [{ ...chiller, currentStart: '02:00' }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.movedRuns).toBe(0);
+      expect(response.body.savings.total).toBe(0);
+    });
+
+    test('should treat weekend runs as off-peak already', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          ...baseRequest,
+          // Saturday 9 March 2024
+          readings: generateHourlyReadings(['2024-03-09'], chillerLoad),
+          flexibleLoads: [chiller]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.schedule[0].runs[0].moved).toBe(false);
+    });
+  });
+
+  describe('TOD Scheduling', () => {
+    test('should move runs out of the partial-peak window', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          ...baseRequest,
+          tariffType: 'tod',
+          flexibleLoads: [{ ...chiller, windows: [{ start: '06:00', end: '20:00' }] }]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.schedule[0].runs[0].optimizedStart).toBe('2024-03-04T06:00:00+07:00');
+      expect(response.body.summary.flexibleKwhBefore.partial_peak).toBe(800);
+      expect(response.body.summary.flexibleKwhAfter.off_peak).toBe(800);
+      // TOD energy is one rate, so the saving is all demand
+      expect(response.body.savings.energy).toBe(0);
+      expect(response.body.savings.demand).toBeCloseTo(200 * 68.22, 1);
+    });
+  });
+
+  describe('Invalid Input Tests', () => {
+    test('should return error for missing flexibleLoads', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send(baseRequest);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: flexibleLoads');
+    });
+
+    test('should return error for persist', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, persist: true, flexibleLoads: [chiller] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('persist');
+      expect(response.body.error).toBe('persist is not available for load shifting; store bills through the calculate endpoints');
+    });
+
+    test('should return error for a normal tariff', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, tariffType: 'normal', flexibleLoads: [chiller] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('tariffType');
+      expect(response.body.error).toBe('Load shifting needs a tou or tod tariff, received: normal');
+    });
+
+    test('should return error for a calculation type without demand periods', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, calculationType: 'type-2', flexibleLoads: [chiller] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('calculationType');
+    });
+
+    test.each([
+      [[], 'flexibleLoads must be a non-empty array'],
+      [[chiller, { ...chiller }], 'flexibleLoads[1].id is duplicated: chiller'],
+      [[{ ...chiller, kw: 0 }], 'flexibleLoads[0].kw must be greater than 0 and at most 100000, received: 0'],
+      [[{ ...chiller, durationMinutes: 90 }],
+        'flexibleLoads[0].durationMinutes must be a whole number of 60-minute intervals up to 1440, received: 90'],
+      [[{ ...chiller, currentStart: '13:30' }],
+        'flexibleLoads[0].currentStart must be a time (HH:MM) on a 60-minute interval boundary, received: 13:30'],
+      [[{ ...chiller, windows: [{ start: '22:00', end: '23:00' }] }], 'flexibleLoads[0].windows[0] is shorter than durationMinutes'],
+      [[{ ...chiller, windows: [{ start: '25:00', end: '23:00' }] }], 'flexibleLoads[0].windows[0] must have start and end times (HH:MM)']
+    ])('should reject invalid flexible loads %#', async (flexibleLoads, error) => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, flexibleLoads });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('flexibleLoads');
+      expect(response.body.error).toBe(error);
+    });
+
+    test('should return error when a load draws more than the metered load', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...baseRequest, flexibleLoads: [{ ...chiller, kw: 400 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('flexibleLoads');
+      expect(response.body.error).toBe('flexibleLoads[0] draws more than the metered load at 2024-03-04T13:00:00+07:00');
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * MEA EV Charger - Public EV Charging Station Tests
+ * Test suite for MEA EV charger electricity bill calculations
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('MEA EV Charger - Public EV Charging Station API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const baseUrl = '/api/mea/calculate/ev-charger';
+
+  describe('Valid Input Tests', () => {
+    test('should calculate TOU bill for <12kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          usage: {
+            on_peak_kwh: 1000,
+            off_peak_kwh: 2000
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.onPeakEnergyCharge).toBeCloseTo(4529.7, 2); // 1000 * 4.5297
+      expect(response.body.offPeakEnergyCharge).toBeCloseTo(5273.8, 2); // 2000 * 2.6369
+      expect(response.body.energyCharge).toBeCloseTo(9803.5, 2);
+      expect(response.body.serviceCharge).toBeCloseTo(312.24, 2);
+      expect(response.body.baseTariff).toBeCloseTo(10115.74, 2);
+      expect(response.body.ftCharge).toBeCloseTo(591.6, 2);
+      expect(response.body.vat).toBeCloseTo(749.51, 2);
+      expect(response.body.totalBill).toBeCloseTo(11456.85, 2);
+    });
+
+    test.each([
+      ['>=69kV', 4102.5 + 5169.8],
+      ['12-24kV', 4183.9 + 5207.4]
+    ])('should apply the %s energy rates', async (voltageLevel, energyCharge) => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel,
+          ftRateSatang: 19.72,
+          usage: {
+            on_peak_kwh: 1000,
+            off_peak_kwh: 2000
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.energyCharge).toBeCloseTo(energyCharge, 2);
+      expect(response.body.serviceCharge).toBeCloseTo(312.24, 2);
+    });
+  });
+
+  describe('Invalid Input Tests', () => {
+    test('should return error for normal tariff type', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 1000
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Failed to calculate ev-charger: Invalid tariff type for EV charger. Must be "tou", received: normal');
+    });
+
+    test('should return error for an unknown tariff type', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'flat',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          usage: {
+            on_peak_kwh: 1000,
+            off_peak_kwh: 2000
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid tariff type for EV charger. Must be "tou", received: flat');
+    });
+
+    test('should return error for missing off_peak_kwh', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          usage: {
+            on_peak_kwh: 1000
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: off_peak_kwh');
+    });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * MEA Type 1 - Residential Service Tests
+ * Test suite for MEA Type 1 residential electricity bill calculations
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('MEA Type 1 - Residential Service API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const baseUrl = '/api/mea/calculate/type-1';
+
+  describe('Normal Tariff Tests', () => {
+    describe('Valid Input Tests', () => {
+      test('should calculate Type 1.1 bill for 100 kWh', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<12kV',
+            ftRateSatang: 19.72,
+            usage: {
+              total_kwh: 100
+            }
+          });
+
+        expect(response.status).toBe(200);
+        expect(response.body.tariffClass).toBe('1.1');
+        // 15 * 2.3488 + 10 * 2.9882 + 10 * 3.2405 + 65 * 3.6237 = 333.0595
+        expect(response.body.energyCharge).toBeCloseTo(333.06, 2);
+        expect(response.body.serviceCharge).toBe(8.19);
+        expect(response.body.baseTariff).toBeCloseTo(341.25, 2);
+        expect(response.body.ftCharge).toBeCloseTo(19.72, 2);
+        expect(response.body.vat).toBeCloseTo(25.27, 2);
+        expect(response.body.totalBill).toBeCloseTo(386.24, 2);
+      });
+
+      test('should calculate Type 1.1 bill at the 150 kWh boundary', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<12kV',
+            ftRateSatang: 19.72,
+            usage: {
+              total_kwh: 150
+            }
+          });
+
+        expect(response.status).toBe(200);
+        expect(response.body.tariffClass).toBe('1.1');
+        // 333.0595 + 50 * 3.7171 = 518.9145
+        expect(response.body.energyCharge).toBeCloseTo(518.91, 2);
+      });
+
+      test('should calculate Type 1.2 bill above 150 kWh', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<12kV',
+            ftRateSatang: 19.72,
+            usage: {
+              total_kwh: 300
+            }
+          });
+
+        expect(response.status).toBe(200);
+        expect(response.body.tariffClass).toBe('1.2');
+        // 150 * 3.2484 + 150 * 4.2218 = 1120.53
+        expect(response.body.energyCharge).toBeCloseTo(1120.53, 2);
+        expect(response.body.serviceCharge).toBe(24.62);
+      });
+
+      test('should classify as 1.2 after three months over 150 kWh', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<12kV',
+            ftRateSatang: 19.72,
+            previousMonthsKwh: [200, 180, 160],
+            usage: {
+              total_kwh: 120
+            }
+          });
+
+        expect(response.status).toBe(200);
+        expect(response.body.tariffClass).toBe('1.2');
+        expect(response.body.energyCharge).toBeCloseTo(389.81, 2); // 120 * 3.2484
+      });
+
+      test('should stay 1.1 when one of the last three months was 150 kWh or less', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<12kV',
+            ftRateSatang: 19.72,
+            previousMonthsKwh: [200, 100, 160],
+            usage: {
+              total_kwh: 300
+            }
+          });
+
+        expect(response.status).toBe(200);
+        expect(response.body.tariffClass).toBe('1.1');
+        // 518.9145 + 150 * 4.2218 = 1152.1845
+        expect(response.body.energyCharge).toBeCloseTo(1152.18, 2);
+        expect(response.body.serviceCharge).toBe(8.19);
+      });
+    });
+
+    describe('Invalid Input Tests', () => {
+      test('should return error for a voltage level without a normal residential tariff', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '12-24kV',
+            ftRateSatang: 19.72,
+            usage: {
+              total_kwh: 100
+            }
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Failed to calculate type-1: Invalid voltage level for Type 1 normal. Must be "<12kV", received: 12-24kV');
+      });
+
+      test('should return error for invalid previousMonthsKwh', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<12kV',
+            ftRateSatang: 19.72,
+            previousMonthsKwh: [200, -5],
+            usage: {
+              total_kwh: 100
+            }
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('previousMonthsKwh[1] must be a positive number, received: -5');
+      });
+
+      test('should return error for missing total_kwh', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<12kV',
+            ftRateSatang: 19.72,
+            usage: {}
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Missing required field: total_kwh');
+      });
+    });
+  });
+
+  describe('TOU Tariff Tests', () => {
+    test('should calculate Type 1.3 bill for <12kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          usage: {
+            on_peak_kwh: 200,
+            off_peak_kwh: 300
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.tariffClass).toBe('1.3');
+      // 200 * 5.7982 + 300 * 2.6369 = 1950.71
+      expect(response.body.energyCharge).toBeCloseTo(1950.71, 2);
+      expect(response.body.serviceCharge).toBe(24.62);
+      expect(response.body.ftCharge).toBeCloseTo(98.6, 2);
+    });
+
+    test('should calculate Type 1.3 bill for 12-24kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '12-24kV',
+          ftRateSatang: 19.72,
+          usage: {
+            on_peak_kwh: 200,
+            off_peak_kwh: 300
+          }
+        });
+
+      expect(response.status).toBe(200);
+      // 200 * 5.1135 + 300 * 2.6037 = 1803.81
+      expect(response.body.energyCharge).toBeCloseTo(1803.81, 2);
+      expect(response.body.serviceCharge).toBe(312.24);
+    });
+
+    test('should return error for missing off_peak_kwh', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          usage: {
+            on_peak_kwh: 200
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: off_peak_kwh');
+    });
+
+    test('should return error for tod tariff type', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tod',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 100
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Failed to calculate type-1: Invalid tariff type for Type 1. Must be "normal" or "tou", received: tod');
+    });
+  });
+});
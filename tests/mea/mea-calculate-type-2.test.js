@@ -336,7 +336,7 @@ describe('MEA Type 2 - Small General Service API', () => {
         expect(response.body).toHaveProperty('error', 'Missing required field: voltageLevel');
       });
 
-      test('should return 400 for missing ftRateSatang', async () => {
+      test('should resolve a missing ftRateSatang from the Ft schedule', async () => {
         const response = await request(server)
           .post(baseUrl)
           .send({
@@ -347,8 +347,8 @@ describe('MEA Type 2 - Small General Service API', () => {
             }
           });
 
-        expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.status).toBe(200);
+        expect(response.body.ftRate.source).not.toBe('request');
       });
 
       test('should return 400 for missing usage', async () => {
@@ -575,7 +575,7 @@ describe('MEA Type 2 - Small General Service API', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.body).toHaveProperty('error', 'ftRateSatang must be a valid number');
       });
 
       test('should return 400 for empty usage', async () => {
@@ -626,7 +626,7 @@ describe('MEA Type 2 - Small General Service API', () => {
         expect(response.body).toHaveProperty('error', 'Missing required field: voltageLevel');
       });
 
-      test('should return 400 for null ftRateSatang', async () => {
+      test('should resolve a null ftRateSatang from the Ft schedule', async () => {
         const response = await request(server)
           .post(baseUrl)
           .send({
@@ -638,8 +638,8 @@ describe('MEA Type 2 - Small General Service API', () => {
             }
           });
 
-        expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.status).toBe(200);
+        expect(response.body.ftRate.source).not.toBe('request');
       });
     });
   });
@@ -405,7 +405,7 @@ describe('MEA Type 5 - Specific Business Service API', () => {
         expect(response.body).toHaveProperty('error', 'Missing required field: voltageLevel');
       });
 
-      test('should return 400 for missing ftRateSatang', async () => {
+      test('should resolve a missing ftRateSatang from the Ft schedule', async () => {
         const response = await request(server)
           .post(baseUrl)
           .send({
@@ -419,8 +419,8 @@ describe('MEA Type 5 - Specific Business Service API', () => {
             }
           });
 
-        expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.status).toBe(200);
+        expect(response.body.ftRate.source).not.toBe('request');
       });
 
       test('should return 400 for missing peakKvar', async () => {
@@ -757,7 +757,7 @@ describe('MEA Type 5 - Specific Business Service API', () => {
           });
 
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.body).toHaveProperty('error', 'ftRateSatang must be a valid number');
       });
 
       test('should return 400 for empty peakKvar', async () => {
@@ -854,7 +854,7 @@ describe('MEA Type 5 - Specific Business Service API', () => {
         expect(response.body).toHaveProperty('error', 'Missing required field: voltageLevel');
       });
 
-      test('should return 400 for null ftRateSatang', async () => {
+      test('should resolve a null ftRateSatang from the Ft schedule', async () => {
         const response = await request(server)
           .post(baseUrl)
           .send({
@@ -869,8 +869,8 @@ describe('MEA Type 5 - Specific Business Service API', () => {
             }
           });
 
-        expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+        expect(response.status).toBe(200);
+        expect(response.body.ftRate.source).not.toBe('request');
       });
     });
   });
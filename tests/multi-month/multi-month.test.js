@@ -0,0 +1,256 @@
+/**
+ * Multi-Month Calculation Tests
+ * Test suite for billing a run of months with the demand ratchet carried forward
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+/**
+ * Builds consecutive monthly usage records
+ * @param {string} year - Year (YYYY)
+ * @param {Function} usageForMonth - Returns the usage for a month number (1-12)
+ * @returns {Array} months
+ */
+const buildMonths = (year, usageForMonth) => {
+  const months = [];
+  for (let month = 1; month <= 12; month++) {
+    months.push({ month: `${year}-${String(month).padStart(2, '0')}`, usage: usageForMonth(month) });
+  }
+  return months;
+};
+
+describe('Multi-Month Calculation API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  // PEA Type 3 <22kV: 221.50 baht/kW demand, 3.1751 baht/kWh energy
+  const type3Year = {
+    calculationType: 'type-3',
+    tariffType: 'normal',
+    voltageLevel: '<22kV',
+    peakKvar: 0,
+    highestDemandChargeLast12m: 20000,
+    months: buildMonths('2024', (month) => ({ peak_kw: month === 3 ? 300 : 100, total_kwh: 31000 }))
+  };
+
+  describe('Demand Ratchet', () => {
+    test('should carry the ratchet forward from the highest earlier month', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send(type3Year);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.months).toHaveLength(12);
+
+      const [january, february, march, april] = response.body.months;
+      expect(january.ratchet).toEqual({ highestDemandChargeLast12m: 20000, setByMonth: null, binding: false });
+      expect(february.ratchet).toEqual({ highestDemandChargeLast12m: 22150, setByMonth: '2024-01', binding: false });
+      expect(march.calculatedDemandCharge).toBeCloseTo(66450, 1);
+      expect(april.ratchet).toEqual({ highestDemandChargeLast12m: 66450, setByMonth: '2024-03', binding: true });
+      expect(april.effectiveDemandCharge).toBeCloseTo(46515, 1);
+      expect(response.body.months[11].effectiveDemandCharge).toBeCloseTo(46515, 1);
+    });
+
+    test('should let the seed drop out of the window after 12 months', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send({
+          ...type3Year,
+          highestDemandChargeLast12m: 100000,
+          // January sets the highest charge of 2024, the other months draw half its demand
+          months: [
+            ...buildMonths('2024', (month) => ({ peak_kw: month === 1 ? 100 : 50, total_kwh: 31000 })),
+            { month: '2025-01', usage: { peak_kw: 100, total_kwh: 31000 } }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      const { months } = response.body;
+      const [first, december, january] = [months[0], months[11], months[12]];
+      expect(first.effectiveDemandCharge).toBeCloseTo(70000, 1);
+      expect(december.ratchet.setByMonth).toBeNull();
+      expect(december.ratchet.highestDemandChargeLast12m).toBe(100000);
+      expect(january.ratchet).toEqual({ highestDemandChargeLast12m: 22150, setByMonth: '2024-01', binding: false });
+    });
+  });
+
+  describe('Ft and Totals', () => {
+    test('should resolve Ft for each month', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send(type3Year);
+
+      const periodIds = response.body.months.map((month) => month.ftRate.periodId);
+      expect(periodIds.slice(0, 4)).toEqual(['2024-01', '2024-01', '2024-01', '2024-01']);
+      expect(periodIds.slice(4, 8)).toEqual(['2024-05', '2024-05', '2024-05', '2024-05']);
+      expect(periodIds.slice(8)).toEqual(['2024-09', '2024-09', '2024-09', '2024-09']);
+      expect(response.body.months[0].billingPeriod).toBeUndefined();
+    });
+
+    test('should return annual totals and averages', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send(type3Year);
+
+      const { summary } = response.body;
+      expect(summary.monthCount).toBe(12);
+      expect(summary.totalKwh).toBe(372000);
+      expect(summary.peakKw).toBe(300);
+      expect(summary.totals.energyCharge).toBeCloseTo(372000 * 3.1751, 2);
+      expect(summary.totals.serviceCharge).toBeCloseTo(312.24 * 12, 2);
+      expect(summary.totals.effectiveDemandCharge).toBeCloseTo(22150 * 2 + 66450 + 46515 * 9, 1);
+
+      const grandTotal = response.body.months.reduce((sum, month) => sum + month.grandTotal, 0);
+      expect(summary.totals.grandTotal).toBeCloseTo(grandTotal, 4);
+      expect(summary.averages.billPerMonth).toBeCloseTo(grandTotal / 12, 2);
+      expect(summary.averages.ratePerKwh).toBeCloseTo(grandTotal / 372000, 4);
+      expect(summary.averages.loadFactor).toBeCloseTo(372000 / (300 * 366 * 24), 4);
+    });
+
+    test('should return per-month metrics', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send(type3Year);
+
+      const january = response.body.months[0];
+      expect(january.metrics).toEqual({
+        totalKwh: 31000,
+        peakKw: 100,
+        ratePerKwh: expect.any(Number),
+        loadFactor: 0.4167
+      });
+      expect(january.metrics.ratePerKwh).toBeCloseTo(january.grandTotal / 31000, 4);
+    });
+  });
+
+  describe('Other Types', () => {
+    test('should carry consumption history into the Type 1 classification', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/multi-month')
+        .send({
+          calculationType: 'type-1',
+          tariffType: 'normal',
+          voltageLevel: '<12kV',
+          previousMonthsKwh: [100, 100, 100],
+          months: [
+            { month: '2025-01', usage: { total_kwh: 200 } },
+            { month: '2025-02', usage: { total_kwh: 200 } },
+            { month: '2025-03', usage: { total_kwh: 200 } },
+            { month: '2025-04', usage: { total_kwh: 200 } }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.months.map((month) => month.tariffClass)).toEqual(['1.1', '1.1', '1.1', '1.2']);
+      expect(response.body.summary.peakKw).toBeNull();
+      expect(response.body.summary.averages.loadFactor).toBeNull();
+      expect(response.body.months[0].ratchet).toBeUndefined();
+    });
+
+    test('should let a month override the shared fields', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/multi-month')
+        .send({
+          calculationType: 'type-2',
+          tariffType: 'normal',
+          voltageLevel: '12-24kV',
+          ftRateSatang: 19.72,
+          months: [
+            { month: '2025-01', usage: { total_kwh: 1000 } },
+            { month: '2025-02', ftRateSatang: 10, usage: { total_kwh: 1000 } }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.months[0].ftCharge).toBeCloseTo(197.2, 2);
+      expect(response.body.months[1].ftCharge).toBeCloseTo(100, 2);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should require months', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send({ ...type3Year, months: [] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('months must be an array of 1 to 36 monthly records');
+    });
+
+    test('should reject months out of order', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send({
+          ...type3Year,
+          months: [
+            { month: '2024-02', usage: { peak_kw: 100, total_kwh: 31000 } },
+            { month: '2024-01', usage: { peak_kw: 100, total_kwh: 31000 } }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('months must be consecutive, received 2024-01 after 2024-02');
+    });
+
+    test('should reject a gap between months', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send({
+          ...type3Year,
+          months: [
+            { month: '2024-01', usage: { peak_kw: 100, total_kwh: 31000 } },
+            { month: '2024-03', usage: { peak_kw: 100, total_kwh: 31000 } }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('months');
+      expect(response.body.error).toBe('months must be consecutive, received 2024-03 after 2024-01');
+    });
+
+    test('should reject persist', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send({ ...type3Year, persist: true, months: buildMonths('2024', () => ({ peak_kw: 100, total_kwh: 31000 })) });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('persist');
+      expect(response.body.error).toBe(
+        'persist is not available for multi-month calculations; store bills through the calculate endpoints'
+      );
+    });
+
+    test('should identify the month with invalid usage', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send({
+          ...type3Year,
+          months: [
+            { month: '2024-01', usage: { peak_kw: 100, total_kwh: 31000 } },
+            { month: '2024-02', usage: { total_kwh: 31000 } }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('months[1] (2024-02): Missing required field: peak_kw');
+    });
+
+    test('should report a month without a published Ft rate', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/multi-month')
+        .send({ ...type3Year, months: [{ month: '2019-06', usage: { peak_kw: 100, total_kwh: 31000 } }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Failed to calculate type-3: 2019-06: No Ft rate published for 2019-06-30; supply ftRateSatang');
+    });
+  });
+});
@@ -344,7 +344,7 @@ describe('PEA Type 5 - Specific Business Service API', () => {
       expect(response.body).toHaveProperty('error', 'Missing required field: voltageLevel');
     });
 
-    test('should return 400 for missing ftRateSatang', async () => {
+    test('should resolve a missing ftRateSatang from the Ft schedule', async () => {
       const response = await request(server)
         .post(baseUrl)
         .send({
@@ -358,8 +358,8 @@ describe('PEA Type 5 - Specific Business Service API', () => {
           }
         });
 
-      expect(response.status).toBe(400);
-      expect(response.body).toHaveProperty('error', 'Missing required field: ftRateSatang');
+      expect(response.status).toBe(200);
+      expect(response.body.ftRate.source).not.toBe('request');
     });
 
     test('should return 400 for missing peakKvar', async () => {
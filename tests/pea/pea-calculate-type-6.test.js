@@ -0,0 +1,160 @@
+/**
+ * PEA Type 6 - Government and Non-Profit Organization Tests
+ * Test suite for PEA Type 6 electricity bill calculations
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const peaElectricityService = require('../../src/services/pea-electricity.service');
+
+describe('PEA Type 6 - Government and Non-Profit Organization API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const baseUrl = '/api/pea/calculate/type-6';
+
+  describe('Normal Tariff Tests', () => {
+    test('should calculate energy-only bill for >=69kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '>=69kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 10000
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculatedDemandCharge).toBe(0);
+      expect(response.body.effectiveDemandCharge).toBe(0);
+      expect(response.body.pfCharge).toBe(0);
+      expect(response.body.energyCharge).toBeCloseTo(34149, 2);
+      expect(response.body.serviceCharge).toBe(312.24);
+      expect(response.body.ftCharge).toBeCloseTo(1972, 2);
+      expect(response.body.subTotal).toBeCloseTo(36433.24, 2);
+      expect(response.body.vat).toBeCloseTo(2550.33, 2);
+      expect(response.body.grandTotal).toBeCloseTo(38983.57, 2);
+    });
+
+    test('should calculate energy-only bill for 22-33kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '22-33kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 10000
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.energyCharge).toBeCloseTo(35849, 2);
+      expect(response.body.serviceCharge).toBe(312.24);
+    });
+
+    test('should calculate tiered bill for <22kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 500
+          }
+        });
+
+      expect(response.status).toBe(200);
+      // 10 * 2.8013 + 490 * 3.8919 = 1935.044
+      expect(response.body.energyCharge).toBeCloseTo(1935.04, 2);
+      expect(response.body.serviceCharge).toBe(20);
+      expect(response.body.subTotal).toBeCloseTo(2053.64, 2);
+    });
+
+    test('should return error for missing total_kwh', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '>=69kV',
+          ftRateSatang: 19.72,
+          usage: {}
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: total_kwh');
+    });
+  });
+
+  describe('TOU Tariff Tests', () => {
+    const touRequest = {
+      tariffType: 'tou',
+      voltageLevel: '<22kV',
+      ftRateSatang: 19.72,
+      peakKvar: 50,
+      highestDemandChargeLast12m: 0,
+      usage: {
+        on_peak_kw: 100,
+        on_peak_kwh: 10000,
+        off_peak_kw: 80,
+        off_peak_kwh: 20000
+      }
+    };
+
+    test('should calculate TOU bill for <22kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send(touRequest);
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculatedDemandCharge).toBeCloseTo(21000, 1);
+      expect(response.body.energyCharge).toBeCloseTo(96035, 2);
+      expect(response.body.effectiveDemandCharge).toBeCloseTo(21000, 1);
+      expect(response.body.pfCharge).toBe(0);
+      expect(response.body.serviceCharge).toBe(312.24);
+      expect(response.body.ftCharge).toBeCloseTo(5916, 2);
+    });
+
+    test('should apply the 70% minimum demand charge', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...touRequest, highestDemandChargeLast12m: 40000 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.effectiveDemandCharge).toBeCloseTo(28000, 1);
+    });
+
+    test('should return error for missing on_peak_kw', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...touRequest, usage: { on_peak_kwh: 10000, off_peak_kw: 80, off_peak_kwh: 20000 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: on_peak_kw');
+    });
+
+    test('should return error for tod tariff type', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ ...touRequest, tariffType: 'tod' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Failed to calculate type-6: Invalid tariff type for Type 6. Must be "normal" or "tou", received: tod');
+    });
+
+    test('should reject an unknown voltage level when called without request validation', () => {
+      expect(() => peaElectricityService.calculateBill('type-6', { ...touRequest, voltageLevel: 'bogus' }))
+        .toThrow('Invalid voltage level for Type 6 tou. Must be ">=69kV" or "22-33kV" or "<22kV", received: bogus');
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * PEA Type 7 - Agricultural Water Pumping Tests
+ * Test suite for PEA Type 7 electricity bill calculations
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('PEA Type 7 - Agricultural Water Pumping API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const baseUrl = '/api/pea/calculate/type-7';
+
+  describe('Normal Tariff Tests', () => {
+    describe('Valid Input Tests', () => {
+      test('should calculate bill within the first block', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<22kV',
+            ftRateSatang: 19.72,
+            usage: {
+              total_kwh: 80
+            }
+          });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toHaveProperty('energyCharge');
+        expect(response.body).toHaveProperty('serviceCharge');
+        expect(response.body).toHaveProperty('baseTariff');
+        expect(response.body).toHaveProperty('ftCharge');
+        expect(response.body).toHaveProperty('vat');
+        expect(response.body).toHaveProperty('totalBill');
+
+        expect(response.body.energyCharge).toBeCloseTo(167.11, 2); // 80 * 2.0889
+        expect(response.body.serviceCharge).toBe(115.16);
+        expect(response.body.ftCharge).toBeCloseTo(15.78, 2);
+        expect(response.body.vat).toBeCloseTo(20.86, 2);
+        expect(response.body.totalBill).toBeCloseTo(318.91, 2);
+      });
+
+      test('should calculate bill across both blocks', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<22kV',
+            ftRateSatang: 19.72,
+            usage: {
+              total_kwh: 500
+            }
+          });
+
+        expect(response.status).toBe(200);
+        // 100 * 2.0889 + 400 * 3.2405 = 1505.09
+        expect(response.body.energyCharge).toBeCloseTo(1505.09, 2);
+      });
+
+      test('should handle zero consumption', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<22kV',
+            ftRateSatang: 19.72,
+            usage: {
+              total_kwh: 0
+            }
+          });
+
+        expect(response.status).toBe(200);
+        expect(response.body.energyCharge).toBe(0);
+        expect(response.body.baseTariff).toBeCloseTo(115.16, 2);
+      });
+    });
+
+    describe('Invalid Input Tests', () => {
+      test('should return error for a voltage level without a normal pumping tariff', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '22-33kV',
+            ftRateSatang: 19.72,
+            usage: {
+              total_kwh: 500
+            }
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Failed to calculate type-7: Invalid voltage level for Type 7 normal. Must be "<22kV", received: 22-33kV');
+      });
+
+      test('should return error for missing total_kwh', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<22kV',
+            ftRateSatang: 19.72,
+            usage: {}
+          });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Missing required field: total_kwh');
+      });
+
+      test('should resolve a missing ftRateSatang from the Ft schedule', async () => {
+        const response = await request(server)
+          .post(baseUrl)
+          .send({
+            tariffType: 'normal',
+            voltageLevel: '<22kV',
+            usage: {
+              total_kwh: 500
+            }
+          });
+
+        expect(response.status).toBe(200);
+        expect(response.body.ftRate.source).not.toBe('request');
+      });
+    });
+  });
+
+  describe('TOU Tariff Tests', () => {
+    test('should calculate TOU bill for <22kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          usage: {
+            on_peak_kwh: 1000,
+            off_peak_kwh: 2000
+          }
+        });
+
+      expect(response.status).toBe(200);
+      // 1000 * 5.7982 + 2000 * 2.6369 = 11072
+      expect(response.body.energyCharge).toBeCloseTo(11072, 2);
+      expect(response.body.serviceCharge).toBe(204.07);
+      expect(response.body.ftCharge).toBeCloseTo(591.6, 2);
+    });
+
+    test('should calculate TOU bill for 22-33kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '22-33kV',
+          ftRateSatang: 19.72,
+          usage: {
+            on_peak_kwh: 1000,
+            off_peak_kwh: 2000
+          }
+        });
+
+      expect(response.status).toBe(200);
+      // 1000 * 5.1135 + 2000 * 2.6037 = 10320.9
+      expect(response.body.energyCharge).toBeCloseTo(10320.9, 2);
+      expect(response.body.serviceCharge).toBe(204.07);
+    });
+
+    test('should return error for missing on_peak_kwh', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          usage: {
+            off_peak_kwh: 2000
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: on_peak_kwh');
+    });
+
+    test('should return error for tod tariff type', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tod',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 500
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Failed to calculate type-7: Invalid tariff type for Type 7. Must be "normal" or "tou", received: tod');
+    });
+  });
+
+  describe('Provider Availability', () => {
+    test('should not expose Type 7 for MEA', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-7')
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 500
+          }
+        });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * PEA Type 8 - Temporary Supply Tests
+ * Test suite for PEA Type 8 electricity bill calculations
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const peaElectricityService = require('../../src/services/pea-electricity.service');
+
+describe('PEA Type 8 - Temporary Supply API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const baseUrl = '/api/pea/calculate/type-8';
+
+  describe('Valid Input Tests', () => {
+    test('should calculate flat-rate bill for <22kV', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 1000
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.energyCharge).toBeCloseTo(6802.5, 2); // 1000 * 6.8025
+      expect(response.body.serviceCharge).toBe(0);
+      expect(response.body.baseTariff).toBeCloseTo(6802.5, 2);
+      expect(response.body.ftCharge).toBeCloseTo(197.2, 2);
+      expect(response.body.vat).toBeCloseTo(489.98, 2);
+      expect(response.body.totalBill).toBeCloseTo(7489.68, 2);
+    });
+
+    test.each(['>=69kV', '22-33kV'])('should apply the same flat rate for %s', async (voltageLevel) => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'normal',
+          voltageLevel,
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 2500
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.energyCharge).toBeCloseTo(17006.25, 2);
+    });
+  });
+
+  describe('Invalid Input Tests', () => {
+    test('should return error for tou tariff type', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'tou',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 1000
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Failed to calculate type-8: Invalid tariff type for Type 8. Must be "normal", received: tou');
+    });
+
+    test('should return error for an unknown tariff type', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'flat',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          usage: {
+            total_kwh: 1000
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid tariff type for Type 8. Must be "normal", received: flat');
+    });
+
+    test('should reject an unknown voltage level when called without request validation', () => {
+      const input = { tariffType: 'normal', voltageLevel: 'bogus', ftRateSatang: 19.72, usage: { total_kwh: 1000 } };
+
+      expect(() => peaElectricityService.calculateBill('type-8', input))
+        .toThrow('Invalid voltage level for Type 8 normal. Must be ">=69kV" or "22-33kV" or "<22kV", received: bogus');
+    });
+
+    test('should return error for missing total_kwh', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          usage: {}
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: total_kwh');
+    });
+  });
+});
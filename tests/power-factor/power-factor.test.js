@@ -0,0 +1,136 @@
+/**
+ * Power Factor Analysis Tests
+ * Test suite for the power factor penalty analysis and capacitor bank sizing
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Power Factor Analysis API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const baseUrl = '/api/power-factor/analysis';
+
+  describe('Penalty Analysis', () => {
+    test('should report the power factor, excess kVAR and penalty', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ peakKw: 500, peakKvar: 450 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.powerFactor).toBeCloseTo(0.7433, 4);
+      expect(response.body.thresholdPowerFactor).toBeCloseTo(0.85, 4);
+      expect(response.body.allowedKvar).toBeCloseTo(309.85, 3); // 500 * 0.6197
+      expect(response.body.excessKvar).toBeCloseTo(140.15, 3);
+      expect(response.body.monthlyPenalty).toBeCloseTo(7849.8, 2); // 140 kVAR * 56.07
+      expect(response.body.annualPenalty).toBeCloseTo(94197.6, 2);
+    });
+
+    test('should match the pfCharge of a Type 3 bill', async () => {
+      const analysis = await request(server)
+        .post(baseUrl)
+        .send({ peakKw: 500, peakKvar: 450 });
+      const bill = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          peakKvar: 450,
+          highestDemandChargeLast12m: 0,
+          usage: { peak_kw: 500, total_kwh: 100000 }
+        });
+
+      expect(bill.status).toBe(200);
+      expect(analysis.body.monthlyPenalty).toBeCloseTo(bill.body.pfCharge, 2);
+    });
+
+    test('should recommend no bank when no penalty is charged', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ peakKw: 500, peakKvar: 300, costPerKvar: 800 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.monthlyPenalty).toBe(0);
+      expect(response.body.capacitorBank.bankKvar).toBe(0);
+      expect(response.body.capacitorBank.steps).toBe(0);
+      expect(response.body.payback).toBeNull();
+    });
+  });
+
+  describe('Capacitor Bank Sizing', () => {
+    test('should round the bank up to whole 25 kVAR steps by default', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ peakKw: 500, peakKvar: 450 });
+
+      const bank = response.body.capacitorBank;
+      expect(bank.requiredKvar).toBeCloseTo(140.15, 3);
+      expect(bank.stepKvar).toBe(25);
+      expect(bank.steps).toBe(6);
+      expect(bank.bankKvar).toBe(150);
+      expect(bank.correctedKvar).toBe(300);
+      expect(bank.correctedPowerFactor).toBeCloseTo(0.8575, 4);
+      expect(bank.remainingMonthlyPenalty).toBe(0);
+      expect(response.body.savings).toEqual({ monthly: 7849.8, annual: 94197.6 });
+    });
+
+    test('should size the bank for a target power factor and step size', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ peakKw: 500, peakKvar: 450, targetPowerFactor: 0.95, stepKvar: 10 });
+
+      const bank = response.body.capacitorBank;
+      expect(bank.targetPowerFactor).toBe(0.95);
+      expect(bank.requiredKvar).toBeCloseTo(285.658, 3); // 450 - 500 * tan(acos(0.95))
+      expect(bank.bankKvar).toBe(290);
+      expect(bank.correctedPowerFactor).toBeGreaterThanOrEqual(0.95);
+    });
+
+    test('should compute simple payback from the cost per kVAR', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ peakKw: 500, peakKvar: 450, costPerKvar: 800 });
+
+      expect(response.body.capacitorBank.cost).toBe(120000); // 150 kVAR * 800
+      expect(response.body.payback.months).toBeCloseTo(15.3, 1); // 120000 / 7849.8
+      expect(response.body.payback.years).toBeCloseTo(1.27, 2);
+    });
+  });
+
+  describe('Invalid Input Tests', () => {
+    test('should return error for missing peakKvar', async () => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send({ peakKw: 500 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: peakKvar');
+      expect(response.body.field).toBe('peakKvar');
+    });
+
+    test.each([
+      [{ peakKw: 0, peakKvar: 100 }, 'peakKw', 'peakKw must be greater than 0 and at most 100000, received: 0'],
+      [{ peakKw: 500, peakKvar: -1 }, 'peakKvar', 'peakKvar must be between 0 and 100000, received: -1'],
+      [{ peakKw: 500, peakKvar: 450, targetPowerFactor: 0.8 }, 'targetPowerFactor', 'targetPowerFactor must be between 0.85 and 1, received: 0.8'],
+      [{ peakKw: 500, peakKvar: 450, stepKvar: 7 }, 'stepKvar', 'stepKvar must be one of 5, 10, 12.5, 15, 20, 25, 30, 40, 50, 60, 75, 100, received: 7'],
+      [{ peakKw: 500, peakKvar: 450, costPerKvar: -5 }, 'costPerKvar', 'costPerKvar must be a non-negative number, received: -5']
+    ])('should reject invalid input %#', async (body, field, error) => {
+      const response = await request(server)
+        .post(baseUrl)
+        .send(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe(field);
+      expect(response.body.error).toBe(error);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * PPA Billing Tests
+ * Test suite for pricing PPA bills as discounts off the grid tariff
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('PPA Billing API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const type2Request = {
+    calculationType: 'type-2',
+    tariffType: 'normal',
+    voltageLevel: '12-24kV',
+    ftRateSatang: 19.72,
+    usage: { total_kwh: 1000 }
+  };
+
+  const type3Request = {
+    calculationType: 'type-3',
+    tariffType: 'normal',
+    voltageLevel: '<22kV',
+    ftRateSatang: 39.72,
+    peakKvar: 0,
+    highestDemandChargeLast12m: 0,
+    usage: { peak_kw: 100, total_kwh: 31000 }
+  };
+
+  describe('Discounts', () => {
+    test('should apply a flat discount to every component', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/ppa')
+        .send({ ...type2Request, contract: { discountPercent: 10 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.provider).toBe('mea');
+      expect(response.body.calculationType).toBe('type-2');
+      expect(response.body.referenceBill.totalBill).toBeCloseTo(4727.3028, 4);
+
+      expect(response.body.gridEquivalent.components).toEqual({
+        energy: 3908.6,
+        demand: 0,
+        pf: 0,
+        service: 312.24,
+        ft: 197.2
+      });
+      expect(response.body.gridEquivalent.grandTotal).toBeCloseTo(4727.3, 2);
+
+      expect(response.body.ppaBill.components.energy).toBeCloseTo(3517.74, 2);
+      expect(response.body.ppaBill.subTotal).toBeCloseTo(3976.24, 2);
+      expect(response.body.ppaBill.vat).toBeCloseTo(278.34, 2);
+      expect(response.body.ppaBill.floorApplied).toBe(false);
+      expect(response.body.savings).toEqual({ amount: 472.73, percent: 10 });
+    });
+
+    test('should let component discounts override the flat discount', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/ppa')
+        .send({ ...type3Request, contract: { discountPercent: 2, componentDiscounts: { energy: 20, demand: 5 } } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ppaBill.discounts).toEqual({ energy: 20, demand: 5, pf: 2, service: 2, ft: 2 });
+      expect(response.body.gridEquivalent.components.demand).toBeCloseTo(22150, 2);
+      expect(response.body.ppaBill.components.energy).toBeCloseTo(98428.1 * 0.8, 2);
+      expect(response.body.ppaBill.components.demand).toBeCloseTo(22150 * 0.95, 2);
+      expect(response.body.ppaBill.components.ft).toBeCloseTo(12313.2 * 0.98, 2);
+      expect(response.body.savings.amount).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Floor Price', () => {
+    test('should raise the PPA bill to the floor price', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/ppa')
+        .send({ ...type3Request, contract: { discountPercent: 50, floorPricePerKwh: 3.5 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ppaBill.floorAmount).toBe(108500);
+      expect(response.body.ppaBill.floorApplied).toBe(true);
+      expect(response.body.ppaBill.discountedSubTotal).toBeCloseTo(133203.54 / 2, 1);
+      expect(response.body.ppaBill.subTotal).toBe(108500);
+      expect(response.body.ppaBill.vat).toBeCloseTo(7595, 2);
+      expect(response.body.ppaBill.effectiveRatePerKwh).toBe(3.5);
+      expect(response.body.savings.amount).toBeCloseTo(142527.79 - 116095, 2);
+    });
+
+    test('should keep the discounted bill when it is above the floor', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/ppa')
+        .send({ ...type3Request, contract: { discountPercent: 5, floorPricePerKwh: 3.5 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ppaBill.floorApplied).toBe(false);
+      expect(response.body.ppaBill.subTotal).toBe(response.body.ppaBill.discountedSubTotal);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should require a contract', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/ppa')
+        .send(type2Request);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: contract');
+    });
+
+    test('should reject an unknown calculation type', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/ppa')
+        .send({ ...type2Request, calculationType: 'type-9', contract: { discountPercent: 10 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/^calculationType must be one of type-1, .*received: type-9$/);
+    });
+
+    test('should reject a discount above 100 percent', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/ppa')
+        .send({ ...type2Request, contract: { discountPercent: 120 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('contract.discountPercent must be between 0 and 100, received: 120');
+    });
+
+    test('should reject an unknown component', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/ppa')
+        .send({ ...type2Request, contract: { componentDiscounts: { fuel: 10 } } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('contract.componentDiscounts.fuel is not a bill component. Must be one of energy, demand, pf, service, ft');
+    });
+
+    test('should reject a contract without discount terms', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/ppa')
+        .send({ ...type2Request, contract: { floorPricePerKwh: 3 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('contract must define discountPercent or componentDiscounts');
+    });
+
+    test('should validate the reference calculation input', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/ppa')
+        .send({ ...type3Request, usage: { total_kwh: 31000 }, contract: { discountPercent: 10 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatch(/peak_kw/);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Billing Period Proration Tests
+ * Test suite for splitting a billing period at mid-period rate and Ft changes
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const rateScheduleService = require('../../src/services/rate-schedule.service');
+const { MEA_RATES } = require('../../src/config/mea-rates');
+
+/**
+ * Generate one day of hourly readings in Thailand local time
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {number} kwh - kWh for every interval
+ * @returns {Array} readings
+ */
+const generateHourlyReadings = (date, kwh) => {
+  const readings = [];
+  for (let hour = 0; hour < 24; hour++) {
+    readings.push({ timestamp: `${date}T${String(hour).padStart(2, '0')}:00:00`, kwh });
+  }
+  return readings;
+};
+
+describe('Billing Period Proration API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const type3Request = {
+    tariffType: 'normal',
+    voltageLevel: '<22kV',
+    peakKvar: 0,
+    highestDemandChargeLast12m: 0,
+    usage: {
+      peak_kw: 100,
+      total_kwh: 31000
+    }
+  };
+
+  describe('Ft Changes', () => {
+    test('should split a billing period that spans an Ft change', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, billingPeriod: { start: '2024-12-16', end: '2025-01-15' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.billingPeriod).toEqual({ start: '2024-12-16', end: '2025-01-15', days: 31 });
+      expect(response.body.proration).toEqual({ method: 'days', segmentCount: 2 });
+
+      const [first, second] = response.body.segments;
+      expect(first).toMatchObject({ start: '2024-12-16', end: '2024-12-31', days: 16 });
+      expect(first.usage).toEqual({ peak_kw: 100, total_kwh: 16000 });
+      expect(first.ftRate.periodId).toBe('2024-09');
+      expect(first.ftCharge).toBeCloseTo(16000 * 0.3972, 2);
+      expect(second).toMatchObject({ start: '2025-01-01', end: '2025-01-15', days: 15 });
+      expect(second.ftRate.periodId).toBe('2025-01');
+      expect(second.ftCharge).toBeCloseTo(15000 * 0.3672, 2);
+
+      expect(response.body.ftCharge).toBeCloseTo(11863.2, 2);
+      expect(response.body.energyCharge).toBeCloseTo(31000 * 3.1751, 2);
+      expect(response.body.calculatedDemandCharge).toBeCloseTo(22150, 0);
+      expect(response.body.serviceCharge).toBeCloseTo(312.24, 2);
+      expect(response.body.rateVersion).toBeUndefined();
+    });
+
+    test('should not split when ftRateSatang is supplied', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, ftRateSatang: 39.72, billingPeriod: { start: '2024-12-16', end: '2025-01-15' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.segments).toBeUndefined();
+      expect(response.body.ftRate.source).toBe('request');
+      expect(response.body.ftCharge).toBeCloseTo(31000 * 0.3972, 2);
+    });
+
+    test('should not split when asOfDate is supplied', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, asOfDate: '2025-01-15', billingPeriod: { start: '2024-12-16', end: '2025-01-15' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.segments).toBeUndefined();
+      expect(response.body.ftRate.periodId).toBe('2025-01');
+    });
+  });
+
+  describe('Period Length', () => {
+    test('should reject a billing period longer than one billing month', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, billingPeriod: { start: '2025-02-01', end: '2025-03-17' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('billingPeriod must not exceed 31 days');
+      expect(response.body.error).toContain('received: 45 days');
+    });
+
+    test('should bill a full-length period without a change as one month', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({ ...type3Request, billingPeriod: { start: '2025-01-16', end: '2025-02-15' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.segments).toBeUndefined();
+      expect(response.body.serviceCharge).toBeCloseTo(312.24, 2);
+    });
+  });
+
+  describe('Rate Changes', () => {
+    test('should split a billing period that spans a rate version change', async () => {
+      rateScheduleService.register('mea', {
+        id: 'mea-2031-01',
+        label: 'Revised tariff',
+        effectiveFrom: '2031-01-01',
+        rates: {
+          ...MEA_RATES,
+          TYPE_2: {
+            ...MEA_RATES.TYPE_2,
+            normal: {
+              ...MEA_RATES.TYPE_2.normal,
+              '12-24kV': { serviceCharge: 312.24, energyRate: 4.5 }
+            }
+          }
+        },
+        serviceCharge: 312.24
+      });
+
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '12-24kV',
+          ftRateSatang: 19.72,
+          billingPeriod: { start: '2030-12-17', end: '2031-01-15' },
+          usage: { total_kwh: 1000 }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.segments.map((segment) => segment.rateVersion.id)).toEqual(['mea-2015-09', 'mea-2031-01']);
+      expect(response.body.segments[0].energyCharge).toBeCloseTo(500 * 3.9086, 2);
+      expect(response.body.segments[1].energyCharge).toBeCloseTo(500 * 4.5, 2);
+      expect(response.body.energyCharge).toBeCloseTo(4204.3, 2);
+      expect(response.body.serviceCharge).toBeCloseTo(312.24, 2);
+      expect(response.body.ftCharge).toBeCloseTo(197.2, 2);
+    });
+  });
+
+  describe('Interval Data', () => {
+    test('should split energy exactly when interval readings are supplied', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3/interval')
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '<22kV',
+          peakKvar: 0,
+          highestDemandChargeLast12m: 0,
+          intervalMinutes: 60,
+          billingPeriod: { start: '2024-12-31', end: '2025-01-01' },
+          readings: [
+            ...generateHourlyReadings('2024-12-31', 1),
+            ...generateHourlyReadings('2025-01-01', 2)
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.proration).toEqual({ method: 'interval', segmentCount: 2 });
+      expect(response.body.segments[0].usage).toEqual({ total_kwh: 24, peak_kw: 1 });
+      expect(response.body.segments[1].usage).toEqual({ total_kwh: 48, peak_kw: 2 });
+      expect(response.body.ftCharge).toBeCloseTo(24 * 0.3972 + 48 * 0.3672, 2);
+      expect(response.body.energyCharge).toBeCloseTo(72 * 3.1751, 2);
+      expect(response.body.usage.total_kwh).toBe(72);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Rate Schedule Tests
+ * Test suite for effective-dated rate table versions
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const rateScheduleService = require('../../src/services/rate-schedule.service');
+const { MEA_RATES } = require('../../src/config/mea-rates');
+
+describe('Rate Schedule API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const type2Request = {
+    tariffType: 'normal',
+    voltageLevel: '12-24kV',
+    ftRateSatang: 19.72,
+    usage: {
+      total_kwh: 1000
+    }
+  };
+
+  describe('Listing Rate Schedules', () => {
+    test('should list MEA rate schedule versions', async () => {
+      const response = await request(server).get('/api/mea/rate-schedules');
+
+      expect(response.status).toBe(200);
+      expect(response.body.provider).toBe('mea');
+      expect(response.body.rateSchedules[0]).toEqual({
+        id: 'mea-2015-09',
+        label: 'MEA base tariff effective September 2015',
+        effectiveFrom: '2015-09-01',
+        effectiveTo: null
+      });
+    });
+
+    test('should return a PEA rate schedule with its rate table', async () => {
+      const response = await request(server).get('/api/pea/rate-schedules/pea-2015-09');
+
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe('pea-2015-09');
+      expect(response.body.rates.TYPE_3.normal['>=69kV'].demand).toBe(175.70);
+    });
+
+    test('should return 404 for an unknown rate schedule', async () => {
+      const response = await request(server).get('/api/pea/rate-schedules/pea-1999-01');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Rate schedule not found: pea-1999-01');
+    });
+  });
+
+  describe('Rate Version Resolution', () => {
+    test('should echo the rate version used for asOfDate', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ ...type2Request, asOfDate: '2024-03-15' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.rateVersion).toEqual({
+        id: 'mea-2015-09',
+        label: 'MEA base tariff effective September 2015',
+        effectiveFrom: '2015-09-01',
+        effectiveTo: null
+      });
+    });
+
+    test('should default to the current rate version', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/type-3')
+        .send({
+          tariffType: 'normal',
+          voltageLevel: '>=69kV',
+          ftRateSatang: 19.72,
+          peakKvar: 120,
+          highestDemandChargeLast12m: 20000,
+          usage: { peak_kw: 100, total_kwh: 40000 }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.rateVersion.id).toBe('pea-2015-09');
+    });
+
+    test('should return error when no rate version is in effect', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ ...type2Request, asOfDate: '2010-01-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Failed to calculate type-2: No MEA rate schedule in effect on 2010-01-01');
+    });
+
+    test('should resolve historical and revised rates by billing period', async () => {
+      rateScheduleService.register('mea', {
+        id: 'mea-2030-01',
+        label: 'Revised tariff',
+        effectiveFrom: '2030-01-01',
+        rates: {
+          ...MEA_RATES,
+          TYPE_2: {
+            ...MEA_RATES.TYPE_2,
+            normal: {
+              ...MEA_RATES.TYPE_2.normal,
+              '12-24kV': { serviceCharge: 312.24, energyRate: 4.5 }
+            }
+          }
+        },
+        serviceCharge: 312.24
+      });
+
+      const historicalResponse = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ ...type2Request, billingPeriod: { start: '2029-12-01', end: '2029-12-31' } });
+
+      const revisedResponse = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ ...type2Request, billingPeriod: { start: '2030-01-01', end: '2030-01-31' } });
+
+      expect(historicalResponse.body.rateVersion.id).toBe('mea-2015-09');
+      expect(historicalResponse.body.rateVersion.effectiveTo).toBe('2029-12-31');
+      expect(historicalResponse.body.energyCharge).toBeCloseTo(3908.6, 2);
+      expect(revisedResponse.body.rateVersion.id).toBe('mea-2030-01');
+      expect(revisedResponse.body.energyCharge).toBeCloseTo(4500, 2);
+    });
+
+    test('should reject overlapping rate versions', () => {
+      expect(() => rateScheduleService.register('mea', {
+        id: 'mea-2029-06',
+        effectiveFrom: '2029-06-01',
+        effectiveTo: '2030-06-30',
+        rates: MEA_RATES
+      })).toThrow('Rate schedule mea-2029-06 overlaps mea-2015-09');
+    });
+  });
+
+  describe('Validation Errors', () => {
+    test('should return error for invalid asOfDate', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ ...type2Request, asOfDate: '2024-13-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('asOfDate must be a valid date (YYYY-MM-DD), received: 2024-13-01');
+      expect(response.body.field).toBe('asOfDate');
+    });
+
+    test('should return error for reversed billing period', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ ...type2Request, billingPeriod: { start: '2024-02-01', end: '2024-01-01' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('billingPeriod.start must not be after billingPeriod.end');
+    });
+
+    test('should return error for billing period without end', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/type-2')
+        .send({ ...type2Request, billingPeriod: { start: '2024-02-01' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('billingPeriod.end must be a valid date (YYYY-MM-DD), received: undefined');
+    });
+  });
+});
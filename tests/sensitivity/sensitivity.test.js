@@ -0,0 +1,173 @@
+/**
+ * Sensitivity Analysis Tests
+ * Test suite for the marginal cost, elasticity and tornado ranking of bill inputs
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Sensitivity Analysis API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const touRequest = {
+    calculationType: 'type-3',
+    tariffType: 'tou',
+    voltageLevel: '<22kV',
+    ftRateSatang: 19.72,
+    peakKvar: 450,
+    highestDemandChargeLast12m: 0,
+    usage: { on_peak_kwh: 20000, off_peak_kwh: 30000, on_peak_kw: 500, off_peak_kw: 400 }
+  };
+
+  const byInput = (response) => Object.fromEntries(response.body.inputs.map((entry) => [entry.input, entry]));
+
+  describe('Marginal Costs', () => {
+    test('should price one more unit of each input including VAT', async () => {
+      const response = await request(server)
+        .post('/api/pea/sensitivity')
+        .send(touRequest);
+
+      expect(response.status).toBe(200);
+      const inputs = byInput(response);
+      expect(Object.keys(inputs)).toEqual(['on_peak_kwh', 'off_peak_kwh', 'on_peak_kw', 'off_peak_kw', 'peakKvar', 'ftRateSatang']);
+
+      expect(inputs.on_peak_kwh.unit).toBe('kWh');
+      expect(inputs.on_peak_kwh.marginalCost).toBeCloseTo(4.84, 2);
+      expect(inputs.on_peak_kw.marginalCost).toBeCloseTo(224.7, 2); // 210 per kW + VAT
+      expect(inputs.on_peak_kw.marginalBreakdown.demand).toBe(210);
+      // Off-peak demand is not billed under TOU
+      expect(inputs.off_peak_kw.marginalCost).toBe(0);
+      expect(inputs.ftRateSatang.unit).toBe('satang');
+      expect(inputs.ftRateSatang.marginalCost).toBe(535); // 50,000 kWh * 0.01 + VAT
+    });
+
+    test('should include the scheduled Ft rate when ftRateSatang is omitted', async () => {
+      const { ftRateSatang, ...withoutFt } = touRequest;
+      const response = await request(server)
+        .post('/api/pea/sensitivity')
+        .send({ ...withoutFt, asOfDate: '2024-03-15' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.result.ftRate.source).toBe('schedule');
+      const inputs = byInput(response);
+      expect(inputs.ftRateSatang.value).toBe(39.72);
+      expect(inputs.ftRateSatang.marginalCost).toBe(535);
+      expect(inputs.ftRateSatang.lowBill).toBeLessThan(response.body.totalBill);
+    });
+
+    test('should charge one more kVAR above the allowance at the penalty rate', async () => {
+      const response = await request(server)
+        .post('/api/pea/sensitivity')
+        .send(touRequest);
+
+      const { peakKvar } = byInput(response);
+      expect(peakKvar.unit).toBe('kVAR');
+      expect(peakKvar.marginalBreakdown.pf).toBe(56.07);
+      expect(peakKvar.marginalCost).toBeCloseTo(59.99, 2);
+    });
+
+    test('should report no demand cost while the ratchet floor is binding', async () => {
+      const response = await request(server)
+        .post('/api/pea/sensitivity')
+        .send({
+          ...touRequest,
+          tariffType: 'normal',
+          peakKvar: 0,
+          highestDemandChargeLast12m: 100000,
+          usage: { peak_kw: 100, total_kwh: 40000 }
+        });
+
+      expect(response.status).toBe(200);
+      const inputs = byInput(response);
+      expect(inputs.peak_kw.marginalCost).toBe(0);
+      expect(inputs.peak_kw.elasticity).toBe(0);
+      expect(inputs.peakKvar.elasticity).toBeNull();
+    });
+  });
+
+  describe('Elasticity and Tornado', () => {
+    test('should measure elasticity between the input moved down and up', async () => {
+      const response = await request(server)
+        .post('/api/pea/sensitivity')
+        .send({ ...touRequest, variation: 0.05 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.variation).toBe(0.05);
+      const { on_peak_kwh: onPeakKwh } = byInput(response);
+      expect(onPeakKwh.swing).toBeCloseTo(onPeakKwh.highBill - onPeakKwh.lowBill, 2);
+      expect(onPeakKwh.elasticity).toBeCloseTo(onPeakKwh.swing / response.body.totalBill / 0.1, 3);
+    });
+
+    test('should rank inputs by swing', async () => {
+      const response = await request(server)
+        .post('/api/pea/sensitivity')
+        .send(touRequest);
+
+      const { tornado } = response.body;
+      expect(tornado.map((entry) => entry.input)).toEqual(
+        ['on_peak_kwh', 'on_peak_kw', 'off_peak_kwh', 'peakKvar', 'ftRateSatang', 'off_peak_kw']
+      );
+      expect(tornado[0].rank).toBe(1);
+      for (let index = 1; index < tornado.length; index++) {
+        expect(tornado[index].swing).toBeLessThanOrEqual(tornado[index - 1].swing);
+      }
+    });
+
+    test('should match the bill of the regular calculate endpoint', async () => {
+      const { calculationType, ...calculationInput } = touRequest;
+      const [analysis, bill] = await Promise.all([
+        request(server).post('/api/mea/sensitivity').send({ ...touRequest, voltageLevel: '12-24kV' }),
+        request(server).post('/api/mea/calculate/type-3').send({ ...calculationInput, voltageLevel: '12-24kV' })
+      ]);
+
+      expect(analysis.status).toBe(200);
+      expect(analysis.body.provider).toBe('mea');
+      expect(analysis.body.totalBill).toBe(bill.body.grandTotal);
+    });
+  });
+
+  describe('Invalid Input Tests', () => {
+    test('should return error for missing calculationType', async () => {
+      const { calculationType, ...body } = touRequest;
+      const response = await request(server)
+        .post('/api/pea/sensitivity')
+        .send(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: calculationType');
+    });
+
+    test.each([
+      [{ variation: 0 }, 'variation', 'variation must be greater than 0 and at most 0.5, received: 0'],
+      [{ variation: 0.8 }, 'variation', 'variation must be greater than 0 and at most 0.5, received: 0.8'],
+      [{ persist: true }, 'persist', 'persist is not available for sensitivity analysis; store bills through the calculate endpoints'],
+      [{ calculationType: 'standby' }, 'calculationType',
+        'calculationType must be one of type-1, type-2, type-3, type-4, type-5, type-6, type-7, type-8, ev-charger, received: standby']
+    ])('should reject invalid options %#', async (overrides, field, error) => {
+      const response = await request(server)
+        .post('/api/pea/sensitivity')
+        .send({ ...touRequest, ...overrides });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe(field);
+      expect(response.body.error).toBe(error);
+    });
+
+    test('should validate the calculation input', async () => {
+      const response = await request(server)
+        .post('/api/pea/sensitivity')
+        .send({ ...touRequest, voltageLevel: '<12kV' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('voltageLevel');
+    });
+  });
+});
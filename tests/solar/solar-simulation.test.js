@@ -0,0 +1,231 @@
+/**
+ * Rooftop Solar Simulation Tests
+ * Test suite for netting PV generation against interval load and the bill savings
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+/**
+ * Generate one day of hourly readings in Thailand local time
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {Function} kwhAt - Returns kWh for the interval starting at hour
+ * @returns {Array} readings
+ */
+const generateHourlyReadings = (date, kwhAt) => {
+  const readings = [];
+  for (let hour = 0; hour < 24; hour++) {
+    readings.push({ timestamp: `${date}T${String(hour).padStart(2, '0')}:00:00`, kwh: kwhAt(hour) });
+  }
+  return readings;
+};
+
+// Weekday office load: 100 kW from 08:00 to 18:00, 20 kW otherwise
+const officeLoad = (hour) => (hour >= 8 && hour < 18 ? 100 : 20);
+
+describe('Rooftop Solar Simulation API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const type3Request = {
+    calculationType: 'type-3',
+    tariffType: 'tou',
+    voltageLevel: '<22kV',
+    ftRateSatang: 39.72,
+    peakKvar: 0,
+    highestDemandChargeLast12m: 0,
+    intervalMinutes: 60,
+    readings: [
+      ...generateHourlyReadings('2024-03-04', officeLoad),
+      ...generateHourlyReadings('2024-03-05', officeLoad)
+    ]
+  };
+
+  describe('PV Model', () => {
+    test('should model generation from capacity, tilt and the irradiance table', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, pv: { capacityKwp: 100 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.generation).toEqual({
+        source: 'model',
+        capacityKwp: 100,
+        tiltDegrees: 15,
+        tiltFactor: 1.04,
+        performanceRatio: 0.8
+      });
+      // 100 kWp x 5.5 kWh/m² per day in March x 1.04 x 0.8, for two days
+      expect(response.body.energyBalance.pvGenerationKwh).toBeCloseTo(915.2, 1);
+    });
+
+    test('should interpolate the tilt factor', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, pv: { capacityKwp: 100, tiltDegrees: 25, performanceRatio: 0.75 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.generation.tiltFactor).toBe(1.015);
+      expect(response.body.energyBalance.pvGenerationKwh).toBeCloseTo(2 * 100 * 5.5 * 1.015 * 0.75, 1);
+    });
+  });
+
+  describe('Netting', () => {
+    test('should net generation per interval and report self-consumption', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, pv: { capacityKwp: 100 } });
+
+      const { energyBalance } = response.body;
+      expect(energyBalance.loadKwh).toBe(2560);
+      expect(energyBalance.selfConsumedKwh + energyBalance.exportedKwh).toBeCloseTo(energyBalance.pvGenerationKwh, 2);
+      expect(energyBalance.gridImportKwh).toBeCloseTo(2560 - energyBalance.selfConsumedKwh, 2);
+      expect(energyBalance.solarFraction).toBeCloseTo(energyBalance.selfConsumedKwh / 2560, 4);
+      expect(response.body.withSolar.usage.on_peak_kwh).toBeLessThan(response.body.baseline.usage.on_peak_kwh);
+    });
+
+    test('should not let exported energy offset load in other intervals', async () => {
+      const pvReadings = generateHourlyReadings('2024-03-04', (hour) => (hour === 12 ? 150 : 0));
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, pv: { readings: pvReadings, exportRatePerKwh: 2.2 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.generation).toEqual({ source: 'readings' });
+      expect(response.body.energyBalance).toMatchObject({
+        pvGenerationKwh: 150,
+        selfConsumedKwh: 100,
+        exportedKwh: 50,
+        gridImportKwh: 2460,
+        selfConsumptionRatio: 0.6667
+      });
+      expect(response.body.savings.exportCredit).toBe(110);
+    });
+  });
+
+  describe('Savings', () => {
+    test('should break savings into energy, demand and Ft components', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, pv: { capacityKwp: 100 } });
+
+      const { savings, baseline, withSolar } = response.body;
+      expect(savings.energy).toBeCloseTo(baseline.result.energyCharge - withSolar.result.energyCharge, 2);
+      expect(savings.demand).toBeCloseTo(baseline.result.effectiveDemandCharge - withSolar.result.effectiveDemandCharge, 2);
+      expect(savings.ft).toBeCloseTo(response.body.energyBalance.selfConsumedKwh * 0.3972, 1);
+      expect(savings.demand).toBeGreaterThan(0);
+      expect(savings.energy + savings.demand + savings.pf + savings.service + savings.ft + savings.vat)
+        .toBeCloseTo(savings.total, 1);
+      expect(savings.total).toBeCloseTo(baseline.result.grandTotal - withSolar.result.grandTotal, 2);
+      expect(savings.totalWithExport).toBeCloseTo(savings.total + savings.exportCredit, 2);
+    });
+
+    test('should find no demand savings when the peak falls outside generation hours', async () => {
+      const eveningLoad = (hour) => (hour === 20 ? 200 : 50);
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({
+          ...type3Request,
+          tariffType: 'normal',
+          readings: generateHourlyReadings('2024-03-04', eveningLoad),
+          pv: { capacityKwp: 30 }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.withSolar.usage.peak_kw).toBe(200);
+      expect(response.body.savings.demand).toBe(0);
+      expect(response.body.savings.energy).toBeGreaterThan(0);
+    });
+
+    test('should simulate energy-only Type 2 bills', async () => {
+      const response = await request(server)
+        .post('/api/mea/simulate/solar')
+        .send({
+          calculationType: 'type-2',
+          tariffType: 'tou',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          intervalMinutes: 60,
+          readings: generateHourlyReadings('2024-03-04', () => 2),
+          pv: { capacityKwp: 5 }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.savings.demand).toBe(0);
+      expect(response.body.savings.total).toBeCloseTo(response.body.baseline.result.totalBill - response.body.withSolar.result.totalBill, 2);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should require pv', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send(type3Request);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: pv');
+    });
+
+    test('should reject calculation types not billed from intervals', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, calculationType: 'type-1', pv: { capacityKwp: 5 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('calculationType must be one of type-2, type-3, type-4, type-5, received: type-1');
+    });
+
+    test('should reject pv with both readings and capacity', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, pv: { capacityKwp: 5, readings: [] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('pv must define either readings or capacityKwp, not both');
+    });
+
+    test('should reject an out-of-range tilt', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, pv: { capacityKwp: 5, tiltDegrees: 120 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('pv.tiltDegrees must be between 0 and 90, received: 120');
+    });
+
+    test('should reject invalid generation readings', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, pv: { readings: [{ timestamp: 'noon', kwh: 5 }] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('pv.readings[0].timestamp must be a valid ISO 8601 timestamp');
+    });
+
+    test('should reject generation outside the load profile', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, pv: { readings: [{ timestamp: '2024-03-10T12:00:00', kwh: 5 }] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('pv.readings[0] has no matching load interval');
+    });
+
+    test('should reject persist', async () => {
+      const response = await request(server)
+        .post('/api/pea/simulate/solar')
+        .send({ ...type3Request, persist: true, pv: { capacityKwp: 5 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('persist');
+      expect(response.body.error).toBe('persist is not available for solar simulations; store bills through the calculate endpoints');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Target Bill Solver Tests
+ * Test suite for solving the kWh or peak kW that yields a target bill
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Target Bill Solver API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const type3Request = {
+    calculationType: 'type-3',
+    tariffType: 'normal',
+    voltageLevel: '<22kV',
+    ftRateSatang: 19.72,
+    peakKvar: 0,
+    highestDemandChargeLast12m: 0,
+    usage: { peak_kw: 100, total_kwh: 40000 }
+  };
+
+  describe('Solving for kWh', () => {
+    test('should find the kWh a budget buys through the Type 2 tiers', async () => {
+      const response = await request(server)
+        .post('/api/pea/solve')
+        .send({
+          calculationType: 'type-2',
+          tariffType: 'normal',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          targetBill: 5000,
+          usage: { total_kwh: 100 }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.solveFor).toBe('kwh');
+      expect(response.body.usage.total_kwh).toBeCloseTo(1053.407, 3);
+      expect(response.body.achievedBill).toBeCloseTo(5000, 1);
+      expect(response.body.difference).toBe(0);
+
+      // The solved usage bills to the target through the regular endpoint
+      const bill = await request(server)
+        .post('/api/pea/calculate/type-2')
+        .send({ tariffType: 'normal', voltageLevel: '<22kV', ftRateSatang: 19.72, usage: response.body.usage });
+      expect(bill.body.totalBill).toBeCloseTo(response.body.achievedBill, 5);
+    });
+
+    test('should keep the on-peak share of a TOU template', async () => {
+      const response = await request(server)
+        .post('/api/mea/solve')
+        .send({
+          calculationType: 'type-2',
+          tariffType: 'tou',
+          voltageLevel: '<12kV',
+          ftRateSatang: 19.72,
+          targetBill: 5000,
+          usage: { on_peak_kwh: 30, off_peak_kwh: 70 }
+        });
+
+      expect(response.status).toBe(200);
+      const { on_peak_kwh: onPeakKwh, off_peak_kwh: offPeakKwh } = response.body.usage;
+      expect(onPeakKwh / (onPeakKwh + offPeakKwh)).toBeCloseTo(0.3, 4);
+      expect(response.body.achievedBill).toBeCloseTo(5000, 1);
+    });
+
+    test('should keep the load factor and power factor of a demand template', async () => {
+      const response = await request(server)
+        .post('/api/pea/solve')
+        .send({
+          ...type3Request,
+          peakKvar: 80,
+          targetBill: 200000
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage.total_kwh / response.body.usage.peak_kw).toBeCloseTo(400, 1);
+      expect(response.body.peakKvar / response.body.peakKw).toBeCloseTo(0.8, 3);
+      expect(response.body.peakKw).toBe(response.body.usage.peak_kw);
+      expect(response.body.result.grandTotal).toBeCloseTo(200000, 1);
+      expect(response.body.ratchetBinding).toBe(false);
+    });
+
+    test('should solve through the demand ratchet floor', async () => {
+      const response = await request(server)
+        .post('/api/pea/solve')
+        .send({
+          ...type3Request,
+          highestDemandChargeLast12m: 100000,
+          targetBill: 150000
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ratchetBinding).toBe(true);
+      expect(response.body.result.effectiveDemandCharge).toBeCloseTo(70000, 1);
+      expect(response.body.achievedBill).toBeCloseTo(150000, 1);
+    });
+  });
+
+  describe('Solving for peak kW', () => {
+    test('should hold energy and scale demand only', async () => {
+      const response = await request(server)
+        .post('/api/pea/solve')
+        .send({
+          ...type3Request,
+          solveFor: 'kw',
+          targetBill: 250000
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.solveFor).toBe('kw');
+      expect(response.body.usage.total_kwh).toBe(40000);
+      expect(response.body.peakKw).toBeCloseTo(444.428, 2);
+      // Demand is solved to 0.001 kW, so the bill lands within a baht of the target
+      expect(Math.abs(response.body.difference)).toBeLessThan(1);
+    });
+
+    test('should reject a target below the bill at zero demand', async () => {
+      const response = await request(server)
+        .post('/api/pea/solve')
+        .send({
+          ...type3Request,
+          highestDemandChargeLast12m: 50000,
+          solveFor: 'kw',
+          targetBill: 10
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Failed to solve type-3: targetBill 10 is below the bill of 182118.54 at zero kw');
+    });
+  });
+
+  describe('Invalid Input Tests', () => {
+    test('should return error for missing targetBill', async () => {
+      const response = await request(server)
+        .post('/api/pea/solve')
+        .send(type3Request);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: targetBill');
+    });
+
+    test.each([
+      [{ targetBill: -5 }, 'targetBill', 'targetBill must be a positive number, received: -5'],
+      [{ targetBill: 1000, solveFor: 'kvar' }, 'solveFor', 'solveFor must be one of kwh, kw, received: kvar'],
+      [{ targetBill: 1000, persist: true }, 'persist',
+        'persist is not available for the target bill solver; store bills through the calculate endpoints'],
+      [{ targetBill: 1000, calculationType: 'type-9' }, 'calculationType',
+        'calculationType must be one of type-1, type-2, type-3, type-4, type-5, type-6, type-7, type-8, ev-charger, received: type-9']
+    ])('should reject invalid solver options %#', async (overrides, field, error) => {
+      const response = await request(server)
+        .post('/api/pea/solve')
+        .send({ ...type3Request, ...overrides });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe(field);
+      expect(response.body.error).toBe(error);
+    });
+
+    test('should return error when the template has no demand to scale', async () => {
+      const response = await request(server)
+        .post('/api/pea/solve')
+        .send({
+          calculationType: 'type-2',
+          tariffType: 'normal',
+          voltageLevel: '<22kV',
+          ftRateSatang: 19.72,
+          solveFor: 'kw',
+          targetBill: 5000,
+          usage: { total_kwh: 100 }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('usage');
+      expect(response.body.error).toBe('usage needs a positive kW value to solve for kw');
+    });
+  });
+});
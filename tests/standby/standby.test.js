@@ -0,0 +1,230 @@
+/**
+ * Standby Tariff Tests
+ * Test suite for backup supply billing for customers with on-site generation
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Standby Tariff API', () => {
+  let server;
+
+  beforeAll(() => {
+    server = app.listen(0); // Use random port for testing
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const standbyRequest = {
+    applicableType: 'type-3',
+    tariffType: 'normal',
+    voltageLevel: '<22kV',
+    ftRateSatang: 19.72,
+    peakKvar: 0,
+    standby: { contractedKw: 1000 },
+    usage: {
+      peak_kw: 1200,
+      total_kwh: 50000
+    }
+  };
+
+  describe('Reservation and Usage Charges', () => {
+    test('should bill the reservation charge and the usage charge separately', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send(standbyRequest);
+
+      expect(response.status).toBe(200);
+      expect(response.body.calculationType).toBe('standby');
+      expect(response.body.reservationCharge).toBeCloseTo(52400, 2); // 1000 kW * 52.40
+      expect(response.body.excessDemandCharge).toBeCloseTo(44300, 2); // 200 kW * 221.50
+      expect(response.body.supplementaryDemandCharge).toBe(0);
+      expect(response.body.energyCharge).toBeCloseTo(158755, 2);
+      expect(response.body.ftCharge).toBeCloseTo(9860, 2);
+      expect(response.body.usageCharge).toBeCloseTo(212915, 2);
+      expect(response.body.serviceCharge).toBe(312.24);
+      expect(response.body.subTotal).toBeCloseTo(265627.24, 2);
+      expect(response.body.vat).toBeCloseTo(18593.91, 2);
+      expect(response.body.grandTotal).toBeCloseTo(284221.15, 2);
+      expect(response.body.standby).toEqual({
+        applicableType: 'type-3',
+        contractedKw: 1000,
+        reservationRatePerKw: 52.4,
+        drawnKw: 1200,
+        backupKw: 1200,
+        excessKw: 200,
+        supplementaryKw: 0,
+        backupKwh: 50000,
+        supplementaryKwh: 0,
+        outageCount: 0,
+        outageHours: 0
+      });
+    });
+
+    test('should not charge demand when drawn kW stays within the contracted backup kW', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send({ ...standbyRequest, usage: { peak_kw: 800, total_kwh: 50000 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.excessDemandCharge).toBe(0);
+      expect(response.body.standby.excessKw).toBe(0);
+    });
+
+    test('should use a reservation rate supplied in the request', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send({ ...standbyRequest, standby: { contractedKw: 1000, reservationRatePerKw: 40 } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.reservationCharge).toBeCloseTo(40000, 2);
+      expect(response.body.standby.outageCount).toBe(0);
+    });
+
+    test('should bill MEA standby usage at Type 4 TOD rates', async () => {
+      const response = await request(server)
+        .post('/api/mea/calculate/standby')
+        .send({
+          applicableType: 'type-4',
+          tariffType: 'tod',
+          voltageLevel: '>=69kV',
+          ftRateSatang: 19.72,
+          standby: { contractedKw: 500 },
+          usage: {
+            on_peak_kw: 600,
+            partial_peak_kw: 400,
+            off_peak_kw: 300,
+            total_kwh: 100000
+          }
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.reservationCharge).toBeCloseTo(11340, 2); // 500 kW * 22.68
+      expect(response.body.excessDemandCharge).toBeCloseTo(28000, 2); // 100 kW * 280.00 on-peak
+      expect(response.body.energyCharge).toBeCloseTo(310970, 2);
+      expect(response.body.serviceCharge).toBe(312.24);
+    });
+  });
+
+  describe('Generator Outages', () => {
+    // 1200 kW from the grid during the outage on 5 March 2024 08:00-20:00, 300 kW otherwise
+    const readings = [];
+    for (const date of ['2024-03-05', '2024-03-06']) {
+      for (let hour = 0; hour < 24; hour++) {
+        const inOutage = date === '2024-03-05' && hour >= 8 && hour < 20;
+        readings.push({ timestamp: `${date}T${String(hour).padStart(2, '0')}:00:00`, kwh: inOutage ? 1200 : 300 });
+      }
+    }
+
+    const outageRequest = {
+      ...standbyRequest,
+      standby: { contractedKw: 1000, outages: [{ start: '2024-03-05T08:00:00', end: '2024-03-05T20:00:00' }] },
+      usage: undefined,
+      intervalMinutes: 60,
+      readings
+    };
+
+    test('should bill draws outside outage windows at the normal demand rate', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send(outageRequest);
+
+      expect(response.status).toBe(200);
+      expect(response.body.usage).toEqual({ peak_kw: 1200, total_kwh: 14400 });
+      expect(response.body.supplementaryUsage).toEqual({ peak_kw: 300, total_kwh: 10800 });
+      expect(response.body.excessDemandCharge).toBeCloseTo(44300, 2); // 200 kW * 221.50
+      expect(response.body.supplementaryDemandCharge).toBeCloseTo(66450, 2); // 300 kW * 221.50
+      expect(response.body.energyCharge).toBeCloseTo(25200 * 3.1751, 2);
+      expect(response.body.ftCharge).toBeCloseTo(25200 * 0.1972, 2);
+      expect(response.body.standby).toMatchObject({
+        drawnKw: 1200,
+        backupKw: 1200,
+        excessKw: 200,
+        supplementaryKw: 300,
+        backupKwh: 14400,
+        supplementaryKwh: 10800,
+        outageCount: 1,
+        outageHours: 12
+      });
+    });
+
+    test('should cost more than the same draws all treated as backup', async () => {
+      const [withOutages, allBackup] = await Promise.all([
+        request(server).post('/api/pea/calculate/standby').send(outageRequest),
+        request(server)
+          .post('/api/pea/calculate/standby')
+          .send({ ...standbyRequest, usage: { peak_kw: 1200, total_kwh: 25200 } })
+      ]);
+
+      expect(withOutages.body.energyCharge).toBeCloseTo(allBackup.body.energyCharge, 2);
+      expect(withOutages.body.usageCharge - allBackup.body.usageCharge).toBeCloseTo(66450, 2);
+    });
+
+    test('should require readings to bill outages', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send({ ...outageRequest, readings: undefined, usage: { peak_kw: 1200, total_kwh: 50000 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.field).toBe('readings');
+      expect(response.body.error).toBe('readings are required to bill standby.outages');
+    });
+  });
+
+  describe('Validation Errors', () => {
+    test('should reject an applicable type without demand charges', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send({ ...standbyRequest, applicableType: 'type-2' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('applicableType must be one of type-3, type-4, type-5, received: type-2');
+    });
+
+    test('should require standby terms', async () => {
+      const { standby, ...withoutStandby } = standbyRequest;
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send(withoutStandby);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: standby');
+    });
+
+    test('should validate drawn usage against the applicable type', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send({ ...standbyRequest, usage: { total_kwh: 50000 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: peak_kw');
+    });
+
+    test('should reject an outage that ends before it starts', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send({
+          ...standbyRequest,
+          standby: {
+            contractedKw: 1000,
+            outages: [{ start: '2024-03-05T20:00:00', end: '2024-03-05T08:00:00' }]
+          }
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('standby.outages[0].end must be after start');
+      expect(response.body.field).toBe('standby');
+    });
+
+    test('should reject a non-positive contracted kW', async () => {
+      const response = await request(server)
+        .post('/api/pea/calculate/standby')
+        .send({ ...standbyRequest, standby: { contractedKw: -10 } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('standby.contractedKw must be a positive number up to 100000, received: -10');
+    });
+  });
+});
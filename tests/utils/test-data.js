@@ -598,17 +598,6 @@ const ERROR_TEST_DATA = {
       expectedStatus: 400,
       expectedError: 'Missing required field: voltageLevel'
     },
-    MISSING_FT_RATE: {
-      input: {
-        tariffType: 'normal',
-        voltageLevel: '<22kV',
-        usage: {
-          total_kwh: 500
-        }
-      },
-      expectedStatus: 400,
-      expectedError: 'Missing required field: ftRateSatang'
-    },
     MISSING_USAGE: {
       input: {
         tariffType: 'normal',
@@ -762,7 +751,7 @@ const ERROR_TEST_DATA = {
         }
       },
       expectedStatus: 400,
-      expectedError: 'Missing required field: ftRateSatang'
+      expectedError: 'ftRateSatang must be a valid number'
     },
     EMPTY_USAGE: {
       input: {
@@ -799,18 +788,6 @@ const ERROR_TEST_DATA = {
       },
       expectedStatus: 400,
       expectedError: 'Missing required field: voltageLevel'
-    },
-    NULL_FT_RATE: {
-      input: {
-        tariffType: 'normal',
-        voltageLevel: '<22kV',
-        ftRateSatang: null,
-        usage: {
-          total_kwh: 500
-        }
-      },
-      expectedStatus: 400,
-      expectedError: 'Missing required field: ftRateSatang'
     }
   }
 };
@@ -328,13 +328,6 @@ const generateErrorTestScenarios = (provider, calculationType) => {
     expectedError: 'Missing required field: voltageLevel'
   });
   
-  scenarios.push({
-    name: 'Missing ftRateSatang',
-    data: { ...baseData, ftRateSatang: undefined },
-    expectedStatus: 400,
-    expectedError: 'Missing required field: ftRateSatang'
-  });
-  
   scenarios.push({
     name: 'Missing usage',
     data: { ...baseData, usage: undefined },